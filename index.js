@@ -17,7 +17,124 @@
 /** @typedef {import('./src/wdk-manager.js').IWalletAccount} IWalletAccount */
 /** @typedef {import('./src/wdk-manager.js').FeeRates} FeeRates */
 /** @typedef {import('./src/wdk-manager.js').MiddlewareFunction} MiddlewareFunction */
+/** @typedef {import('./src/wdk-manager.js').RegisterOptions} RegisterOptions */
+/**
+ * @template T
+ * @typedef {import('./src/wdk-manager.js').ModuleFactory<T>} ModuleFactory
+ */
+/** @typedef {import('./src/wdk-manager.js').ProtocolTypeOptions} ProtocolTypeOptions */
+/** @typedef {import('./src/wdk-manager.js').DerivedAccount} DerivedAccount */
+/** @typedef {import('./src/wdk-manager.js').WdkEventMap} WdkEventMap */
+/** @typedef {import('./src/wdk-manager.js').OperationContext} OperationContext */
+/** @typedef {import('./src/wdk-manager.js').InterceptorFunction} InterceptorFunction */
+/** @typedef {import('./src/wdk-manager.js').ProtocolDescriptor} ProtocolDescriptor */
+/** @typedef {import('./src/wdk-manager.js').AccountProtocolDescriptor} AccountProtocolDescriptor */
+/** @typedef {import('./src/wdk-manager.js').WdkOptions} WdkOptions */
+/** @typedef {import('./src/wdk-manager.js').DryRunResult} DryRunResult */
+/** @typedef {import('./src/wdk-manager.js').PortfolioOptions} PortfolioOptions */
+/** @typedef {import('./src/wdk-manager.js').Portfolio} Portfolio */
+/** @typedef {import('./src/wdk-manager.js').PortfolioBalance} PortfolioBalance */
+/** @typedef {import('./src/wdk-manager.js').BlockchainError} BlockchainError */
+/** @typedef {import('./src/wdk-manager.js').ActivityChecker} ActivityChecker */
+/** @typedef {import('./src/wdk-manager.js').DiscoveryOptions} DiscoveryOptions */
+/** @typedef {import('./src/wdk-manager.js').Discovery} Discovery */
+
+/** @typedef {import('./src/policy-engine.js').Policy} Policy */
+/** @typedef {import('./src/policy-engine.js').SpendingLimit} SpendingLimit */
+/** @typedef {import('./src/policy-engine.js').PolicyOperation} PolicyOperation */
+
+/** @typedef {import('./src/memory-policy-store.js').SpendingRecord} SpendingRecord */
+
+/** @typedef {import('./src/failover-wallet.js').FailoverOptions} FailoverOptions */
+/** @typedef {import('./src/failover-wallet.js').ProviderStatus} ProviderStatus */
+/** @typedef {import('./src/failover-wallet.js').ProviderFailedEvent} ProviderFailedEvent */
+/** @typedef {import('./src/failover-wallet.js').ProviderChangedEvent} ProviderChangedEvent */
+
+/** @typedef {import('./src/send-queue.js').QueuedOperation} QueuedOperation */
+
+/** @typedef {import('./src/journal.js').JournalOptions} JournalOptions */
+/** @typedef {import('./src/journal.js').JournalFilter} JournalFilter */
+
+/** @typedef {import('./src/memory-journal-store.js').JournalEntry} JournalEntry */
+
+/** @typedef {import('./src/approval-queue.js').ApprovalOptions} ApprovalOptions */
+/** @typedef {import('./src/approval-queue.js').ApprovalRequest} ApprovalRequest */
+
+/** @typedef {import('./src/vault.js').VaultOptions} VaultOptions */
+
+/** @typedef {import('./src/seed.js').SeedPhraseOptions} SeedPhraseOptions */
+/** @typedef {import('./src/seed.js').SeedValidation} SeedValidation */
+
+/** @typedef {import('./src/config.js').WdkConfig} WdkConfig */
+/** @typedef {import('./src/config.js').BlockchainConfig} BlockchainConfig */
+/** @typedef {import('./src/config.js').WalletConfig} WalletConfig */
+/** @typedef {import('./src/config.js').ProtocolConfig} ProtocolConfig */
+/** @typedef {import('./src/config.js').ModuleMap} ModuleMap */
+/** @typedef {import('./src/config.js').ConfigIssue} ConfigIssue */
+
+/** @typedef {import('./src/move-planner.js').MoveIntent} MoveIntent */
+/** @typedef {import('./src/move-planner.js').MoveOptions} MoveOptions */
+/** @typedef {import('./src/move-planner.js').BridgeToken} BridgeToken */
+/** @typedef {import('./src/move-planner.js').MoveStep} MoveStep */
+/** @typedef {import('./src/move-planner.js').MoveRoute} MoveRoute */
+/** @typedef {import('./src/move-planner.js').MovePlan} MovePlan */
+/** @typedef {import('./src/move-planner.js').MoveProgress} MoveProgress */
+/** @typedef {import('./src/move-planner.js').ExecuteMoveOptions} ExecuteMoveOptions */
+
+/** @typedef {import('./src/quote-router.js').RouteOptions} RouteOptions */
+/** @typedef {import('./src/quote-router.js').SkippedProtocol} SkippedProtocol */
+/**
+ * @template Q
+ * @typedef {import('./src/quote-router.js').RouteQuote<Q>} RouteQuote
+ */
+/**
+ * @template Q
+ * @typedef {import('./src/quote-router.js').Route<Q>} Route
+ */
 
 /** @typedef {import('./src/wallet-account-with-protocols.js').IWalletAccountWithProtocols} IWalletAccountWithProtocols */
 
 export { default } from './src/wdk-manager.js'
+
+export { default as ProfileManager } from './src/profile-manager.js'
+
+export { default as MemoryPolicyStore, IPolicyStore } from './src/memory-policy-store.js'
+
+export { default as MemoryJournalStore, IJournalStore } from './src/memory-journal-store.js'
+
+export { default as JsonFileJournalStore } from './src/json-file-journal-store.js'
+
+export {
+  WdkError,
+  InvalidSeedError,
+  DisposedError,
+  InvalidWalletManagerError,
+  WalletNotRegisteredError,
+  WalletAlreadyRegisteredError,
+  InvalidProtocolError,
+  ProtocolNotRegisteredError,
+  ProtocolAlreadyRegisteredError,
+  ProtocolTypeAlreadyRegisteredError,
+  InvalidProtocolTypeError,
+  MiddlewareNotRegisteredError,
+  InterceptorNotRegisteredError,
+  PolicyNotRegisteredError,
+  PolicyViolationError,
+  ApprovalNotFoundError,
+  ApprovalRejectedError,
+  ApprovalTimeoutError,
+  QuoteExpiredError,
+  NoRouteError,
+  MoveFailedError,
+  InvalidVaultError,
+  WrongPassphraseError,
+  InvalidConfigError,
+  ModuleLoadError,
+  ModuleNotLoadedError,
+  WatchOnlyError,
+  WatchedAddressNotFoundError,
+  ProfileNotFoundError,
+  ProfileAlreadyExistsError,
+  QueuedOperationNotFoundError,
+  OperationCancelledError
+} from './src/errors.js'
@@ -0,0 +1,196 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import {
+  ApprovalNotFoundError,
+  ApprovalRejectedError,
+  ApprovalTimeoutError,
+  QuoteExpiredError
+} from './errors.js'
+
+/** @typedef {import('./wdk-manager.js').OperationContext} OperationContext */
+/** @typedef {import('./wdk-manager.js').ProtocolInfo} ProtocolInfo */
+
+/** @typedef {import('./wallet-account-with-protocols.js').IWalletAccountWithProtocols} IWalletAccountWithProtocols */
+
+/**
+ * @typedef {Object} ApprovalRequest
+ * @property {string} id - The unique identifier of the request.
+ * @property {string} blockchain - The name of the blockchain.
+ * @property {IWalletAccountWithProtocols} account - The account performing the operation.
+ * @property {ProtocolInfo} [protocol] - The protocol performing the operation, if it is not performed by the account itself.
+ * @property {string} operation - The name of the operation (e.g., "transfer", "swap").
+ * @property {unknown[]} args - The arguments of the operation.
+ * @property {unknown} quote - The quote of the operation (e.g., the result of 'quoteTransfer' for transfers).
+ * @property {number} createdAt - The time the request has been created at (in milliseconds since the unix epoch).
+ * @property {number} [expiresAt] - The time the quote expires at (in milliseconds since the unix epoch), if quotes expire.
+ */
+
+/**
+ * @typedef {Object} ApprovalOptions
+ * @property {(request: ApprovalRequest) => boolean | Promise<boolean>} [callback] - Called for each new request. Returning true
+ *   approves the request, returning false rejects it. If not set, requests must be approved or rejected explicitly.
+ * @property {number} [timeout] - The time a request waits for a decision before being rejected (in milliseconds, default: 5 minutes).
+ * @property {number} [quoteTtl] - The time a quote stays valid (in milliseconds). Requests not approved before their quote expires
+ *   are rejected. If not set, quotes never expire.
+ */
+
+const DEFAULT_TIMEOUT = 5 * 60 * 1_000
+
+export default class ApprovalQueue {
+  /**
+   * Creates a new approval queue.
+   *
+   * @param {ApprovalOptions} [options] - The approval options.
+   * @param {(request: ApprovalRequest) => void} [onRequest] - Called for each new request, before the approval callback.
+   */
+  constructor (options = { }, onRequest = () => { }) {
+    /** @private */
+    this._options = options
+
+    /** @private */
+    this._onRequest = onRequest
+
+    /** @private */
+    this._pending = new Map()
+
+    /** @private */
+    this._nonce = 0
+  }
+
+  /**
+   * Returns the requests waiting for a decision, from the oldest to the newest.
+   *
+   * @returns {ApprovalRequest[]} The pending requests.
+   */
+  getPending () {
+    return [...this._pending.values()].map(({ request }) => request)
+  }
+
+  /**
+   * Quotes an operation and holds it until it gets approved, then runs it.
+   *
+   * @param {OperationContext} context - The operation's context.
+   * @param {() => Promise<unknown>} next - Runs the operation.
+   * @returns {Promise<unknown>} The operation's result.
+   * @throws {ApprovalRejectedError} If the request is rejected.
+   * @throws {ApprovalTimeoutError} If the request is not approved in time.
+   * @throws {QuoteExpiredError} If the quote expires before the request is approved.
+   */
+  async hold (context, next) {
+    const { blockchain, account, protocol, operation, args } = context
+
+    const quote = await context.quote()
+
+    const { callback, timeout = DEFAULT_TIMEOUT, quoteTtl } = this._options
+
+    const createdAt = Date.now()
+
+    const request = {
+      id: `${createdAt.toString(36)}-${(this._nonce++).toString(36)}`,
+      blockchain,
+      account,
+      protocol,
+      operation,
+      args: [...args],
+      quote,
+      createdAt,
+      expiresAt: quoteTtl !== undefined ? createdAt + quoteTtl : undefined
+    }
+
+    await new Promise((resolve, reject) => {
+      const timers = []
+
+      const settle = (error) => {
+        if (!this._pending.delete(request.id)) {
+          return
+        }
+
+        timers.forEach(clearTimeout)
+
+        if (error) {
+          reject(error)
+        } else {
+          resolve()
+        }
+      }
+
+      timers.push(setTimeout(() => settle(new ApprovalTimeoutError(request.id, timeout)), timeout))
+
+      if (quoteTtl !== undefined) {
+        timers.push(setTimeout(() => settle(new QuoteExpiredError(request.id)), quoteTtl))
+      }
+
+      this._pending.set(request.id, { request, settle })
+
+      // The request is already pending: a callback throwing must not fail the operation while the request can still be approved.
+      try {
+        this._onRequest(request)
+      } catch { }
+
+      if (callback) {
+        Promise.resolve()
+          .then(() => callback(request))
+          .then(approved => settle(approved ? undefined : new ApprovalRejectedError(request.id)), settle)
+      }
+    })
+
+    return await next()
+  }
+
+  /**
+   * Approves a pending request.
+   *
+   * @param {string} id - The identifier of the request.
+   * @throws {ApprovalNotFoundError} If there is no pending request with the given identifier.
+   */
+  approve (id) {
+    this._getPending(id).settle()
+  }
+
+  /**
+   * Rejects a pending request.
+   *
+   * @param {string} id - The identifier of the request.
+   * @param {string} [reason] - The reason of the rejection.
+   * @throws {ApprovalNotFoundError} If there is no pending request with the given identifier.
+   */
+  reject (id, reason) {
+    this._getPending(id).settle(new ApprovalRejectedError(id, reason))
+  }
+
+  /**
+   * Rejects all the pending requests with the given error.
+   *
+   * @param {Error} error - The error.
+   */
+  rejectAll (error) {
+    for (const { settle } of [...this._pending.values()]) {
+      settle(error)
+    }
+  }
+
+  /** @private */
+  _getPending (id) {
+    const pending = this._pending.get(id)
+
+    if (!pending) {
+      throw new ApprovalNotFoundError(id)
+    }
+
+    return pending
+  }
+}
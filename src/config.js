@@ -0,0 +1,262 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import WalletManager, { WalletAccountReadOnly } from '@tetherto/wdk-wallet'
+
+/** @typedef {import('./failover-wallet.js').FailoverOptions} FailoverOptions */
+
+/**
+ * @typedef {Object} WalletConfig
+ * @property {string} module - The identifier of the wallet manager class in the module map.
+ * @property {Record<string, unknown> | Record<string, unknown>[]} [config] - The configuration of the wallet, or a list of
+ *   configurations to fail over between, in order of preference.
+ * @property {string} [readOnlyAccount] - The identifier of the wallet's read-only account class in the module map (see the
+ *   readOnlyAccount registration option).
+ * @property {FailoverOptions} [failover] - How to switch between the providers of the wallet (see the failover registration option).
+ */
+
+/**
+ * @typedef {Object} ProtocolConfig
+ * @property {string} label - The label of the protocol.
+ * @property {string} [type] - The type of the protocol (e.g., "swap"). Required if the module is a factory.
+ * @property {string} module - The identifier of the protocol class in the module map.
+ * @property {Record<string, unknown>} [config] - The configuration of the protocol.
+ */
+
+/**
+ * @typedef {Object} BlockchainConfig
+ * @property {WalletConfig} [wallet] - The wallet bound to the blockchain.
+ * @property {ProtocolConfig[]} [protocols] - The protocols bound to the blockchain.
+ */
+
+/**
+ * A serializable description of the wallets and protocols registered to WDK.
+ *
+ * @typedef {Object} WdkConfig
+ * @property {Record<string, BlockchainConfig>} blockchains - The blockchains, by name (e.g., "ethereum").
+ */
+
+/**
+ * The classes a config can refer to, by identifier (e.g., { "wallet-evm": WalletManagerEvm, "velora": VeloraProtocolEvm }). Classes
+ * can also be given as factories loading them (e.g., { "wallet-evm": () => import('@tetherto/wdk-wallet-evm') }).
+ *
+ * @typedef {Record<string, Function>} ModuleMap
+ */
+
+/**
+ * @typedef {Object} ConfigIssue
+ * @property {string} path - The path of the invalid value (e.g., "$.blockchains.ethereum.protocols[0].module").
+ * @property {string} message - What is wrong with the value.
+ */
+
+function isObject (value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+function isKnownModule (modules, id) {
+  return typeof id === 'string' && Object.hasOwn(modules, id) && typeof modules[id] === 'function'
+}
+
+/**
+ * Tells whether a module is a factory loading a class (i.e., an arrow or async function) rather than the class itself.
+ *
+ * @param {unknown} value - The module.
+ * @returns {boolean} True if the module is a factory.
+ */
+export function isFactory (value) {
+  return typeof value === 'function' && value.prototype === undefined
+}
+
+function checkProperties (issues, path, value, properties) {
+  for (const key of Object.keys(value)) {
+    if (!properties.includes(key)) {
+      issues.push({ path: `${path}.${key}`, message: 'is not a known property' })
+    }
+  }
+}
+
+function checkModule (issues, path, value, properties, modules, allowConfigList = false) {
+  if (!isObject(value)) {
+    issues.push({ path, message: 'must be an object' })
+
+    return
+  }
+
+  checkProperties(issues, path, value, properties)
+
+  if (properties.includes('label') && (typeof value.label !== 'string' || value.label === '')) {
+    issues.push({ path: `${path}.label`, message: 'must be a non-empty string' })
+  }
+
+  if (value.type !== undefined && typeof value.type !== 'string') {
+    issues.push({ path: `${path}.type`, message: 'must be a string' })
+  }
+
+  if (typeof value.module !== 'string') {
+    issues.push({ path: `${path}.module`, message: 'must be a string' })
+  } else if (!isKnownModule(modules, value.module)) {
+    issues.push({ path: `${path}.module`, message: `refers to an unknown module: ${value.module}` })
+  }
+
+  if (!allowConfigList || !Array.isArray(value.config)) {
+    if (value.config !== undefined && !isObject(value.config)) {
+      issues.push({ path: `${path}.config`, message: 'must be an object' })
+    }
+  } else if (value.config.length === 0) {
+    issues.push({ path: `${path}.config`, message: 'must not be empty' })
+  } else {
+    value.config.forEach((config, index) => {
+      if (!isObject(config)) {
+        issues.push({ path: `${path}.config[${index}]`, message: 'must be an object' })
+      }
+    })
+  }
+}
+
+function checkWallet (issues, path, value, modules) {
+  checkModule(issues, path, value, ['module', 'config', 'readOnlyAccount', 'failover'], modules, true)
+
+  if (!isObject(value)) {
+    return
+  }
+
+  const Wallet = isKnownModule(modules, value.module) ? modules[value.module] : undefined
+
+  if (Wallet && !isFactory(Wallet) && !(Wallet.prototype instanceof WalletManager)) {
+    issues.push({ path: `${path}.module`, message: `refers to a module that does not extend WalletManager: ${value.module}` })
+  }
+
+  if (value.readOnlyAccount !== undefined) {
+    if (!isKnownModule(modules, value.readOnlyAccount)) {
+      issues.push({ path: `${path}.readOnlyAccount`, message: `refers to an unknown module: ${value.readOnlyAccount}` })
+    } else if (!(modules[value.readOnlyAccount].prototype instanceof WalletAccountReadOnly)) {
+      issues.push({
+        path: `${path}.readOnlyAccount`,
+        message: `refers to a module that does not extend WalletAccountReadOnly: ${value.readOnlyAccount}`
+      })
+    }
+  }
+
+  if (value.failover !== undefined && !isObject(value.failover)) {
+    issues.push({ path: `${path}.failover`, message: 'must be an object' })
+  }
+}
+
+function checkProtocol (issues, path, value, modules, protocolTypes) {
+  checkModule(issues, path, value, ['label', 'type', 'module', 'config'], modules)
+
+  if (!isObject(value) || (value.type !== undefined && typeof value.type !== 'string')) {
+    return
+  }
+
+  if (value.type !== undefined && !protocolTypes.has(value.type)) {
+    issues.push({ path: `${path}.type`, message: `is not a known protocol type: ${value.type}` })
+
+    return
+  }
+
+  const Protocol = isKnownModule(modules, value.module) ? modules[value.module] : undefined
+
+  if (!Protocol) {
+    return
+  }
+
+  if (isFactory(Protocol)) {
+    if (value.type === undefined) {
+      issues.push({ path: `${path}.type`, message: 'is required for modules loaded by a factory' })
+    }
+
+    return
+  }
+
+  const type = [...protocolTypes].find(([, { BaseProtocol }]) => Protocol.prototype instanceof BaseProtocol)?.[0]
+
+  if (!type) {
+    issues.push({ path: `${path}.module`, message: `refers to a module that does not extend the base class of a protocol type: ${value.module}` })
+  } else if (value.type !== undefined && value.type !== type) {
+    issues.push({ path: `${path}.type`, message: `does not match the type of module ${value.module}: ${type}` })
+  }
+}
+
+/**
+ * Checks a config against the schema of {@link WdkConfig}, and that the modules it refers to are in the module map and are classes
+ * of the right kind.
+ *
+ * @param {unknown} config - The config.
+ * @param {ModuleMap | undefined} modules - The module map.
+ * @param {Map<string, { BaseProtocol: Function }>} protocolTypes - The protocol types, by name.
+ * @returns {ConfigIssue[]} The issues found, in document order. Empty if the config is valid.
+ */
+export function validateConfig (config, modules = { }, protocolTypes) {
+  const issues = []
+
+  if (!isObject(config)) {
+    return [{ path: '$', message: 'must be an object' }]
+  }
+
+  checkProperties(issues, '$', config, ['blockchains'])
+
+  if (!isObject(config.blockchains)) {
+    issues.push({ path: '$.blockchains', message: 'must be an object' })
+
+    return issues
+  }
+
+  for (const [blockchain, value] of Object.entries(config.blockchains)) {
+    const path = `$.blockchains.${blockchain}`
+
+    if (!isObject(value)) {
+      issues.push({ path, message: 'must be an object' })
+
+      continue
+    }
+
+    checkProperties(issues, path, value, ['wallet', 'protocols'])
+
+    if (value.wallet !== undefined) {
+      checkWallet(issues, `${path}.wallet`, value.wallet, modules)
+    }
+
+    if (value.protocols === undefined) {
+      continue
+    }
+
+    if (!Array.isArray(value.protocols)) {
+      issues.push({ path: `${path}.protocols`, message: 'must be an array' })
+
+      continue
+    }
+
+    value.protocols.forEach((protocol, index) => {
+      checkProtocol(issues, `${path}.protocols[${index}]`, protocol, modules, protocolTypes)
+    })
+  }
+
+  return issues
+}
+
+/**
+ * Returns the identifier of a class in a module map, or the name of the class if the map does not contain it.
+ *
+ * @param {Function} Module - The class.
+ * @param {ModuleMap} modules - The module map.
+ * @returns {string} The identifier.
+ */
+export function getModuleId (Module, modules) {
+  const entry = Object.entries(modules).find(([, value]) => value === Module)
+
+  return entry ? entry[0] : Module.name
+}
@@ -0,0 +1,629 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+export class WdkError extends Error {
+  /**
+   * Creates a new wdk error.
+   *
+   * @param {string} message - The error's message.
+   * @param {string} code - A machine-readable code identifying the error (e.g., "WALLET_NOT_REGISTERED").
+   */
+  constructor (message, code) {
+    super(message)
+
+    this.name = 'WdkError'
+
+    /**
+     * A machine-readable code identifying the error.
+     *
+     * @type {string}
+     */
+    this.code = code
+  }
+}
+
+const SEED_ERRORS = {
+  type: 'it must be a seed phrase or a Uint8Array',
+  length: 'it has the wrong number of words or bytes',
+  'unknown-word': 'it contains a word that is not in the BIP-39 wordlist',
+  checksum: 'its checksum is wrong'
+}
+
+export class InvalidSeedError extends WdkError {
+  /**
+   * Creates a new invalid seed error.
+   *
+   * @param {'type' | 'length' | 'unknown-word' | 'checksum'} [reason] - Why the seed is not valid.
+   * @param {string} [word] - The first unknown word, if the reason is "unknown-word".
+   */
+  constructor (reason, word) {
+    super(reason ? `Invalid seed: ${SEED_ERRORS[reason]}.` : 'Invalid seed.', 'INVALID_SEED')
+
+    this.name = 'InvalidSeedError'
+
+    /** @type {'type' | 'length' | 'unknown-word' | 'checksum' | undefined} */
+    this.reason = reason
+
+    /** @type {string | undefined} */
+    this.word = word
+  }
+}
+
+export class DisposedError extends WdkError {
+  /**
+   * Creates a new disposed error.
+   */
+  constructor () {
+    super('The wdk instance has been disposed.', 'DISPOSED')
+
+    this.name = 'DisposedError'
+  }
+}
+
+export class InvalidWalletManagerError extends WdkError {
+  /**
+   * Creates a new invalid wallet manager error.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   * @param {boolean} [watchOnly] - True if the wdk instance is in watch-only mode, where read-only account classes are expected.
+   */
+  constructor (blockchain, watchOnly = false) {
+    const requirement = watchOnly
+      ? 'In watch-only mode, wallets must extend WalletAccountReadOnly, or extend WalletManager and be registered with the readOnlyAccount option.'
+      : 'Wallet managers must extend WalletManager.'
+
+    super(`Invalid wallet manager for blockchain: ${blockchain}. ${requirement}`, 'INVALID_WALLET_MANAGER')
+
+    this.name = 'InvalidWalletManagerError'
+
+    /** @type {string} */
+    this.blockchain = blockchain
+  }
+}
+
+export class WalletNotRegisteredError extends WdkError {
+  /**
+   * Creates a new wallet not registered error.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   */
+  constructor (blockchain) {
+    super(`No wallet registered for blockchain: ${blockchain}.`, 'WALLET_NOT_REGISTERED')
+
+    this.name = 'WalletNotRegisteredError'
+
+    /** @type {string} */
+    this.blockchain = blockchain
+  }
+}
+
+export class WalletAlreadyRegisteredError extends WdkError {
+  /**
+   * Creates a new wallet already registered error.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   */
+  constructor (blockchain) {
+    super(`Wallet already registered for blockchain: ${blockchain}.`, 'WALLET_ALREADY_REGISTERED')
+
+    this.name = 'WalletAlreadyRegisteredError'
+
+    /** @type {string} */
+    this.blockchain = blockchain
+  }
+}
+
+export class InvalidProtocolError extends WdkError {
+  /**
+   * Creates a new invalid protocol error.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   * @param {string} label - The protocol's label.
+   * @param {string[]} [baseProtocols] - The names of the base classes of the registered protocol types.
+   */
+  constructor (blockchain, label, baseProtocols = ['SwapProtocol', 'BridgeProtocol', 'LendingProtocol']) {
+    super(
+      `Invalid protocol for label: ${label}. Protocols must extend ${baseProtocols.slice(0, -1).join(', ')} or ${baseProtocols.at(-1)}.`,
+      'INVALID_PROTOCOL'
+    )
+
+    this.name = 'InvalidProtocolError'
+
+    /** @type {string} */
+    this.blockchain = blockchain
+
+    /** @type {string} */
+    this.label = label
+  }
+}
+
+export class ProtocolNotRegisteredError extends WdkError {
+  /**
+   * Creates a new protocol not registered error.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   * @param {string} label - The protocol's label.
+   * @param {string} [type] - The protocol's type (e.g., "swap"). If not set, the error refers to protocols of any type.
+   */
+  constructor (blockchain, label, type) {
+    super(
+      type
+        ? `No ${type} protocol registered for label: ${label}.`
+        : `No protocol registered for blockchain: ${blockchain} and label: ${label}.`,
+      'PROTOCOL_NOT_REGISTERED'
+    )
+
+    this.name = 'ProtocolNotRegisteredError'
+
+    /** @type {string} */
+    this.blockchain = blockchain
+
+    /** @type {string} */
+    this.label = label
+
+    /** @type {string | undefined} */
+    this.type = type
+  }
+}
+
+export class ProtocolAlreadyRegisteredError extends WdkError {
+  /**
+   * Creates a new protocol already registered error.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   * @param {string} label - The protocol's label.
+   * @param {string} type - The protocol's type (e.g., "swap").
+   */
+  constructor (blockchain, label, type) {
+    super(
+      `${type[0].toUpperCase() + type.slice(1)} protocol already registered for blockchain: ${blockchain} and label: ${label}.`,
+      'PROTOCOL_ALREADY_REGISTERED'
+    )
+
+    this.name = 'ProtocolAlreadyRegisteredError'
+
+    /** @type {string} */
+    this.blockchain = blockchain
+
+    /** @type {string} */
+    this.label = label
+
+    /** @type {string} */
+    this.type = type
+  }
+}
+
+export class MiddlewareNotRegisteredError extends WdkError {
+  /**
+   * Creates a new middleware not registered error.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   */
+  constructor (blockchain) {
+    super(`Middleware not registered for blockchain: ${blockchain}.`, 'MIDDLEWARE_NOT_REGISTERED')
+
+    this.name = 'MiddlewareNotRegisteredError'
+
+    /** @type {string} */
+    this.blockchain = blockchain
+  }
+}
+
+export class InterceptorNotRegisteredError extends WdkError {
+  /**
+   * Creates a new interceptor not registered error.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   */
+  constructor (blockchain) {
+    super(`Interceptor not registered for blockchain: ${blockchain}.`, 'INTERCEPTOR_NOT_REGISTERED')
+
+    this.name = 'InterceptorNotRegisteredError'
+
+    /** @type {string} */
+    this.blockchain = blockchain
+  }
+}
+
+export class PolicyNotRegisteredError extends WdkError {
+  /**
+   * Creates a new policy not registered error.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   */
+  constructor (blockchain) {
+    super(`Policy not registered for blockchain: ${blockchain}.`, 'POLICY_NOT_REGISTERED')
+
+    this.name = 'PolicyNotRegisteredError'
+
+    /** @type {string} */
+    this.blockchain = blockchain
+  }
+}
+
+export class PolicyViolationError extends WdkError {
+  /**
+   * Creates a new policy violation error.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   * @param {string} operation - The name of the rejected operation (e.g., "transfer").
+   * @param {string} rule - The violated rule (i.e., "blockedContracts", "calldata", "allowedRecipients", "maxAmount", "dailyLimit" or
+   *   "validate").
+   * @param {Record<string, unknown>} details - The values that caused the violation (e.g., the amount and the limit).
+   */
+  constructor (blockchain, operation, rule, details) {
+    super(`Operation ${operation} violates the ${rule} rule of a policy registered for blockchain: ${blockchain}.`, 'POLICY_VIOLATION')
+
+    this.name = 'PolicyViolationError'
+
+    /** @type {string} */
+    this.blockchain = blockchain
+
+    /** @type {string} */
+    this.operation = operation
+
+    /** @type {string} */
+    this.rule = rule
+
+    /** @type {Record<string, unknown>} */
+    this.details = details
+  }
+}
+
+export class ApprovalNotFoundError extends WdkError {
+  /**
+   * Creates a new approval not found error.
+   *
+   * @param {string} id - The identifier of the approval request.
+   */
+  constructor (id) {
+    super(`No pending approval request for id: ${id}.`, 'APPROVAL_NOT_FOUND')
+
+    this.name = 'ApprovalNotFoundError'
+
+    /** @type {string} */
+    this.id = id
+  }
+}
+
+export class ApprovalRejectedError extends WdkError {
+  /**
+   * Creates a new approval rejected error.
+   *
+   * @param {string} id - The identifier of the approval request.
+   * @param {string} [reason] - The reason of the rejection.
+   */
+  constructor (id, reason) {
+    super(`Approval request ${id} has been rejected${reason ? `: ${reason}` : ''}.`, 'APPROVAL_REJECTED')
+
+    this.name = 'ApprovalRejectedError'
+
+    /** @type {string} */
+    this.id = id
+
+    /** @type {string | undefined} */
+    this.reason = reason
+  }
+}
+
+export class ApprovalTimeoutError extends WdkError {
+  /**
+   * Creates a new approval timeout error.
+   *
+   * @param {string} id - The identifier of the approval request.
+   * @param {number} timeout - The time the request waited for a decision (in milliseconds).
+   */
+  constructor (id, timeout) {
+    super(`Approval request ${id} has not been approved within ${timeout} ms.`, 'APPROVAL_TIMEOUT')
+
+    this.name = 'ApprovalTimeoutError'
+
+    /** @type {string} */
+    this.id = id
+
+    /** @type {number} */
+    this.timeout = timeout
+  }
+}
+
+export class QuoteExpiredError extends WdkError {
+  /**
+   * Creates a new quote expired error.
+   *
+   * @param {string} id - The identifier of the approval request.
+   */
+  constructor (id) {
+    super(`The quote of approval request ${id} has expired. Retry the operation to get a new quote.`, 'QUOTE_EXPIRED')
+
+    this.name = 'QuoteExpiredError'
+
+    /** @type {string} */
+    this.id = id
+  }
+}
+
+export class NoRouteError extends WdkError {
+  /**
+   * Creates a new no route error.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   * @param {string} type - The type of the protocols (e.g., "swap").
+   * @param {{ label: string, reason: string, error?: Error }[]} skipped - The protocols that could not provide a quote, and why.
+   */
+  constructor (blockchain, type, skipped) {
+    super(`No ${type} protocol registered for blockchain: ${blockchain} could provide a quote.`, 'NO_ROUTE')
+
+    this.name = 'NoRouteError'
+
+    /** @type {string} */
+    this.blockchain = blockchain
+
+    /** @type {string} */
+    this.type = type
+
+    /** @type {{ label: string, reason: string, error?: Error }[]} */
+    this.skipped = skipped
+  }
+}
+
+export class MoveFailedError extends WdkError {
+  /**
+   * Creates a new move failed error.
+   *
+   * @param {import('./move-planner.js').MoveProgress} progress - The progress of the move before the failing step. Pass it back to
+   *   {@link WDK#executeMove} to resume the move.
+   * @param {Error} cause - The error thrown by the failing step.
+   */
+  constructor (progress, cause) {
+    const step = progress.route.steps[progress.completed]
+
+    super(`Step ${progress.completed + 1} of the move (${step.type} on ${step.blockchain}) failed: ${cause.message}`, 'MOVE_FAILED')
+
+    this.name = 'MoveFailedError'
+
+    /** @type {import('./move-planner.js').MoveProgress} */
+    this.progress = progress
+
+    /** @type {Error} */
+    this.cause = cause
+  }
+}
+
+export class ProtocolTypeAlreadyRegisteredError extends WdkError {
+  /**
+   * Creates a new protocol type already registered error.
+   *
+   * @param {string} type - The protocol type (e.g., "staking").
+   */
+  constructor (type) {
+    super(`Protocol type already registered: ${type}.`, 'PROTOCOL_TYPE_ALREADY_REGISTERED')
+
+    this.name = 'ProtocolTypeAlreadyRegisteredError'
+
+    /** @type {string} */
+    this.type = type
+  }
+}
+
+export class InvalidProtocolTypeError extends WdkError {
+  /**
+   * Creates a new invalid protocol type error.
+   *
+   * @param {string} type - The protocol type (e.g., "staking").
+   */
+  constructor (type) {
+    super(`Invalid base class for protocol type: ${type}. Base classes must be classes.`, 'INVALID_PROTOCOL_TYPE')
+
+    this.name = 'InvalidProtocolTypeError'
+
+    /** @type {string} */
+    this.type = type
+  }
+}
+
+export class InvalidVaultError extends WdkError {
+  /**
+   * Creates a new invalid vault error.
+   *
+   * @param {string} reason - Why the vault cannot be read.
+   */
+  constructor (reason) {
+    super(`Invalid vault: ${reason}.`, 'INVALID_VAULT')
+
+    this.name = 'InvalidVaultError'
+  }
+}
+
+export class WrongPassphraseError extends WdkError {
+  /**
+   * Creates a new wrong passphrase error.
+   */
+  constructor () {
+    super('Wrong passphrase, or the vault has been tampered with.', 'WRONG_PASSPHRASE')
+
+    this.name = 'WrongPassphraseError'
+  }
+}
+
+export class InvalidConfigError extends WdkError {
+  /**
+   * Creates a new invalid config error.
+   *
+   * @param {import('./config.js').ConfigIssue[]} issues - The issues found in the config.
+   */
+  constructor (issues) {
+    super(`Invalid config: ${issues.map(({ path, message }) => `${path} ${message}`).join('; ')}.`, 'INVALID_CONFIG')
+
+    this.name = 'InvalidConfigError'
+
+    /** @type {import('./config.js').ConfigIssue[]} */
+    this.issues = issues
+  }
+}
+
+export class ModuleLoadError extends WdkError {
+  /**
+   * Creates a new module load error.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   * @param {string | undefined} label - The label of the protocol, or undefined if the module is the blockchain's wallet.
+   * @param {Error} cause - The error thrown by the factory.
+   */
+  constructor (blockchain, label, cause) {
+    const module = label ? `protocol ${label}` : 'wallet'
+
+    super(`Failed to load the ${module} of blockchain: ${blockchain}: ${cause.message}`, 'MODULE_LOAD_FAILED')
+
+    this.name = 'ModuleLoadError'
+
+    /** @type {string} */
+    this.blockchain = blockchain
+
+    /** @type {string | undefined} */
+    this.label = label
+
+    /** @type {Error} */
+    this.cause = cause
+  }
+}
+
+export class ModuleNotLoadedError extends WdkError {
+  /**
+   * Creates a new module not loaded error.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   * @param {string} label - The label of the protocol.
+   */
+  constructor (blockchain, label) {
+    super(`The protocol ${label} of blockchain: ${blockchain} has not been loaded yet. Load it with loadProtocol.`, 'MODULE_NOT_LOADED')
+
+    this.name = 'ModuleNotLoadedError'
+
+    /** @type {string} */
+    this.blockchain = blockchain
+
+    /** @type {string} */
+    this.label = label
+  }
+}
+
+export class WatchOnlyError extends WdkError {
+  /**
+   * Creates a new watch-only error.
+   *
+   * @param {string} operation - The name of the rejected operation (e.g., "transfer").
+   * @param {string} [blockchain] - The name of the blockchain, if the operation is bound to one.
+   */
+  constructor (operation, blockchain) {
+    super(`Operation ${operation} is not available in watch-only mode, since it needs the seed.`, 'WATCH_ONLY')
+
+    this.name = 'WatchOnlyError'
+
+    /** @type {string} */
+    this.operation = operation
+
+    /** @type {string | undefined} */
+    this.blockchain = blockchain
+  }
+}
+
+export class WatchedAddressNotFoundError extends WdkError {
+  /**
+   * Creates a new watched address not found error.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   * @param {number} index - The index of the account.
+   */
+  constructor (blockchain, index) {
+    super(`No watched address for blockchain: ${blockchain} and index: ${index}.`, 'WATCHED_ADDRESS_NOT_FOUND')
+
+    this.name = 'WatchedAddressNotFoundError'
+
+    /** @type {string} */
+    this.blockchain = blockchain
+
+    /** @type {number} */
+    this.index = index
+  }
+}
+
+export class ProfileNotFoundError extends WdkError {
+  /**
+   * Creates a new profile not found error.
+   *
+   * @param {string} profile - The name of the profile.
+   */
+  constructor (profile) {
+    super(`No profile found with name: ${profile}.`, 'PROFILE_NOT_FOUND')
+
+    this.name = 'ProfileNotFoundError'
+
+    /** @type {string} */
+    this.profile = profile
+  }
+}
+
+export class ProfileAlreadyExistsError extends WdkError {
+  /**
+   * Creates a new profile already exists error.
+   *
+   * @param {string} profile - The name of the profile.
+   */
+  constructor (profile) {
+    super(`Profile already exists with name: ${profile}.`, 'PROFILE_ALREADY_EXISTS')
+
+    this.name = 'ProfileAlreadyExistsError'
+
+    /** @type {string} */
+    this.profile = profile
+  }
+}
+
+export class QueuedOperationNotFoundError extends WdkError {
+  /**
+   * Creates a new queued operation not found error.
+   *
+   * @param {string} id - The identifier of the queued operation.
+   */
+  constructor (id) {
+    super(`No queued operation waiting for id: ${id}.`, 'QUEUED_OPERATION_NOT_FOUND')
+
+    this.name = 'QueuedOperationNotFoundError'
+
+    /** @type {string} */
+    this.id = id
+  }
+}
+
+export class OperationCancelledError extends WdkError {
+  /**
+   * Creates a new operation cancelled error.
+   *
+   * @param {string} id - The identifier of the queued operation.
+   * @param {string} [reason] - The reason of the cancellation.
+   */
+  constructor (id, reason) {
+    super(`Queued operation ${id} has been cancelled${reason ? `: ${reason}` : ''}.`, 'OPERATION_CANCELLED')
+
+    this.name = 'OperationCancelledError'
+
+    /** @type {string} */
+    this.id = id
+
+    /** @type {string | undefined} */
+    this.reason = reason
+  }
+}
@@ -0,0 +1,379 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import { WdkError } from './errors.js'
+
+/** @typedef {import('@tetherto/wdk-wallet').IWalletAccount} IWalletAccount */
+/** @typedef {import('@tetherto/wdk-wallet').FeeRates} FeeRates */
+
+/**
+ * @typedef {Object} FailoverOptions
+ * @property {(wallet: unknown) => Promise<unknown>} [healthCheck] - Checks the provider of a wallet manager: the provider is healthy if
+ *   the returned promise resolves (default: reads the fee rates).
+ * @property {number} [healthCheckInterval] - If set, the providers are checked at this interval (in milliseconds). Otherwise, they
+ *   are only checked when {@link WDK#checkProviders} is called.
+ * @property {number} [retryDelay] - The delay before retrying a failed read against the next provider (in milliseconds, default:
+ *   250). It doubles after each retry.
+ * @property {(error: Error) => boolean} [isProviderError] - Tells whether an error is caused by the provider, and should make wdk
+ *   switch to the next one (default: network errors, timeouts and http responses with a 429 or 5xx status, including when they are
+ *   the cause of the error).
+ */
+
+/**
+ * @typedef {Object} ProviderStatus
+ * @property {number} index - The index of the provider's config in the list of configs.
+ * @property {boolean} active - True if the provider is the one currently used.
+ * @property {boolean} healthy - False if the provider's last call or health check has failed.
+ * @property {number} [checkedAt] - The time the provider has last been checked at (in milliseconds since the unix epoch), if ever.
+ * @property {Error} [error] - The error that made the provider unhealthy.
+ */
+
+/**
+ * @typedef {Object} ProviderFailedEvent
+ * @property {string} blockchain - The name of the blockchain.
+ * @property {number} provider - The index of the provider's config.
+ * @property {Error} error - The error thrown by the provider.
+ */
+
+/**
+ * @typedef {Object} ProviderChangedEvent
+ * @property {string} blockchain - The name of the blockchain.
+ * @property {number} provider - The index of the config of the provider now in use.
+ * @property {number} previous - The index of the config of the provider previously in use.
+ */
+
+/**
+ * @typedef {Object} FailoverCallbacks
+ * @property {(event: ProviderFailedEvent) => void} [onFailure] - Called each time a provider fails.
+ * @property {(event: ProviderChangedEvent) => void} [onChange] - Called each time the provider in use changes.
+ */
+
+const DEFAULT_RETRY_DELAY = 250
+
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE',
+  'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT', 'UND_ERR_SOCKET',
+  'NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT'
+])
+
+// Only these methods are retried against the next provider: every other method (e.g., 'sendTransaction', 'transfer', 'sign') may
+// have side effects, and runs once on the provider in use, so that a transaction is never broadcast twice.
+function isReadMethod (method) {
+  return typeof method === 'string' && /^(get|quote)[A-Z]/.test(method)
+}
+
+function isNetworkError (error) {
+  const status = Number(error.status ?? error.statusCode ?? error.response?.status)
+
+  return status === 429 || (status >= 500 && status < 600) ||
+    NETWORK_ERROR_CODES.has(error.code) ||
+    error.name === 'TimeoutError' ||
+    (error.name === 'TypeError' && /fetch|network/i.test(error.message))
+}
+
+// Other errors (e.g., reverts, insufficient funds, invalid arguments) would be thrown by any provider, so they do not fail over.
+function isProviderError (error) {
+  if (error instanceof WdkError) {
+    return false
+  }
+
+  for (let cause = error, depth = 0; cause instanceof Error && depth < 4; cause = cause.cause, depth++) {
+    if (isNetworkError(cause)) {
+      return true
+    }
+  }
+
+  return false
+}
+
+function delay (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * A wallet manager switching between several providers of the same blockchain. It holds one wallet manager per config, and hands out
+ * accounts that call the wallet manager of the provider in use: read calls that fail are retried against the next provider, while the
+ * other calls run once and fail.
+ */
+export default class FailoverWallet {
+  /**
+   * Creates a new failover wallet.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   * @param {unknown[]} wallets - The wallet managers, one per provider, in order of preference.
+   * @param {FailoverOptions} [options] - The failover options.
+   * @param {FailoverCallbacks} [callbacks] - The callbacks.
+   */
+  constructor (blockchain, wallets, options = { }, callbacks = { }) {
+    /** @private */
+    this._blockchain = blockchain
+
+    /** @private */
+    this._providers = wallets.map((wallet, index) => ({ index, wallet, healthy: true, checkedAt: undefined, error: undefined }))
+
+    /** @private */
+    this._options = options
+
+    /** @private */
+    this._callbacks = callbacks
+
+    /** @private */
+    this._active = 0
+
+    /** @private */
+    this._timer = undefined
+
+    /**
+     * The accounts handed out so far, by derivation key.
+     *
+     * @protected
+     * @type {{ [key: string]: IWalletAccount }}
+     */
+    this._accounts = { }
+
+    if (options.healthCheckInterval !== undefined) {
+      this._timer = setInterval(() => this.checkHealth().catch(() => { }), options.healthCheckInterval)
+
+      this._timer.unref?.()
+    }
+  }
+
+  /**
+   * Returns the status of the providers, in order of preference.
+   *
+   * @returns {ProviderStatus[]} The status of the providers.
+   */
+  getProviders () {
+    return this._providers.map(({ index, healthy, checkedAt, error }) => ({ index, active: index === this._active, healthy, checkedAt, error }))
+  }
+
+  /**
+   * Checks the health of all the providers, then switches to the first healthy provider, in order of preference.
+   *
+   * @returns {Promise<ProviderStatus[]>} The status of the providers.
+   */
+  async checkHealth () {
+    const { healthCheck = (wallet) => wallet.getFeeRates() } = this._options
+
+    await Promise.all(this._providers.map(async (provider) => {
+      try {
+        await healthCheck(provider.wallet)
+
+        Object.assign(provider, { healthy: true, error: undefined })
+      } catch (error) {
+        Object.assign(provider, { healthy: false, error })
+      }
+
+      provider.checkedAt = Date.now()
+    }))
+
+    const healthy = this._providers.find(provider => provider.healthy)
+
+    if (healthy) {
+      this._activate(healthy.index)
+    }
+
+    return this.getProviders()
+  }
+
+  /**
+   * Returns the account with the given index (see {@link WalletManager#getAccount}).
+   *
+   * @param {number} [index] - The index of the account (default: 0).
+   * @returns {Promise<IWalletAccount>} The account.
+   */
+  async getAccount (index = 0) {
+    return await this._getAccount(`index:${index}`, (wallet) => wallet.getAccount(index))
+  }
+
+  /**
+   * Returns the account with the given derivation path (see {@link WalletManager#getAccountByPath}).
+   *
+   * @param {string} path - The derivation path.
+   * @returns {Promise<IWalletAccount>} The account.
+   */
+  async getAccountByPath (path) {
+    return await this._getAccount(`path:${path}`, (wallet) => wallet.getAccountByPath(path))
+  }
+
+  /**
+   * Returns the fee rates, from the first provider able to return them.
+   *
+   * @returns {Promise<FeeRates>} The fee rates.
+   */
+  async getFeeRates () {
+    return await this._read(({ wallet }) => wallet.getFeeRates())
+  }
+
+  /**
+   * Stops the health checks and disposes the wallet managers of all the providers.
+   */
+  dispose () {
+    clearInterval(this._timer)
+
+    for (const { wallet } of this._providers) {
+      wallet.dispose()
+    }
+
+    this._accounts = { }
+  }
+
+  /** @private */
+  async _getAccount (key, derive) {
+    if (!this._accounts[key]) {
+      const accounts = new Map()
+
+      const getAccount = async (provider) => {
+        if (!accounts.has(provider.index)) {
+          accounts.set(provider.index, await derive(provider.wallet))
+        }
+
+        return accounts.get(provider.index)
+      }
+
+      // Derivation happens locally, so the first account is derived from the provider in use without retries. It stands in for the
+      // others when synchronous properties are read (e.g., the account's index and path).
+      const primary = await getAccount(this._providers[this._active])
+
+      this._accounts[key] = this._createAccount(primary, accounts, getAccount)
+    }
+
+    return this._accounts[key]
+  }
+
+  /** @private */
+  _createAccount (primary, accounts, getAccount) {
+    const dispose = () => {
+      for (const [index, account] of accounts) {
+        const { wallet } = this._providers[index]
+
+        for (const [key, value] of Object.entries(wallet._accounts ?? { })) {
+          if (value === account) {
+            delete wallet._accounts[key]
+          }
+        }
+
+        account.dispose?.()
+      }
+
+      accounts.clear()
+    }
+
+    const current = () => accounts.get(this._active) ?? primary
+
+    return new Proxy(Object.create(Object.getPrototypeOf(primary)), {
+      get: (target, property) => {
+        if (Object.hasOwn(target, property)) {
+          return target[property]
+        }
+
+        if (property === 'dispose') {
+          return dispose
+        }
+
+        const value = Reflect.get(current(), property)
+
+        if (typeof value !== 'function') {
+          return value
+        }
+
+        if (isReadMethod(property)) {
+          return (...args) => this._read(async (provider) => {
+            const account = await getAccount(provider)
+
+            return await account[property](...args)
+          })
+        }
+
+        return async (...args) => {
+          const provider = this._providers[this._active]
+
+          const account = await getAccount(provider)
+
+          try {
+            return await account[property](...args)
+          } catch (error) {
+            this._fail(provider, error)
+
+            throw error
+          }
+        }
+      }
+    })
+  }
+
+  /** @private */
+  async _read (call) {
+    const { retryDelay = DEFAULT_RETRY_DELAY } = this._options
+
+    let lastError
+
+    for (let attempt = 0; attempt < this._providers.length; attempt++) {
+      if (attempt > 0) {
+        await delay(retryDelay * 2 ** (attempt - 1))
+      }
+
+      const provider = this._providers[this._active]
+
+      try {
+        return await call(provider)
+      } catch (error) {
+        if (!this._fail(provider, error)) {
+          throw error
+        }
+
+        lastError = error
+      }
+    }
+
+    throw lastError
+  }
+
+  /** @private */
+  _fail (provider, error) {
+    if (!(this._options.isProviderError ?? isProviderError)(error)) {
+      return false
+    }
+
+    Object.assign(provider, { healthy: false, error })
+
+    this._callbacks.onFailure?.({ blockchain: this._blockchain, provider: provider.index, error })
+
+    // Concurrent calls may fail on the same provider: only the first failure moves on to the next provider.
+    if (provider.index === this._active) {
+      const count = this._providers.length
+
+      const next = [...Array(count - 1).keys()]
+        .map(offset => this._providers[(provider.index + offset + 1) % count])
+        .find(({ healthy }) => healthy)
+
+      this._activate(next?.index ?? (provider.index + 1) % count)
+    }
+
+    return true
+  }
+
+  /** @private */
+  _activate (index) {
+    const previous = this._active
+
+    if (index !== previous) {
+      this._active = index
+
+      this._callbacks.onChange?.({ blockchain: this._blockchain, provider: index, previous })
+    }
+  }
+}
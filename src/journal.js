@@ -0,0 +1,238 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import { bytesToHex, randomBytes } from '@noble/hashes/utils.js'
+
+import MemoryJournalStore from './memory-journal-store.js'
+
+/** @typedef {import('./memory-journal-store.js').IJournalStore} IJournalStore */
+/** @typedef {import('./memory-journal-store.js').JournalEntry} JournalEntry */
+
+/** @typedef {import('./wdk-manager.js').OperationContext} OperationContext */
+
+/** @typedef {import('./wallet-account-with-protocols.js').IWalletAccountWithProtocols} IWalletAccountWithProtocols */
+
+/**
+ * @typedef {Object} JournalOptions
+ * @property {IJournalStore} [store] - The store where the entries are saved (default: an in-memory store).
+ * @property {number} [pollInterval] - If set, the receipts of the pending entries are looked up at this interval (in milliseconds).
+ *   Otherwise, they are only looked up when {@link WDK#refreshJournal} is called.
+ * @property {(receipt: unknown) => boolean} [isFailed] - Tells whether a receipt belongs to a failed transaction (default: receipts
+ *   with a status of 0 or false, like the receipts of reverted evm transactions).
+ */
+
+/**
+ * @typedef {Object} JournalFilter
+ * @property {string} [blockchain] - If set, only returns the entries of this blockchain.
+ * @property {string} [path] - If set, only returns the entries of the account with this derivation path.
+ * @property {string} [address] - If set, only returns the entries of the account with this address.
+ * @property {'pending' | 'confirmed' | 'failed'} [status] - If set, only returns the entries with this status.
+ * @property {string} [operation] - If set, only returns the entries of this operation (e.g., "transfer", "swap").
+ */
+
+/**
+ * @typedef {Object} JournalCallbacks
+ * @property {(blockchain: string, path: string) => Promise<IWalletAccountWithProtocols>} getAccount - Returns the account that sent an
+ *   entry's transaction, to look up its receipt.
+ * @property {(entry: JournalEntry) => void} [onUpdate] - Called each time an entry is saved.
+ * @property {(error: Error, entry: JournalEntry) => void} [onError] - Called when an entry cannot be saved or its receipt cannot be
+ *   looked up.
+ */
+
+function isFailedReceipt (receipt) {
+  return receipt?.status === 0 || receipt?.status === 0n || receipt?.status === false
+}
+
+function matches (entry, filter) {
+  return Object.entries(filter)
+    .every(([key, value]) => value === undefined || entry[key] === value)
+}
+
+export default class Journal {
+  /**
+   * Creates a new journal.
+   *
+   * @param {JournalOptions} options - The journal options.
+   * @param {JournalCallbacks} callbacks - The callbacks.
+   */
+  constructor (options, callbacks) {
+    /** @private */
+    this._store = options.store ?? new MemoryJournalStore()
+
+    /** @private */
+    this._isFailed = options.isFailed ?? isFailedReceipt
+
+    /** @private */
+    this._pollInterval = options.pollInterval
+
+    /** @private */
+    this._callbacks = callbacks
+
+    /** @private */
+    this._timer = undefined
+
+    /** @private */
+    this._refreshing = undefined
+  }
+
+  /**
+   * Records an operation as pending, without a hash, then runs it and records its hash if it returns, or marks it as failed if it
+   * throws. The entry is saved before the operation runs, so that a crash while it is being sent still leaves a trace. Errors thrown
+   * by the store do not make the operation fail, since it may already have been broadcast: they are reported to the error callback
+   * instead.
+   *
+   * @param {OperationContext} context - The operation's context.
+   * @param {() => Promise<unknown>} next - Runs the operation.
+   * @returns {Promise<unknown>} The operation's result.
+   */
+  async record ({ blockchain, account, protocol, operation, args }, next) {
+    const createdAt = Date.now()
+
+    const entry = {
+      id: `${createdAt.toString(36)}-${bytesToHex(randomBytes(4))}`,
+      blockchain,
+      path: account.path,
+      index: account.index,
+      address: await account.getAddress().catch(() => undefined),
+      protocol,
+      operation,
+      args,
+      createdAt
+    }
+
+    await this._save({ ...entry, status: 'pending', updatedAt: createdAt })
+
+    let result
+
+    try {
+      result = await next()
+    } catch (error) {
+      await this._save({ ...entry, status: 'failed', error: error.message, updatedAt: Date.now() })
+
+      throw error
+    }
+
+    await this._save({ ...entry, status: 'pending', hash: result?.hash, fee: result?.fee, updatedAt: Date.now() })
+
+    return result
+  }
+
+  /**
+   * Returns the entries matching a filter, from the oldest to the newest.
+   *
+   * @param {JournalFilter} [filter] - The filter.
+   * @returns {Promise<JournalEntry[]>} The entries.
+   */
+  async query (filter = { }) {
+    const entries = await this._store.getEntries()
+
+    return entries.filter(entry => matches(entry, filter))
+      .sort((a, b) => a.createdAt - b.createdAt)
+  }
+
+  /**
+   * Looks up the receipts of the pending entries, and marks the entries whose transaction has been mined as confirmed or failed.
+   * Concurrent calls share the same lookup.
+   *
+   * @returns {Promise<JournalEntry[]>} The entries that have been updated.
+   */
+  async refresh () {
+    this._refreshing ??= this._refresh()
+      .finally(() => { this._refreshing = undefined })
+
+    return await this._refreshing
+  }
+
+  /**
+   * Starts looking up the receipts of the pending entries at the poll interval, if one is set.
+   */
+  start () {
+    if (this._pollInterval === undefined || this._timer) {
+      return
+    }
+
+    this._timer = setInterval(() => this.refresh().catch(() => { }), this._pollInterval)
+
+    this._timer.unref?.()
+  }
+
+  /**
+   * Stops looking up the receipts of the pending entries.
+   */
+  stop () {
+    clearInterval(this._timer)
+
+    this._timer = undefined
+  }
+
+  /** @private */
+  async _refresh () {
+    const updated = []
+
+    for (const entry of await this.query({ status: 'pending' })) {
+      if (!entry.hash) {
+        continue
+      }
+
+      let receipt
+
+      try {
+        const account = await this._callbacks.getAccount(entry.blockchain, entry.path)
+
+        receipt = await account.getTransactionReceipt(entry.hash)
+      } catch (error) {
+        this._report('onError', error, entry)
+
+        continue
+      }
+
+      if (receipt) {
+        const status = this._isFailed(receipt) ? 'failed' : 'confirmed'
+
+        const update = { ...entry, status, updatedAt: Date.now() }
+
+        if (await this._save(update)) {
+          updated.push(update)
+        }
+      }
+    }
+
+    return updated
+  }
+
+  /** @private */
+  async _save (entry) {
+    try {
+      await this._store.saveEntry(entry)
+    } catch (error) {
+      this._report('onError', error, entry)
+
+      return false
+    }
+
+    this._report('onUpdate', entry)
+
+    return true
+  }
+
+  /** @private */
+  _report (callback, ...args) {
+    // Callbacks run while operations are being sent: one throwing must not fail an operation that may already have been broadcast.
+    try {
+      this._callbacks[callback]?.(...args)
+    } catch { }
+  }
+}
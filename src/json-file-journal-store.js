@@ -0,0 +1,105 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import { readFile, rename, writeFile } from 'fs/promises'
+
+/** @typedef {import('./memory-journal-store.js').IJournalStore} IJournalStore */
+/** @typedef {import('./memory-journal-store.js').JournalEntry} JournalEntry */
+
+// Json has no bigints (e.g., amounts and fees): they are saved as strings with a suffix, and restored when the file is read.
+const BIGINT = /^-?\d+n$/
+
+function replace (key, value) {
+  return typeof value === 'bigint' ? `${value}n` : value
+}
+
+function revive (key, value) {
+  return typeof value === 'string' && BIGINT.test(value) ? BigInt(value.slice(0, -1)) : value
+}
+
+/** @implements {IJournalStore} */
+export default class JsonFileJournalStore {
+  /**
+   * Creates a new journal store saving its entries to a json file. The file is created on the first write.
+   *
+   * @param {string} path - The path of the file.
+   */
+  constructor (path) {
+    /** @private */
+    this._path = path
+
+    /** @private */
+    this._entries = undefined
+
+    /** @private */
+    this._queue = Promise.resolve()
+  }
+
+  /**
+   * Returns all the entries of the journal.
+   *
+   * @returns {Promise<JournalEntry[]>} The entries.
+   */
+  async getEntries () {
+    const entries = await this._load()
+
+    return [...entries.values()].map(entry => ({ ...entry }))
+  }
+
+  /**
+   * Saves an entry, replacing the existing entry with the same id, if any. The whole file is written again: it is replaced
+   * atomically, so that a crash during the write cannot corrupt it.
+   *
+   * @param {JournalEntry} entry - The entry.
+   * @returns {Promise<void>}
+   */
+  async saveEntry (entry) {
+    const write = this._queue.then(async () => {
+      const entries = await this._load()
+
+      entries.set(entry.id, { ...entry })
+
+      const temporary = `${this._path}.tmp`
+
+      await writeFile(temporary, JSON.stringify([...entries.values()], replace, 2))
+
+      await rename(temporary, this._path)
+    })
+
+    this._queue = write.catch(() => { })
+
+    await write
+  }
+
+  /** @private */
+  async _load () {
+    if (!this._entries) {
+      let entries = []
+
+      try {
+        entries = JSON.parse(await readFile(this._path, 'utf8'), revive)
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error
+        }
+      }
+
+      this._entries ??= new Map(entries.map(entry => [entry.id, entry]))
+    }
+
+    return this._entries
+  }
+}
@@ -0,0 +1,89 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import { NotImplementedError } from '@tetherto/wdk-wallet'
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {string} id - The unique identifier of the entry.
+ * @property {string} blockchain - The name of the blockchain.
+ * @property {string} path - The derivation path of the account.
+ * @property {number} [index] - The index of the account.
+ * @property {string} [address] - The address of the account.
+ * @property {{ type: string, label: string }} [protocol] - The protocol performing the operation, if it is not performed by the
+ *   account itself.
+ * @property {string} operation - The name of the operation (e.g., "transfer", "swap").
+ * @property {unknown[]} args - The arguments of the operation.
+ * @property {'pending' | 'confirmed' | 'failed'} status - The status of the operation: pending until its receipt is found, then
+ *   confirmed or failed. Operations that throw are recorded as failed right away.
+ * @property {string} [hash] - The hash of the transaction. Not set while the operation is being sent, nor if it did not return one.
+ * @property {bigint} [fee] - The fee paid by the transaction (in base unit).
+ * @property {string} [error] - The message of the error that made the operation fail.
+ * @property {number} createdAt - The time the operation has been sent at (in milliseconds since the unix epoch).
+ * @property {number} updatedAt - The time the entry has last been updated at (in milliseconds since the unix epoch).
+ */
+
+/** @interface */
+export class IJournalStore {
+  /**
+   * Returns all the entries of the journal.
+   *
+   * @returns {Promise<JournalEntry[]>} The entries.
+   */
+  async getEntries () {
+    throw new NotImplementedError('getEntries()')
+  }
+
+  /**
+   * Saves an entry, replacing the existing entry with the same id, if any.
+   *
+   * @param {JournalEntry} entry - The entry.
+   * @returns {Promise<void>}
+   */
+  async saveEntry (entry) {
+    throw new NotImplementedError('saveEntry(entry)')
+  }
+}
+
+/** @implements {IJournalStore} */
+export default class MemoryJournalStore {
+  /**
+   * Creates a new in-memory journal store. Its entries are lost when the process exits.
+   */
+  constructor () {
+    /** @private */
+    this._entries = new Map()
+  }
+
+  /**
+   * Returns all the entries of the journal.
+   *
+   * @returns {Promise<JournalEntry[]>} The entries.
+   */
+  async getEntries () {
+    return [...this._entries.values()].map(entry => ({ ...entry }))
+  }
+
+  /**
+   * Saves an entry, replacing the existing entry with the same id, if any.
+   *
+   * @param {JournalEntry} entry - The entry.
+   * @returns {Promise<void>}
+   */
+  async saveEntry (entry) {
+    this._entries.set(entry.id, { ...entry })
+  }
+}
@@ -0,0 +1,80 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import { NotImplementedError } from '@tetherto/wdk-wallet'
+
+/**
+ * @typedef {Object} SpendingRecord
+ * @property {string} id - The unique identifier of the record.
+ * @property {number} timestamp - The time the amount has been spent at (in milliseconds since the unix epoch).
+ * @property {bigint} amount - The amount spent (in base unit).
+ */
+
+/** @interface */
+export class IPolicyStore {
+  /**
+   * Returns the spending records saved under a key.
+   *
+   * @param {string} key - The key.
+   * @returns {Promise<SpendingRecord[]>} The spending records.
+   */
+  async getRecords (key) {
+    throw new NotImplementedError('getRecords(key)')
+  }
+
+  /**
+   * Saves the spending records under a key, replacing the existing ones.
+   *
+   * @param {string} key - The key.
+   * @param {SpendingRecord[]} records - The spending records.
+   * @returns {Promise<void>}
+   */
+  async setRecords (key, records) {
+    throw new NotImplementedError('setRecords(key, records)')
+  }
+}
+
+/** @implements {IPolicyStore} */
+export default class MemoryPolicyStore {
+  /**
+   * Creates a new in-memory policy store. Its records are lost when the process exits.
+   */
+  constructor () {
+    /** @private */
+    this._records = new Map()
+  }
+
+  /**
+   * Returns the spending records saved under a key.
+   *
+   * @param {string} key - The key.
+   * @returns {Promise<SpendingRecord[]>} The spending records.
+   */
+  async getRecords (key) {
+    return [...(this._records.get(key) ?? [])]
+  }
+
+  /**
+   * Saves the spending records under a key, replacing the existing ones.
+   *
+   * @param {string} key - The key.
+   * @param {SpendingRecord[]} records - The spending records.
+   * @returns {Promise<void>}
+   */
+  async setRecords (key, records) {
+    this._records.set(key, [...records])
+  }
+}
@@ -0,0 +1,280 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import { MoveFailedError } from './errors.js'
+
+/** @typedef {import('./wdk-manager.js').default} WDK */
+
+/** @typedef {import('./quote-router.js').RouteOptions} RouteOptions */
+
+/**
+ * @typedef {Object} MoveIntent
+ * @property {{ blockchain: string, index?: number, token: string, amount: number | bigint }} from - The blockchain, the index of the
+ *   account (default: 0), the address of the token to move and the amount to move (in base unit).
+ * @property {{ blockchain: string, index?: number, token: string, recipient?: string }} to - The destination blockchain, the index of
+ *   the account receiving the tokens (default: 0), the address of the token to receive and, optionally, the address receiving the
+ *   tokens instead of the account.
+ */
+
+/**
+ * @typedef {Object} BridgeToken
+ * @property {string} token - The address of the token on the source blockchain.
+ * @property {string} targetToken - The address of the same token on the destination blockchain.
+ */
+
+/**
+ * @typedef {Object} MoveOptions
+ * @property {BridgeToken[]} [bridgeTokens] - The tokens that can be bridged between the two blockchains. Routes swap the source token
+ *   to one of them, bridge it, then swap it to the destination token (default: the source token, bridged to the destination token).
+ * @property {RouteOptions} [routeOptions] - The options used to pick the best swap protocol for each swap. Their convertFee option
+ *   is required if a blockchain has several swap protocols. If set, it also converts the total fees of each route to the destination
+ *   token, so that routes are ranked by the amount they deliver net of fees.
+ */
+
+/**
+ * @typedef {Object} MoveStep
+ * @property {'swap' | 'bridge'} type - The type of the step.
+ * @property {string} blockchain - The name of the blockchain the step runs on.
+ * @property {number} index - The index of the account running the step.
+ * @property {string} label - The label of the protocol running the step.
+ * @property {Record<string, unknown>} options - The options of the step's swap or bridge operation.
+ * @property {Record<string, unknown>} quote - The quote of the step.
+ */
+
+/**
+ * @typedef {Object} MoveRoute
+ * @property {MoveStep[]} steps - The steps of the route, in execution order.
+ * @property {bigint} amountOut - The amount of destination tokens expected at the end of the route (in base unit).
+ * @property {Record<string, bigint>} fees - The total fees of the route, by blockchain (in the base unit of its native token).
+ */
+
+/**
+ * @typedef {Object} MovePlan
+ * @property {MoveRoute[]} routes - The routes, from the best to the worst.
+ * @property {{ bridgeToken: BridgeToken, label?: string, error: Error }[]} skipped - The routes that could not be quoted, and why.
+ */
+
+/**
+ * @typedef {Object} MoveProgress
+ * @property {MoveRoute} route - The route being executed.
+ * @property {number} completed - The number of steps completed.
+ * @property {{ options: Record<string, unknown>, result: unknown }[]} results - The options and the results of the steps completed.
+ */
+
+/**
+ * @typedef {Object} ExecuteMoveOptions
+ * @property {MoveProgress} [progress] - The progress of a move that failed (see {@link MoveFailedError}). The move resumes from the
+ *   first step that did not complete.
+ * @property {(progress: MoveProgress) => void | Promise<void>} [onProgress] - Called after each step, e.g. to save the progress.
+ */
+
+function isSameToken (a, b) {
+  return a === b || (/^0x/i.test(a) && a.toLowerCase() === b.toLowerCase())
+}
+
+function withAmount (step, amount) {
+  return step.type === 'swap'
+    ? { ...step.options, tokenInAmount: BigInt(amount) }
+    : { ...step.options, amount: BigInt(amount) }
+}
+
+function addFee (fees, blockchain, fee) {
+  return { ...fees, [blockchain]: (fees[blockchain] ?? 0n) + BigInt(fee) }
+}
+
+function compare (a, b) {
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+// Scores a route: the lower the score, the better the route. Without a fee converter, routes delivering the same amount (e.g.,
+// routes that only bridge) are ranked by their fees on the source blockchain, then on the destination blockchain.
+async function scoreRoute ({ steps, amountOut, fees }, blockchains, { convertFee } = { }) {
+  let cost = 0n
+
+  if (convertFee) {
+    for (const [blockchain, fee] of Object.entries(fees)) {
+      cost += BigInt(await convertFee(fee, blockchain))
+    }
+  }
+
+  return [-(amountOut - cost), ...blockchains.map(blockchain => fees[blockchain] ?? 0n), BigInt(steps.length)]
+}
+
+export default class MovePlanner {
+  /**
+   * Creates a new move planner.
+   *
+   * @param {WDK} wdk - The wdk instance providing the accounts and their protocols.
+   */
+  constructor (wdk) {
+    /** @private */
+    this._wdk = wdk
+  }
+
+  /**
+   * Builds and quotes the routes moving tokens from a blockchain to another (or to another token on the same blockchain).
+   *
+   * @param {MoveIntent} intent - The move intent.
+   * @param {MoveOptions} [options] - The move options.
+   * @returns {Promise<MovePlan>} The plan.
+   */
+  async plan (intent, options = { }) {
+    const { from, to } = intent
+
+    const source = { blockchain: from.blockchain, index: from.index ?? 0 }
+
+    const target = { blockchain: to.blockchain, index: to.index ?? 0 }
+
+    const candidates = []
+
+    if (source.blockchain === target.blockchain) {
+      candidates.push({ steps: [{ ...source, type: 'swap', options: { tokenIn: from.token, tokenOut: to.token, to: to.recipient } }] })
+    } else {
+      const account = await this._wdk.getAccount(source.blockchain, source.index)
+
+      const address = await (await this._wdk.getAccount(target.blockchain, target.index)).getAddress()
+
+      const bridgeTokens = options.bridgeTokens ?? [{ token: from.token, targetToken: to.token }]
+
+      for (const bridgeToken of bridgeTokens) {
+        const swapIn = !isSameToken(from.token, bridgeToken.token)
+
+        const swapOut = !isSameToken(bridgeToken.targetToken, to.token)
+
+        for (const { label } of account.listProtocols('bridge')) {
+          const steps = [
+            ...(swapIn ? [{ ...source, type: 'swap', options: { tokenIn: from.token, tokenOut: bridgeToken.token } }] : []),
+            {
+              ...source,
+              type: 'bridge',
+              label,
+              options: { targetChain: target.blockchain, recipient: swapOut ? address : (to.recipient ?? address), token: bridgeToken.token }
+            },
+            ...(swapOut ? [{ ...target, type: 'swap', options: { tokenIn: bridgeToken.targetToken, tokenOut: to.token, to: to.recipient } }] : [])
+          ]
+
+          candidates.push({ bridgeToken, label, steps })
+        }
+      }
+    }
+
+    const results = await Promise.allSettled(candidates.map(({ steps }) => this._quote(steps, BigInt(from.amount), options)))
+
+    const routes = []
+
+    const skipped = []
+
+    const blockchains = [...new Set([source.blockchain, target.blockchain])]
+
+    for (const [i, result] of results.entries()) {
+      if (result.status === 'fulfilled') {
+        routes.push({ route: result.value, score: await scoreRoute(result.value, blockchains, options.routeOptions) })
+      } else {
+        const { bridgeToken, label } = candidates[i]
+
+        skipped.push({ bridgeToken, label, error: result.reason })
+      }
+    }
+
+    routes.sort((a, b) => a.score.reduce((order, value, i) => order || compare(value, b.score[i]), 0))
+
+    return { routes: routes.map(({ route }) => route), skipped }
+  }
+
+  /**
+   * Executes the steps of a route in order. If a step fails, the steps already completed are not executed again when the move is
+   * resumed with the progress attached to the error.
+   *
+   * @param {MoveRoute} route - The route.
+   * @param {ExecuteMoveOptions} [options] - The execution options.
+   * @returns {Promise<MoveProgress>} The final progress, with the results of all the steps.
+   * @throws {MoveFailedError} If a step fails.
+   */
+  async execute (route, options = { }) {
+    let progress = options.progress ?? { route, completed: 0, results: [] }
+
+    while (progress.completed < route.steps.length) {
+      const step = route.steps[progress.completed]
+
+      // Actual amounts can differ from the quoted ones: each step moves what the previous step delivered.
+      const previous = progress.results[progress.completed - 1]
+
+      const amount = previous?.result?.tokenOutAmount ?? previous?.options.amount
+
+      const stepOptions = amount === undefined ? step.options : withAmount(step, amount)
+
+      let result
+
+      try {
+        result = await this._run(step, stepOptions)
+      } catch (error) {
+        throw new MoveFailedError(progress, error)
+      }
+
+      progress = {
+        route,
+        completed: progress.completed + 1,
+        results: [...progress.results, { options: stepOptions, result }]
+      }
+
+      await options.onProgress?.(progress)
+    }
+
+    return progress
+  }
+
+  /** @private */
+  async _quote (steps, amount, { routeOptions }) {
+    const quoted = []
+
+    let fees = { }
+
+    for (const step of steps) {
+      const account = await this._wdk.getAccount(step.blockchain, step.index)
+
+      const options = withAmount(step, amount)
+
+      if (step.type === 'swap') {
+        const { label, quote } = await account.getBestSwap(options, routeOptions)
+
+        quoted.push({ ...step, label, options, quote })
+
+        fees = addFee(fees, step.blockchain, quote.fee)
+
+        amount = BigInt(quote.tokenOutAmount)
+      } else {
+        const quote = await account.getBridgeProtocol(step.label).quoteBridge(options)
+
+        quoted.push({ ...step, options, quote })
+
+        fees = addFee(addFee(fees, step.blockchain, quote.fee), step.blockchain, quote.bridgeFee)
+      }
+    }
+
+    return { steps: quoted, amountOut: amount, fees }
+  }
+
+  /** @private */
+  async _run (step, options) {
+    const account = await this._wdk.getAccount(step.blockchain, step.index)
+
+    if (step.type === 'swap') {
+      return await account.getSwapProtocol(step.label).swap(options)
+    }
+
+    return await account.getBridgeProtocol(step.label).bridge(options)
+  }
+}
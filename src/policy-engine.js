@@ -0,0 +1,336 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import MemoryPolicyStore from './memory-policy-store.js'
+
+import { PolicyViolationError } from './errors.js'
+
+/** @typedef {import('./memory-policy-store.js').IPolicyStore} IPolicyStore */
+
+/** @typedef {import('./wdk-manager.js').OperationContext} OperationContext */
+/** @typedef {import('./wdk-manager.js').ProtocolInfo} ProtocolInfo */
+
+/**
+ * @typedef {Object} SpendingLimit
+ * @property {string} [token] - The address of the token the limit applies to. If not set, the limit applies to the native token.
+ * @property {number | bigint} [maxAmount] - The maximum amount a single operation can spend (in base unit).
+ * @property {number | bigint} [dailyLimit] - The maximum amount that can be spent over any rolling window of 24 hours, across all the
+ *   accounts of the blockchain (in base unit).
+ */
+
+/**
+ * @typedef {Object} PolicyOperation
+ * @property {string} blockchain - The name of the blockchain.
+ * @property {string} operation - The name of the operation (e.g., "transfer", "swap").
+ * @property {ProtocolInfo} [protocol] - The protocol performing the operation, if it is not performed by the account itself.
+ * @property {string | null} token - The address of the token spent by the operation, or null for the native token.
+ * @property {bigint} amount - The amount spent by the operation (in base unit). Operations that do not spend the account's funds
+ *   (e.g., borrows and withdrawals) have an amount of zero.
+ * @property {string} [recipient] - The address receiving the funds, if it is not the account itself.
+ * @property {string[]} contracts - The addresses of the contracts the operation interacts with.
+ * @property {string} [calldata] - The data of a transaction that is not a known token call (i.e., an erc-20 transfer or approve). The
+ *   tokens such a transaction spends and the addresses receiving them are unknown.
+ */
+
+/**
+ * @typedef {Object} Policy
+ * @property {SpendingLimit[]} [limits] - The spending limits.
+ * @property {string[]} [allowedRecipients] - If set, operations can only send funds to these addresses.
+ * @property {string[]} [blockedContracts] - The addresses of the contracts that operations must not interact with.
+ * @property {(operation: PolicyOperation) => boolean | Promise<boolean>} [validate] - A custom check. Returning false rejects the
+ *   operation.
+ */
+
+const DAY = 24 * 60 * 60 * 1_000
+
+const TOKEN_CALLS = {
+  a9059cbb: 'transfer',
+  '095ea7b3': 'approve'
+}
+
+function toHex (data) {
+  if (data instanceof Uint8Array) {
+    return `0x${Array.from(data, byte => byte.toString(16).padStart(2, '0')).join('')}`
+  }
+
+  return data
+}
+
+// Decodes the calldata of an erc-20 transfer(address,uint256) or approve(address,uint256) call. Any other calldata, including
+// calldata with trailing bytes, is left undecoded.
+function decodeTokenCall (data) {
+  const match = /^0x([0-9a-f]{8})0{24}([0-9a-f]{40})([0-9a-f]{64})$/.exec(data.toLowerCase())
+
+  if (!match || !TOKEN_CALLS[match[1]]) {
+    return undefined
+  }
+
+  return { method: TOKEN_CALLS[match[1]], recipient: `0x${match[2]}`, amount: BigInt(`0x${match[3]}`) }
+}
+
+function normalizeAddress (address) {
+  if (typeof address === 'string' && /^0x[0-9a-fA-F]+$/.test(address)) {
+    return address.toLowerCase()
+  }
+
+  return address
+}
+
+function includesAddress (addresses, address) {
+  return addresses.some(value => normalizeAddress(value) === normalizeAddress(address))
+}
+
+function getLimits (policy, token) {
+  return (policy.limits ?? []).filter(limit => normalizeAddress(limit.token ?? null) === normalizeAddress(token))
+}
+
+async function describeOperation ({ blockchain, protocol, operation, args, quote }) {
+  const [options = { }] = args
+
+  const details = { blockchain, operation, protocol, token: null, amount: 0n, recipient: undefined, contracts: [] }
+
+  switch (operation) {
+    case 'sendTransaction': {
+      const amount = BigInt(options.value ?? 0)
+
+      const data = toHex(options.data)
+
+      if (typeof data !== 'string' || data === '' || data === '0x') {
+        return { ...details, amount, recipient: options.to, contracts: [options.to] }
+      }
+
+      // Token calls are checked as token operations: approvals count as spending the approved amount, and the spender as their
+      // recipient.
+      const call = amount === 0n ? decodeTokenCall(data) : undefined
+
+      if (call) {
+        return { ...details, token: options.to, amount: call.amount, recipient: call.recipient, contracts: [options.to] }
+      }
+
+      return { ...details, amount, recipient: options.to, contracts: [options.to], calldata: data }
+    }
+
+    case 'transfer':
+      return { ...details, token: options.token, amount: BigInt(options.amount), recipient: options.recipient, contracts: [options.token] }
+
+    case 'swap': {
+      const amount = options.tokenInAmount ?? (await quote()).tokenInAmount
+
+      return { ...details, token: options.tokenIn, amount: BigInt(amount), recipient: options.to, contracts: [options.tokenIn, options.tokenOut] }
+    }
+
+    case 'bridge':
+      return { ...details, token: options.token, amount: BigInt(options.amount), recipient: options.recipient, contracts: [options.token] }
+
+    case 'supply':
+    case 'repay':
+      return { ...details, token: options.token, amount: BigInt(options.amount), recipient: options.onBehalfOf, contracts: [options.token] }
+
+    case 'withdraw':
+      return { ...details, token: options.token, recipient: options.to, contracts: [options.token] }
+
+    case 'borrow':
+      return { ...details, token: options.token, contracts: [options.token] }
+
+    default:
+      return details
+  }
+}
+
+export default class PolicyEngine {
+  /**
+   * Creates a new policy engine.
+   *
+   * @param {IPolicyStore} [store] - The store where the amounts spent are saved (default: an in-memory store).
+   */
+  constructor (store = new MemoryPolicyStore()) {
+    /** @private */
+    this._store = store
+
+    /** @private */
+    this._policies = { }
+
+    /** @private */
+    this._locks = new Map()
+
+    /** @private */
+    this._nonce = 0
+  }
+
+  /**
+   * Registers a policy for a blockchain.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   * @param {Policy} policy - The policy.
+   */
+  register (blockchain, policy) {
+    this._policies[blockchain] ??= []
+
+    this._policies[blockchain].push(policy)
+  }
+
+  /**
+   * Unregisters a policy previously registered for a blockchain.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   * @param {Policy} policy - The policy.
+   * @returns {boolean} True if the policy was registered.
+   */
+  unregister (blockchain, policy) {
+    const index = this._policies[blockchain]?.indexOf(policy) ?? -1
+
+    if (index === -1) {
+      return false
+    }
+
+    this._policies[blockchain].splice(index, 1)
+
+    return true
+  }
+
+  /**
+   * Checks an operation against the policies registered for its blockchain, then runs it. The amounts spent by operations that
+   * fail are not taken into account by the daily limits.
+   *
+   * @param {OperationContext} context - The operation's context.
+   * @param {() => Promise<unknown>} next - Runs the operation.
+   * @param {{ dryRun?: boolean }} [options] - If dry run is true, the daily limits are checked but the amount spent is not saved.
+   * @returns {Promise<unknown>} The operation's result.
+   * @throws {PolicyViolationError} If the operation violates one of the policies.
+   */
+  async enforce (context, next, options = { }) {
+    const policies = [...(this._policies[context.blockchain] ?? [])]
+
+    if (policies.length === 0) {
+      return await next()
+    }
+
+    const operation = await describeOperation(context)
+
+    for (const policy of policies) {
+      await this._check(policy, operation)
+    }
+
+    const reservation = await this._reserve(policies, operation, options.dryRun)
+
+    try {
+      return await next()
+    } catch (error) {
+      if (reservation) {
+        await this._release(reservation)
+      }
+
+      throw error
+    }
+  }
+
+  /** @private */
+  async _check (policy, operation) {
+    const { blockchain, token, amount, recipient, contracts } = operation
+
+    const violation = (rule, details) => new PolicyViolationError(blockchain, operation.operation, rule, details)
+
+    for (const contract of contracts) {
+      if (contract && policy.blockedContracts && includesAddress(policy.blockedContracts, contract)) {
+        throw violation('blockedContracts', { contract })
+      }
+    }
+
+    // The policies limiting tokens or recipients cannot tell what a transaction with unknown calldata spends, so they reject it.
+    if (operation.calldata !== undefined && (policy.allowedRecipients || (policy.limits ?? []).some(limit => limit.token))) {
+      throw violation('calldata', { contract: recipient })
+    }
+
+    if (recipient && policy.allowedRecipients && !includesAddress(policy.allowedRecipients, recipient)) {
+      throw violation('allowedRecipients', { recipient })
+    }
+
+    for (const { maxAmount } of getLimits(policy, token)) {
+      if (maxAmount !== undefined && amount > BigInt(maxAmount)) {
+        throw violation('maxAmount', { token, amount, limit: BigInt(maxAmount) })
+      }
+    }
+
+    if (policy.validate && !(await policy.validate(operation))) {
+      throw violation('validate', { })
+    }
+  }
+
+  /** @private */
+  async _reserve (policies, { blockchain, operation, token, amount }, dryRun) {
+    const limits = policies.flatMap(policy => getLimits(policy, token))
+      .filter(({ dailyLimit }) => dailyLimit !== undefined)
+
+    if (amount === 0n || limits.length === 0) {
+      return undefined
+    }
+
+    const key = `${blockchain}:${normalizeAddress(token) ?? 'native'}`
+
+    return await this._lock(key, async () => {
+      const now = Date.now()
+
+      const records = (await this._store.getRecords(key))
+        .filter(({ timestamp }) => timestamp > now - DAY)
+
+      const spent = records.reduce((total, record) => total + record.amount, 0n)
+
+      for (const { dailyLimit } of limits) {
+        if (spent + amount > BigInt(dailyLimit)) {
+          throw new PolicyViolationError(blockchain, operation, 'dailyLimit', { token, amount, spent, limit: BigInt(dailyLimit) })
+        }
+      }
+
+      if (dryRun) {
+        return undefined
+      }
+
+      const record = { id: `${now}-${this._nonce++}`, timestamp: now, amount }
+
+      await this._store.setRecords(key, [...records, record])
+
+      return { key, id: record.id }
+    })
+  }
+
+  /** @private */
+  async _release ({ key, id }) {
+    await this._lock(key, async () => {
+      const records = await this._store.getRecords(key)
+
+      await this._store.setRecords(key, records.filter(record => record.id !== id))
+    })
+  }
+
+  /** @private */
+  async _lock (key, callback) {
+    const previous = this._locks.get(key) ?? Promise.resolve()
+
+    const current = previous.then(callback)
+
+    const settled = current.catch(() => { })
+
+    this._locks.set(key, settled)
+
+    try {
+      return await current
+    } finally {
+      if (this._locks.get(key) === settled) {
+        this._locks.delete(key)
+      }
+    }
+  }
+}
@@ -0,0 +1,501 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import WDK, { checkWalletRegistration, getProtocolRegistrationType } from './wdk-manager.js'
+
+import {
+  DisposedError,
+  InterceptorNotRegisteredError,
+  MiddlewareNotRegisteredError,
+  PolicyNotRegisteredError,
+  ProfileAlreadyExistsError,
+  ProfileNotFoundError,
+  ProtocolAlreadyRegisteredError,
+  ProtocolNotRegisteredError,
+  WalletAlreadyRegisteredError,
+  WalletNotRegisteredError
+} from './errors.js'
+
+/** @typedef {import('./wdk-manager.js').WdkOptions} WdkOptions */
+/** @typedef {import('./wdk-manager.js').RegisterOptions} RegisterOptions */
+/** @typedef {import('./wdk-manager.js').MiddlewareFunction} MiddlewareFunction */
+/** @typedef {import('./wdk-manager.js').InterceptorFunction} InterceptorFunction */
+/** @typedef {import('./wallet-account-with-protocols.js').IWalletAccountWithProtocols} IWalletAccountWithProtocols */
+/** @typedef {import('./policy-engine.js').Policy} Policy */
+
+function matchesProtocol (blockchain, label) {
+  return (registration) => registration.method === 'registerProtocol' && registration.blockchain === blockchain &&
+    registration.label === label
+}
+
+export default class ProfileManager {
+  /**
+   * Creates a new profile manager.
+   *
+   * A profile manager holds several named profiles, each with its own seed. Wallets, protocols, middlewares, interceptors and policies
+   * are registered once to the profile manager, and apply to all the profiles, including the ones added later. Each profile is a
+   * separate wdk instance, so the accounts derived from different seeds are kept apart.
+   *
+   * @param {WdkOptions} [options] - The default options of the profiles' wdk instances. Policy stores should not be shared, or the
+   *   daily limits would add up the amounts spent by all the profiles: give each profile its own store instead (see
+   *   {@link ProfileManager#addProfile}).
+   */
+  constructor (options = { }) {
+    /** @private */
+    this._options = options
+
+    /** @private */
+    this._profiles = new Map()
+
+    /**
+     * The registrations in effect, in the order they have been made. Unregistering removes the matching registration, so that
+     * profiles added later only replay the net state.
+     *
+     * @private
+     */
+    this._registrations = []
+
+    /** @private */
+    this._disposed = false
+  }
+
+  /**
+   * Adds a new profile.
+   *
+   * @param {string} profile - The name of the profile.
+   * @param {string | Uint8Array} seed - The profile's BIP-39 seed phrase.
+   * @param {WdkOptions} [options] - The options of the profile's wdk instance, overriding the default options.
+   * @returns {ProfileManager} The profile manager.
+   * @throws {ProfileAlreadyExistsError} If a profile with the same name already exists.
+   * @throws {InvalidSeedError} If the seed is not valid.
+   * @throws {DisposedError} If the profile manager has been disposed.
+   */
+  addProfile (profile, seed, options = { }) {
+    this._assertNotDisposed()
+
+    if (this._profiles.has(profile)) {
+      throw new ProfileAlreadyExistsError(profile)
+    }
+
+    const wdk = new WDK(seed, { ...this._options, ...options })
+
+    try {
+      for (const { method, args } of this._registrations) {
+        wdk[method](...args)
+      }
+    } catch (error) {
+      wdk.dispose()
+
+      throw error
+    }
+
+    this._profiles.set(profile, wdk)
+
+    return this
+  }
+
+  /**
+   * Removes a profile and disposes its wdk instance, erasing its seed's wallet managers and accounts from the memory.
+   *
+   * @param {string} profile - The name of the profile.
+   * @returns {ProfileManager} The profile manager.
+   * @throws {ProfileNotFoundError} If no profile exists with the given name.
+   * @throws {DisposedError} If the profile manager has been disposed.
+   */
+  removeProfile (profile) {
+    const wdk = this.getProfile(profile)
+
+    wdk.dispose()
+
+    this._profiles.delete(profile)
+
+    return this
+  }
+
+  /**
+   * Returns the wdk instance of a profile.
+   *
+   * @param {string} profile - The name of the profile.
+   * @returns {WDK} The wdk instance.
+   * @throws {ProfileNotFoundError} If no profile exists with the given name.
+   * @throws {DisposedError} If the profile manager has been disposed.
+   */
+  getProfile (profile) {
+    this._assertNotDisposed()
+
+    if (!this._profiles.has(profile)) {
+      throw new ProfileNotFoundError(profile)
+    }
+
+    return this._profiles.get(profile)
+  }
+
+  /**
+   * Returns the names of the profiles, in the order they have been added.
+   *
+   * @returns {string[]} The names of the profiles.
+   */
+  getProfiles () {
+    return [...this._profiles.keys()]
+  }
+
+  /**
+   * Checks whether a profile exists.
+   *
+   * @param {string} profile - The name of the profile.
+   * @returns {boolean} True if the profile exists.
+   */
+  hasProfile (profile) {
+    return this._profiles.has(profile)
+  }
+
+  /**
+   * Returns the wallet account of a profile for a specific blockchain and index (see {@link WDK#getAccount}).
+   *
+   * @param {string} profile - The name of the profile.
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {number} [index] - The index of the account to get (default: 0).
+   * @returns {Promise<IWalletAccountWithProtocols>} The account.
+   * @throws {ProfileNotFoundError} If no profile exists with the given name.
+   * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+   * @throws {DisposedError} If the profile manager has been disposed.
+   */
+  async getAccount (profile, blockchain, index = 0) {
+    return await this.getProfile(profile).getAccount(blockchain, index)
+  }
+
+  /**
+   * Returns the wallet account of a profile for a specific blockchain and BIP-44 derivation path (see {@link WDK#getAccountByPath}).
+   *
+   * @param {string} profile - The name of the profile.
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {string} path - The derivation path (e.g., "0'/0/0").
+   * @returns {Promise<IWalletAccountWithProtocols>} The account.
+   * @throws {ProfileNotFoundError} If no profile exists with the given name.
+   * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+   * @throws {DisposedError} If the profile manager has been disposed.
+   */
+  async getAccountByPath (profile, blockchain, path) {
+    return await this.getProfile(profile).getAccountByPath(blockchain, path)
+  }
+
+  /**
+   * Registers a new wallet to all the profiles (see {@link WDK#registerWallet}).
+   *
+   * @param {string} blockchain - The name of the blockchain the wallet must be bound to. Can be any string (e.g., "ethereum").
+   * @param {Function} WalletManager - The wallet manager class, or a factory loading it.
+   * @param {unknown} config - The configuration object.
+   * @param {RegisterOptions} [options] - The registration options.
+   * @returns {ProfileManager} The profile manager.
+   * @throws {InvalidWalletManagerError} If the wallet manager class does not extend WalletManager.
+   * @throws {WalletAlreadyRegisteredError} If a wallet has already been registered for the given blockchain and the override option
+   *   is not set.
+   * @throws {DisposedError} If the profile manager has been disposed.
+   */
+  registerWallet (blockchain, WalletManager, config, options = { }) {
+    this._assertNotDisposed()
+
+    checkWalletRegistration(blockchain, WalletManager, config, options)
+
+    const key = `wallet:${blockchain}`
+
+    if (this._find(key) !== -1 && !options.override) {
+      throw new WalletAlreadyRegisteredError(blockchain)
+    }
+
+    return this._register({ method: 'registerWallet', args: [blockchain, WalletManager, config, options], key },
+      (wdk) => this._restoreWallet(wdk, blockchain))
+  }
+
+  /**
+   * Unregisters the wallet bound to a blockchain from all the profiles (see {@link WDK#unregisterWallet}).
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @returns {ProfileManager} The profile manager.
+   * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+   * @throws {DisposedError} If the profile manager has been disposed.
+   */
+  unregisterWallet (blockchain) {
+    this._assertNotDisposed()
+
+    if (this._find(`wallet:${blockchain}`) === -1) {
+      throw new WalletNotRegisteredError(blockchain)
+    }
+
+    return this._unregister('unregisterWallet', [blockchain], ({ key }) => key === `wallet:${blockchain}`,
+      (wdk) => this._restoreWallet(wdk, blockchain))
+  }
+
+  /**
+   * Registers a new protocol to all the profiles (see {@link WDK#registerProtocol}).
+   *
+   * @param {string} blockchain - The name of the blockchain the protocol must be bound to. Can be any string (e.g., "ethereum").
+   * @param {string} label - The label.
+   * @param {Function} Protocol - The protocol class, or a factory loading it.
+   * @param {unknown} config - The protocol configuration.
+   * @param {RegisterOptions} [options] - The registration options.
+   * @returns {ProfileManager} The profile manager.
+   * @throws {InvalidProtocolError} If the protocol class does not extend the base class of a protocol type.
+   * @throws {ProtocolAlreadyRegisteredError} If a protocol of the same type has already been registered for the given blockchain and
+   *   label, and the override option is not set.
+   * @throws {DisposedError} If the profile manager has been disposed.
+   */
+  registerProtocol (blockchain, label, Protocol, config, options = { }) {
+    this._assertNotDisposed()
+
+    const type = getProtocolRegistrationType(blockchain, label, Protocol, options)
+
+    const key = `protocol:${type}:${blockchain}:${label}`
+
+    if (this._find(key) !== -1 && !options.override) {
+      throw new ProtocolAlreadyRegisteredError(blockchain, label, type)
+    }
+
+    return this._register({ method: 'registerProtocol', args: [blockchain, label, Protocol, config, options], key, blockchain, label },
+      (wdk) => this._restoreProtocols(wdk, blockchain, label))
+  }
+
+  /**
+   * Unregisters the protocols bound to a blockchain with the given label from all the profiles (see {@link WDK#unregisterProtocol}).
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {string} label - The label.
+   * @returns {ProfileManager} The profile manager.
+   * @throws {ProtocolNotRegisteredError} If no protocol has been registered for the given blockchain and label.
+   * @throws {DisposedError} If the profile manager has been disposed.
+   */
+  unregisterProtocol (blockchain, label) {
+    this._assertNotDisposed()
+
+    if (!this._registrations.some(matchesProtocol(blockchain, label))) {
+      throw new ProtocolNotRegisteredError(blockchain, label)
+    }
+
+    return this._unregister('unregisterProtocol', [blockchain, label], matchesProtocol(blockchain, label),
+      (wdk) => this._restoreProtocols(wdk, blockchain, label))
+  }
+
+  /**
+   * Registers a new middleware to all the profiles (see {@link WDK#registerMiddleware}).
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {MiddlewareFunction} middleware - A callback function that is called each time a new account is derived.
+   * @returns {ProfileManager} The profile manager.
+   */
+  registerMiddleware (blockchain, middleware) {
+    this._assertNotDisposed()
+
+    return this._register({ method: 'registerMiddleware', args: [blockchain, middleware] },
+      (wdk) => wdk.unregisterMiddleware(blockchain, middleware))
+  }
+
+  /**
+   * Unregisters a middleware from all the profiles (see {@link WDK#unregisterMiddleware}).
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {MiddlewareFunction} middleware - The middleware.
+   * @returns {ProfileManager} The profile manager.
+   * @throws {MiddlewareNotRegisteredError} If the middleware has not been registered for the given blockchain.
+   * @throws {DisposedError} If the profile manager has been disposed.
+   */
+  unregisterMiddleware (blockchain, middleware) {
+    this._assertNotDisposed()
+
+    const matches = ({ method, args }) => method === 'registerMiddleware' && args[0] === blockchain && args[1] === middleware
+
+    const registration = this._registrations.find(matches)
+
+    if (!registration) {
+      throw new MiddlewareNotRegisteredError(blockchain)
+    }
+
+    return this._unregister('unregisterMiddleware', [blockchain, middleware], (value) => value === registration,
+      (wdk) => wdk.registerMiddleware(blockchain, middleware))
+  }
+
+  /**
+   * Registers a new interceptor to all the profiles (see {@link WDK#registerInterceptor}).
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {InterceptorFunction} interceptor - The interceptor.
+   * @returns {ProfileManager} The profile manager.
+   */
+  registerInterceptor (blockchain, interceptor) {
+    this._assertNotDisposed()
+
+    return this._register({ method: 'registerInterceptor', args: [blockchain, interceptor] },
+      (wdk) => wdk.unregisterInterceptor(blockchain, interceptor))
+  }
+
+  /**
+   * Unregisters an interceptor from all the profiles (see {@link WDK#unregisterInterceptor}).
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {InterceptorFunction} interceptor - The interceptor.
+   * @returns {ProfileManager} The profile manager.
+   * @throws {InterceptorNotRegisteredError} If the interceptor has not been registered for the given blockchain.
+   * @throws {DisposedError} If the profile manager has been disposed.
+   */
+  unregisterInterceptor (blockchain, interceptor) {
+    this._assertNotDisposed()
+
+    const matches = ({ method, args }) => method === 'registerInterceptor' && args[0] === blockchain && args[1] === interceptor
+
+    const registration = this._registrations.find(matches)
+
+    if (!registration) {
+      throw new InterceptorNotRegisteredError(blockchain)
+    }
+
+    return this._unregister('unregisterInterceptor', [blockchain, interceptor], (value) => value === registration,
+      (wdk) => wdk.registerInterceptor(blockchain, interceptor))
+  }
+
+  /**
+   * Registers a new policy to all the profiles (see {@link WDK#registerPolicy}). The daily limits apply to each profile separately.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {Policy} policy - The policy.
+   * @returns {ProfileManager} The profile manager.
+   */
+  registerPolicy (blockchain, policy) {
+    this._assertNotDisposed()
+
+    return this._register({ method: 'registerPolicy', args: [blockchain, policy] },
+      (wdk) => wdk.unregisterPolicy(blockchain, policy))
+  }
+
+  /**
+   * Unregisters a policy from all the profiles (see {@link WDK#unregisterPolicy}).
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {Policy} policy - The policy.
+   * @returns {ProfileManager} The profile manager.
+   * @throws {PolicyNotRegisteredError} If the policy has not been registered for the given blockchain.
+   * @throws {DisposedError} If the profile manager has been disposed.
+   */
+  unregisterPolicy (blockchain, policy) {
+    this._assertNotDisposed()
+
+    const matches = ({ method, args }) => method === 'registerPolicy' && args[0] === blockchain && args[1] === policy
+
+    const registration = this._registrations.find(matches)
+
+    if (!registration) {
+      throw new PolicyNotRegisteredError(blockchain)
+    }
+
+    return this._unregister('unregisterPolicy', [blockchain, policy], (value) => value === registration,
+      (wdk) => wdk.registerPolicy(blockchain, policy))
+  }
+
+  /**
+   * Disposes all the profiles, erasing any sensitive data from the memory.
+   *
+   * After this call, any further usage of the profile manager throws a {@link DisposedError}.
+   */
+  dispose () {
+    for (const wdk of this._profiles.values()) {
+      wdk.dispose()
+    }
+
+    this._profiles.clear()
+
+    this._disposed = true
+  }
+
+  /** @private */
+  _assertNotDisposed () {
+    if (this._disposed) {
+      throw new DisposedError()
+    }
+  }
+
+  /** @private */
+  _find (key) {
+    return this._registrations.findIndex(registration => registration.key === key)
+  }
+
+  /** @private */
+  _apply (method, args, undo) {
+    const applied = []
+
+    try {
+      for (const wdk of this._profiles.values()) {
+        wdk[method](...args)
+
+        applied.push(wdk)
+      }
+    } catch (error) {
+      // A profile may have been changed through its own wdk instance: the profiles already updated are restored, so that all of
+      // them keep the registrations in effect.
+      for (const wdk of applied.reverse()) {
+        undo(wdk)
+      }
+
+      throw error
+    }
+  }
+
+  /** @private */
+  _replay (wdk, matches) {
+    for (const { method, args } of this._registrations.filter(matches)) {
+      wdk[method](...args)
+    }
+  }
+
+  /** @private */
+  _restoreWallet (wdk, blockchain) {
+    if (wdk.hasWallet(blockchain)) {
+      wdk.unregisterWallet(blockchain)
+    }
+
+    this._replay(wdk, ({ key }) => key === `wallet:${blockchain}`)
+  }
+
+  /** @private */
+  _restoreProtocols (wdk, blockchain, label) {
+    if (wdk.hasProtocol(blockchain, label)) {
+      wdk.unregisterProtocol(blockchain, label)
+    }
+
+    this._replay(wdk, matchesProtocol(blockchain, label))
+  }
+
+  /** @private */
+  _register (registration, undo) {
+    this._apply(registration.method, registration.args, undo)
+
+    const index = registration.key ? this._find(registration.key) : -1
+
+    if (index === -1) {
+      this._registrations.push(registration)
+    } else {
+      this._registrations[index] = registration
+    }
+
+    return this
+  }
+
+  /** @private */
+  _unregister (method, args, matches, undo) {
+    this._apply(method, args, undo)
+
+    this._registrations = this._registrations.filter(registration => !matches(registration))
+
+    return this
+  }
+}
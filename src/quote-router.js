@@ -0,0 +1,131 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+/**
+ * @typedef {Object} RouteOptions
+ * @property {number} [timeout] - The time each protocol has to return its quote (in milliseconds, default: 10 seconds).
+ * @property {(fee: bigint, blockchain: string) => bigint | Promise<bigint>} [convertFee] - Converts a fee paid in the native token of
+ *   a blockchain to the base unit of the swapped token (the output token when selling an exact amount, the input token when buying
+ *   one), so that swaps can be ranked net of fees. Required to rank swaps when more than one swap protocol is available, since their fees are not paid in the
+ *   swapped token.
+ */
+
+/**
+ * @template Q
+ * @typedef {Object} RouteQuote
+ * @property {string} label - The label of the protocol.
+ * @property {Q} quote - The protocol's quote.
+ */
+
+/**
+ * @typedef {Object} SkippedProtocol
+ * @property {string} label - The label of the protocol.
+ * @property {'outranked' | 'timeout' | 'error'} reason - Why the protocol has not been chosen: another protocol offered a better
+ *   quote, or the protocol did not return its quote in time, or it failed to return it.
+ * @property {Error} [error] - The error thrown by the protocol, if it failed.
+ */
+
+/**
+ * @template Q
+ * @typedef {Object} Route
+ * @property {string} label - The label of the best protocol.
+ * @property {Q} quote - The quote of the best protocol.
+ * @property {RouteQuote<Q>[]} quotes - The quotes of all the protocols that returned one, from the best to the worst.
+ * @property {SkippedProtocol[]} skipped - The protocols that have not been chosen, and why.
+ */
+
+const DEFAULT_TIMEOUT = 10_000
+
+const TIMEOUT = Symbol('timeout')
+
+function withTimeout (promise, timeout) {
+  let timer
+
+  const expired = new Promise(resolve => { timer = setTimeout(() => resolve(TIMEOUT), timeout) })
+
+  return Promise.race([promise, expired])
+    .finally(() => clearTimeout(timer))
+}
+
+function compare (a, b) {
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * Returns a function scoring swap quotes: the lower the score, the better the quote.
+ *
+ * @param {{ tokenInAmount?: number | bigint }} options - The swap options.
+ * @param {RouteOptions} routeOptions - The route options.
+ * @param {string} blockchain - The name of the blockchain the swap runs on.
+ * @returns {(quote: { fee: bigint, tokenInAmount: bigint, tokenOutAmount: bigint }) => Promise<bigint[]>} The scoring function.
+ */
+export function scoreSwap (options, { convertFee }, blockchain) {
+  const sell = options.tokenInAmount !== undefined
+
+  return async ({ fee, tokenInAmount, tokenOutAmount }) => {
+    const cost = convertFee ? BigInt(await convertFee(BigInt(fee), blockchain)) : 0n
+
+    const amount = sell ? -(BigInt(tokenOutAmount) - cost) : BigInt(tokenInAmount) + cost
+
+    return [amount, BigInt(fee)]
+  }
+}
+
+/**
+ * Scores bridge quotes: the lower the score, the better the quote. All bridges deliver the same amount, so they are ranked by
+ * their total fees.
+ *
+ * @param {{ fee: bigint, bridgeFee: bigint }} quote - The bridge quote.
+ * @returns {Promise<bigint[]>} The score.
+ */
+export async function scoreBridge ({ fee, bridgeFee }) {
+  return [BigInt(fee) + BigInt(bridgeFee)]
+}
+
+/**
+ * Asks a set of protocols for a quote concurrently and ranks their quotes.
+ *
+ * @template Q
+ * @param {{ label: string, quote: () => Promise<Q> }[]} candidates - The protocols.
+ * @param {(quote: Q) => Promise<bigint[]>} score - Scores a quote. Scores are compared element by element, the lowest wins.
+ * @param {RouteOptions} [options] - The route options.
+ * @returns {Promise<{ quotes: RouteQuote<Q>[], skipped: SkippedProtocol[] }>} The ranked quotes and the protocols that failed.
+ */
+export async function rankQuotes (candidates, score, options = { }) {
+  const { timeout = DEFAULT_TIMEOUT } = options
+
+  const results = await Promise.all(candidates.map(async ({ label, quote }) => {
+    try {
+      const result = await withTimeout(quote(), timeout)
+
+      if (result === TIMEOUT) {
+        return { label, reason: 'timeout' }
+      }
+
+      return { label, quote: result, score: await score(result) }
+    } catch (error) {
+      return { label, reason: 'error', error }
+    }
+  }))
+
+  const ranked = results.filter(result => !result.reason)
+    .sort((a, b) => a.score.reduce((order, value, i) => order || compare(value, b.score[i]), 0))
+
+  return {
+    quotes: ranked.map(({ label, quote }) => ({ label, quote })),
+    skipped: results.filter(result => result.reason)
+  }
+}
@@ -0,0 +1,111 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import * as bip39 from 'bip39'
+
+import { InvalidSeedError } from './errors.js'
+
+/**
+ * @typedef {Object} SeedPhraseOptions
+ * @property {12 | 15 | 18 | 21 | 24} [words] - The number of words of the seed phrase (default: 12).
+ */
+
+/**
+ * @typedef {Object} SeedValidation
+ * @property {boolean} valid - True if the seed is valid.
+ * @property {'type' | 'length' | 'unknown-word' | 'checksum'} [reason] - Why the seed is not valid: it is neither a seed phrase nor a
+ *   Uint8Array, it has the wrong number of words (or bytes), it contains a word that is not in the BIP-39 english wordlist, or its
+ *   checksum is wrong.
+ * @property {string} [word] - The first unknown word, if the reason is "unknown-word".
+ */
+
+const WORD_COUNTS = [12, 15, 18, 21, 24]
+
+const WORDLIST = bip39.wordlists.english
+
+function getWords (seedPhrase) {
+  return seedPhrase.normalize('NFKD').split(' ')
+}
+
+/**
+ * Returns a random BIP-39 seed phrase.
+ *
+ * @param {SeedPhraseOptions} [options] - The seed phrase options.
+ * @returns {string} The seed phrase.
+ * @throws {RangeError} If the number of words is not supported.
+ */
+export function generateSeedPhrase (options = { }) {
+  const { words = 12 } = options
+
+  if (!WORD_COUNTS.includes(words)) {
+    throw new RangeError(`Invalid number of words: ${words}. Seed phrases have 12, 15, 18, 21 or 24 words.`)
+  }
+
+  // Each word encodes 11 bits, one out of every 33 of which is part of the checksum.
+  return bip39.generateMnemonic(words / 3 * 32)
+}
+
+/**
+ * Checks if a seed is valid and, if not, tells why.
+ *
+ * @param {string | Uint8Array} seed - The seed phrase or the seed.
+ * @returns {SeedValidation} The result of the check.
+ */
+export function validateSeed (seed) {
+  if (seed instanceof Uint8Array) {
+    return seed.length >= 16 && seed.length <= 64 ? { valid: true } : { valid: false, reason: 'length' }
+  }
+
+  if (typeof seed !== 'string') {
+    return { valid: false, reason: 'type' }
+  }
+
+  const words = getWords(seed)
+
+  if (!WORD_COUNTS.includes(words.length)) {
+    return { valid: false, reason: 'length' }
+  }
+
+  const word = words.find(word => !WORDLIST.includes(word))
+
+  if (word !== undefined) {
+    return { valid: false, reason: 'unknown-word', word }
+  }
+
+  if (!bip39.validateMnemonic(seed, WORDLIST)) {
+    return { valid: false, reason: 'checksum' }
+  }
+
+  return { valid: true }
+}
+
+/**
+ * Derives the seed of a BIP-39 seed phrase, optionally protected by a passphrase.
+ *
+ * @param {string} seedPhrase - The seed phrase.
+ * @param {string} [passphrase] - The passphrase (the "25th word"). Different passphrases derive different, unrelated wallets.
+ * @returns {Uint8Array} The seed (64 bytes).
+ * @throws {InvalidSeedError} If the seed phrase is not valid.
+ */
+export function seedPhraseToSeed (seedPhrase, passphrase = '') {
+  const { valid, reason, word } = validateSeed(seedPhrase)
+
+  if (!valid || typeof seedPhrase !== 'string') {
+    throw new InvalidSeedError(reason ?? 'type', word)
+  }
+
+  return new Uint8Array(bip39.mnemonicToSeedSync(seedPhrase, passphrase))
+}
@@ -0,0 +1,176 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import { OperationCancelledError, QueuedOperationNotFoundError } from './errors.js'
+
+/** @typedef {import('./wdk-manager.js').OperationContext} OperationContext */
+/** @typedef {import('./wdk-manager.js').ProtocolInfo} ProtocolInfo */
+
+/** @typedef {import('./wallet-account-with-protocols.js').IWalletAccountWithProtocols} IWalletAccountWithProtocols */
+
+/**
+ * @typedef {Object} QueuedOperation
+ * @property {string} id - The unique identifier of the queued operation.
+ * @property {string} blockchain - The name of the blockchain.
+ * @property {IWalletAccountWithProtocols} account - The account performing the operation.
+ * @property {ProtocolInfo} [protocol] - The protocol performing the operation, if it is not performed by the account itself.
+ * @property {string} operation - The name of the operation (e.g., "transfer", "swap").
+ * @property {unknown[]} args - The arguments of the operation.
+ * @property {number} queuedAt - The time the operation has been queued at (in milliseconds since the unix epoch).
+ * @property {boolean} running - True if the operation is running, false if it is waiting for the previous operations of the account.
+ */
+
+export default class SendQueue {
+  /**
+   * Creates a new send queue.
+   *
+   * @param {(operation: QueuedOperation) => void} [onQueue] - Called for each new queued operation.
+   */
+  constructor (onQueue = () => { }) {
+    /** @private */
+    this._onQueue = onQueue
+
+    /** @private */
+    this._queues = new Map()
+
+    /** @private */
+    this._nonce = 0
+  }
+
+  /**
+   * Returns the operations queued for an account, or for all the accounts, in the order they run.
+   *
+   * @param {string} [blockchain] - If set, only returns the operations of this blockchain.
+   * @param {string} [path] - If set, only returns the operations of the account with this derivation path.
+   * @returns {QueuedOperation[]} The queued operations.
+   */
+  getQueued (blockchain, path) {
+    return [...this._queues.values()]
+      .flatMap(queue => queue.map(({ operation }, index) => ({ ...operation, running: index === 0 })))
+      .filter(operation => (blockchain === undefined || operation.blockchain === blockchain) &&
+        (path === undefined || operation.account.path === path))
+  }
+
+  /**
+   * Returns the number of operations queued for an account, including the running one.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   * @param {string} path - The derivation path of the account.
+   * @returns {number} The queue depth.
+   */
+  getDepth (blockchain, path) {
+    return this._queues.get(`${blockchain}:${path}`)?.length ?? 0
+  }
+
+  /**
+   * Runs an operation once the operations previously queued for the same account have completed.
+   *
+   * @param {OperationContext} context - The operation's context.
+   * @param {() => Promise<unknown>} next - Runs the operation.
+   * @returns {Promise<unknown>} The operation's result.
+   * @throws {OperationCancelledError} If the operation is cancelled while it waits.
+   */
+  async run ({ blockchain, account, protocol, operation, args }, next) {
+    const key = `${blockchain}:${account.path}`
+
+    const queuedAt = Date.now()
+
+    const item = {
+      operation: {
+        id: `${queuedAt.toString(36)}-${(this._nonce++).toString(36)}`,
+        blockchain,
+        account,
+        protocol,
+        operation,
+        args: [...args],
+        queuedAt
+      }
+    }
+
+    const started = new Promise((resolve, reject) => {
+      item.start = resolve
+
+      item.cancel = reject
+    })
+
+    if (!this._queues.has(key)) {
+      this._queues.set(key, [])
+    }
+
+    const queue = this._queues.get(key)
+
+    queue.push(item)
+
+    if (queue.length === 1) {
+      item.start()
+    }
+
+    // The operation is already queued: a callback throwing must not leave it at the head of the queue, blocking the account.
+    try {
+      this._onQueue({ ...item.operation, running: queue[0] === item })
+    } catch { }
+
+    await started
+
+    try {
+      return await next()
+    } finally {
+      queue.shift()
+
+      if (queue.length > 0) {
+        queue[0].start()
+      } else {
+        this._queues.delete(key)
+      }
+    }
+  }
+
+  /**
+   * Cancels a queued operation that has not started running yet, which then fails with an {@link OperationCancelledError}.
+   *
+   * @param {string} id - The identifier of the queued operation.
+   * @param {string} [reason] - The reason of the cancellation.
+   * @throws {QueuedOperationNotFoundError} If no operation with the given identifier is waiting.
+   */
+  cancel (id, reason) {
+    for (const queue of this._queues.values()) {
+      const index = queue.findIndex(({ operation }) => operation.id === id)
+
+      if (index > 0) {
+        const [item] = queue.splice(index, 1)
+
+        item.cancel(new OperationCancelledError(id, reason))
+
+        return
+      }
+    }
+
+    throw new QueuedOperationNotFoundError(id)
+  }
+
+  /**
+   * Fails all the operations that have not started running yet with the given error.
+   *
+   * @param {Error} error - The error.
+   */
+  cancelAll (error) {
+    for (const queue of this._queues.values()) {
+      for (const item of queue.splice(1)) {
+        item.cancel(error)
+      }
+    }
+  }
+}
@@ -0,0 +1,185 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import { xchacha20poly1305 } from '@noble/ciphers/chacha.js'
+
+import { scryptAsync } from '@noble/hashes/scrypt.js'
+
+import { bytesToHex, bytesToUtf8, concatBytes, hexToBytes, randomBytes, utf8ToBytes } from '@noble/hashes/utils.js'
+
+import { InvalidVaultError, WrongPassphraseError } from './errors.js'
+
+/**
+ * @typedef {Object} VaultOptions
+ * @property {{ N?: number, r?: number, p?: number }} [kdf] - The scrypt parameters (default: { N: 2 ** 17, r: 8, p: 1 }, which uses
+ *   128 MB of memory). Higher values make passphrases harder to brute-force, and the vault slower to open. N must be a power of two,
+ *   and vaults can only be opened with N up to 2 ** 20, r up to 32 and p up to 16.
+ */
+
+const VERSION = 1
+
+const DEFAULT_KDF = { N: 2 ** 17, r: 8, p: 1 }
+
+const MAX_KDF = { N: 2 ** 20, r: 32, p: 16 }
+
+const SEED_PHRASE = 1
+
+const SEED_BYTES = 2
+
+// Bounds the memory and time spent on the key derivation. N must be a power of two for scrypt.
+function isValidKdf ({ N, r, p }) {
+  return Number.isSafeInteger(N) && N > 1 && (N & (N - 1)) === 0 && N <= MAX_KDF.N &&
+    Number.isSafeInteger(r) && r > 0 && r <= MAX_KDF.r &&
+    Number.isSafeInteger(p) && p > 0 && p <= MAX_KDF.p
+}
+
+async function deriveKey (passphrase, { N, r, p, salt }) {
+  return await scryptAsync(utf8ToBytes(passphrase.normalize('NFKC')), hexToBytes(salt), { N, r, p, dkLen: 32 })
+}
+
+function parse (vault) {
+  let data
+
+  try {
+    data = JSON.parse(vault)
+  } catch {
+    throw new InvalidVaultError('not a json document')
+  }
+
+  if (data?.version !== VERSION) {
+    throw new InvalidVaultError(`unsupported version ${data?.version}`)
+  }
+
+  const { kdf, cipher, ciphertext } = data
+
+  if (kdf?.name !== 'scrypt' || cipher?.name !== 'xchacha20-poly1305' || typeof ciphertext !== 'string') {
+    throw new InvalidVaultError('unsupported algorithms or missing fields')
+  }
+
+  // The parameters are only authenticated after the key derivation, so they are checked before it.
+  if (!isValidKdf(kdf)) {
+    throw new InvalidVaultError('key derivation parameters out of bounds')
+  }
+
+  return { version: data.version, kdf, cipher, ciphertext }
+}
+
+// The header is bound to the ciphertext as associated data, so that tampering with the parameters is detected.
+function getHeader ({ version, kdf, cipher }) {
+  return utf8ToBytes(JSON.stringify({ version, kdf, cipher }))
+}
+
+/**
+ * Encrypts a seed with a passphrase.
+ *
+ * The passphrase is stretched with scrypt, a memory-hard key derivation function, and the seed is encrypted with
+ * XChaCha20-Poly1305, an authenticated cipher. The vault is a json document holding the version of the format, the parameters of
+ * the algorithms and the ciphertext.
+ *
+ * @param {string | Uint8Array} seed - The seed phrase or the seed.
+ * @param {string} passphrase - The passphrase.
+ * @param {VaultOptions} [options] - The vault options.
+ * @returns {Promise<string>} The vault.
+ * @throws {RangeError} If the scrypt parameters are out of the bounds that vaults can be opened with.
+ */
+export async function createVault (seed, passphrase, options = { }) {
+  const { N, r, p } = { ...DEFAULT_KDF, ...options.kdf }
+
+  if (!isValidKdf({ N, r, p })) {
+    throw new RangeError(
+      `Invalid scrypt parameters. N must be a power of two between 2 and ${MAX_KDF.N}, r an integer between 1 and ${MAX_KDF.r}, ` +
+      `and p an integer between 1 and ${MAX_KDF.p}.`
+    )
+  }
+
+  const kdf = { name: 'scrypt', N, r, p, salt: bytesToHex(randomBytes(32)) }
+
+  const cipher = { name: 'xchacha20-poly1305', nonce: bytesToHex(randomBytes(24)) }
+
+  const plaintext = typeof seed === 'string'
+    ? concatBytes(Uint8Array.of(SEED_PHRASE), utf8ToBytes(seed))
+    : concatBytes(Uint8Array.of(SEED_BYTES), seed)
+
+  const key = await deriveKey(passphrase, kdf)
+
+  try {
+    const ciphertext = xchacha20poly1305(key, hexToBytes(cipher.nonce), getHeader({ version: VERSION, kdf, cipher }))
+      .encrypt(plaintext)
+
+    return JSON.stringify({ version: VERSION, kdf, cipher, ciphertext: bytesToHex(ciphertext) })
+  } finally {
+    key.fill(0)
+
+    plaintext.fill(0)
+  }
+}
+
+/**
+ * Decrypts the seed stored in a vault.
+ *
+ * @param {string} vault - The vault.
+ * @param {string} passphrase - The passphrase.
+ * @returns {Promise<string | Uint8Array>} The seed phrase or the seed, as it was given to {@link createVault}.
+ * @throws {InvalidVaultError} If the vault is malformed or has been created by an unsupported version.
+ * @throws {WrongPassphraseError} If the passphrase is wrong or the vault has been tampered with.
+ */
+export async function openVault (vault, passphrase) {
+  const data = parse(vault)
+
+  const key = await deriveKey(passphrase, data.kdf)
+
+  let plaintext
+
+  try {
+    plaintext = xchacha20poly1305(key, hexToBytes(data.cipher.nonce), getHeader(data))
+      .decrypt(hexToBytes(data.ciphertext))
+  } catch {
+    throw new WrongPassphraseError()
+  } finally {
+    key.fill(0)
+  }
+
+  try {
+    return plaintext[0] === SEED_PHRASE ? bytesToUtf8(plaintext.subarray(1)) : plaintext.slice(1)
+  } finally {
+    plaintext.fill(0)
+  }
+}
+
+/**
+ * Encrypts the seed stored in a vault with a new passphrase. The new vault uses a new salt and a new nonce.
+ *
+ * @param {string} vault - The vault.
+ * @param {string} passphrase - The current passphrase.
+ * @param {string} newPassphrase - The new passphrase.
+ * @param {VaultOptions} [options] - The options of the new vault (default: the parameters of the current vault).
+ * @returns {Promise<string>} The new vault.
+ * @throws {InvalidVaultError} If the vault is malformed or has been created by an unsupported version.
+ * @throws {WrongPassphraseError} If the current passphrase is wrong or the vault has been tampered with.
+ */
+export async function changeVaultPassphrase (vault, passphrase, newPassphrase, options = { }) {
+  const { kdf: { N, r, p } } = parse(vault)
+
+  const seed = await openVault(vault, passphrase)
+
+  try {
+    return await createVault(seed, newPassphrase, { kdf: { N, r, p, ...options.kdf } })
+  } finally {
+    if (seed instanceof Uint8Array) {
+      seed.fill(0)
+    }
+  }
+}
@@ -22,30 +22,171 @@ import { IWalletAccount, NotImplementedError } from '@tetherto/wdk-wallet'
 
 /** @typedef {import('@tetherto/wdk-wallet/protocols').ILendingProtocol} ILendingProtocol */
 
+/** @typedef {import('@tetherto/wdk-wallet/protocols').SwapOptions} SwapOptions */
+
+/** @typedef {import('@tetherto/wdk-wallet/protocols').SwapResult} SwapResult */
+
+/** @typedef {import('@tetherto/wdk-wallet/protocols').BridgeOptions} BridgeOptions */
+
+/** @typedef {import('@tetherto/wdk-wallet/protocols').BridgeResult} BridgeResult */
+
+/** @typedef {import('./quote-router.js').RouteOptions} RouteOptions */
+
+/** @typedef {import('./wdk-manager.js').RegisterOptions} RegisterOptions */
+
+/** @typedef {import('./wdk-manager.js').AccountProtocolDescriptor} AccountProtocolDescriptor */
+
+/** @typedef {import('./errors.js').InvalidProtocolError} InvalidProtocolError */
+
+/** @typedef {import('./errors.js').ProtocolAlreadyRegisteredError} ProtocolAlreadyRegisteredError */
+
+/** @typedef {import('./errors.js').ProtocolNotRegisteredError} ProtocolNotRegisteredError */
+
+/** @typedef {import('./errors.js').NoRouteError} NoRouteError */
+
 /** @interface */
 export class IWalletAccountWithProtocols extends IWalletAccount {
   /**
    * Registers a new protocol for this account
    *
    * The label must be unique in the scope of the account and the type of protocol (i.e., there can’t be two protocols of the same
-   * type bound to the same account with the same label).
+   * type bound to the same account with the same label), unless the override option is set to replace the existing one.
+   *
+   * Protocols registered on the account take precedence over the protocols registered to WDK for the account's blockchain with the
+   * same type and label.
    *
-   * @template {typeof SwapProtocol | typeof BridgeProtocol | typeof LendingProtocol} P
+   * @template {typeof SwapProtocol | typeof BridgeProtocol | typeof LendingProtocol | (new (account: any, config: any) => object)} P
    * @param {string} label - The label.
    * @param {P} Protocol - The protocol class.
    * @param {ConstructorParameters<P>[1]} config - The protocol configuration.
+   * @param {RegisterOptions} [options] - The registration options.
    * @returns {IWalletAccountWithProtocols} The account.
+   * @throws {InvalidProtocolError} If the protocol class does not extend the base class of a registered protocol type (e.g.,
+   *   SwapProtocol).
+   * @throws {ProtocolAlreadyRegisteredError} If a protocol of the same type has already been registered on this account with the
+   *   given label and the override option is not set.
+   */
+  registerProtocol (label, Protocol, config, options) {
+    throw new NotImplementedError('registerProtocol(label, Protocol, config, options)')
+  }
+
+  /**
+   * Returns the protocols available to this account: the ones registered on the account and the ones registered to WDK for the
+   * account's blockchain. When both define a protocol with the same type and label, only the account's one is listed, as it takes
+   * precedence.
+   *
+   * @param {string} [type] - If set, only returns the protocols of the given type (e.g., "swap").
+   * @returns {AccountProtocolDescriptor[]} The protocols, grouped by type.
+   */
+  listProtocols (type) {
+    throw new NotImplementedError('listProtocols(type)')
+  }
+
+  /**
+   * Checks whether a protocol is available to this account with the given label.
+   *
+   * @param {string} label - The label.
+   * @param {string} [type] - If set, only checks the protocols of the given type (e.g., "swap").
+   * @returns {boolean} True if the protocol is available.
+   */
+  hasProtocol (label, type) {
+    throw new NotImplementedError('hasProtocol(label, type)')
+  }
+
+  /**
+   * Asks all the swap protocols available to this account for a quote, concurrently, and returns the best one.
+   *
+   * When selling an exact amount, the best quote is the one buying the most output tokens; when buying an exact amount, the one
+   * selling the fewest input tokens, net of fees converted by the route options (see {@link RouteOptions}).
+   *
+   * @param {SwapOptions} options - The swap's options.
+   * @param {RouteOptions} [routeOptions] - The route options.
+   * @returns {Promise<import('./quote-router.js').Route<Omit<SwapResult, 'hash'>>>} The best route.
+   * @throws {TypeError} If more than one swap protocol is available and the convertFee route option is not set.
+   * @throws {NoRouteError} If no swap protocol returned a quote.
+   */
+  async getBestSwap (options, routeOptions) {
+    throw new NotImplementedError('getBestSwap(options, routeOptions)')
+  }
+
+  /**
+   * Swaps tokens through the swap protocol offering the best quote (see {@link IWalletAccountWithProtocols#getBestSwap}).
+   *
+   * @param {SwapOptions} options - The swap's options.
+   * @param {RouteOptions} [routeOptions] - The route options.
+   * @returns {Promise<import('./quote-router.js').Route<Omit<SwapResult, 'hash'>> & { result: SwapResult }>} The route and the swap's result.
+   * @throws {TypeError} If more than one swap protocol is available and the convertFee route option is not set.
+   * @throws {NoRouteError} If no swap protocol returned a quote.
+   */
+  async swapBest (options, routeOptions) {
+    throw new NotImplementedError('swapBest(options, routeOptions)')
+  }
+
+  /**
+   * Asks all the bridge protocols available to this account for a quote, concurrently, and returns the cheapest one.
+   *
+   * @param {BridgeOptions} options - The bridge's options.
+   * @param {RouteOptions} [routeOptions] - The route options.
+   * @returns {Promise<import('./quote-router.js').Route<Omit<BridgeResult, 'hash'>>>} The best route.
+   * @throws {NoRouteError} If no bridge protocol returned a quote.
+   */
+  async getBestBridge (options, routeOptions) {
+    throw new NotImplementedError('getBestBridge(options, routeOptions)')
+  }
+
+  /**
+   * Bridges tokens through the bridge protocol offering the cheapest quote (see {@link IWalletAccountWithProtocols#getBestBridge}).
+   *
+   * @param {BridgeOptions} options - The bridge's options.
+   * @param {RouteOptions} [routeOptions] - The route options.
+   * @returns {Promise<import('./quote-router.js').Route<Omit<BridgeResult, 'hash'>> & { result: BridgeResult }>} The route and the bridge's result.
+   * @throws {NoRouteError} If no bridge protocol returned a quote.
+   */
+  async bridgeBest (options, routeOptions) {
+    throw new NotImplementedError('bridgeBest(options, routeOptions)')
+  }
+
+  /**
+   * Returns the protocol of any registered type with the given label (see {@link WDK.registerProtocolType}).
+   *
+   * The same protocol instance is returned on each call, unless its registration gets replaced or removed.
+   *
+   * @template [P=unknown]
+   * @param {string} type - The protocol type (e.g., "staking").
+   * @param {string} label - The label.
+   * @returns {P} The protocol.
+   * @throws {ProtocolNotRegisteredError} If no protocol of the given type has been registered on this account with the given label.
+   * @throws {ModuleNotLoadedError} If the protocol has been registered with a factory that has not been called yet (see
+   *   {@link IWalletAccountWithProtocols#loadProtocol}).
    */
-  registerProtocol (label, Protocol, config) {
-    throw new NotImplementedError('registerProtocol(label, Protocol, config)')
+  getProtocol (type, label) {
+    throw new NotImplementedError('getProtocol(type, label)')
+  }
+
+  /**
+   * Returns the protocol of any registered type with the given label, loading it first if it has been registered with a factory
+   * that has not been called yet (e.g., registered to wdk after the account has been derived).
+   *
+   * @template [P=unknown]
+   * @param {string} type - The protocol type (e.g., "swap").
+   * @param {string} label - The label.
+   * @returns {Promise<P>} The protocol.
+   * @throws {ProtocolNotRegisteredError} If no protocol of the given type has been registered on this account with the given label.
+   * @throws {ModuleLoadError} If the protocol's factory fails to load it.
+   * @throws {InvalidProtocolError} If the loaded protocol class does not extend the base class of the protocol type.
+   */
+  async loadProtocol (type, label) {
+    throw new NotImplementedError('loadProtocol(type, label)')
   }
 
   /**
    * Returns the swap protocol with the given label.
    *
+   * The same protocol instance is returned on each call, unless its registration gets replaced or removed.
+   *
    * @param {string} label - The label.
    * @returns {ISwapProtocol} The swap protocol.
-   * @throws {Error} If no swap protocol has been registered on this account with the given label.
+   * @throws {ProtocolNotRegisteredError} If no swap protocol has been registered on this account with the given label.
    */
   getSwapProtocol (label) {
     throw new NotImplementedError('getSwapProtocol(label)')
@@ -54,9 +195,11 @@ export class IWalletAccountWithProtocols extends IWalletAccount {
   /**
    * Returns the bridge protocol with the given label.
    *
+   * The same protocol instance is returned on each call, unless its registration gets replaced or removed.
+   *
    * @param {string} label - The label.
    * @returns {IBridgeProtocol} The bridge protocol.
-   * @throws {Error} If no bridge protocol has been registered on this account with the given label.
+   * @throws {ProtocolNotRegisteredError} If no bridge protocol has been registered on this account with the given label.
    */
   getBridgeProtocol (label) {
     throw new NotImplementedError('getBridgeProtocol(label)')
@@ -65,9 +208,11 @@ export class IWalletAccountWithProtocols extends IWalletAccount {
   /**
    * Returns the lending protocol with the given label.
    *
+   * The same protocol instance is returned on each call, unless its registration gets replaced or removed.
+   *
    * @param {string} label - The label.
    * @returns {ILendingProtocol} The lending protocol.
-   * @throws {Error} If no lending protocol has been registered on this account with the given label.
+   * @throws {ProtocolNotRegisteredError} If no lending protocol has been registered on this account with the given label.
    */
   getLendingProtocol (label) {
     throw new NotImplementedError('getLendingProtocol(label)')
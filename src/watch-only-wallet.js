@@ -0,0 +1,123 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import { WatchOnlyError, WatchedAddressNotFoundError } from './errors.js'
+
+/** @typedef {import('@tetherto/wdk-wallet').IWalletAccountReadOnly} IWalletAccountReadOnly */
+/** @typedef {import('@tetherto/wdk-wallet').FeeRates} FeeRates */
+
+/**
+ * A wallet made of read-only accounts for a list of known addresses. It stands in for the wallet manager of a blockchain when WDK
+ * runs in watch-only mode, so it holds no keys.
+ */
+export default class WatchOnlyWallet {
+  /**
+   * Creates a new watch-only wallet.
+   *
+   * @param {string} blockchain - The name of the blockchain.
+   * @param {new (address: string, config: any) => IWalletAccountReadOnly} WalletAccountReadOnly - The read-only account class.
+   * @param {string[]} addresses - The watched addresses. The account with index i is bound to the i-th address.
+   * @param {unknown} config - The configuration object of the read-only accounts.
+   * @param {{ getFeeRates: () => Promise<FeeRates>, dispose: () => void }} [walletManager] - A wallet manager holding no keys, used to
+   *   read the fee rates.
+   */
+  constructor (blockchain, WalletAccountReadOnly, addresses, config, walletManager) {
+    /** @private */
+    this._blockchain = blockchain
+
+    /** @private */
+    this._WalletAccountReadOnly = WalletAccountReadOnly
+
+    /** @private */
+    this._addresses = addresses
+
+    /** @private */
+    this._config = config
+
+    /** @private */
+    this._walletManager = walletManager
+
+    /**
+     * The accounts created so far, by address.
+     *
+     * @protected
+     * @type {{ [address: string]: IWalletAccountReadOnly }}
+     */
+    this._accounts = { }
+  }
+
+  /**
+   * Returns the read-only account bound to the watched address with the given index. Its path is the address itself.
+   *
+   * @param {number} [index] - The index of the account (default: 0).
+   * @returns {Promise<IWalletAccountReadOnly>} The read-only account.
+   * @throws {WatchedAddressNotFoundError} If there is no watched address with the given index.
+   */
+  async getAccount (index = 0) {
+    const address = this._addresses[index]
+
+    if (address === undefined) {
+      throw new WatchedAddressNotFoundError(this._blockchain, index)
+    }
+
+    if (!this._accounts[address]) {
+      const account = new this._WalletAccountReadOnly(address, this._config)
+
+      Object.defineProperties(account, {
+        index: { value: index },
+        path: { value: address }
+      })
+
+      this._accounts[address] = account
+    }
+
+    return this._accounts[address]
+  }
+
+  /**
+   * Always throws, since watched addresses have no derivation path.
+   *
+   * @param {string} path - The derivation path.
+   * @returns {Promise<never>}
+   * @throws {WatchOnlyError} Always.
+   */
+  async getAccountByPath (path) {
+    throw new WatchOnlyError('getAccountByPath', this._blockchain)
+  }
+
+  /**
+   * Returns the current fee rates, read by the wallet manager.
+   *
+   * @returns {Promise<FeeRates>} The fee rates (in base unit).
+   * @throws {WatchOnlyError} If the wallet has no wallet manager, since fee rates are read by the wallet managers.
+   */
+  async getFeeRates () {
+    if (!this._walletManager) {
+      throw new WatchOnlyError('getFeeRates', this._blockchain)
+    }
+
+    return await this._walletManager.getFeeRates()
+  }
+
+  /**
+   * Drops the accounts and disposes the wallet manager. Read-only accounts hold no sensitive data.
+   */
+  dispose () {
+    this._walletManager?.dispose()
+
+    this._accounts = { }
+  }
+}
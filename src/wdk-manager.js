@@ -14,281 +14,2129 @@
 
 'use strict'
 
-import WalletManager from '@tetherto/wdk-wallet'
+import EventEmitter from 'events'
+
+import WalletManager, { WalletAccountReadOnly } from '@tetherto/wdk-wallet'
 
 import { SwapProtocol, BridgeProtocol, LendingProtocol } from '@tetherto/wdk-wallet/protocols'
 
+import ApprovalQueue from './approval-queue.js'
+import FailoverWallet from './failover-wallet.js'
+import Journal from './journal.js'
+import MovePlanner from './move-planner.js'
+import PolicyEngine from './policy-engine.js'
+import SendQueue from './send-queue.js'
+import WatchOnlyWallet from './watch-only-wallet.js'
+
+import { getModuleId, isFactory, validateConfig } from './config.js'
+
+import { rankQuotes, scoreBridge, scoreSwap } from './quote-router.js'
+
+import { generateSeedPhrase, seedPhraseToSeed, validateSeed } from './seed.js'
+
+import { changeVaultPassphrase, createVault, openVault } from './vault.js'
+
+import {
+  ApprovalNotFoundError,
+  DisposedError,
+  InterceptorNotRegisteredError,
+  InvalidConfigError,
+  InvalidProtocolError,
+  InvalidProtocolTypeError,
+  InvalidSeedError,
+  InvalidWalletManagerError,
+  MiddlewareNotRegisteredError,
+  ModuleLoadError,
+  ModuleNotLoadedError,
+  NoRouteError,
+  PolicyNotRegisteredError,
+  ProtocolAlreadyRegisteredError,
+  ProtocolNotRegisteredError,
+  ProtocolTypeAlreadyRegisteredError,
+  QueuedOperationNotFoundError,
+  WalletAlreadyRegisteredError,
+  WalletNotRegisteredError,
+  WatchOnlyError
+} from './errors.js'
+
 /** @typedef {import('@tetherto/wdk-wallet').IWalletAccount} IWalletAccount */
 
 /** @typedef {import('@tetherto/wdk-wallet').FeeRates} FeeRates */
 
 /** @typedef {import('./wallet-account-with-protocols.js').IWalletAccountWithProtocols} IWalletAccountWithProtocols */
 
+/** @typedef {import('./memory-policy-store.js').IPolicyStore} IPolicyStore */
+
+/** @typedef {import('./policy-engine.js').Policy} Policy */
+
+/** @typedef {import('./approval-queue.js').ApprovalOptions} ApprovalOptions */
+
+/** @typedef {import('./approval-queue.js').ApprovalRequest} ApprovalRequest */
+
+/** @typedef {import('./failover-wallet.js').FailoverOptions} FailoverOptions */
+
+/** @typedef {import('./failover-wallet.js').ProviderStatus} ProviderStatus */
+
+/** @typedef {import('./failover-wallet.js').ProviderFailedEvent} ProviderFailedEvent */
+
+/** @typedef {import('./failover-wallet.js').ProviderChangedEvent} ProviderChangedEvent */
+
+/** @typedef {import('./send-queue.js').QueuedOperation} QueuedOperation */
+
+/** @typedef {import('./journal.js').JournalOptions} JournalOptions */
+
+/** @typedef {import('./journal.js').JournalFilter} JournalFilter */
+
+/** @typedef {import('./memory-journal-store.js').JournalEntry} JournalEntry */
+
+/** @typedef {import('./vault.js').VaultOptions} VaultOptions */
+
+/** @typedef {import('./seed.js').SeedPhraseOptions} SeedPhraseOptions */
+
+/** @typedef {import('./seed.js').SeedValidation} SeedValidation */
+
+/** @typedef {import('./config.js').WdkConfig} WdkConfig */
+
+/** @typedef {import('./config.js').ModuleMap} ModuleMap */
+
+/** @typedef {import('./config.js').ConfigIssue} ConfigIssue */
+
+/** @typedef {import('./move-planner.js').MoveIntent} MoveIntent */
+
+/** @typedef {import('./move-planner.js').MoveOptions} MoveOptions */
+
+/** @typedef {import('./move-planner.js').MovePlan} MovePlan */
+
+/** @typedef {import('./move-planner.js').MoveRoute} MoveRoute */
+
+/** @typedef {import('./move-planner.js').MoveProgress} MoveProgress */
+
+/** @typedef {import('./move-planner.js').ExecuteMoveOptions} ExecuteMoveOptions */
+
 /** @typedef {<A extends IWalletAccount>(account: A) => Promise<void>} MiddlewareFunction */
 
-export default class WDK {
+/**
+ * @typedef {Object} WdkOptions
+ * @property {string} [passphrase] - The BIP-39 passphrase (the "25th word") protecting the seed phrase. Different passphrases derive
+ *   different, unrelated wallets. Ignored if the seed is a Uint8Array.
+ * @property {IPolicyStore} [policyStore] - The store where the policies save the amounts spent (default: an in-memory store).
+ * @property {boolean} [dryRun] - If true, runs WDK in dry-run mode: operations are quoted and return a simulated result instead of
+ *   being broadcast (default: false).
+ * @property {ApprovalOptions} [approval] - If set, runs WDK in approval mode: operations are quoted and held until they get approved
+ *   (see {@link WDK#approve}).
+ * @property {boolean} [sendQueue] - If true, the operations of each account and its protocols run one at a time, in the order they are
+ *   called, so that concurrent operations do not use the same nonce (default: false). Read methods are not queued.
+ * @property {JournalOptions} [journal] - If set, records the operations sent through the accounts and their protocols in a journal
+ *   (see {@link WDK#getJournalEntries}).
+ */
+
+/**
+ * @typedef {Object} DerivedAccount
+ * @property {string} blockchain - The name of the blockchain the account belongs to.
+ * @property {number} index - The index of the account.
+ * @property {string} path - The derivation path of the account.
+ * @property {IWalletAccountWithProtocols} account - The account.
+ */
+
+/**
+ * @typedef {Object} PortfolioOptions
+ * @property {number[]} [accounts] - The indexes of the accounts to fetch the balances of (default: [0]).
+ * @property {Record<string, string[]>} [tokens] - The addresses of the tokens to fetch the balances of, by blockchain (e.g.,
+ *   { ethereum: ["0xdAC17F958D2ee523a2206206994597C13D831ec7"] }). The native token's balance is always fetched.
+ */
+
+/**
+ * @typedef {Object} PortfolioBalance
+ * @property {string} blockchain - The name of the blockchain.
+ * @property {number} index - The index of the account.
+ * @property {string} address - The address of the account.
+ * @property {string} asset - The address of the token, or "native" for the blockchain's native token.
+ * @property {bigint} amount - The balance (in base unit).
+ */
+
+/**
+ * @typedef {Object} BlockchainError
+ * @property {string} blockchain - The name of the blockchain.
+ * @property {Error} error - The error that prevented processing the blockchain.
+ */
+
+/**
+ * @typedef {Object} Portfolio
+ * @property {PortfolioBalance[]} balances - The balances, grouped by blockchain, account and asset.
+ * @property {BlockchainError[]} errors - The errors, one per blockchain whose balances could not be fetched.
+ */
+
+/**
+ * Tells whether an account has been used (e.g., because it holds funds or has a transaction history).
+ *
+ * @typedef {(account: IWalletAccount, info: { blockchain: string, index: number }) => Promise<boolean>} ActivityChecker
+ */
+
+/**
+ * @typedef {Object} DiscoveryOptions
+ * @property {number} [gapLimit] - The number of consecutive unused accounts after which the discovery stops (default: 20).
+ * @property {ActivityChecker} [isActive] - The activity checker (default: checks if the account's native balance is positive).
+ */
+
+/**
+ * @typedef {Object} Discovery
+ * @property {DerivedAccount[]} accounts - The used accounts, grouped by blockchain and sorted by index.
+ * @property {BlockchainError[]} errors - The errors, one per blockchain whose accounts could not be discovered.
+ */
+
+/**
+ * @typedef {Object} ProtocolTypeOptions
+ * @property {string[]} [operations] - The names of the methods of the protocols that change the state of the blockchain (e.g.,
+ *   ["stake", "unstake"]). They run through the interceptors, the policies, the dry-run mode and the approval mode, like swaps.
+ *   If the protocols define a method named "quote" followed by the capitalized name of an operation (e.g., "quoteStake"), it is
+ *   used to quote the operation.
+ * @property {boolean} [override] - If true, replaces the protocol type already registered with the same name instead of throwing
+ *   an error (default: false). The built-in types cannot be replaced.
+ */
+
+/**
+ * @typedef {Object} RegisterOptions
+ * @property {boolean} [override] - If true, replaces the wallet or protocol already registered with the same key instead of throwing
+ *   an error (default: false).
+ * @property {string} [type] - The type of the protocol (e.g., "swap"). Required when registering a protocol through a factory, since
+ *   the type of the protocol cannot be known before its class is loaded.
+ * @property {typeof WalletAccountReadOnly} [readOnlyAccount] - The read-only account class of the wallet's blockchain (e.g.,
+ *   WalletAccountReadOnlyEvm). In watch-only mode, it lets the wallet manager class be registered as in the normal mode: accounts
+ *   are created from the read-only account class, and fee rates are read by the wallet manager. Ignored in the normal mode.
+ * @property {FailoverOptions} [failover] - How to switch between the providers of a wallet registered with a list of configs (see
+ *   {@link WDK#registerWallet}).
+ */
+
+/**
+ * An async function loading a class on demand, e.g. () => import('@tetherto/wdk-wallet-evm'). It can resolve to the class or to a
+ * module whose default export is the class.
+ *
+ * @template T
+ * @typedef {() => Promise<T | { default: T }>} ModuleFactory
+ */
+
+/**
+ * @typedef {Object} ProtocolInfo
+ * @property {string} type - The type of the protocol (e.g., "swap").
+ * @property {string} label - The label of the protocol.
+ */
+
+/**
+ * @typedef {Object} ProtocolDescriptor
+ * @property {string} type - The type of the protocol (e.g., "swap").
+ * @property {string} label - The label of the protocol.
+ * @property {string | undefined} name - The name of the protocol's class, or undefined if the protocol is registered through a
+ *   factory that has not been loaded yet.
+ */
+
+/**
+ * @typedef {ProtocolDescriptor & { scope: 'wdk' | 'account' }} AccountProtocolDescriptor
+ */
+
+/**
+ * The context of an operation going through the interceptors (see {@link WDK#registerInterceptor}).
+ *
+ * @typedef {Object} OperationContext
+ * @property {string} blockchain - The name of the blockchain.
+ * @property {IWalletAccountWithProtocols} account - The account performing the operation.
+ * @property {ProtocolInfo} [protocol] - The protocol performing the operation, if it is not performed by the account itself.
+ * @property {string} operation - The name of the operation (e.g., "transfer", "swap").
+ * @property {unknown[]} args - The arguments of the operation. Interceptors can replace them to modify the operation.
+ * @property {() => Promise<unknown>} quote - Quotes the costs of the operation with its current arguments (e.g., through
+ *   'quoteTransfer' for transfers). Resolves to undefined if the operation cannot be quoted.
+ */
+
+/**
+ * The result of an operation performed in dry-run mode. Besides the properties below, it contains the properties of the quote, so
+ * that it has the same shape as the result of the real operation (e.g., 'fee' for transfers).
+ *
+ * @typedef {Object} DryRunResult
+ * @property {string} hash - A synthetic, unique transaction hash.
+ * @property {true} dryRun - Always true. Tells simulated results apart from real ones.
+ * @property {unknown} quote - The quote of the operation.
+ */
+
+/**
+ * An interceptor wraps the operations of the accounts and their protocols. It can inspect or modify the operation's context before
+ * calling next, reject the operation by throwing an error, and inspect or post-process the result returned by next.
+ *
+ * @typedef {(context: OperationContext, next: () => Promise<unknown>) => Promise<unknown>} InterceptorFunction
+ */
+
+/**
+ * @typedef {Object} ProtocolRegisteredEvent
+ * @property {string} blockchain - The name of the blockchain.
+ * @property {string} label - The label of the protocol.
+ * @property {string} type - The type of the protocol (e.g., "swap").
+ * @property {IWalletAccountWithProtocols} [account] - If set, the protocol has only been registered for this account.
+ */
+
+/**
+ * @typedef {Object} AccountDerivedEvent
+ * @property {string} blockchain - The name of the blockchain.
+ * @property {number} index - The index of the account.
+ * @property {string} path - The derivation path of the account.
+ * @property {string} address - The address of the account.
+ */
+
+/**
+ * @typedef {Object} MiddlewareErrorEvent
+ * @property {string} blockchain - The name of the blockchain.
+ * @property {IWalletAccount} account - The account the middleware was called for.
+ * @property {Error} error - The error thrown by the middleware.
+ */
+
+/**
+ * The events emitted by WDK, mapped to the payload passed to their listeners.
+ *
+ * @typedef {{
+ *   'wallet:registered': { blockchain: string },
+ *   'wallet:unregistered': { blockchain: string },
+ *   'protocol:registered': ProtocolRegisteredEvent,
+ *   'protocol:unregistered': { blockchain: string, label: string },
+ *   'account:derived': AccountDerivedEvent,
+ *   'middleware:error': MiddlewareErrorEvent,
+ *   'transaction:sent': OperationContext & { result: unknown },
+ *   'transaction:failed': OperationContext & { error: Error },
+ *   'approval:requested': ApprovalRequest,
+ *   'operation:queued': QueuedOperation,
+ *   'provider:failed': ProviderFailedEvent,
+ *   'provider:changed': ProviderChangedEvent,
+ *   'journal:updated': JournalEntry,
+ *   'journal:error': { entry: JournalEntry, error: Error },
+ *   'listener:error': { event: string, error: Error },
+ *   'disposed': void
+ * }} WdkEventMap
+ */
+
+const DRY_RUN_HASH_PREFIX = 'dry-run-'
+
+const DEFAULT_GAP_LIMIT = 20
+
+async function hasBalance (account) {
+  const balance = await account.getBalance()
+
+  return BigInt(balance) > 0n
+}
+
+const ACCOUNT_OPERATIONS = ['sendTransaction', 'transfer']
+
+const BUILT_IN_PROTOCOL_TYPES = ['swap', 'bridge', 'lending']
+
+const PROTOCOL_TYPES = new Map([
+  ['swap', { BaseProtocol: SwapProtocol, operations: ['swap'] }],
+  ['bridge', { BaseProtocol: BridgeProtocol, operations: ['bridge'] }],
+  ['lending', { BaseProtocol: LendingProtocol, operations: ['supply', 'withdraw', 'borrow', 'repay'] }]
+])
+
+function getProtocolType (Protocol) {
+  for (const [type, { BaseProtocol }] of PROTOCOL_TYPES) {
+    if (Protocol?.prototype instanceof BaseProtocol) {
+      return type
+    }
+  }
+
+  return undefined
+}
+
+function getBaseProtocolNames () {
+  return [...PROTOCOL_TYPES.values()].map(({ BaseProtocol }) => BaseProtocol.name)
+}
+
+function isWalletManager (Wallet) {
+  return Wallet?.prototype instanceof WalletManager
+}
+
+function isWalletAccountReadOnly (Wallet) {
+  return Wallet?.prototype instanceof WalletAccountReadOnly
+}
+
+// Watch-only wdk instances take read-only account classes, or wallet managers along with the read-only account class to use.
+function isWalletClass (Wallet, { readOnlyAccount }, watchOnly) {
+  return watchOnly
+    ? isWalletAccountReadOnly(Wallet) || (isWalletManager(Wallet) && isWalletAccountReadOnly(readOnlyAccount))
+    : isWalletManager(Wallet)
+}
+
+const WATCH_ONLY = Symbol('watchOnly')
+
+async function load (factory) {
+  const module = await factory()
+
+  return module?.default ?? module
+}
+
+/**
+ * Runs the checks of {@link WDK#registerWallet} that do not depend on the wallets already registered.
+ *
+ * @param {string} blockchain - The name of the blockchain.
+ * @param {Function} WalletManager - The wallet manager class, or a factory loading it.
+ * @param {unknown} config - The configuration object, or a list of configuration objects.
+ * @param {RegisterOptions} [options] - The registration options.
+ * @param {boolean} [watchOnly] - Whether the wallet is registered to a watch-only wdk instance (default: false).
+ * @throws {InvalidWalletManagerError} If the wallet manager class does not extend WalletManager (or, for watch-only wdk instances,
+ *   if neither the class nor the read-only account class extend WalletAccountReadOnly).
+ * @throws {RangeError} If the list of configs is empty.
+ */
+export function checkWalletRegistration (blockchain, WalletManager, config, options = { }, watchOnly = false) {
+  if (!isFactory(WalletManager) && !isWalletClass(WalletManager, options, watchOnly)) {
+    throw new InvalidWalletManagerError(blockchain, watchOnly)
+  }
+
+  if (Array.isArray(config) && config.length === 0) {
+    throw new RangeError('The list of configs must not be empty.')
+  }
+}
+
+/**
+ * Returns the type a protocol is registered with by {@link WDK#registerProtocol}.
+ *
+ * @param {string} blockchain - The name of the blockchain.
+ * @param {string} label - The label.
+ * @param {Function} Protocol - The protocol class, or a factory loading it.
+ * @param {RegisterOptions} [options] - The registration options.
+ * @returns {string} The type of the protocol (e.g., "swap").
+ * @throws {InvalidProtocolError} If the protocol class does not extend the base class of a protocol type, or if a factory is given
+ *   without a known protocol type.
+ */
+export function getProtocolRegistrationType (blockchain, label, Protocol, options = { }) {
+  const type = isFactory(Protocol) ? options.type : getProtocolType(Protocol)
+
+  if (!PROTOCOL_TYPES.has(type)) {
+    throw new InvalidProtocolError(blockchain, label, getBaseProtocolNames())
+  }
+
+  return type
+}
+
+export default class WDK extends EventEmitter {
   /**
    * Creates a new wallet development kit instance.
    *
    * @param {string | Uint8Array} seed - The wallet's BIP-39 seed phrase.
-   * @throws {Error} If the seed is not valid.
+   * @param {WdkOptions} [options] - The wdk options.
+   * @throws {InvalidSeedError} If the seed is not valid.
    */
-  constructor (seed) {
-    if (!WDK.isValidSeed(seed)) {
-      throw new Error('Invalid seed.')
+  constructor (seed, options = { }) {
+    super()
+
+    const { valid, reason, word } = seed === WATCH_ONLY ? { valid: true } : validateSeed(seed)
+
+    if (!valid) {
+      throw new InvalidSeedError(reason, word)
     }
 
     /** @private */
-    this._seed = seed
+    this._watchOnly = seed === WATCH_ONLY
+
+    /** @private */
+    this._seed = this._watchOnly
+      ? undefined
+      : typeof seed === 'string' && options.passphrase ? seedPhraseToSeed(seed, options.passphrase) : seed
 
     /** @private */
     this._wallets = new Map()
 
     /** @private */
-    this._protocols = { swap: { }, bridge: { }, lending: { } }
+    this._walletRegistrations = new Map()
+
+    /** @private */
+    this._modules = { }
+
+    /** @private */
+    this._addresses = { }
+
+    /** @private */
+    this._protocols = { }
 
     /** @private */
     this._middlewares = { }
+
+    /** @private */
+    this._interceptors = { }
+
+    /** @private */
+    this._policies = new PolicyEngine(options.policyStore)
+
+    /** @private */
+    this._dryRun = options.dryRun ?? false
+
+    /** @private */
+    this._dryRunNonce = 0
+
+    /** @private */
+    this._planner = new MovePlanner(this)
+
+    /** @private */
+    this._approvals = options.approval
+      ? new ApprovalQueue(options.approval, (request) => this._notify('approval:requested', request))
+      : undefined
+
+    /** @private */
+    this._sendQueue = options.sendQueue
+      ? new SendQueue((operation) => this._notify('operation:queued', operation))
+      : undefined
+
+    /** @private */
+    this._journal = options.journal
+      ? new Journal(options.journal, {
+        getAccount: (blockchain, path) => this._getJournalAccount(blockchain, path),
+        onUpdate: (entry) => this._notify('journal:updated', entry),
+        onError: (error, entry) => this._notify('journal:error', { entry, error })
+      })
+      : undefined
+
+    this._journal?.start()
+
+    /** @private */
+    this._accounts = { }
+
+    /** @private */
+    this._disposed = false
   }
 
   /**
    * Returns a random BIP-39 seed phrase.
    *
+   * @param {SeedPhraseOptions} [options] - The seed phrase options.
    * @returns {string} The seed phrase.
+   * @throws {RangeError} If the number of words is not 12, 15, 18, 21 or 24.
    */
-  static getRandomSeedPhrase () {
-    return WalletManager.getRandomSeedPhrase()
+  static getRandomSeedPhrase (options = { }) {
+    return generateSeedPhrase(options)
   }
 
   /**
-   * Checks if a seed is valid.
+   * Checks if a seed is valid. Use {@link WDK.validateSeed} to know why a seed is not valid.
    *
    * @param {string | Uint8Array} seed - The seed.
    * @returns {boolean} True if the seed is valid.
    */
   static isValidSeed (seed) {
-    if (seed instanceof Uint8Array) {
-      return seed.length >= 16 && seed.length <= 64
-    }
-
-    return WalletManager.isValidSeedPhrase(seed)
+    return validateSeed(seed).valid
   }
 
   /**
-   * Registers a new wallet to WDK.
+   * Checks if a seed is valid and, if not, tells why (e.g., the seed phrase contains an unknown word or has a wrong checksum).
    *
-   * @template {typeof WalletManager} W
-   * @param {string} blockchain - The name of the blockchain the wallet must be bound to. Can be any string (e.g., "ethereum").
-   * @param {W} WalletManager - The wallet manager class.
-   * @param {ConstructorParameters<W>[1]} config - The configuration object.
-   * @returns {WDK} The wdk instance.
+   * @param {string | Uint8Array} seed - The seed.
+   * @returns {SeedValidation} The result of the check.
    */
-  registerWallet (blockchain, WalletManager, config) {
-    const wallet = new WalletManager(this._seed, config)
-
-    this._wallets.set(blockchain, wallet)
+  static validateSeed (seed) {
+    return validateSeed(seed)
+  }
 
-    return this
+  /**
+   * Derives the seed of a BIP-39 seed phrase protected by a passphrase. The seed can be passed to the constructor in place of the
+   * seed phrase.
+   *
+   * @param {string} seedPhrase - The seed phrase.
+   * @param {string} [passphrase] - The BIP-39 passphrase (the "25th word").
+   * @returns {Uint8Array} The seed.
+   * @throws {InvalidSeedError} If the seed phrase is not valid.
+   */
+  static seedPhraseToSeed (seedPhrase, passphrase = '') {
+    return seedPhraseToSeed(seedPhrase, passphrase)
   }
 
   /**
-   * Registers a new protocol to WDK.
+   * Creates a new wallet development kit instance in watch-only mode, which holds no seed and no keys.
    *
-   * The label must be unique in the scope of the blockchain and the type of protocol (i.e., there can't be two protocols of the
-   * same type bound to the same blockchain with the same label).
+   * Wallets are registered with the read-only account classes of the blockchains (e.g., WalletAccountReadOnlyEvm), given either
+   * through the 'readOnlyAccount' option or instead of their wallet managers, while protocols are registered as usual. The account
+   * with index i of a blockchain is bound to its i-th address. Accounts can read balances and quote operations, but any operation
+   * that needs to sign (e.g., transfer, swap) throws a {@link WatchOnlyError}.
    *
-   * @see {@link IWalletAccountWithProtocols#registerProtocol} to register protocols only for specific accounts.
-   * @template {typeof SwapProtocol | typeof BridgeProtocol | typeof LendingProtocol} P
-   * @param {string} blockchain - The name of the blockchain the protocol must be bound to. Can be any string (e.g., "ethereum").
-   * @param {string} label - The label.
-   * @param {P} Protocol - The protocol class.
-   * @param {ConstructorParameters<P>[1]} config - The protocol configuration.
+   * @param {Record<string, string[]>} addresses - The watched addresses, by blockchain (e.g., { ethereum: ["0x..."] }).
+   * @param {WdkOptions} [options] - The wdk options.
    * @returns {WDK} The wdk instance.
    */
-  registerProtocol (blockchain, label, Protocol, config) {
-    if (Protocol.prototype instanceof SwapProtocol) {
-      this._protocols.swap[blockchain] ??= { }
-
-      this._protocols.swap[blockchain][label] = { Protocol, config }
-    } else if (Protocol.prototype instanceof BridgeProtocol) {
-      this._protocols.bridge[blockchain] ??= { }
+  static watchOnly (addresses, options = { }) {
+    const wdk = new WDK(WATCH_ONLY, options)
 
-      this._protocols.bridge[blockchain][label] = { Protocol, config }
-    } else if (Protocol.prototype instanceof LendingProtocol) {
-      this._protocols.lending[blockchain] ??= { }
-
-      this._protocols.lending[blockchain][label] = { Protocol, config }
-    }
+    wdk._addresses = Object.fromEntries(Object.entries(addresses).map(([blockchain, list]) => [blockchain, [...list]]))
 
-    return this
+    return wdk
   }
 
   /**
-   * Registers a new middleware to WDK.
+   * Encrypts a seed with a passphrase, so that it can be stored at rest (see {@link WDK.fromVault}).
    *
-   * It's possible to register multiple middlewares for the same blockchain, which will be called sequentially.
+   * The passphrase is stretched with scrypt, a memory-hard key derivation function, and the seed is encrypted with
+   * XChaCha20-Poly1305, an authenticated cipher. The vault is a versioned json document.
    *
-   * @param {string} blockchain - The name of the blockchain the middleware must be bound to. Can be any string (e.g., "ethereum").
-   * @param {MiddlewareFunction} middleware - A callback function that is called each time the user derives a new account.
-   * @returns {WDK} The wdk instance.
+   * @param {string | Uint8Array} seed - The wallet's BIP-39 seed phrase.
+   * @param {string} passphrase - The passphrase.
+   * @param {VaultOptions} [options] - The vault options.
+   * @returns {Promise<string>} The vault.
+   * @throws {InvalidSeedError} If the seed is not valid.
+   * @throws {RangeError} If the scrypt parameters are out of the bounds that vaults can be opened with.
    */
-  registerMiddleware (blockchain, middleware) {
-    this._middlewares[blockchain] ??= []
+  static async createVault (seed, passphrase, options = { }) {
+    const { valid, reason, word } = validateSeed(seed)
 
-    this._middlewares[blockchain].push(middleware)
+    if (!valid) {
+      throw new InvalidSeedError(reason, word)
+    }
 
-    return this
+    return await createVault(seed, passphrase, options)
   }
 
   /**
-   * Returns the wallet account for a specific blockchain and index (see BIP-44).
+   * Creates a new wallet development kit instance from the seed stored in a vault (see {@link WDK.createVault}).
    *
-   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
-   * @param {number} [index] - The index of the account to get (default: 0).
-   * @returns {Promise<IWalletAccountWithProtocols>} The account.
-   * @throws {Error} If no wallet has been registered for the given blockchain.
+   * @param {string} vault - The vault.
+   * @param {string} passphrase - The passphrase.
+   * @param {WdkOptions} [options] - The wdk options.
+   * @returns {Promise<WDK>} The wdk instance.
+   * @throws {InvalidVaultError} If the vault is malformed or has been created by an unsupported version.
+   * @throws {WrongPassphraseError} If the passphrase is wrong or the vault has been tampered with.
    */
-  async getAccount (blockchain, index = 0) {
-    if (!this._wallets.has(blockchain)) {
-      throw new Error(`No wallet registered for blockchain: ${blockchain}.`)
-    }
-
-    const wallet = this._wallets.get(blockchain)
-
-    const account = await wallet.getAccount(index)
-
-    await this._runMiddlewares(account, { blockchain })
+  static async fromVault (vault, passphrase, options = { }) {
+    const seed = await openVault(vault, passphrase)
 
-    this._registerProtocols(account, { blockchain })
+    return new WDK(seed, options)
+  }
 
-    return account
+  /**
+   * Encrypts the seed stored in a vault with a new passphrase.
+   *
+   * @param {string} vault - The vault.
+   * @param {string} passphrase - The current passphrase.
+   * @param {string} newPassphrase - The new passphrase.
+   * @param {VaultOptions} [options] - The options of the new vault (default: the parameters of the current vault).
+   * @returns {Promise<string>} The new vault.
+   * @throws {InvalidVaultError} If the vault is malformed or has been created by an unsupported version.
+   * @throws {WrongPassphraseError} If the current passphrase is wrong or the vault has been tampered with.
+   */
+  static async changeVaultPassphrase (vault, passphrase, newPassphrase, options = { }) {
+    return await changeVaultPassphrase(vault, passphrase, newPassphrase, options)
   }
 
   /**
-   * Returns the wallet account for a specific blockchain and BIP-44 derivation path.
+   * Creates a new wallet development kit instance and registers the wallets and protocols described by a config.
    *
-   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
-   * @param {string} path - The derivation path (e.g., "0'/0/0").
-   * @returns {Promise<IWalletAccountWithProtocols>} The account.
-   * @throws {Error} If no wallet has been registered for the given blockchain.
+   * Configs are serializable, so they can be kept in files and vary with the environment (e.g., mainnet and testnet), while the
+   * classes they refer to are passed in a module map. The config is validated before any registration happens.
+   *
+   * @param {string | Uint8Array} seed - The wallet's BIP-39 seed phrase.
+   * @param {WdkConfig} config - The config.
+   * @param {ModuleMap} modules - The classes the config refers to, by identifier.
+   * @param {WdkOptions} [options] - The wdk options.
+   * @returns {WDK} The wdk instance.
+   * @throws {InvalidSeedError} If the seed is not valid.
+   * @throws {InvalidConfigError} If the config does not match the schema, or refers to modules missing from the module map or of the
+   *   wrong kind.
    */
-  async getAccountByPath (blockchain, path) {
-    if (!this._wallets.has(blockchain)) {
-      throw new Error(`No wallet registered for blockchain: ${blockchain}.`)
+  static fromConfig (seed, config, modules, options = { }) {
+    const issues = validateConfig(config, modules, PROTOCOL_TYPES)
+
+    if (issues.length > 0) {
+      throw new InvalidConfigError(issues)
     }
 
-    const wallet = this._wallets.get(blockchain)
+    const wdk = new WDK(seed, options)
 
-    const account = await wallet.getAccountByPath(path)
+    wdk._modules = modules ?? { }
 
-    await this._runMiddlewares(account, { blockchain })
+    try {
+      for (const [blockchain, { wallet, protocols = [] }] of Object.entries(config.blockchains)) {
+        if (wallet) {
+          const { module, config, readOnlyAccount, failover } = wallet
 
-    this._registerProtocols(account, { blockchain })
+          wdk.registerWallet(blockchain, modules[module], config, { readOnlyAccount: modules[readOnlyAccount], failover })
+        }
 
-    return account
+        for (const { label, type, module, config } of protocols) {
+          wdk.registerProtocol(blockchain, label, modules[module], config, { type })
+        }
+      }
+    } catch (error) {
+      wdk.dispose()
+
+      throw error
+    }
+
+    return wdk
   }
 
   /**
-   * Returns the current fee rates for a specific blockchain.
+   * Checks a config against the schema expected by {@link WDK.fromConfig}.
    *
-   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
-   * @returns {Promise<FeeRates>} The fee rates (in base unit).
-   * @throws {Error} If no wallet has been registered for the given blockchain.
+   * @param {unknown} config - The config.
+   * @param {ModuleMap} modules - The classes the config refers to, by identifier.
+   * @returns {ConfigIssue[]} The issues found, each with the path of the invalid value. Empty if the config is valid.
    */
-  async getFeeRates (blockchain) {
-    if (!this._wallets.has(blockchain)) {
-      throw new Error(`No wallet registered for blockchain: ${blockchain}.`)
-    }
-
-    const wallet = this._wallets.get(blockchain)
-
-    const feeRates = await wallet.getFeeRates()
-
-    return feeRates
+  static validateConfig (config, modules) {
+    return validateConfig(config, modules, PROTOCOL_TYPES)
   }
 
   /**
-   * Disposes and unregisters all the wallets, erasing any sensitive data from the memory.
+   * Registers a new type of protocol (e.g., "staking"), in addition to the built-in swap, bridge and lending types.
+   *
+   * Protocols extending the base class of the type can then be registered to WDK and to accounts, and retrieved with
+   * {@link IWalletAccountWithProtocols#getProtocol}. Protocol types are shared by all the wdk instances.
+   *
+   * @param {string} type - The name of the type (e.g., "staking").
+   * @param {Function} BaseProtocol - The base class of the protocols of this type.
+   * @param {ProtocolTypeOptions} [options] - The protocol type's options.
+   * @throws {InvalidProtocolTypeError} If the base class is not a class (e.g., an arrow or async function).
+   * @throws {ProtocolTypeAlreadyRegisteredError} If the type is built-in, or if it has already been registered and the override
+   *   option is not set.
    */
-  dispose () {
-    for (const [, wallet] of this._wallets) {
-      wallet.dispose()
+  static registerProtocolType (type, BaseProtocol, options = { }) {
+    // Protocols are matched to their type with instanceof, which throws for functions without a prototype.
+    if (typeof BaseProtocol !== 'function' || typeof BaseProtocol.prototype !== 'object') {
+      throw new InvalidProtocolTypeError(type)
     }
 
-    this._wallets.clear()
+    // The built-in types cannot be overridden: the accounts' getSwapProtocol, getBridgeProtocol and getLendingProtocol methods
+    // return protocols implementing their base classes.
+    if (BUILT_IN_PROTOCOL_TYPES.includes(type) || (PROTOCOL_TYPES.has(type) && !options.override)) {
+      throw new ProtocolTypeAlreadyRegisteredError(type)
+    }
+
+    PROTOCOL_TYPES.set(type, { BaseProtocol, operations: [...(options.operations ?? [])] })
   }
 
-  /** @private */
-  async _runMiddlewares (account, { blockchain }) {
-    if (this._middlewares[blockchain]) {
-      for (const middleware of this._middlewares[blockchain]) {
-        await middleware(account)
-      }
-    }
+  /**
+   * Returns the names of the registered protocol types, starting with the built-in ones (i.e., "swap", "bridge" and "lending").
+   *
+   * @returns {string[]} The protocol types.
+   */
+  static getProtocolTypes () {
+    return [...PROTOCOL_TYPES.keys()]
   }
 
-  /** @private */
-  _registerProtocols (account, { blockchain }) {
-    const protocols = { swap: { }, bridge: { }, lending: { } }
-
-    account.registerProtocol = (label, Protocol, config) => {
-      if (Protocol.prototype instanceof SwapProtocol) {
-        protocols.swap[label] = new Protocol(account, config)
-      } else if (Protocol.prototype instanceof BridgeProtocol) {
-        protocols.bridge[label] = new Protocol(account, config)
-      } else if (Protocol.prototype instanceof LendingProtocol) {
-        protocols.lending[label] = new Protocol(account, config)
-      }
+  /**
+   * Registers a new wallet to WDK.
+   *
+   * Only one wallet can be bound to a blockchain. To replace it, pass the override option: the previous wallet manager gets disposed
+   * (see {@link WDK#unregisterWallet}).
+   *
+   * In watch-only mode (see {@link WDK.watchOnly}), the wallet manager class must be registered with the read-only account class of
+   * the blockchain (see {@link RegisterOptions}), or the read-only account class can be given instead of the wallet manager class.
+   *
+   * The wallet manager class can also be given as a factory (e.g., () => import('@tetherto/wdk-wallet-evm')), so that its module is
+   * only loaded the first time the wallet is used, and then cached. If the factory fails, the error is reported by the method using
+   * the wallet as a {@link ModuleLoadError}, and the factory is called again the next time.
+   *
+   * To fail over between several providers, give an ordered list of configs instead of a single config: one wallet manager is
+   * created per config, and the first one is used until its provider fails. Read calls (e.g., 'getBalance', 'quoteTransfer',
+   * 'getFeeRates') that fail are retried against the next provider with backoff, while the other calls (e.g., 'sendTransaction')
+   * are never retried, so that transactions are not broadcast twice: they fail, and the next calls use the next provider.
+   *
+   * @template {typeof WalletManager | typeof WalletAccountReadOnly} W
+   * @param {string} blockchain - The name of the blockchain the wallet must be bound to. Can be any string (e.g., "ethereum").
+   * @param {W | ModuleFactory<W>} WalletManager - The wallet manager class (or the read-only account class, in watch-only mode), or a
+   *   factory loading it.
+   * @param {ConstructorParameters<W>[1] | ConstructorParameters<W>[1][]} config - The configuration object, or a list of configuration
+   *   objects in order of preference.
+   * @param {RegisterOptions} [options] - The registration options.
+   * @returns {WDK} The wdk instance.
+   * @throws {InvalidWalletManagerError} If the wallet manager class does not extend WalletManager. For factories, this error is
+   *   thrown when the class is loaded.
+   * @throws {WalletAlreadyRegisteredError} If a wallet has already been registered for the given blockchain and the override option
+   *   is not set.
+   * @throws {RangeError} If the list of configs is empty.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  registerWallet (blockchain, WalletManager, config, options = { }) {
+    this._assertNotDisposed()
 
-      return account
+    checkWalletRegistration(blockchain, WalletManager, config, options, this._watchOnly)
+
+    if (this._walletRegistrations.has(blockchain) && !options.override) {
+      throw new WalletAlreadyRegisteredError(blockchain)
     }
 
-    account.getSwapProtocol = (label) => {
-      if (this._protocols.swap[blockchain]?.[label]) {
-        const { Protocol, config } = this._protocols.swap[blockchain][label]
+    const factory = isFactory(WalletManager) ? WalletManager : undefined
 
-        const protocol = new Protocol(account, config)
+    const wallet = factory ? undefined : this._createWallet(blockchain, WalletManager, config, options)
 
-        return protocol
-      }
+    if (this._walletRegistrations.has(blockchain)) {
+      this._wallets.get(blockchain)?.dispose()
 
-      if (protocols.swap[label]) {
-        return protocols.swap[label]
-      }
+      this._wallets.delete(blockchain)
 
-      throw new Error(`No swap protocol registered for label: ${label}.`)
+      delete this._accounts[blockchain]
     }
 
-    account.getBridgeProtocol = (label) => {
-      if (this._protocols.bridge[blockchain]?.[label]) {
-        const { Protocol, config } = this._protocols.bridge[blockchain][label]
+    if (wallet) {
+      this._wallets.set(blockchain, wallet)
+    }
 
-        const protocol = new Protocol(account, config)
+    this._walletRegistrations.set(blockchain, factory ? { factory, config, options } : { Wallet: WalletManager, config, options })
 
-        return protocol
-      }
+    this._notify('wallet:registered', { blockchain })
 
-      if (protocols.bridge[label]) {
-        return protocols.bridge[label]
-      }
+    return this
+  }
+
+  /**
+   * Unregisters the wallet bound to a blockchain and disposes its wallet manager.
+   *
+   * Only the given blockchain's wallet manager is disposed: the accounts previously derived from it get their private keys erased
+   * from the memory and can no longer sign, while the wallets of the other blockchains are left untouched. Protocols and
+   * middlewares registered for the blockchain are kept, so that they apply to a wallet registered again later.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @returns {WDK} The wdk instance.
+   * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  unregisterWallet (blockchain) {
+    this._assertNotDisposed()
 
-      throw new Error(`No bridge protocol registered for label: ${label}.`)
+    if (!this._walletRegistrations.has(blockchain)) {
+      throw new WalletNotRegisteredError(blockchain)
     }
 
-    account.getLendingProtocol = (label) => {
-      if (this._protocols.lending[blockchain]?.[label]) {
-        const { Protocol, config } = this._protocols.lending[blockchain][label]
+    this._wallets.get(blockchain)?.dispose()
 
-        const protocol = new Protocol(account, config)
+    this._wallets.delete(blockchain)
 
-        return protocol
-      }
+    this._walletRegistrations.delete(blockchain)
 
-      if (protocols.lending[label]) {
-        return protocols.lending[label]
-      }
+    delete this._accounts[blockchain]
 
-      throw new Error(`No lending protocol registered for label: ${label}.`)
-    }
+    this._notify('wallet:unregistered', { blockchain })
+
+    return this
+  }
+
+  /**
+   * Registers a new protocol to WDK.
+   *
+   * The label must be unique in the scope of the blockchain and the type of protocol (i.e., there can't be two protocols of the
+   * same type bound to the same blockchain with the same label), unless the override option is set to replace the existing one.
+   *
+   * Each account creates its own instance of the protocol the first time it is requested, and reuses it afterwards. Protocols
+   * registered directly on an account take precedence over the ones registered to WDK with the same type and label.
+   *
+   * The protocol class can also be given as a factory, together with the type option. The factory is called the next time an
+   * account of the blockchain is requested (see {@link WDK#getAccount}), or when quotes are compared. If it fails, or if the class
+   * does not extend the base class of the type, the account's getters throw the error for this protocol only.
+   *
+   * @see {@link IWalletAccountWithProtocols#registerProtocol} to register protocols only for specific accounts.
+   * @template {typeof SwapProtocol | typeof BridgeProtocol | typeof LendingProtocol | (new (account: any, config: any) => object)} P
+   * @param {string} blockchain - The name of the blockchain the protocol must be bound to. Can be any string (e.g., "ethereum").
+   * @param {string} label - The label.
+   * @param {P | ModuleFactory<P>} Protocol - The protocol class, or a factory loading it.
+   * @param {ConstructorParameters<P>[1]} config - The protocol configuration.
+   * @param {RegisterOptions} [options] - The registration options.
+   * @returns {WDK} The wdk instance.
+   * @throws {InvalidProtocolError} If the protocol class does not extend the base class of a registered protocol type (e.g.,
+   *   SwapProtocol), or if a factory is given without a registered protocol type.
+   * @throws {ProtocolAlreadyRegisteredError} If a protocol of the same type has already been registered for the given blockchain
+   *   and label and the override option is not set.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  registerProtocol (blockchain, label, Protocol, config, options = { }) {
+    this._assertNotDisposed()
+
+    const factory = isFactory(Protocol) ? Protocol : undefined
+
+    const type = getProtocolRegistrationType(blockchain, label, Protocol, options)
+
+    if (this._protocols[type]?.[blockchain]?.[label] && !options.override) {
+      throw new ProtocolAlreadyRegisteredError(blockchain, label, type)
+    }
+
+    this._protocols[type] ??= { }
+
+    this._protocols[type][blockchain] ??= { }
+
+    this._protocols[type][blockchain][label] = factory ? { factory, config } : { Protocol, config }
+
+    this._notify('protocol:registered', { blockchain, label, type })
+
+    return this
+  }
+
+  /**
+   * Unregisters the protocols bound to a blockchain with the given label, whatever their type.
+   *
+   * Accounts look up the protocols registered to WDK each time one of their getters is called, so accounts derived before this
+   * call will throw when asked for the removed protocol, and the protocol instances they created are dropped. Protocols registered
+   * directly on an account are not affected.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {string} label - The label.
+   * @returns {WDK} The wdk instance.
+   * @throws {ProtocolNotRegisteredError} If no protocol has been registered for the given blockchain and label.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  unregisterProtocol (blockchain, label) {
+    this._assertNotDisposed()
+
+    let found = false
+
+    for (const protocols of Object.values(this._protocols)) {
+      if (protocols[blockchain]?.[label]) {
+        delete protocols[blockchain][label]
+
+        found = true
+      }
+    }
+
+    if (!found) {
+      throw new ProtocolNotRegisteredError(blockchain, label)
+    }
+
+    this._notify('protocol:unregistered', { blockchain, label })
+
+    return this
+  }
+
+  /**
+   * Registers a new middleware to WDK.
+   *
+   * It's possible to register multiple middlewares for the same blockchain, which will be called sequentially.
+   *
+   * @param {string} blockchain - The name of the blockchain the middleware must be bound to. Can be any string (e.g., "ethereum").
+   * @param {MiddlewareFunction} middleware - A callback function that is called each time the user derives a new account.
+   * @returns {WDK} The wdk instance.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  registerMiddleware (blockchain, middleware) {
+    this._assertNotDisposed()
+
+    this._middlewares[blockchain] ??= []
+
+    this._middlewares[blockchain].push(middleware)
+
+    return this
+  }
+
+  /**
+   * Unregisters a middleware previously registered for a blockchain.
+   *
+   * The middleware will not be called for accounts derived after this call.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {MiddlewareFunction} middleware - The middleware to unregister.
+   * @returns {WDK} The wdk instance.
+   * @throws {MiddlewareNotRegisteredError} If the middleware has not been registered for the given blockchain.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  unregisterMiddleware (blockchain, middleware) {
+    this._assertNotDisposed()
+
+    const index = this._middlewares[blockchain]?.indexOf(middleware) ?? -1
+
+    if (index === -1) {
+      throw new MiddlewareNotRegisteredError(blockchain)
+    }
+
+    this._middlewares[blockchain].splice(index, 1)
+
+    return this
+  }
+
+  /**
+   * Registers a new interceptor to WDK.
+   *
+   * Interceptors run around each state-changing operation performed by the accounts of the blockchain and by their protocols:
+   * 'sendTransaction' and 'transfer' for accounts, 'swap' for swap protocols, 'bridge' for bridge protocols, and 'supply',
+   * 'withdraw', 'borrow' and 'repay' for lending protocols. It's possible to register multiple interceptors for the same
+   * blockchain: each one wraps the ones registered after it. Accounts already derived are affected too.
+   *
+   * @param {string} blockchain - The name of the blockchain the interceptor must be bound to. Can be any string (e.g., "ethereum").
+   * @param {InterceptorFunction} interceptor - The interceptor. It must call next at most once.
+   * @returns {WDK} The wdk instance.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  registerInterceptor (blockchain, interceptor) {
+    this._assertNotDisposed()
+
+    this._interceptors[blockchain] ??= []
+
+    this._interceptors[blockchain].push(interceptor)
+
+    return this
+  }
+
+  /**
+   * Unregisters an interceptor previously registered for a blockchain.
+   *
+   * Operations already in progress are not affected.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {InterceptorFunction} interceptor - The interceptor to unregister.
+   * @returns {WDK} The wdk instance.
+   * @throws {InterceptorNotRegisteredError} If the interceptor has not been registered for the given blockchain.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  unregisterInterceptor (blockchain, interceptor) {
+    this._assertNotDisposed()
+
+    const index = this._interceptors[blockchain]?.indexOf(interceptor) ?? -1
+
+    if (index === -1) {
+      throw new InterceptorNotRegisteredError(blockchain)
+    }
+
+    this._interceptors[blockchain].splice(index, 1)
+
+    return this
+  }
+
+  /**
+   * Registers a new spending policy to WDK.
+   *
+   * Policies are checked before each state-changing operation performed by the accounts of the blockchain and by their protocols
+   * (see {@link WDK#registerInterceptor}), after the interceptors. Operations violating a policy are rejected with a
+   * {@link PolicyViolationError}. It's possible to register multiple policies for the same blockchain: an operation must satisfy all
+   * of them.
+   *
+   * @param {string} blockchain - The name of the blockchain the policy must be bound to. Can be any string (e.g., "ethereum").
+   * @param {Policy} policy - The policy.
+   * @returns {WDK} The wdk instance.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  registerPolicy (blockchain, policy) {
+    this._assertNotDisposed()
+
+    this._policies.register(blockchain, policy)
+
+    return this
+  }
+
+  /**
+   * Unregisters a policy previously registered for a blockchain.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {Policy} policy - The policy to unregister.
+   * @returns {WDK} The wdk instance.
+   * @throws {PolicyNotRegisteredError} If the policy has not been registered for the given blockchain.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  unregisterPolicy (blockchain, policy) {
+    this._assertNotDisposed()
+
+    if (!this._policies.unregister(blockchain, policy)) {
+      throw new PolicyNotRegisteredError(blockchain)
+    }
+
+    return this
+  }
+
+  /**
+   * Plans the move of tokens from a blockchain to another, combining the registered swap and bridge protocols.
+   *
+   * The candidate routes swap the source token to a bridgeable token, bridge it, then swap it to the destination token (swaps are
+   * left out when not needed). Each step is quoted with the amount delivered by the previous one, and the routes are ranked by
+   * the amount they deliver. Moves between two tokens of the same blockchain are planned as a single swap.
+   *
+   * @param {MoveIntent} intent - The move intent.
+   * @param {MoveOptions} [options] - The move options.
+   * @returns {Promise<MovePlan>} The plan. Its routes are empty if no route could be quoted.
+   * @throws {WalletNotRegisteredError} If no wallet has been registered for the source or the destination blockchain.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  async planMove (intent, options = { }) {
+    this._assertNotDisposed()
+
+    return await this._planner.plan(intent, options)
+  }
+
+  /**
+   * Executes the steps of a route returned by {@link WDK#planMove}, one at a time. Each step moves the amount actually delivered
+   * by the previous one.
+   *
+   * If a step fails, a {@link MoveFailedError} is thrown with the progress made so far: pass it back in the options to resume the
+   * move from the failed step (e.g., once the bridged funds have arrived).
+   *
+   * @param {MoveRoute} route - The route.
+   * @param {ExecuteMoveOptions} [options] - The execution options.
+   * @returns {Promise<MoveProgress>} The final progress, with the results of all the steps.
+   * @throws {MoveFailedError} If a step fails.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  async executeMove (route, options = { }) {
+    this._assertNotDisposed()
+
+    return await this._planner.execute(route, options)
+  }
+
+  /**
+   * Encrypts the seed of this wdk instance with a passphrase (see {@link WDK.createVault}).
+   *
+   * @param {string} passphrase - The passphrase.
+   * @param {VaultOptions} [options] - The vault options.
+   * @returns {Promise<string>} The vault.
+   * @throws {RangeError} If the scrypt parameters are out of the bounds that vaults can be opened with.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  async toVault (passphrase, options = { }) {
+    this._assertNotDisposed()
+
+    if (this._watchOnly) {
+      throw new WatchOnlyError('toVault')
+    }
+
+    return await createVault(this._seed, passphrase, options)
+  }
+
+  /**
+   * Exports the wallets and protocols registered to WDK as a config that {@link WDK.fromConfig} accepts. The seed is never part of
+   * the config, while the wallet and protocol configurations are exported as they were registered, with the wallets' readOnlyAccount
+   * and failover options.
+   *
+   * @param {ModuleMap} [modules] - The module map giving the identifiers of the classes (default: the module map passed to
+   *   {@link WDK.fromConfig}). Classes missing from the module map are identified by their name.
+   * @returns {WdkConfig} The config.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  toConfig (modules = this._modules) {
+    this._assertNotDisposed()
+
+    const blockchains = { }
+
+    for (const [blockchain, { Wallet, factory, config, options }] of this._walletRegistrations) {
+      const { readOnlyAccount, failover } = options
+
+      blockchains[blockchain] = {
+        wallet: {
+          module: getModuleId(factory ?? Wallet, modules),
+          config,
+          ...(readOnlyAccount && { readOnlyAccount: getModuleId(readOnlyAccount, modules) }),
+          ...(failover && { failover })
+        }
+      }
+    }
+
+    for (const type of PROTOCOL_TYPES.keys()) {
+      for (const [blockchain, registrations] of Object.entries(this._protocols[type] ?? { })) {
+        for (const [label, { Protocol, factory, config }] of Object.entries(registrations)) {
+          blockchains[blockchain] ??= { }
+
+          blockchains[blockchain].protocols ??= []
+
+          blockchains[blockchain].protocols.push({ label, type, module: getModuleId(factory ?? Protocol, modules), config })
+        }
+      }
+    }
+
+    return { blockchains }
+  }
+
+  /**
+   * Returns the names of the blockchains a wallet has been registered for, in registration order.
+   *
+   * @returns {string[]} The names of the blockchains.
+   */
+  getRegisteredBlockchains () {
+    return [...this._walletRegistrations.keys()]
+  }
+
+  /**
+   * Checks whether WDK runs in watch-only mode (see {@link WDK.watchOnly}).
+   *
+   * @returns {boolean} True if WDK runs in watch-only mode.
+   */
+  isWatchOnly () {
+    return this._watchOnly
+  }
+
+  /**
+   * Checks whether a wallet has been registered for a blockchain.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @returns {boolean} True if a wallet has been registered for the blockchain.
+   */
+  hasWallet (blockchain) {
+    return this._walletRegistrations.has(blockchain)
+  }
+
+  /**
+   * Returns the status of the providers of a blockchain, in order of preference. Wallets registered with a single config have a
+   * single provider, which is always active and healthy. Providers are healthy until a call or a health check fails.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @returns {ProviderStatus[]} The status of the providers.
+   * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+   */
+  getProviders (blockchain) {
+    const registration = this._walletRegistrations.get(blockchain)
+
+    if (!registration) {
+      throw new WalletNotRegisteredError(blockchain)
+    }
+
+    const wallet = this._wallets.get(blockchain)
+
+    if (wallet instanceof FailoverWallet) {
+      return wallet.getProviders()
+    }
+
+    const count = Array.isArray(registration.config) ? registration.config.length : 1
+
+    return [...Array(count).keys()].map(index => ({ index, active: index === 0, healthy: true }))
+  }
+
+  /**
+   * Checks the health of the providers of a blockchain (see {@link FailoverOptions}), then switches to the first healthy provider,
+   * in order of preference. Wallets registered with a single config are not checked.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @returns {Promise<ProviderStatus[]>} The status of the providers.
+   * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  async checkProviders (blockchain) {
+    this._assertNotDisposed()
+
+    const wallet = await this._getWallet(blockchain)
+
+    if (wallet instanceof FailoverWallet) {
+      return await wallet.checkHealth()
+    }
+
+    return this.getProviders(blockchain)
+  }
+
+  /**
+   * Returns the protocols registered to WDK for a blockchain. Protocols registered directly on an account are not included (see
+   * {@link IWalletAccountWithProtocols#listProtocols}).
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {string} [type] - If set, only returns the protocols of the given type (e.g., "swap").
+   * @returns {ProtocolDescriptor[]} The protocols, grouped by type.
+   */
+  listProtocols (blockchain, type) {
+    const types = type ? [type] : [...PROTOCOL_TYPES.keys()]
+
+    return types.flatMap(type => {
+      const registrations = Object.entries(this._protocols[type]?.[blockchain] ?? { })
+
+      return registrations.map(([label, { Protocol }]) => ({ type, label, name: Protocol?.name }))
+    })
+  }
+
+  /**
+   * Checks whether a protocol has been registered to WDK for a blockchain and label.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {string} label - The label.
+   * @param {string} [type] - If set, only checks the protocols of the given type (e.g., "swap").
+   * @returns {boolean} True if the protocol has been registered.
+   */
+  hasProtocol (blockchain, label, type) {
+    return this.listProtocols(blockchain, type).some(protocol => protocol.label === label)
+  }
+
+  /**
+   * Returns the operations waiting for approval, from the oldest to the newest. Always empty if WDK is not in approval mode.
+   *
+   * @returns {ApprovalRequest[]} The pending approval requests.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  getPendingApprovals () {
+    this._assertNotDisposed()
+
+    return this._approvals?.getPending() ?? []
+  }
+
+  /**
+   * Approves a pending operation, which then gets broadcast.
+   *
+   * @param {string} id - The identifier of the approval request.
+   * @returns {WDK} The wdk instance.
+   * @throws {ApprovalNotFoundError} If there is no pending approval request with the given identifier.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  approve (id) {
+    this._getApprovals(id).approve(id)
+
+    return this
+  }
+
+  /**
+   * Rejects a pending operation, which then fails with an {@link ApprovalRejectedError}.
+   *
+   * @param {string} id - The identifier of the approval request.
+   * @param {string} [reason] - The reason of the rejection.
+   * @returns {WDK} The wdk instance.
+   * @throws {ApprovalNotFoundError} If there is no pending approval request with the given identifier.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  reject (id, reason) {
+    this._getApprovals(id).reject(id, reason)
+
+    return this
+  }
+
+  /**
+   * Returns the operations waiting in the send queues, or running at their head, in the order they run. Always empty if the send
+   * queue is not enabled.
+   *
+   * @param {string} [blockchain] - If set, only returns the operations of this blockchain.
+   * @param {string} [path] - If set, only returns the operations of the account with this derivation path.
+   * @returns {QueuedOperation[]} The queued operations.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  getQueuedOperations (blockchain, path) {
+    this._assertNotDisposed()
+
+    return this._sendQueue?.getQueued(blockchain, path) ?? []
+  }
+
+  /**
+   * Returns the number of operations in the send queue of an account, including the running one. Always zero if the send queue is
+   * not enabled.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {string} path - The derivation path of the account (e.g., "m/44'/60'/0'/0/0").
+   * @returns {number} The queue depth.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  getQueueDepth (blockchain, path) {
+    this._assertNotDisposed()
+
+    return this._sendQueue?.getDepth(blockchain, path) ?? 0
+  }
+
+  /**
+   * Cancels an operation waiting in a send queue, which then fails with an {@link OperationCancelledError}. Running operations
+   * cannot be cancelled.
+   *
+   * @param {string} id - The identifier of the queued operation.
+   * @param {string} [reason] - The reason of the cancellation.
+   * @returns {WDK} The wdk instance.
+   * @throws {QueuedOperationNotFoundError} If no operation with the given identifier is waiting.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  cancelQueuedOperation (id, reason) {
+    this._assertNotDisposed()
+
+    if (!this._sendQueue) {
+      throw new QueuedOperationNotFoundError(id)
+    }
+
+    this._sendQueue.cancel(id, reason)
+
+    return this
+  }
+
+  /**
+   * Returns the entries of the journal matching a filter, from the oldest to the newest. Always empty if WDK has no journal.
+   *
+   * @param {JournalFilter} [filter] - The filter.
+   * @returns {Promise<JournalEntry[]>} The entries.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  async getJournalEntries (filter = { }) {
+    this._assertNotDisposed()
+
+    return await this._journal?.query(filter) ?? []
+  }
+
+  /**
+   * Looks up the receipts of the pending entries of the journal, and marks the entries whose transaction has been mined as confirmed
+   * or failed. Receipts that cannot be looked up (e.g., because the wallet is no longer registered) are reported through the
+   * 'journal:error' event, and their entries stay pending.
+   *
+   * @returns {Promise<JournalEntry[]>} The entries that have been updated. Always empty if WDK has no journal.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  async refreshJournal () {
+    this._assertNotDisposed()
+
+    return await this._journal?.refresh() ?? []
+  }
+
+  /**
+   * Returns the wallet account for a specific blockchain and index (see BIP-44).
+   *
+   * Accounts are kept in a registry: asking again for the same blockchain and account returns the same instance, so middlewares
+   * only run the first time and the protocols registered on the account are preserved.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {number} [index] - The index of the account to get (default: 0).
+   * @returns {Promise<IWalletAccountWithProtocols>} The account.
+   * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  async getAccount (blockchain, index = 0) {
+    this._assertNotDisposed()
+
+    const wallet = await this._getWallet(blockchain)
+
+    const account = await this._getAccount(blockchain, `index:${index}`, () => wallet.getAccount(index))
+
+    return account
+  }
+
+  /**
+   * Returns the wallet account for a specific blockchain and BIP-44 derivation path.
+   *
+   * Accounts are kept in a registry: asking again for the same blockchain and account returns the same instance, so middlewares
+   * only run the first time and the protocols registered on the account are preserved.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {string} path - The derivation path (e.g., "0'/0/0").
+   * @returns {Promise<IWalletAccountWithProtocols>} The account.
+   * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  async getAccountByPath (blockchain, path) {
+    this._assertNotDisposed()
+
+    const wallet = await this._getWallet(blockchain)
+
+    const account = await this._getAccount(blockchain, `path:${path}`, () => wallet.getAccountByPath(path))
+
+    return account
+  }
+
+  /**
+   * Returns the accounts handed out by the {@link WDK#getAccount} and {@link WDK#getAccountByPath} methods.
+   *
+   * @param {string} [blockchain] - If set, only returns the accounts of the given blockchain.
+   * @returns {DerivedAccount[]} The derived accounts.
+   */
+  getDerivedAccounts (blockchain) {
+    const blockchains = blockchain ? [blockchain] : Object.keys(this._accounts)
+
+    const accounts = []
+
+    for (const blockchain of blockchains) {
+      for (const { index, path, account, derived } of this._accounts[blockchain]?.accounts.values() ?? []) {
+        if (derived) {
+          accounts.push({ blockchain, index, path, account })
+        }
+      }
+    }
+
+    return accounts
+  }
+
+  /**
+   * Returns the native and token balances of some accounts on all the registered blockchains.
+   *
+   * The blockchains are queried concurrently. If any balance of a blockchain cannot be fetched, the blockchain's balances are left
+   * out of the result and the error is reported in its errors instead, so that a failing blockchain does not fail the others.
+   *
+   * @param {PortfolioOptions} [options] - The portfolio options.
+   * @returns {Promise<Portfolio>} The portfolio.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  async getPortfolio (options = { }) {
+    this._assertNotDisposed()
+
+    const { accounts: indexes = [0], tokens = { } } = options
+
+    const blockchains = [...this._walletRegistrations.keys()]
+
+    const results = await Promise.allSettled(blockchains.map(async (blockchain) => {
+      const balances = await Promise.all(indexes.map(async (index) => {
+        const account = await this.getAccount(blockchain, index)
+
+        const [address, ...amounts] = await Promise.all([
+          account.getAddress(),
+          account.getBalance(),
+          ...(tokens[blockchain] ?? []).map(token => account.getTokenBalance(token))
+        ])
+
+        const assets = ['native', ...(tokens[blockchain] ?? [])]
+
+        return assets.map((asset, i) => ({ blockchain, index, address, asset, amount: amounts[i] }))
+      }))
+
+      return balances.flat()
+    }))
+
+    const portfolio = { balances: [], errors: [] }
+
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        portfolio.balances.push(...result.value)
+      } else {
+        portfolio.errors.push({ blockchain: blockchains[i], error: result.reason })
+      }
+    })
+
+    return portfolio
+  }
+
+  /**
+   * Finds the used accounts of a blockchain (see BIP-44's account discovery), e.g. to restore a wallet from its seed.
+   *
+   * The accounts are checked by increasing index, until a number of consecutive unused accounts equal to the gap limit is found.
+   * Unused accounts that had not been handed out before are disposed.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {DiscoveryOptions} [options] - The discovery options.
+   * @returns {Promise<IWalletAccountWithProtocols[]>} The used accounts, sorted by index.
+   * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  async discoverAccounts (blockchain, options = { }) {
+    this._assertNotDisposed()
+
+    if (this._watchOnly) {
+      throw new WatchOnlyError('discoverAccounts', blockchain)
+    }
+
+    const wallet = await this._getWallet(blockchain)
+
+    const { gapLimit = DEFAULT_GAP_LIMIT, isActive = hasBalance } = options
+
+    const check = async (index) => {
+      const account = await wallet.getAccount(index)
+
+      // The registry is checked once the activity check is over, since the app may have asked for the account in the meantime: the
+      // accounts it holds must not be disposed.
+      const release = () => {
+        if (this._accounts[blockchain]?.accounts.get(account.path)?.account !== account) {
+          this._disposeAccount(blockchain, account)
+        }
+      }
+
+      try {
+        if (await isActive(account, { blockchain, index })) {
+          return await this.getAccount(blockchain, index)
+        }
+      } catch (error) {
+        release()
+
+        throw error
+      }
+
+      release()
+
+      return undefined
+    }
+
+    const accounts = []
+
+    let index = 0
+
+    let gap = 0
+
+    while (gap < gapLimit) {
+      // All the accounts of the batch have to be checked before the gap limit can be reached, so they can be checked concurrently.
+      const batch = Array.from({ length: gapLimit - gap }, (_, i) => index + i)
+
+      for (const account of await Promise.all(batch.map(check))) {
+        if (account) {
+          accounts.push(account)
+
+          gap = 0
+        } else {
+          gap++
+        }
+      }
+
+      index += batch.length
+    }
+
+    return accounts
+  }
+
+  /**
+   * Finds the used accounts of all the registered blockchains (see {@link WDK#discoverAccounts}).
+   *
+   * The blockchains are processed concurrently. If the discovery fails for a blockchain, the error is reported in the errors of the
+   * result, so that a failing blockchain does not fail the others.
+   *
+   * @param {DiscoveryOptions} [options] - The discovery options.
+   * @returns {Promise<Discovery>} The used accounts.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  async discoverAllAccounts (options = { }) {
+    this._assertNotDisposed()
+
+    const blockchains = [...this._walletRegistrations.keys()]
+
+    const results = await Promise.allSettled(blockchains.map(blockchain => this.discoverAccounts(blockchain, options)))
+
+    const discovery = { accounts: [], errors: [] }
+
+    results.forEach((result, i) => {
+      const blockchain = blockchains[i]
+
+      if (result.status === 'fulfilled') {
+        discovery.accounts.push(...result.value.map(account => ({ blockchain, index: account.index, path: account.path, account })))
+      } else {
+        discovery.errors.push({ blockchain, error: result.reason })
+      }
+    })
+
+    return discovery
+  }
+
+  /**
+   * Removes an account from the registry and disposes it, erasing its private key from the memory.
+   *
+   * The next request for the same account derives a new instance and runs the middlewares again.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @param {string} path - The derivation path of the account, as exposed by its path property.
+   * @returns {boolean} True if the account was in the registry.
+   */
+  forgetAccount (blockchain, path) {
+    const registry = this._accounts[blockchain]
+
+    if (!registry?.accounts.has(path)) {
+      return false
+    }
+
+    const { account } = registry.accounts.get(path)
+
+    registry.accounts.delete(path)
+
+    for (const [key, value] of registry.paths) {
+      if (value === path) {
+        registry.paths.delete(key)
+      }
+    }
+
+    this._disposeAccount(blockchain, account)
+
+    return true
+  }
+
+  /**
+   * Returns the current fee rates for a specific blockchain.
+   *
+   * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+   * @returns {Promise<FeeRates>} The fee rates (in base unit).
+   * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+   * @throws {DisposedError} If the wdk instance has been disposed.
+   */
+  async getFeeRates (blockchain) {
+    this._assertNotDisposed()
+
+    const wallet = await this._getWallet(blockchain)
+
+    const feeRates = await wallet.getFeeRates()
+
+    return feeRates
+  }
+
+  /**
+   * Disposes and unregisters all the wallets, erasing any sensitive data from the memory.
+   *
+   * After this call, any further usage of the wdk instance throws a {@link DisposedError}.
+   */
+  dispose () {
+    for (const [, wallet] of this._wallets) {
+      wallet.dispose()
+    }
+
+    this._wallets.clear()
+
+    this._walletRegistrations.clear()
+
+    this._accounts = { }
+
+    this._approvals?.rejectAll(new DisposedError())
+
+    this._sendQueue?.cancelAll(new DisposedError())
+
+    this._journal?.stop()
+
+    this._disposed = true
+
+    this._notify('disposed')
+  }
+
+  /**
+   * Registers a listener for one of the events emitted by WDK.
+   *
+   * @template {keyof WdkEventMap} E
+   * @param {E} event - The name of the event.
+   * @param {(payload: WdkEventMap[E]) => void} listener - The listener.
+   * @returns {this} The wdk instance.
+   */
+  on (event, listener) {
+    return super.on(event, listener)
+  }
+
+  /**
+   * Registers a listener for the next occurrence of one of the events emitted by WDK.
+   *
+   * @template {keyof WdkEventMap} E
+   * @param {E} event - The name of the event.
+   * @param {(payload: WdkEventMap[E]) => void} listener - The listener.
+   * @returns {this} The wdk instance.
+   */
+  once (event, listener) {
+    return super.once(event, listener)
+  }
+
+  /**
+   * Unregisters a listener previously registered with {@link WDK#on} or {@link WDK#once}.
+   *
+   * @template {keyof WdkEventMap} E
+   * @param {E} event - The name of the event.
+   * @param {(payload: WdkEventMap[E]) => void} listener - The listener.
+   * @returns {this} The wdk instance.
+   */
+  off (event, listener) {
+    return super.off(event, listener)
+  }
+
+  /** @private */
+  _assertNotDisposed () {
+    if (this._disposed) {
+      throw new DisposedError()
+    }
+  }
+
+  /** @private */
+  _getApprovals (id) {
+    this._assertNotDisposed()
+
+    if (!this._approvals) {
+      throw new ApprovalNotFoundError(id)
+    }
+
+    return this._approvals
+  }
+
+  /** @private */
+  async _getJournalAccount (blockchain, path) {
+    const entry = this._accounts[blockchain]?.accounts.get(path)
+
+    if (entry) {
+      await entry.ready
+
+      return entry.account
+    }
+
+    // Accounts expose their full derivation path (e.g., "m/44'/60'/0'/0/0"), while wallets derive accounts from the part that
+    // follows the purpose and the coin type (e.g., "0'/0/0").
+    return await this.getAccountByPath(blockchain, path.replace(/^m\/\d+'\/\d+'\//, ''))
+  }
+
+  /** @private */
+  async _getWallet (blockchain) {
+    const registration = this._walletRegistrations.get(blockchain)
+
+    if (!registration) {
+      throw new WalletNotRegisteredError(blockchain)
+    }
+
+    if (this._wallets.has(blockchain)) {
+      return this._wallets.get(blockchain)
+    }
+
+    registration.loading ??= load(registration.factory)
+      .catch((error) => { throw new ModuleLoadError(blockchain, undefined, error) })
+      .finally(() => { registration.loading = undefined })
+
+    const Wallet = await registration.loading
+
+    // The wallet may have been replaced, unregistered or disposed while its module was loading.
+    if (this._walletRegistrations.get(blockchain) !== registration) {
+      this._assertNotDisposed()
+
+      return await this._getWallet(blockchain)
+    }
+
+    if (!this._wallets.has(blockchain)) {
+      if (!isWalletClass(Wallet, registration.options, this._watchOnly)) {
+        throw new InvalidWalletManagerError(blockchain, this._watchOnly)
+      }
+
+      registration.Wallet = Wallet
+
+      this._wallets.set(blockchain, this._createWallet(blockchain, Wallet, registration.config, registration.options))
+    }
+
+    return this._wallets.get(blockchain)
+  }
+
+  /** @private */
+  _createWallet (blockchain, Wallet, config, options = { }) {
+    if (Array.isArray(config)) {
+      const wallets = config.map(config => this._createWallet(blockchain, Wallet, config, { ...options, failover: undefined }))
+
+      return new FailoverWallet(blockchain, wallets, options.failover, {
+        onFailure: (event) => this._notify('provider:failed', event),
+        onChange: (event) => this._notify('provider:changed', event)
+      })
+    }
+
+    if (this._watchOnly) {
+      const addresses = this._addresses[blockchain] ?? []
+
+      if (isWalletManager(Wallet)) {
+        // The wallet manager gets an empty seed, so it holds no keys: it only reads the fee rates.
+        return new WatchOnlyWallet(blockchain, options.readOnlyAccount, addresses, config, new Wallet(new Uint8Array(0), config))
+      }
+
+      return new WatchOnlyWallet(blockchain, Wallet, addresses, config)
+    }
+
+    return new Wallet(this._seed, config)
+  }
+
+  /** @private */
+  async _loadProtocols (blockchain) {
+    const pending = [...PROTOCOL_TYPES.keys()].flatMap(type => {
+      const registrations = Object.entries(this._protocols[type]?.[blockchain] ?? { })
+
+      return registrations
+        .filter(([, registration]) => !registration.Protocol)
+        .map(([label, registration]) => ({ type, label, registration }))
+    })
+
+    await Promise.all(pending.map(async ({ type, label, registration }) => {
+      registration.loading ??= load(registration.factory)
+        .then((Protocol) => {
+          if (getProtocolType(Protocol) !== type) {
+            throw new InvalidProtocolError(blockchain, label, [PROTOCOL_TYPES.get(type).BaseProtocol.name])
+          }
+
+          registration.Protocol = Protocol
+
+          registration.error = undefined
+        })
+        .catch((error) => {
+          registration.error = error instanceof InvalidProtocolError ? error : new ModuleLoadError(blockchain, label, error)
+        })
+        .finally(() => { registration.loading = undefined })
+
+      await registration.loading
+    }))
+  }
+
+  /** @private */
+  _disposeAccount (blockchain, account) {
+    const wallet = this._wallets.get(blockchain)
+
+    // Wallet managers (and the watch-only and failover wallets, which mirror them) cache the accounts they derive: the disposed
+    // instance must not be handed out again.
+    for (const [key, value] of Object.entries(wallet?._accounts ?? { })) {
+      if (value === account) {
+        delete wallet._accounts[key]
+      }
+    }
+
+    account.dispose?.()
+  }
+
+  /** @private */
+  async _getAccount (blockchain, key, derive) {
+    await this._loadProtocols(blockchain)
+
+    this._accounts[blockchain] ??= { paths: new Map(), accounts: new Map() }
+
+    const registry = this._accounts[blockchain]
+
+    if (!registry.accounts.has(registry.paths.get(key))) {
+      const account = await derive()
+
+      if (!registry.accounts.has(account.path)) {
+        const entry = { index: account.index, path: account.path, account, derived: false }
+
+        entry.ready = this._setupAccount(account, { blockchain })
+          .then(() => { entry.derived = true })
+          .catch((error) => {
+            registry.accounts.delete(account.path)
+
+            throw error
+          })
+
+        registry.accounts.set(account.path, entry)
+      }
+
+      registry.paths.set(key, account.path)
+    }
+
+    const { account, ready } = registry.accounts.get(registry.paths.get(key))
+
+    await ready
+
+    return account
+  }
+
+  /** @private */
+  async _setupAccount (account, { blockchain }) {
+    await this._runMiddlewares(account, { blockchain })
+
+    const operations = { }
+
+    for (const operation of ACCOUNT_OPERATIONS) {
+      operations[operation] = account[operation]
+    }
+
+    // Protocols and the account's own operations work on a view of the account whose operations skip the wdk pipeline, so that
+    // nested operations (e.g., the approval transaction sent by a swap) are not reported twice.
+    const inner = new Proxy(account, {
+      get: (target, property, receiver) => Object.hasOwn(operations, property)
+        ? operations[property]
+        : Reflect.get(target, property, receiver)
+    })
+
+    // In watch-only mode, read-only accounts have no such operations: they are defined anyway, so that calls are rejected with a
+    // clear error.
+    const wrapped = this._watchOnly ? ['sign', ...ACCOUNT_OPERATIONS] : ACCOUNT_OPERATIONS
+
+    this._wrapOperations(account, { self: inner, operations: wrapped, blockchain, account })
+
+    this._registerProtocols(account, { blockchain, inner })
+
+    if (this.listenerCount('account:derived') > 0) {
+      const address = await account.getAddress()
+
+      this._notify('account:derived', { blockchain, index: account.index, path: account.path, address })
+    }
+  }
+
+  /** @private */
+  async _runMiddlewares (account, { blockchain }) {
+    if (this._middlewares[blockchain]) {
+      for (const middleware of this._middlewares[blockchain]) {
+        try {
+          await middleware(account)
+        } catch (error) {
+          this._notify('middleware:error', { blockchain, account, error })
+
+          throw error
+        }
+      }
+    }
+  }
+
+  /** @private */
+  _wrapOperations (target, { self, operations, ...context }) {
+    for (const operation of operations) {
+      if (this._watchOnly) {
+        target[operation] = async () => { throw new WatchOnlyError(operation, context.blockchain) }
+
+        continue
+      }
+
+      const method = target[operation]
+
+      if (typeof method !== 'function') {
+        continue
+      }
+
+      const quoteMethod = `quote${operation[0].toUpperCase()}${operation.slice(1)}`
+
+      target[operation] = (...args) => {
+        const operationContext = { ...context, operation, args, quote: async () => self[quoteMethod]?.(...operationContext.args) }
+
+        return this._runOperation(operationContext, (context) => method.apply(self, context.args))
+      }
+    }
+  }
+
+  /** @private */
+  async _runOperation (context, call) {
+    const interceptors = [
+      ...(this._interceptors[context.blockchain] ?? []),
+      (context, next) => this._policies.enforce(context, next, { dryRun: this._dryRun })
+    ]
+
+    if (this._dryRun) {
+      interceptors.push((context) => this._simulateOperation(context))
+    } else if (this._approvals) {
+      interceptors.push((context, next) => this._approvals.hold(context, next))
+    }
+
+    if (this._sendQueue) {
+      interceptors.push((context, next) => this._sendQueue.run(context, next))
+    }
+
+    if (this._journal) {
+      interceptors.push((context, next) => this._journal.record(context, next))
+    }
+
+    const dispatch = async (i) => {
+      if (i === interceptors.length) {
+        return await call(context)
+      }
+
+      return await interceptors[i](context, () => dispatch(i + 1))
+    }
+
+    let result
+
+    try {
+      result = await dispatch(0)
+    } catch (error) {
+      this._notify('transaction:failed', { ...context, error })
+
+      throw error
+    }
+
+    // The operation may have been broadcast already: a listener throwing must not make it look failed, or callers could retry it.
+    this._notify('transaction:sent', { ...context, result })
+
+    return result
+  }
+
+  /** @private */
+  _notify (event, payload) {
+    try {
+      this.emit(event, payload)
+    } catch (error) {
+      try {
+        this.emit('listener:error', { event, error })
+      } catch { }
+    }
+  }
+
+  /** @private */
+  async _simulateOperation (context) {
+    const quote = await context.quote()
+
+    const hash = `${DRY_RUN_HASH_PREFIX}${Date.now().toString(36)}-${(this._dryRunNonce++).toString(36)}`
+
+    return { ...quote, hash, dryRun: true, quote }
+  }
+
+  /** @private */
+  _registerProtocols (account, { blockchain, inner }) {
+    const protocols = { }
+
+    const instances = { }
+
+    const createProtocol = (type, label, Protocol, config) => {
+      const protocol = new Protocol(inner, config)
+
+      const { operations } = PROTOCOL_TYPES.get(type)
+
+      this._wrapOperations(protocol, { self: protocol, operations, blockchain, account, protocol: { type, label } })
+
+      return protocol
+    }
+
+    const getProtocol = (type, label) => {
+      if (protocols[type]?.[label]) {
+        return protocols[type][label]
+      }
+
+      const registration = this._protocols[type]?.[blockchain]?.[label]
+
+      if (!registration) {
+        throw new ProtocolNotRegisteredError(blockchain, label, type)
+      }
+
+      if (!registration.Protocol) {
+        throw registration.error ?? new ModuleNotLoadedError(blockchain, label)
+      }
+
+      if (instances[type]?.[label]?.registration !== registration) {
+        const { Protocol, config } = registration
+
+        instances[type] ??= { }
+
+        instances[type][label] = { registration, protocol: createProtocol(type, label, Protocol, config) }
+      }
+
+      return instances[type][label].protocol
+    }
+
+    account.registerProtocol = (label, Protocol, config, options = { }) => {
+      const type = getProtocolType(Protocol)
+
+      if (!type) {
+        throw new InvalidProtocolError(blockchain, label, getBaseProtocolNames())
+      }
+
+      if (protocols[type]?.[label] && !options.override) {
+        throw new ProtocolAlreadyRegisteredError(blockchain, label, type)
+      }
+
+      protocols[type] ??= { }
+
+      protocols[type][label] = createProtocol(type, label, Protocol, config)
+
+      this._notify('protocol:registered', { blockchain, label, type, account })
+
+      return account
+    }
+
+    account.listProtocols = (type) => {
+      const types = type ? [type] : [...PROTOCOL_TYPES.keys()]
+
+      return types.flatMap(type => {
+        const registered = Object.entries(protocols[type] ?? { })
+          .map(([label, protocol]) => ({ type, label, name: protocol.constructor.name, scope: 'account' }))
+
+        const inherited = this.listProtocols(blockchain, type)
+          .filter(({ label }) => !protocols[type]?.[label])
+          .map(descriptor => ({ ...descriptor, scope: 'wdk' }))
+
+        return [...registered, ...inherited]
+      })
+    }
+
+    account.hasProtocol = (label, type) => account.listProtocols(type).some(protocol => protocol.label === label)
+
+    const route = async (type, quote, score, options) => {
+      await this._loadProtocols(blockchain)
+
+      const candidates = account.listProtocols(type)
+        .map(({ label }) => ({ label, quote: () => quote(getProtocol(type, label)) }))
+
+      const { quotes, skipped } = await rankQuotes(candidates, score, options)
+
+      if (quotes.length === 0) {
+        throw new NoRouteError(blockchain, type, skipped)
+      }
+
+      const [best, ...others] = quotes
+
+      return {
+        label: best.label,
+        quote: best.quote,
+        quotes,
+        skipped: [...others.map(({ label }) => ({ label, reason: 'outranked' })), ...skipped]
+      }
+    }
+
+    account.getBestSwap = async (options, routeOptions = { }) => {
+      // Swap fees are paid in the native token: without converting them, a quote with a slightly better amount would win over a
+      // quote with a much lower fee.
+      if (!routeOptions.convertFee && account.listProtocols('swap').length > 1) {
+        throw new TypeError('The convertFee route option is required to rank the quotes of several swap protocols.')
+      }
+
+      return await route('swap', (protocol) => protocol.quoteSwap(options), scoreSwap(options, routeOptions, blockchain), routeOptions)
+    }
+
+    account.swapBest = async (options, routeOptions = { }) => {
+      const best = await account.getBestSwap(options, routeOptions)
+
+      const result = await getProtocol('swap', best.label).swap(options)
+
+      return { ...best, result }
+    }
+
+    account.getBestBridge = (options, routeOptions = { }) => {
+      return route('bridge', (protocol) => protocol.quoteBridge(options), scoreBridge, routeOptions)
+    }
+
+    account.bridgeBest = async (options, routeOptions = { }) => {
+      const best = await account.getBestBridge(options, routeOptions)
+
+      const result = await getProtocol('bridge', best.label).bridge(options)
+
+      return { ...best, result }
+    }
+
+    account.getProtocol = (type, label) => getProtocol(type, label)
+
+    account.loadProtocol = async (type, label) => {
+      await this._loadProtocols(blockchain)
+
+      return getProtocol(type, label)
+    }
+
+    account.getSwapProtocol = (label) => getProtocol('swap', label)
+
+    account.getBridgeProtocol = (label) => getProtocol('bridge', label)
+
+    account.getLendingProtocol = (label) => getProtocol('lending', label)
   }
 }
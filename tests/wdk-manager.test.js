@@ -1,12 +1,18 @@
 'use strict'
 
-import { beforeEach, describe, expect, jest, test } from '@jest/globals'
+import { beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals'
 
-import WalletManager from '@tetherto/wdk-wallet'
+import { mkdtemp, rm } from 'fs/promises'
+
+import { tmpdir } from 'os'
+
+import { join } from 'path'
+
+import WalletManager, { WalletAccountReadOnly } from '@tetherto/wdk-wallet'
 
 import { BridgeProtocol, LendingProtocol, SwapProtocol } from '@tetherto/wdk-wallet/protocols'
 
-import WdkManager from '../index.js'
+import WdkManager, { ApprovalRejectedError, ApprovalTimeoutError, DisposedError, InvalidConfigError, InvalidProtocolError, InvalidProtocolTypeError, InvalidSeedError, InvalidVaultError, InvalidWalletManagerError, JsonFileJournalStore, MemoryJournalStore, MoveFailedError, NoRouteError, OperationCancelledError, PolicyViolationError, ProfileAlreadyExistsError, ProfileManager, ProfileNotFoundError, ProtocolNotRegisteredError, QueuedOperationNotFoundError, QuoteExpiredError, WalletAlreadyRegisteredError, WalletNotRegisteredError, WatchOnlyError, WatchedAddressNotFoundError, WrongPassphraseError } from '../index.js'
 
 const SEED_PHRASE = 'cook voyage document eight skate token alien guide drink uncle term abuse'
 
@@ -32,6 +38,8 @@ const WalletManagerMock = jest.fn().mockImplementation((seed, config) => {
   })
 })
 
+Object.setPrototypeOf(WalletManagerMock.prototype, WalletManager.prototype)
+
 describe('WdkManager', () => {
   const DUMMY_ACCOUNT = {
     getAddress: async () => {
@@ -47,6 +55,225 @@ describe('WdkManager', () => {
     wdkManager = new WdkManager(SEED_PHRASE)
   })
 
+  describe('constructor', () => {
+    test('should throw an invalid seed error if the seed is not valid', () => {
+      expect(() => new WdkManager('invalid seed phrase'))
+        .toThrow(InvalidSeedError)
+    })
+
+    test('should pass the seed derived with the passphrase to the wallet managers', () => {
+      const wdkManager = new WdkManager(SEED_PHRASE, { passphrase: 'passphrase' })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      expect(WalletManagerMock).toHaveBeenLastCalledWith(WdkManager.seedPhraseToSeed(SEED_PHRASE, 'passphrase'), CONFIG)
+    })
+  })
+
+  describe('seed helpers', () => {
+    const ABANDON = Array(11).fill('abandon').join(' ')
+
+    test('should generate seed phrases with the given number of words', () => {
+      const seedPhrase = WdkManager.getRandomSeedPhrase({ words: 24 })
+
+      expect(seedPhrase.split(' ')).toHaveLength(24)
+
+      expect(WdkManager.isValidSeed(seedPhrase)).toBe(true)
+
+      expect(WdkManager.getRandomSeedPhrase().split(' ')).toHaveLength(12)
+    })
+
+    test('should throw if the number of words is not supported', () => {
+      expect(() => WdkManager.getRandomSeedPhrase({ words: 13 }))
+        .toThrow(RangeError)
+    })
+
+    test('should tell why a seed is not valid', () => {
+      expect(WdkManager.validateSeed(SEED_PHRASE)).toEqual({ valid: true })
+
+      expect(WdkManager.validateSeed(`${ABANDON} about`)).toEqual({ valid: true })
+
+      expect(WdkManager.validateSeed(ABANDON)).toEqual({ valid: false, reason: 'length' })
+
+      expect(WdkManager.validateSeed(`${ABANDON} foo`)).toEqual({ valid: false, reason: 'unknown-word', word: 'foo' })
+
+      expect(WdkManager.validateSeed(`${ABANDON} abandon`)).toEqual({ valid: false, reason: 'checksum' })
+
+      expect(WdkManager.validateSeed(new Uint8Array(8))).toEqual({ valid: false, reason: 'length' })
+
+      expect(WdkManager.validateSeed(42)).toEqual({ valid: false, reason: 'type' })
+    })
+
+    test('should throw an invalid seed error with the reason', () => {
+      expect(() => new WdkManager(`${ABANDON} foo`))
+        .toThrow(expect.objectContaining({ code: 'INVALID_SEED', reason: 'unknown-word', word: 'foo' }))
+    })
+
+    test('should derive the seed of a seed phrase protected by a passphrase', () => {
+      const seed = WdkManager.seedPhraseToSeed(`${ABANDON} about`, 'TREZOR')
+
+      expect(seed).toBeInstanceOf(Uint8Array)
+
+      expect(Buffer.from(seed).toString('hex')).toBe(
+        'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04'
+      )
+
+      expect(() => WdkManager.seedPhraseToSeed(`${ABANDON} abandon`, 'TREZOR'))
+        .toThrow(InvalidSeedError)
+    })
+  })
+
+  describe('registerWallet', () => {
+    beforeEach(() => {
+      disposeMock.mockClear()
+    })
+
+    test('should replace and dispose the wallet manager previously registered for the same blockchain if override is set', async () => {
+      const NEW_CONFIG = { transferMaxFee: 200 }
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerWallet('ethereum', WalletManagerMock, NEW_CONFIG, { override: true })
+
+      expect(WalletManagerMock).toHaveBeenLastCalledWith(SEED_PHRASE, NEW_CONFIG)
+
+      expect(disposeMock).toHaveBeenCalledTimes(1)
+    })
+
+    test('should throw if a wallet has already been registered for the given blockchain', () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      expect(() => wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG))
+        .toThrow('Wallet already registered for blockchain: ethereum.')
+    })
+
+    test('should throw if the wallet manager class does not extend WalletManager', () => {
+      expect(() => wdkManager.registerWallet('ethereum', class { }, CONFIG))
+        .toThrow('Invalid wallet manager for blockchain: ethereum. Wallet managers must extend WalletManager.')
+    })
+  })
+
+  describe('registerProtocol', () => {
+    let SwapProtocolMock
+
+    beforeEach(() => {
+      getAccountMock.mockResolvedValue(DUMMY_ACCOUNT)
+
+      SwapProtocolMock = jest.fn()
+
+      Object.setPrototypeOf(SwapProtocolMock.prototype, SwapProtocol.prototype)
+    })
+
+    test('should replace the protocol previously registered with the same type and label if override is set', async () => {
+      const NEW_CONFIG = { swapMaxFee: 200 }
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'test', SwapProtocolMock, { swapMaxFee: 100 })
+                .registerProtocol('ethereum', 'test', SwapProtocolMock, NEW_CONFIG, { override: true })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      account.getSwapProtocol('test')
+
+      expect(SwapProtocolMock).toHaveBeenCalledWith(account, NEW_CONFIG)
+    })
+
+    test('should allow protocols of different types to share the same label', () => {
+      const BridgeProtocolMock = jest.fn()
+
+      Object.setPrototypeOf(BridgeProtocolMock.prototype, BridgeProtocol.prototype)
+
+      wdkManager.registerProtocol('ethereum', 'test', SwapProtocolMock, undefined)
+
+      expect(() => wdkManager.registerProtocol('ethereum', 'test', BridgeProtocolMock, undefined))
+        .not.toThrow()
+    })
+
+    test('should throw if a protocol of the same type has already been registered for the given blockchain and label', () => {
+      wdkManager.registerProtocol('ethereum', 'test', SwapProtocolMock, undefined)
+
+      expect(() => wdkManager.registerProtocol('ethereum', 'test', SwapProtocolMock, undefined))
+        .toThrow('Swap protocol already registered for blockchain: ethereum and label: test.')
+    })
+
+    test('should throw if the protocol class does not extend any of the supported protocol types', () => {
+      expect(() => wdkManager.registerProtocol('ethereum', 'test', class { }, undefined))
+        .toThrow('Invalid protocol for label: test. Protocols must extend SwapProtocol, BridgeProtocol or LendingProtocol.')
+    })
+  })
+
+  describe('unregisterWallet', () => {
+    beforeEach(() => {
+      disposeMock.mockClear()
+    })
+
+    test('should dispose the wallet manager and unregister the wallet', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .unregisterWallet('ethereum')
+
+      expect(disposeMock).toHaveBeenCalledTimes(1)
+
+      await expect(wdkManager.getAccount('ethereum', 0))
+        .rejects.toThrow('No wallet registered for blockchain: ethereum.')
+    })
+
+    test('should throw if no wallet has been registered for the given blockchain', () => {
+      expect(() => wdkManager.unregisterWallet('ethereum'))
+        .toThrow('No wallet registered for blockchain: ethereum.')
+    })
+  })
+
+  describe('unregisterProtocol', () => {
+    let SwapProtocolMock
+
+    beforeEach(() => {
+      getAccountMock.mockResolvedValue(DUMMY_ACCOUNT)
+
+      SwapProtocolMock = jest.fn()
+
+      Object.setPrototypeOf(SwapProtocolMock.prototype, SwapProtocol.prototype)
+    })
+
+    test('should unregister the protocol also for the accounts already derived', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'test', SwapProtocolMock, undefined)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      wdkManager.unregisterProtocol('ethereum', 'test')
+
+      expect(() => account.getSwapProtocol('test'))
+        .toThrow('No swap protocol registered for label: test.')
+    })
+
+    test('should throw if no protocol has been registered for the given blockchain and label', () => {
+      expect(() => wdkManager.unregisterProtocol('ethereum', 'test'))
+        .toThrow('No protocol registered for blockchain: ethereum and label: test.')
+    })
+  })
+
+  describe('unregisterMiddleware', () => {
+    beforeEach(() => {
+      getAccountMock.mockResolvedValue(DUMMY_ACCOUNT)
+    })
+
+    test('should stop triggering the middleware', async () => {
+      const middleware = jest.fn()
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerMiddleware('ethereum', middleware)
+                .unregisterMiddleware('ethereum', middleware)
+
+      await wdkManager.getAccount('ethereum', 0)
+
+      expect(middleware).not.toHaveBeenCalled()
+    })
+
+    test('should throw if the middleware has not been registered for the given blockchain', () => {
+      expect(() => wdkManager.unregisterMiddleware('ethereum', jest.fn()))
+        .toThrow('Middleware not registered for blockchain: ethereum.')
+    })
+  })
+
   describe('getAccount', () => {
     beforeEach(() => {
       getAccountMock.mockResolvedValue(DUMMY_ACCOUNT)
@@ -82,6 +309,14 @@ describe('WdkManager', () => {
         .rejects.toThrow('No wallet registered for blockchain: ethereum.')
     })
 
+    test('should throw a wallet not registered error with the code and the blockchain', async () => {
+      const error = await wdkManager.getAccount('ethereum', 0).catch(error => error)
+
+      expect(error).toBeInstanceOf(WalletNotRegisteredError)
+
+      expect(error).toMatchObject({ code: 'WALLET_NOT_REGISTERED', blockchain: 'ethereum' })
+    })
+
     describe('should decorate the account instance with', () => {
       describe('getSwapProtocol', () => {
         const SWAP_CONFIG = { swapMaxFee: 100 }
@@ -107,6 +342,49 @@ describe('WdkManager', () => {
           expect(protocol).toBeInstanceOf(SwapProtocolMock)
         })
 
+        test("should reuse the same instance of the swap protocol registered for the account's blockchain", async () => {
+          wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                    .registerProtocol('ethereum', 'test', SwapProtocolMock, SWAP_CONFIG)
+
+          const account = await wdkManager.getAccount('ethereum', 0)
+
+          expect(account.getSwapProtocol('test')).toBe(account.getSwapProtocol('test'))
+
+          expect(SwapProtocolMock).toHaveBeenCalledTimes(1)
+        })
+
+        test("should create a new instance if the swap protocol registered for the account's blockchain gets replaced", async () => {
+          const NEW_SWAP_CONFIG = { swapMaxFee: 200 }
+
+          wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                    .registerProtocol('ethereum', 'test', SwapProtocolMock, SWAP_CONFIG)
+
+          const account = await wdkManager.getAccount('ethereum', 0)
+
+          const protocol = account.getSwapProtocol('test')
+
+          wdkManager.registerProtocol('ethereum', 'test', SwapProtocolMock, NEW_SWAP_CONFIG, { override: true })
+
+          expect(account.getSwapProtocol('test')).not.toBe(protocol)
+
+          expect(SwapProtocolMock).toHaveBeenLastCalledWith(account, NEW_SWAP_CONFIG)
+        })
+
+        test("should give precedence to the swap protocol registered for the account over the one registered for the account's blockchain", async () => {
+          const AccountSwapProtocolMock = jest.fn()
+
+          Object.setPrototypeOf(AccountSwapProtocolMock.prototype, SwapProtocol.prototype)
+
+          wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                    .registerProtocol('ethereum', 'test', SwapProtocolMock, SWAP_CONFIG)
+
+          const account = await wdkManager.getAccount('ethereum', 0)
+
+          account.registerProtocol('test', AccountSwapProtocolMock, SWAP_CONFIG)
+
+          expect(account.getSwapProtocol('test')).toBeInstanceOf(AccountSwapProtocolMock)
+        })
+
         test('should return the swap protocol registered for the account and the given label', async () => {
           wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
 
@@ -129,6 +407,70 @@ describe('WdkManager', () => {
           expect(() => account.getSwapProtocol('test'))
             .toThrow('No swap protocol registered for label: test.')
         })
+
+        test('should throw a protocol not registered error with the code, the blockchain and the label', async () => {
+          wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+          const account = await wdkManager.getAccount('ethereum', 0)
+
+          let error
+
+          try {
+            account.getSwapProtocol('test')
+          } catch (err) {
+            error = err
+          }
+
+          expect(error).toBeInstanceOf(ProtocolNotRegisteredError)
+
+          expect(error).toMatchObject({ code: 'PROTOCOL_NOT_REGISTERED', blockchain: 'ethereum', label: 'test', type: 'swap' })
+        })
+      })
+
+      describe('registerProtocol', () => {
+        let SwapProtocolMock
+
+        beforeEach(() => {
+          SwapProtocolMock = jest.fn()
+
+          Object.setPrototypeOf(SwapProtocolMock.prototype, SwapProtocol.prototype)
+        })
+
+        test('should replace the protocol previously registered with the same type and label if override is set', async () => {
+          wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+          const account = await wdkManager.getAccount('ethereum', 0)
+
+          account.registerProtocol('test', SwapProtocolMock, undefined)
+
+          const OtherSwapProtocolMock = jest.fn()
+
+          Object.setPrototypeOf(OtherSwapProtocolMock.prototype, SwapProtocol.prototype)
+
+          account.registerProtocol('test', OtherSwapProtocolMock, undefined, { override: true })
+
+          expect(account.getSwapProtocol('test')).toBeInstanceOf(OtherSwapProtocolMock)
+        })
+
+        test('should throw if a protocol of the same type has already been registered for the given label', async () => {
+          wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+          const account = await wdkManager.getAccount('ethereum', 0)
+
+          account.registerProtocol('test', SwapProtocolMock, undefined)
+
+          expect(() => account.registerProtocol('test', SwapProtocolMock, undefined))
+            .toThrow('Swap protocol already registered for blockchain: ethereum and label: test.')
+        })
+
+        test('should throw if the protocol class does not extend any of the supported protocol types', async () => {
+          wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+          const account = await wdkManager.getAccount('ethereum', 0)
+
+          expect(() => account.registerProtocol('test', class { }, undefined))
+            .toThrow('Invalid protocol for label: test. Protocols must extend SwapProtocol, BridgeProtocol or LendingProtocol.')
+        })
       })
 
       describe('getBridgeProtocol', () => {
@@ -407,32 +749,2715 @@ describe('WdkManager', () => {
     })
   })
 
-  describe('getFeeRates', () => {
-    test('should return the correct fee rates for the given blockchain', async () => {
-      const DUMMY_FEE_RATES = { normal: 100n, fast: 200n }
+  describe('account registry', () => {
+    const PATH = "m/44'/60'/0'/0/0"
 
-      getFeeRatesMock.mockResolvedValue(DUMMY_FEE_RATES)
+    let account
+
+    beforeEach(() => {
+      account = {
+        index: 0,
+        path: PATH,
+        dispose: jest.fn()
+      }
+
+      getAccountMock.mockResolvedValue(account)
+
+      getAccountByPathMock.mockResolvedValue(account)
+    })
+
+    test('should return the same account and trigger middlewares only once for the same blockchain and path', async () => {
+      const middleware = jest.fn()
 
       wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerMiddleware('ethereum', middleware)
 
-      const feeRates = await wdkManager.getFeeRates('ethereum')
+      const [first, second] = await Promise.all([
+        wdkManager.getAccount('ethereum', 0),
+        wdkManager.getAccount('ethereum', 0)
+      ])
 
-      expect(feeRates).toEqual(DUMMY_FEE_RATES)
+      const third = await wdkManager.getAccountByPath('ethereum', "0'/0/0")
+
+      expect(first).toBe(second)
+
+      expect(first).toBe(third)
+
+      expect(middleware).toHaveBeenCalledTimes(1)
     })
 
-    test('should throw if no wallet has been registered for the given blockchain', async () => {
-      await expect(wdkManager.getFeeRates('ethereum'))
-        .rejects.toThrow('No wallet registered for blockchain: ethereum.')
+    test('should preserve the protocols registered on the account', async () => {
+      const SwapProtocolMock = jest.fn()
+
+      Object.setPrototypeOf(SwapProtocolMock.prototype, SwapProtocol.prototype)
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const first = await wdkManager.getAccount('ethereum', 0)
+
+      first.registerProtocol('test', SwapProtocolMock, undefined)
+
+      const second = await wdkManager.getAccount('ethereum', 0)
+
+      expect(second.getSwapProtocol('test')).toBeInstanceOf(SwapProtocolMock)
+    })
+
+    describe('getDerivedAccounts', () => {
+      test('should return the accounts handed out', async () => {
+        wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+        await wdkManager.getAccount('ethereum', 0)
+
+        expect(wdkManager.getDerivedAccounts())
+          .toEqual([{ blockchain: 'ethereum', index: 0, path: PATH, account }])
+
+        expect(wdkManager.getDerivedAccounts('ton'))
+          .toEqual([])
+      })
+    })
+
+    describe('forgetAccount', () => {
+      test('should dispose the account and remove it from the registry', async () => {
+        const middleware = jest.fn()
+
+        wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                  .registerMiddleware('ethereum', middleware)
+
+        await wdkManager.getAccount('ethereum', 0)
+
+        expect(wdkManager.forgetAccount('ethereum', PATH)).toBe(true)
+
+        expect(account.dispose).toHaveBeenCalled()
+
+        expect(wdkManager.getDerivedAccounts()).toEqual([])
+
+        await wdkManager.getAccount('ethereum', 0)
+
+        expect(middleware).toHaveBeenCalledTimes(2)
+      })
+
+      test('should return false if the account is not in the registry', () => {
+        expect(wdkManager.forgetAccount('ethereum', PATH)).toBe(false)
+      })
     })
   })
 
-  describe('dispose', () => {
-    test('should successfully dispose the wallet managers', async () => {
-      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+  describe('events', () => {
+    const ADDRESS = '0xa460AEbce0d3A4BecAd8ccf9D6D4861296c503Bd'
 
-      wdkManager.dispose()
+    const TRANSACTION = { to: '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24', value: 1_000n }
 
-      expect(disposeMock).toHaveBeenCalled()
+    const TRANSACTION_RESULT = { hash: '0xabc', fee: 100n }
+
+    let account, sendTransactionMock
+
+    beforeEach(() => {
+      sendTransactionMock = jest.fn().mockResolvedValue(TRANSACTION_RESULT)
+
+      account = {
+        index: 0,
+        path: "m/44'/60'/0'/0/0",
+        getAddress: jest.fn().mockResolvedValue(ADDRESS),
+        sendTransaction: sendTransactionMock
+      }
+
+      getAccountMock.mockResolvedValue(account)
+    })
+
+    test('should emit wallet:registered and protocol:registered', () => {
+      const SwapProtocolMock = jest.fn()
+
+      Object.setPrototypeOf(SwapProtocolMock.prototype, SwapProtocol.prototype)
+
+      const listener = jest.fn()
+
+      wdkManager.on('wallet:registered', listener)
+                .on('protocol:registered', listener)
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'test', SwapProtocolMock, undefined)
+
+      expect(listener).toHaveBeenCalledWith({ blockchain: 'ethereum' })
+
+      expect(listener).toHaveBeenCalledWith({ blockchain: 'ethereum', label: 'test', type: 'swap' })
+    })
+
+    test('should emit account:derived the first time an account is handed out', async () => {
+      const listener = jest.fn()
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .on('account:derived', listener)
+
+      await wdkManager.getAccount('ethereum', 0)
+
+      await wdkManager.getAccount('ethereum', 0)
+
+      expect(listener).toHaveBeenCalledTimes(1)
+
+      expect(listener).toHaveBeenCalledWith({ blockchain: 'ethereum', index: 0, path: "m/44'/60'/0'/0/0", address: ADDRESS })
+    })
+
+    test('should set up an account once if an account:derived or wallet:registered listener throws', async () => {
+      const interceptor = jest.fn((context, next) => next())
+
+      const listenerError = jest.fn()
+
+      wdkManager.on('wallet:registered', () => { throw new Error('Listener failure.') })
+                .on('account:derived', () => { throw new Error('Listener failure.') })
+                .on('listener:error', listenerError)
+                .registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerInterceptor('ethereum', interceptor)
+
+      const decoratedAccount = await wdkManager.getAccount('ethereum', 0)
+
+      expect(await wdkManager.getAccount('ethereum', 0)).toBe(decoratedAccount)
+
+      await decoratedAccount.sendTransaction(TRANSACTION)
+
+      expect(interceptor).toHaveBeenCalledTimes(1)
+
+      expect(listenerError.mock.calls.map(([{ event }]) => event)).toEqual(['wallet:registered', 'account:derived'])
+    })
+
+    test('should emit middleware:error if a middleware throws', async () => {
+      const error = new Error('Middleware failure.')
+
+      const listener = jest.fn()
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerMiddleware('ethereum', async () => { throw error })
+                .on('middleware:error', listener)
+
+      await expect(wdkManager.getAccount('ethereum', 0))
+        .rejects.toThrow(error)
+
+      expect(listener).toHaveBeenCalledWith({ blockchain: 'ethereum', account, error })
+    })
+
+    test('should emit transaction:sent when an account operation succeeds', async () => {
+      const listener = jest.fn()
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .on('transaction:sent', listener)
+
+      const decoratedAccount = await wdkManager.getAccount('ethereum', 0)
+
+      const result = await decoratedAccount.sendTransaction(TRANSACTION)
+
+      expect(result).toEqual(TRANSACTION_RESULT)
+
+      expect(listener).toHaveBeenCalledWith({
+        blockchain: 'ethereum',
+        account: decoratedAccount,
+        operation: 'sendTransaction',
+        args: [TRANSACTION],
+        quote: expect.any(Function),
+        result: TRANSACTION_RESULT
+      })
+    })
+
+    test('should emit transaction:failed when an account operation fails', async () => {
+      const error = new Error('Insufficient funds.')
+
+      sendTransactionMock.mockRejectedValue(error)
+
+      const listener = jest.fn()
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .on('transaction:failed', listener)
+
+      const decoratedAccount = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(decoratedAccount.sendTransaction(TRANSACTION))
+        .rejects.toThrow(error)
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ operation: 'sendTransaction', error }))
+    })
+
+    test('should not fail an operation already sent if a listener throws', async () => {
+      const failed = jest.fn(), listenerError = jest.fn()
+
+      const error = new Error('Listener failure.')
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .on('transaction:sent', () => { throw error })
+                .on('transaction:failed', failed)
+                .on('listener:error', listenerError)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      expect(await account.sendTransaction(TRANSACTION)).toEqual(TRANSACTION_RESULT)
+
+      expect(failed).not.toHaveBeenCalled()
+
+      expect(listenerError).toHaveBeenCalledWith({ event: 'transaction:sent', error })
+    })
+
+    test('should emit transaction:sent once for protocol operations that send nested transactions', async () => {
+      const SWAP_RESULT = { hash: '0xdef', fee: 100n, tokenInAmount: 1_000n, tokenOutAmount: 990n }
+
+      class TestSwapProtocol extends SwapProtocol {
+        async swap (options) {
+          await this._account.sendTransaction(TRANSACTION)
+
+          return SWAP_RESULT
+        }
+      }
+
+      const listener = jest.fn()
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'test', TestSwapProtocol, undefined)
+                .on('transaction:sent', listener)
+
+      const decoratedAccount = await wdkManager.getAccount('ethereum', 0)
+
+      await decoratedAccount.getSwapProtocol('test').swap({ tokenIn: '0x1', tokenOut: '0x2', tokenInAmount: 1_000n })
+
+      expect(sendTransactionMock).toHaveBeenCalledWith(TRANSACTION)
+
+      expect(listener).toHaveBeenCalledTimes(1)
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        operation: 'swap',
+        protocol: { type: 'swap', label: 'test' },
+        result: SWAP_RESULT
+      }))
+    })
+
+    test('should emit disposed', () => {
+      const listener = jest.fn()
+
+      wdkManager.on('disposed', listener)
+
+      wdkManager.dispose()
+
+      expect(listener).toHaveBeenCalled()
+    })
+  })
+
+  describe('interceptors', () => {
+    const TRANSACTION = { to: '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24', value: 1_000n }
+
+    const TRANSACTION_RESULT = { hash: '0xabc', fee: 100n }
+
+    let sendTransactionMock
+
+    beforeEach(() => {
+      sendTransactionMock = jest.fn().mockResolvedValue(TRANSACTION_RESULT)
+
+      getAccountMock.mockResolvedValue({
+        index: 0,
+        path: "m/44'/60'/0'/0/0",
+        sendTransaction: sendTransactionMock
+      })
+    })
+
+    test('should call the interceptors in order with the operation context', async () => {
+      const calls = []
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerInterceptor('ethereum', async (context, next) => {
+                  calls.push('first')
+
+                  return await next()
+                })
+                .registerInterceptor('ethereum', async (context, next) => {
+                  calls.push('second')
+
+                  expect(context).toEqual({
+                    blockchain: 'ethereum',
+                    account,
+                    operation: 'sendTransaction',
+                    args: [TRANSACTION],
+                    quote: expect.any(Function)
+                  })
+
+                  return await next()
+                })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await account.sendTransaction(TRANSACTION)
+
+      expect(calls).toEqual(['first', 'second'])
+    })
+
+    test('should let interceptors modify the arguments and the result', async () => {
+      const MODIFIED_TRANSACTION = { ...TRANSACTION, value: 500n }
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerInterceptor('ethereum', async (context, next) => {
+                  context.args = [MODIFIED_TRANSACTION]
+
+                  const result = await next()
+
+                  return { ...result, intercepted: true }
+                })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const result = await account.sendTransaction(TRANSACTION)
+
+      expect(sendTransactionMock).toHaveBeenCalledWith(MODIFIED_TRANSACTION)
+
+      expect(result).toEqual({ ...TRANSACTION_RESULT, intercepted: true })
+    })
+
+    test('should let interceptors reject the operation', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerInterceptor('ethereum', async () => {
+                  throw new Error('Rejected by the user.')
+                })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(account.sendTransaction(TRANSACTION))
+        .rejects.toThrow('Rejected by the user.')
+
+      expect(sendTransactionMock).not.toHaveBeenCalled()
+    })
+
+    test('should intercept protocol operations', async () => {
+      class TestBridgeProtocol extends BridgeProtocol {
+        async bridge (options) {
+          return { hash: '0xdef', fee: 100n, bridgeFee: 50n }
+        }
+      }
+
+      const interceptor = jest.fn((context, next) => next())
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'test', TestBridgeProtocol, undefined)
+                .registerInterceptor('ethereum', interceptor)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await account.getBridgeProtocol('test').bridge({ targetChain: 'arbitrum' })
+
+      expect(interceptor).toHaveBeenCalledWith(expect.objectContaining({
+        operation: 'bridge',
+        protocol: { type: 'bridge', label: 'test' },
+        args: [{ targetChain: 'arbitrum' }]
+      }), expect.any(Function))
+    })
+
+    describe('unregisterInterceptor', () => {
+      test('should stop calling the interceptor', async () => {
+        const interceptor = jest.fn((context, next) => next())
+
+        wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                  .registerInterceptor('ethereum', interceptor)
+
+        const account = await wdkManager.getAccount('ethereum', 0)
+
+        wdkManager.unregisterInterceptor('ethereum', interceptor)
+
+        await account.sendTransaction(TRANSACTION)
+
+        expect(interceptor).not.toHaveBeenCalled()
+      })
+
+      test('should throw if the interceptor has not been registered for the given blockchain', () => {
+        expect(() => wdkManager.unregisterInterceptor('ethereum', jest.fn()))
+          .toThrow('Interceptor not registered for blockchain: ethereum.')
+      })
+    })
+  })
+
+  describe('policies', () => {
+    const RECIPIENT = '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24'
+
+    const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+
+    const TRANSACTION_RESULT = { hash: '0xabc', fee: 100n }
+
+    let sendTransactionMock, transferMock
+
+    beforeEach(() => {
+      sendTransactionMock = jest.fn().mockResolvedValue(TRANSACTION_RESULT)
+
+      transferMock = jest.fn().mockResolvedValue(TRANSACTION_RESULT)
+
+      getAccountMock.mockResolvedValue({
+        index: 0,
+        path: "m/44'/60'/0'/0/0",
+        sendTransaction: sendTransactionMock,
+        transfer: transferMock
+      })
+    })
+
+    test('should reject operations exceeding the max amount', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerPolicy('ethereum', { limits: [{ token: USDT, maxAmount: 1_000n }] })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const promise = account.transfer({ token: USDT.toLowerCase(), recipient: RECIPIENT, amount: 1_001n })
+
+      await expect(promise).rejects.toThrow(PolicyViolationError)
+
+      await expect(promise).rejects.toMatchObject({
+        code: 'POLICY_VIOLATION',
+        blockchain: 'ethereum',
+        operation: 'transfer',
+        rule: 'maxAmount',
+        details: { amount: 1_001n, limit: 1_000n }
+      })
+
+      expect(transferMock).not.toHaveBeenCalled()
+
+      await account.transfer({ token: USDT, recipient: RECIPIENT, amount: 1_000n })
+
+      expect(transferMock).toHaveBeenCalled()
+    })
+
+    test('should enforce daily limits across operations and ignore the amounts of failed operations', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerPolicy('ethereum', { limits: [{ dailyLimit: 1_000n }] })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await account.sendTransaction({ to: RECIPIENT, value: 600n })
+
+      sendTransactionMock.mockRejectedValueOnce(new Error('Insufficient funds.'))
+
+      await expect(account.sendTransaction({ to: RECIPIENT, value: 400n }))
+        .rejects.toThrow('Insufficient funds.')
+
+      await account.sendTransaction({ to: RECIPIENT, value: 400n })
+
+      await expect(account.sendTransaction({ to: RECIPIENT, value: 1n }))
+        .rejects.toMatchObject({ rule: 'dailyLimit', details: { amount: 1n, spent: 1_000n, limit: 1_000n } })
+    })
+
+    test('should reset daily limits after 24 hours', async () => {
+      const now = Date.now()
+
+      const dateNowSpy = jest.spyOn(Date, 'now').mockReturnValue(now)
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerPolicy('ethereum', { limits: [{ dailyLimit: 1_000n }] })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await account.sendTransaction({ to: RECIPIENT, value: 1_000n })
+
+      dateNowSpy.mockReturnValue(now + 24 * 60 * 60 * 1_000)
+
+      await account.sendTransaction({ to: RECIPIENT, value: 1_000n })
+
+      expect(sendTransactionMock).toHaveBeenCalledTimes(2)
+
+      dateNowSpy.mockRestore()
+    })
+
+    test('should reject operations sending funds to recipients not in the allowlist', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerPolicy('ethereum', { allowedRecipients: [RECIPIENT.toLowerCase()] })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await account.transfer({ token: USDT, recipient: RECIPIENT, amount: 1n })
+
+      await expect(account.transfer({ token: USDT, recipient: '0x0000000000000000000000000000000000000001', amount: 1n }))
+        .rejects.toMatchObject({ rule: 'allowedRecipients' })
+    })
+
+    test('should check token calls sent as transactions, and reject transactions with unknown calldata', async () => {
+      const encode = (selector, address, amount) => `0x${selector}${address.slice(2).padStart(64, '0')}${amount.toString(16).padStart(64, '0')}`
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerPolicy('ethereum', { limits: [{ token: USDT, maxAmount: 1_000n }], allowedRecipients: [RECIPIENT] })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await account.sendTransaction({ to: USDT, value: 0n, data: encode('a9059cbb', RECIPIENT, 1_000n) })
+
+      expect(sendTransactionMock).toHaveBeenCalledTimes(1)
+
+      await expect(account.sendTransaction({ to: USDT, value: 0n, data: encode('a9059cbb', RECIPIENT, 1_001n) }))
+        .rejects.toMatchObject({ rule: 'maxAmount', details: { token: USDT, amount: 1_001n } })
+
+      await expect(account.sendTransaction({ to: USDT, value: 0n, data: encode('095ea7b3', RECIPIENT, 2n ** 256n - 1n) }))
+        .rejects.toMatchObject({ rule: 'maxAmount' })
+
+      await expect(account.sendTransaction({ to: USDT, value: 0n, data: encode('095ea7b3', '0x0000000000000000000000000000000000000001', 1n) }))
+        .rejects.toMatchObject({ rule: 'allowedRecipients' })
+
+      await expect(account.sendTransaction({ to: USDT, value: 0n, data: encode('23b872dd', RECIPIENT, 1n) }))
+        .rejects.toMatchObject({ rule: 'calldata', details: { contract: USDT } })
+
+      expect(sendTransactionMock).toHaveBeenCalledTimes(1)
+    })
+
+    test('should reject operations interacting with blocked contracts', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerPolicy('ethereum', { blockedContracts: [USDT] })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(account.transfer({ token: USDT, recipient: RECIPIENT, amount: 1n }))
+        .rejects.toMatchObject({ rule: 'blockedContracts', details: { contract: USDT } })
+    })
+
+    test('should reject operations failing the custom validation', async () => {
+      const validate = jest.fn().mockResolvedValue(false)
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerPolicy('ethereum', { validate })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(account.transfer({ token: USDT, recipient: RECIPIENT, amount: 1n }))
+        .rejects.toMatchObject({ rule: 'validate' })
+
+      expect(validate).toHaveBeenCalledWith(expect.objectContaining({
+        blockchain: 'ethereum',
+        operation: 'transfer',
+        token: USDT,
+        amount: 1n,
+        recipient: RECIPIENT
+      }))
+    })
+
+    test('should use the quote of swaps that only set the output amount', async () => {
+      class TestSwapProtocol extends SwapProtocol {
+        async swap (options) {
+          return { hash: '0xdef', fee: 100n, tokenInAmount: 2_000n, tokenOutAmount: options.tokenOutAmount }
+        }
+
+        async quoteSwap (options) {
+          return { fee: 100n, tokenInAmount: 2_000n, tokenOutAmount: options.tokenOutAmount }
+        }
+      }
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'test', TestSwapProtocol, undefined)
+                .registerPolicy('ethereum', { limits: [{ token: USDT, maxAmount: 1_000n }] })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(account.getSwapProtocol('test').swap({ tokenIn: USDT, tokenOut: RECIPIENT, tokenOutAmount: 1n }))
+        .rejects.toMatchObject({ rule: 'maxAmount', details: { amount: 2_000n } })
+    })
+
+    test('should save the amounts spent to the given policy store', async () => {
+      const records = new Map()
+
+      const policyStore = {
+        getRecords: jest.fn(async (key) => records.get(key) ?? []),
+        setRecords: jest.fn(async (key, value) => { records.set(key, value) })
+      }
+
+      wdkManager = new WdkManager(SEED_PHRASE, { policyStore })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerPolicy('ethereum', { limits: [{ token: USDT, dailyLimit: 1_000n }] })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await account.transfer({ token: USDT, recipient: RECIPIENT, amount: 250n })
+
+      expect(records.get(`ethereum:${USDT.toLowerCase()}`)).toEqual([
+        expect.objectContaining({ amount: 250n })
+      ])
+    })
+
+    describe('unregisterPolicy', () => {
+      test('should stop enforcing the policy', async () => {
+        const policy = { limits: [{ maxAmount: 1n }] }
+
+        wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                  .registerPolicy('ethereum', policy)
+                  .unregisterPolicy('ethereum', policy)
+
+        const account = await wdkManager.getAccount('ethereum', 0)
+
+        await account.sendTransaction({ to: RECIPIENT, value: 1_000n })
+
+        expect(sendTransactionMock).toHaveBeenCalled()
+      })
+
+      test('should throw if the policy has not been registered for the given blockchain', () => {
+        expect(() => wdkManager.unregisterPolicy('ethereum', { }))
+          .toThrow('Policy not registered for blockchain: ethereum.')
+      })
+    })
+  })
+
+  describe('approval mode', () => {
+    const TRANSFER = { token: '0xdAC17F958D2ee523a2206206994597C13D831ec7', recipient: '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24', amount: 100n }
+
+    const TRANSFER_QUOTE = { fee: 100n }
+
+    const TRANSFER_RESULT = { hash: '0xabc', fee: 100n }
+
+    let transferMock
+
+    beforeEach(() => {
+      transferMock = jest.fn().mockResolvedValue(TRANSFER_RESULT)
+
+      getAccountMock.mockResolvedValue({
+        index: 0,
+        path: "m/44'/60'/0'/0/0",
+        transfer: transferMock,
+        quoteTransfer: jest.fn().mockResolvedValue(TRANSFER_QUOTE)
+      })
+    })
+
+    test('should hold operations until they are approved', async () => {
+      wdkManager = new WdkManager(SEED_PHRASE, { approval: { } })
+
+      const requested = new Promise(resolve => wdkManager.on('approval:requested', resolve))
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const promise = account.transfer(TRANSFER)
+
+      const request = await requested
+
+      expect(request).toEqual(expect.objectContaining({
+        blockchain: 'ethereum',
+        account,
+        operation: 'transfer',
+        args: [TRANSFER],
+        quote: TRANSFER_QUOTE
+      }))
+
+      expect(wdkManager.getPendingApprovals()).toEqual([request])
+
+      expect(transferMock).not.toHaveBeenCalled()
+
+      wdkManager.approve(request.id)
+
+      expect(await promise).toEqual(TRANSFER_RESULT)
+
+      expect(transferMock).toHaveBeenCalledWith(TRANSFER)
+
+      expect(wdkManager.getPendingApprovals()).toEqual([])
+    })
+
+    test('should keep a request pending if an approval:requested listener throws', async () => {
+      wdkManager = new WdkManager(SEED_PHRASE, { approval: { } })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .on('approval:requested', () => { throw new Error('Listener failure.') })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const promise = account.transfer(TRANSFER)
+
+      await new Promise(resolve => setTimeout(resolve, 0))
+
+      const [request] = wdkManager.getPendingApprovals()
+
+      wdkManager.approve(request.id)
+
+      expect(await promise).toEqual(TRANSFER_RESULT)
+    })
+
+    test('should fail the operations that are rejected', async () => {
+      wdkManager = new WdkManager(SEED_PHRASE, { approval: { } })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .on('approval:requested', ({ id }) => wdkManager.reject(id, 'Unknown recipient'))
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const promise = account.transfer(TRANSFER)
+
+      await expect(promise).rejects.toThrow(ApprovalRejectedError)
+
+      await expect(promise).rejects.toMatchObject({ code: 'APPROVAL_REJECTED', reason: 'Unknown recipient' })
+
+      expect(transferMock).not.toHaveBeenCalled()
+    })
+
+    test('should let the approval callback decide', async () => {
+      const callback = jest.fn()
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false)
+
+      wdkManager = new WdkManager(SEED_PHRASE, { approval: { callback } })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      expect(await account.transfer(TRANSFER)).toEqual(TRANSFER_RESULT)
+
+      await expect(account.transfer(TRANSFER))
+        .rejects.toThrow(ApprovalRejectedError)
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ operation: 'transfer', quote: TRANSFER_QUOTE }))
+
+      expect(transferMock).toHaveBeenCalledTimes(1)
+    })
+
+    test('should reject the operations that are not approved in time', async () => {
+      wdkManager = new WdkManager(SEED_PHRASE, { approval: { timeout: 10 } })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(account.transfer(TRANSFER))
+        .rejects.toThrow(ApprovalTimeoutError)
+
+      expect(wdkManager.getPendingApprovals()).toEqual([])
+    })
+
+    test('should reject the operations whose quote expires before approval', async () => {
+      wdkManager = new WdkManager(SEED_PHRASE, { approval: { quoteTtl: 10 } })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const promise = account.transfer(TRANSFER)
+
+      await expect(promise).rejects.toThrow(QuoteExpiredError)
+
+      expect(wdkManager.getPendingApprovals()).toEqual([])
+    })
+
+    test('should reject the pending operations when the wdk instance is disposed', async () => {
+      wdkManager = new WdkManager(SEED_PHRASE, { approval: { } })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .on('approval:requested', () => wdkManager.dispose())
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(account.transfer(TRANSFER))
+        .rejects.toThrow(DisposedError)
+    })
+
+    test('should throw if there is no pending approval request with the given id', () => {
+      expect(() => wdkManager.approve('dummy-id'))
+        .toThrow('No pending approval request for id: dummy-id.')
+    })
+  })
+
+  describe('dry-run mode', () => {
+    const TRANSACTION = { to: '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24', value: 1_000n }
+
+    const TRANSACTION_QUOTE = { fee: 100n }
+
+    let sendTransactionMock, getBalanceMock
+
+    beforeEach(() => {
+      sendTransactionMock = jest.fn()
+
+      getBalanceMock = jest.fn().mockResolvedValue(5_000n)
+
+      getAccountMock.mockResolvedValue({
+        index: 0,
+        path: "m/44'/60'/0'/0/0",
+        sendTransaction: sendTransactionMock,
+        quoteSendTransaction: jest.fn().mockResolvedValue(TRANSACTION_QUOTE),
+        getBalance: getBalanceMock
+      })
+
+      wdkManager = new WdkManager(SEED_PHRASE, { dryRun: true })
+    })
+
+    test('should return a tagged simulated result instead of broadcasting', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const result = await account.sendTransaction(TRANSACTION)
+
+      expect(result).toEqual({
+        hash: expect.stringMatching(/^dry-run-/),
+        fee: 100n,
+        dryRun: true,
+        quote: TRANSACTION_QUOTE
+      })
+
+      expect(sendTransactionMock).not.toHaveBeenCalled()
+
+      const { hash } = await account.sendTransaction(TRANSACTION)
+
+      expect(hash).not.toBe(result.hash)
+    })
+
+    test('should simulate protocol operations', async () => {
+      class TestBridgeProtocol extends BridgeProtocol {
+        async bridge (options) {
+          throw new Error('Should not be called.')
+        }
+
+        async quoteBridge (options) {
+          return { fee: 100n, bridgeFee: 50n }
+        }
+      }
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'test', TestBridgeProtocol, undefined)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const result = await account.getBridgeProtocol('test').bridge({ targetChain: 'arbitrum' })
+
+      expect(result).toEqual(expect.objectContaining({ fee: 100n, bridgeFee: 50n, dryRun: true }))
+    })
+
+    test('should let read methods pass through', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      expect(await account.getBalance()).toBe(5_000n)
+    })
+
+    test('should check the policies without counting the simulated amounts', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerPolicy('ethereum', { limits: [{ maxAmount: 1_000n, dailyLimit: 1_000n }] })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await account.sendTransaction(TRANSACTION)
+
+      await account.sendTransaction(TRANSACTION)
+
+      await expect(account.sendTransaction({ ...TRANSACTION, value: 1_001n }))
+        .rejects.toThrow(PolicyViolationError)
+    })
+  })
+
+  describe('getPortfolio', () => {
+    const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+
+    beforeEach(() => {
+      getAccountMock.mockImplementation(async (index) => ({
+        index,
+        path: `m/44'/60'/0'/0/${index}`,
+        getAddress: async () => `0x${index}`,
+        getBalance: async () => 1_000n * BigInt(index + 1),
+        getTokenBalance: async (token) => 10n * BigInt(index + 1)
+      }))
+    })
+
+    test('should return the native and token balances of the requested accounts', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const portfolio = await wdkManager.getPortfolio({ accounts: [0, 1], tokens: { ethereum: [USDT] } })
+
+      expect(portfolio).toEqual({
+        balances: [
+          { blockchain: 'ethereum', index: 0, address: '0x0', asset: 'native', amount: 1_000n },
+          { blockchain: 'ethereum', index: 0, address: '0x0', asset: USDT, amount: 10n },
+          { blockchain: 'ethereum', index: 1, address: '0x1', asset: 'native', amount: 2_000n },
+          { blockchain: 'ethereum', index: 1, address: '0x1', asset: USDT, amount: 20n }
+        ],
+        errors: []
+      })
+    })
+
+    test('should report the errors per blockchain', async () => {
+      const error = new Error('Network error.')
+
+      class BrokenWalletManager extends WalletManager {
+        async getAccount (index) {
+          throw error
+        }
+      }
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerWallet('ton', BrokenWalletManager, CONFIG)
+
+      const portfolio = await wdkManager.getPortfolio()
+
+      expect(portfolio).toEqual({
+        balances: [
+          { blockchain: 'ethereum', index: 0, address: '0x0', asset: 'native', amount: 1_000n }
+        ],
+        errors: [
+          { blockchain: 'ton', error }
+        ]
+      })
+    })
+  })
+
+  describe('discoverAccounts', () => {
+    const BALANCES = [1_000n, 0n, 500n]
+
+    let accounts
+
+    beforeEach(() => {
+      accounts = { }
+
+      getAccountMock.mockClear()
+
+      getAccountMock.mockImplementation(async (index) => {
+        accounts[index] ??= {
+          index,
+          path: `m/44'/60'/0'/0/${index}`,
+          getBalance: async () => BALANCES[index] ?? 0n,
+          dispose: jest.fn()
+        }
+
+        return accounts[index]
+      })
+    })
+
+    test('should return the used accounts and stop after the gap limit', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const discovered = await wdkManager.discoverAccounts('ethereum', { gapLimit: 2 })
+
+      expect(discovered).toEqual([accounts[0], accounts[2]])
+
+      expect(getAccountMock).toHaveBeenCalledWith(4)
+
+      expect(getAccountMock).not.toHaveBeenCalledWith(5)
+
+      expect(wdkManager.getDerivedAccounts('ethereum').map(({ index }) => index)).toEqual([0, 2])
+
+      expect(accounts[1].dispose).toHaveBeenCalled()
+
+      expect(accounts[0].dispose).not.toHaveBeenCalled()
+    })
+
+    test('should use the given activity checker', async () => {
+      const isActive = jest.fn(async (account, { index }) => index === 1)
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const discovered = await wdkManager.discoverAccounts('ethereum', { gapLimit: 1, isActive })
+
+      expect(discovered).toEqual([])
+
+      expect(isActive).toHaveBeenCalledWith(accounts[0], { blockchain: 'ethereum', index: 0 })
+    })
+
+    test('should not dispose the unused accounts that have already been handed out', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const account = await wdkManager.getAccount('ethereum', 1)
+
+      await wdkManager.discoverAccounts('ethereum', { gapLimit: 2 })
+
+      expect(account.dispose).not.toHaveBeenCalled()
+    })
+
+    test('should not dispose the accounts handed out while they were being checked', async () => {
+      let release
+
+      const checked = new Promise(resolve => { release = resolve })
+
+      const isActive = jest.fn(async () => {
+        await checked
+
+        return false
+      })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const discovery = wdkManager.discoverAccounts('ethereum', { gapLimit: 1, isActive })
+
+      await new Promise(resolve => setTimeout(resolve, 0))
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      release()
+
+      expect(await discovery).toEqual([])
+
+      expect(account.dispose).not.toHaveBeenCalled()
+
+      expect(wdkManager.getDerivedAccounts('ethereum').map(({ account }) => account)).toEqual([account])
+    })
+
+    test('should throw if no wallet has been registered for the given blockchain', async () => {
+      await expect(wdkManager.discoverAccounts('ethereum'))
+        .rejects.toThrow(WalletNotRegisteredError)
+    })
+
+    describe('discoverAllAccounts', () => {
+      test('should return the used accounts of all the blockchains and report the errors per blockchain', async () => {
+        const error = new Error('Network error.')
+
+        class BrokenWalletManager extends WalletManager {
+          async getAccount (index) {
+            throw error
+          }
+        }
+
+        wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                  .registerWallet('ton', BrokenWalletManager, CONFIG)
+
+        const discovery = await wdkManager.discoverAllAccounts({ gapLimit: 2 })
+
+        expect(discovery).toEqual({
+          accounts: [
+            { blockchain: 'ethereum', index: 0, path: "m/44'/60'/0'/0/0", account: accounts[0] },
+            { blockchain: 'ethereum', index: 2, path: "m/44'/60'/0'/0/2", account: accounts[2] }
+          ],
+          errors: [
+            { blockchain: 'ton', error }
+          ]
+        })
+      })
+    })
+  })
+
+  describe('introspection', () => {
+    class TestSwapProtocol extends SwapProtocol { }
+
+    class OtherSwapProtocol extends SwapProtocol { }
+
+    class TestLendingProtocol extends LendingProtocol { }
+
+    beforeEach(() => {
+      getAccountMock.mockResolvedValue({ index: 0, path: "m/44'/60'/0'/0/0" })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerWallet('ton', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'test', TestSwapProtocol, undefined)
+                .registerProtocol('ethereum', 'aave', TestLendingProtocol, undefined)
+    })
+
+    test('should list the registered blockchains', () => {
+      expect(wdkManager.getRegisteredBlockchains()).toEqual(['ethereum', 'ton'])
+
+      expect(wdkManager.hasWallet('ethereum')).toBe(true)
+
+      expect(wdkManager.hasWallet('tron')).toBe(false)
+    })
+
+    test('should list the protocols registered for a blockchain', () => {
+      expect(wdkManager.listProtocols('ethereum')).toEqual([
+        { type: 'swap', label: 'test', name: 'TestSwapProtocol' },
+        { type: 'lending', label: 'aave', name: 'TestLendingProtocol' }
+      ])
+
+      expect(wdkManager.listProtocols('ethereum', 'lending')).toEqual([
+        { type: 'lending', label: 'aave', name: 'TestLendingProtocol' }
+      ])
+
+      expect(wdkManager.listProtocols('ton')).toEqual([])
+
+      expect(wdkManager.hasProtocol('ethereum', 'test')).toBe(true)
+
+      expect(wdkManager.hasProtocol('ethereum', 'test', 'bridge')).toBe(false)
+    })
+
+    test('should list the protocols available to an account', async () => {
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      account.registerProtocol('test', OtherSwapProtocol, undefined)
+             .registerProtocol('velora', OtherSwapProtocol, undefined)
+
+      expect(account.listProtocols()).toEqual([
+        { type: 'swap', label: 'test', name: 'OtherSwapProtocol', scope: 'account' },
+        { type: 'swap', label: 'velora', name: 'OtherSwapProtocol', scope: 'account' },
+        { type: 'lending', label: 'aave', name: 'TestLendingProtocol', scope: 'wdk' }
+      ])
+
+      expect(account.hasProtocol('velora', 'swap')).toBe(true)
+
+      expect(account.hasProtocol('aave')).toBe(true)
+
+      expect(account.hasProtocol('velora', 'lending')).toBe(false)
+    })
+  })
+
+  describe('best-quote routing', () => {
+    const SWAP_OPTIONS = { tokenIn: '0xdAC17F958D2ee523a2206206994597C13D831ec7', tokenOut: '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24', tokenInAmount: 1_000n }
+
+    const createSwapProtocol = (quote) => {
+      return class extends SwapProtocol {
+        async quoteSwap (options) {
+          return await quote()
+        }
+
+        async swap (options) {
+          return { hash: '0xabc', ...(await quote()) }
+        }
+      }
+    }
+
+    const error = new Error('Unsupported pair.')
+
+    beforeEach(() => {
+      getAccountMock.mockResolvedValue({ index: 0, path: "m/44'/60'/0'/0/0" })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'cheap', createSwapProtocol(async () => ({ fee: 10n, tokenInAmount: 1_000n, tokenOutAmount: 990n })), undefined)
+                .registerProtocol('ethereum', 'best', createSwapProtocol(async () => ({ fee: 50n, tokenInAmount: 1_000n, tokenOutAmount: 995n })), undefined)
+                .registerProtocol('ethereum', 'broken', createSwapProtocol(async () => { throw error }), undefined)
+                .registerProtocol('ethereum', 'slow', createSwapProtocol(() => new Promise(() => { })), undefined)
+    })
+
+    test('should rank the swap quotes and report why the other protocols were skipped', async () => {
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const route = await account.getBestSwap(SWAP_OPTIONS, { timeout: 10, convertFee: (fee) => fee / 50n })
+
+      expect(route).toEqual({
+        label: 'best',
+        quote: { fee: 50n, tokenInAmount: 1_000n, tokenOutAmount: 995n },
+        quotes: [
+          { label: 'best', quote: { fee: 50n, tokenInAmount: 1_000n, tokenOutAmount: 995n } },
+          { label: 'cheap', quote: { fee: 10n, tokenInAmount: 1_000n, tokenOutAmount: 990n } }
+        ],
+        skipped: [
+          { label: 'cheap', reason: 'outranked' },
+          { label: 'broken', reason: 'error', error },
+          { label: 'slow', reason: 'timeout' }
+        ]
+      })
+    })
+
+    test('should rank a quote buying more output tokens but with a higher fee below a cheaper quote', async () => {
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const route = await account.getBestSwap(SWAP_OPTIONS, { timeout: 10, convertFee: (fee) => fee / 5n })
+
+      expect(route.label).toBe('cheap')
+
+      expect(route.quotes.map(({ label }) => label)).toEqual(['cheap', 'best'])
+    })
+
+    test('should throw if several swap protocols are available and the fees cannot be converted', async () => {
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(account.getBestSwap(SWAP_OPTIONS, { timeout: 10 }))
+        .rejects.toThrow(TypeError)
+
+      await expect(account.swapBest(SWAP_OPTIONS, { timeout: 10 }))
+        .rejects.toThrow(TypeError)
+    })
+
+    test('should swap through the best protocol', async () => {
+      const interceptor = jest.fn((context, next) => next())
+
+      wdkManager.registerInterceptor('ethereum', interceptor)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const { label, result } = await account.swapBest(SWAP_OPTIONS, { timeout: 10, convertFee: (fee) => fee / 50n })
+
+      expect(label).toBe('best')
+
+      expect(result).toEqual({ hash: '0xabc', fee: 50n, tokenInAmount: 1_000n, tokenOutAmount: 995n })
+
+      expect(interceptor).toHaveBeenCalledWith(expect.objectContaining({ protocol: { type: 'swap', label: 'best' } }), expect.any(Function))
+    })
+
+    test('should pick the cheapest bridge', async () => {
+      class TestBridgeProtocol extends BridgeProtocol {
+        async quoteBridge (options) {
+          return { fee: 100n, bridgeFee: this._config.bridgeFee }
+        }
+
+        async bridge (options) {
+          return { hash: '0xdef', fee: 100n, bridgeFee: this._config.bridgeFee }
+        }
+      }
+
+      wdkManager.registerProtocol('ethereum', 'usdt0', TestBridgeProtocol, { bridgeFee: 50n })
+                .registerProtocol('ethereum', 'other', TestBridgeProtocol, { bridgeFee: 80n })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const { label, result } = await account.bridgeBest({ targetChain: 'arbitrum' })
+
+      expect(label).toBe('usdt0')
+
+      expect(result).toEqual({ hash: '0xdef', fee: 100n, bridgeFee: 50n })
+    })
+
+    test('should throw if no protocol returns a quote', async () => {
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(account.getBestBridge({ targetChain: 'arbitrum' }))
+        .rejects.toThrow(NoRouteError)
+    })
+  })
+
+  describe('move planner', () => {
+    const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+
+    const USDT0 = '0x6C96dE32CEa08842dcc4058c14d3aaAD7Fa41dee'
+
+    const XAUT = '0x40461291347e1eCbb09499F3371D3f17f10d7159'
+
+    const swapMock = jest.fn()
+
+    class TestSwapProtocol extends SwapProtocol {
+      async quoteSwap ({ tokenInAmount }) {
+        return { fee: this._config.fee, tokenInAmount, tokenOutAmount: this._config.convert(tokenInAmount) }
+      }
+
+      async swap (options) {
+        swapMock(options)
+
+        return { hash: '0xabc', ...(await this.quoteSwap(options)) }
+      }
+    }
+
+    class TestBridgeProtocol extends BridgeProtocol {
+      async quoteBridge (options) {
+        if (this._config.error) {
+          throw this._config.error
+        }
+
+        return { fee: 100n, bridgeFee: this._config.bridgeFee ?? 50n }
+      }
+
+      async bridge (options) {
+        return { hash: '0xdef', fee: 100n, bridgeFee: this._config.bridgeFee ?? 50n }
+      }
+    }
+
+    const INTENT = {
+      from: { blockchain: 'ethereum', token: USDT, amount: 1_000n },
+      to: { blockchain: 'arbitrum', token: XAUT }
+    }
+
+    const OPTIONS = { bridgeTokens: [{ token: USDT0, targetToken: USDT0 }] }
+
+    const error = new Error('Unsupported target chain.')
+
+    beforeEach(() => {
+      swapMock.mockReset()
+
+      getAccountMock.mockImplementation(async (index) => ({
+        index,
+        path: `m/44'/60'/0'/0/${index}`,
+        getAddress: async () => '0xa460AEbce0d3A4BecAd8ccf9D6D4861296c503Bd'
+      }))
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerWallet('arbitrum', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'dex', TestSwapProtocol, { fee: 10n, convert: (amount) => amount - 10n })
+                .registerProtocol('ethereum', 'usdt0', TestBridgeProtocol, { })
+                .registerProtocol('ethereum', 'other', TestBridgeProtocol, { error })
+                .registerProtocol('arbitrum', 'dex', TestSwapProtocol, { fee: 5n, convert: (amount) => amount / 2n })
+    })
+
+    test('should plan and quote the routes combining swaps and bridges', async () => {
+      const plan = await wdkManager.planMove(INTENT, OPTIONS)
+
+      expect(plan).toEqual({
+        routes: [
+          {
+            steps: [
+              {
+                type: 'swap',
+                blockchain: 'ethereum',
+                index: 0,
+                label: 'dex',
+                options: { tokenIn: USDT, tokenOut: USDT0, tokenInAmount: 1_000n },
+                quote: { fee: 10n, tokenInAmount: 1_000n, tokenOutAmount: 990n }
+              },
+              {
+                type: 'bridge',
+                blockchain: 'ethereum',
+                index: 0,
+                label: 'usdt0',
+                options: { targetChain: 'arbitrum', recipient: '0xa460AEbce0d3A4BecAd8ccf9D6D4861296c503Bd', token: USDT0, amount: 990n },
+                quote: { fee: 100n, bridgeFee: 50n }
+              },
+              {
+                type: 'swap',
+                blockchain: 'arbitrum',
+                index: 0,
+                label: 'dex',
+                options: { tokenIn: USDT0, tokenOut: XAUT, tokenInAmount: 990n },
+                quote: { fee: 5n, tokenInAmount: 990n, tokenOutAmount: 495n }
+              }
+            ],
+            amountOut: 495n,
+            fees: { ethereum: 160n, arbitrum: 5n }
+          }
+        ],
+        skipped: [
+          { bridgeToken: { token: USDT0, targetToken: USDT0 }, label: 'other', error }
+        ]
+      })
+    })
+
+    test('should execute a route and resume it from the failed step', async () => {
+      const { routes: [route] } = await wdkManager.planMove(INTENT, OPTIONS)
+
+      const onProgress = jest.fn()
+
+      swapMock.mockImplementation(({ tokenIn }) => {
+        if (tokenIn === USDT0) {
+          throw new Error('Insufficient balance.')
+        }
+      })
+
+      const failure = await wdkManager.executeMove(route, { onProgress })
+        .catch(error => error)
+
+      expect(failure).toBeInstanceOf(MoveFailedError)
+
+      expect(failure.progress.completed).toBe(2)
+
+      expect(onProgress).toHaveBeenCalledTimes(2)
+
+      swapMock.mockReset()
+
+      const progress = await wdkManager.executeMove(route, { progress: failure.progress })
+
+      expect(progress.completed).toBe(3)
+
+      expect(progress.results[2].result).toEqual({ hash: '0xabc', fee: 5n, tokenInAmount: 990n, tokenOutAmount: 495n })
+
+      expect(swapMock).toHaveBeenCalledTimes(1)
+    })
+
+    test('should rank the routes delivering the same amount by their fees', async () => {
+      wdkManager.registerProtocol('ethereum', 'expensive', TestBridgeProtocol, { bridgeFee: 10_000n })
+                .registerProtocol('ethereum', 'cheap', TestBridgeProtocol, { bridgeFee: 1n })
+
+      const { routes } = await wdkManager.planMove({
+        from: { blockchain: 'ethereum', token: USDT0, amount: 1_000n },
+        to: { blockchain: 'arbitrum', token: USDT0 }
+      })
+
+      expect(routes.map(({ steps: [step], fees }) => [step.label, fees.ethereum])).toEqual([
+        ['cheap', 101n],
+        ['usdt0', 150n],
+        ['expensive', 10_100n]
+      ])
+    })
+  })
+
+  describe('protocol types', () => {
+    class StakingProtocol {
+      constructor (account, config) {
+        this._account = account
+
+        this._config = config
+      }
+
+      async quoteStake (options) {
+        return { fee: 10n }
+      }
+
+      async stake (options) {
+        return { hash: '0xabc', fee: 10n }
+      }
+    }
+
+    class TestStakingProtocol extends StakingProtocol { }
+
+    beforeAll(() => {
+      WdkManager.registerProtocolType('staking', StakingProtocol, { operations: ['stake'] })
+    })
+
+    beforeEach(() => {
+      getAccountMock.mockResolvedValue({ index: 0, path: "m/44'/60'/0'/0/0" })
+    })
+
+    test('should register and return protocols of custom types', async () => {
+      const interceptor = jest.fn((context, next) => next())
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'lido', TestStakingProtocol, { pool: '0x1' })
+                .registerInterceptor('ethereum', interceptor)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const protocol = account.getProtocol('staking', 'lido')
+
+      expect(protocol).toBeInstanceOf(TestStakingProtocol)
+
+      expect(account.getProtocol('staking', 'lido')).toBe(protocol)
+
+      expect(account.listProtocols('staking')).toEqual([
+        { type: 'staking', label: 'lido', name: 'TestStakingProtocol', scope: 'wdk' }
+      ])
+
+      await protocol.stake({ amount: 1n })
+
+      expect(interceptor).toHaveBeenCalledWith(expect.objectContaining({
+        operation: 'stake',
+        protocol: { type: 'staking', label: 'lido' }
+      }), expect.any(Function))
+
+      expect(await interceptor.mock.calls[0][0].quote()).toEqual({ fee: 10n })
+    })
+
+    test('should keep the built-in getters working on top of the generic one', async () => {
+      class TestSwapProtocol extends SwapProtocol { }
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'test', TestSwapProtocol, undefined)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      expect(account.getProtocol('swap', 'test')).toBe(account.getSwapProtocol('test'))
+    })
+
+    test('should list the protocol types', () => {
+      expect(WdkManager.getProtocolTypes()).toEqual(['swap', 'bridge', 'lending', 'staking'])
+    })
+
+    test('should throw if the protocol type has already been registered', () => {
+      expect(() => WdkManager.registerProtocolType('swap', StakingProtocol))
+        .toThrow('Protocol type already registered: swap.')
+    })
+
+    test('should not override the built-in protocol types', () => {
+      for (const type of ['swap', 'bridge', 'lending']) {
+        expect(() => WdkManager.registerProtocolType(type, StakingProtocol, { override: true }))
+          .toThrow(`Protocol type already registered: ${type}.`)
+      }
+
+      expect(WdkManager.getProtocolTypes()).toEqual(['swap', 'bridge', 'lending', 'staking'])
+    })
+
+    test('should throw if the base class of the protocol type is not a class', () => {
+      for (const BaseProtocol of [undefined, () => { }, async () => { }]) {
+        expect(() => WdkManager.registerProtocolType('oracle', BaseProtocol))
+          .toThrow(InvalidProtocolTypeError)
+      }
+
+      expect(WdkManager.getProtocolTypes()).not.toContain('oracle')
+
+      expect(() => wdkManager.registerProtocol('ethereum', 'test', class { }, undefined))
+        .toThrow(InvalidProtocolError)
+    })
+
+    test('should list the base classes of all the protocol types in the invalid protocol error', () => {
+      expect(() => wdkManager.registerProtocol('ethereum', 'test', class { }, undefined))
+        .toThrow('Protocols must extend SwapProtocol, BridgeProtocol, LendingProtocol or StakingProtocol.')
+    })
+  })
+
+  describe('vault', () => {
+    const VAULT_OPTIONS = { kdf: { N: 2 ** 10 } }
+
+    beforeEach(() => {
+      WalletManagerMock.mockClear()
+    })
+
+    test('should encrypt a seed phrase and create a wdk instance from the vault', async () => {
+      const vault = await WdkManager.createVault(SEED_PHRASE, 'passphrase', VAULT_OPTIONS)
+
+      expect(vault).not.toContain('cook')
+
+      expect(JSON.parse(vault)).toEqual({
+        version: 1,
+        kdf: { name: 'scrypt', N: 1_024, r: 8, p: 1, salt: expect.stringMatching(/^[0-9a-f]{64}$/) },
+        cipher: { name: 'xchacha20-poly1305', nonce: expect.stringMatching(/^[0-9a-f]{48}$/) },
+        ciphertext: expect.any(String)
+      })
+
+      const wdk = await WdkManager.fromVault(vault, 'passphrase')
+
+      wdk.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      expect(WalletManagerMock).toHaveBeenCalledWith(SEED_PHRASE, CONFIG)
+    })
+
+    test('should encrypt a seed and the seed of a wdk instance', async () => {
+      const seed = new Uint8Array(32).fill(7)
+
+      const vault = await new WdkManager(seed).toVault('passphrase', VAULT_OPTIONS)
+
+      const wdk = await WdkManager.fromVault(vault, 'passphrase')
+
+      wdk.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      expect(WalletManagerMock).toHaveBeenCalledWith(seed, CONFIG)
+    })
+
+    test('should change the passphrase', async () => {
+      const vault = await WdkManager.createVault(SEED_PHRASE, 'old passphrase', VAULT_OPTIONS)
+
+      const newVault = await WdkManager.changeVaultPassphrase(vault, 'old passphrase', 'new passphrase')
+
+      expect(JSON.parse(newVault).kdf).toEqual(expect.objectContaining({ N: 1_024 }))
+
+      await expect(WdkManager.fromVault(newVault, 'old passphrase'))
+        .rejects.toThrow(WrongPassphraseError)
+
+      await expect(WdkManager.fromVault(newVault, 'new passphrase'))
+        .resolves.toBeInstanceOf(WdkManager)
+    })
+
+    test('should throw if the passphrase is wrong or the vault has been tampered with', async () => {
+      const vault = await WdkManager.createVault(SEED_PHRASE, 'passphrase', VAULT_OPTIONS)
+
+      await expect(WdkManager.fromVault(vault, 'wrong passphrase'))
+        .rejects.toThrow(WrongPassphraseError)
+
+      const tampered = JSON.stringify({ ...JSON.parse(vault), kdf: { ...JSON.parse(vault).kdf, r: 4 } })
+
+      await expect(WdkManager.fromVault(tampered, 'passphrase'))
+        .rejects.toThrow(WrongPassphraseError)
+    })
+
+    test('should throw if the vault is malformed or has an unsupported version', async () => {
+      await expect(WdkManager.fromVault('not a vault', 'passphrase'))
+        .rejects.toThrow(InvalidVaultError)
+
+      await expect(WdkManager.fromVault(JSON.stringify({ version: 2 }), 'passphrase'))
+        .rejects.toThrow('Invalid vault: unsupported version 2.')
+    })
+
+    test('should throw if the seed is not valid', async () => {
+      await expect(WdkManager.createVault('invalid seed', 'passphrase'))
+        .rejects.toThrow(InvalidSeedError)
+    })
+
+    test('should not create vaults with scrypt parameters that they cannot be opened with', async () => {
+      for (const kdf of [{ N: 2 ** 21 }, { N: 1_000 }, { N: 1 }, { r: 0 }, { r: 33 }, { p: 1.5 }, { p: 17 }]) {
+        await expect(WdkManager.createVault(SEED_PHRASE, 'passphrase', { kdf: { ...VAULT_OPTIONS.kdf, ...kdf } }))
+          .rejects.toThrow(RangeError)
+      }
+    })
+
+    test('should throw if the scrypt parameters of the vault are not valid', async () => {
+      const vault = JSON.parse(await WdkManager.createVault(SEED_PHRASE, 'passphrase', VAULT_OPTIONS))
+
+      for (const kdf of [{ N: 2 ** 21 }, { N: 1_000 }, { r: 0 }, { p: -1 }]) {
+        await expect(WdkManager.fromVault(JSON.stringify({ ...vault, kdf: { ...vault.kdf, ...kdf } }), 'passphrase'))
+          .rejects.toThrow('Invalid vault: key derivation parameters out of bounds.')
+      }
+    })
+  })
+
+  describe('config', () => {
+    const SwapProtocolMock = jest.fn()
+
+    Object.setPrototypeOf(SwapProtocolMock.prototype, SwapProtocol.prototype)
+
+    const MODULES = { 'wallet-evm': WalletManagerMock, velora: SwapProtocolMock }
+
+    const WDK_CONFIG = {
+      blockchains: {
+        ethereum: {
+          wallet: { module: 'wallet-evm', config: CONFIG },
+          protocols: [{ label: 'velora', type: 'swap', module: 'velora', config: { swapMaxFee: 100 } }]
+        }
+      }
+    }
+
+    beforeEach(() => {
+      WalletManagerMock.mockClear()
+    })
+
+    test('should register the wallets and protocols of the config', () => {
+      const wdkManager = WdkManager.fromConfig(SEED_PHRASE, WDK_CONFIG, MODULES)
+
+      expect(WalletManagerMock).toHaveBeenCalledWith(SEED_PHRASE, CONFIG)
+
+      expect(wdkManager.listProtocols('ethereum')).toEqual([{ type: 'swap', label: 'velora', name: 'mockConstructor' }])
+    })
+
+    test('should accept a list of wallet configs to fail over between', () => {
+      const config = { blockchains: { ethereum: { wallet: { module: 'wallet-evm', config: [CONFIG, CONFIG] } } } }
+
+      expect(WdkManager.validateConfig(config, MODULES)).toEqual([])
+
+      expect(WdkManager.fromConfig(SEED_PHRASE, config, MODULES).getProviders('ethereum')).toHaveLength(2)
+
+      config.blockchains.ethereum.wallet.config = []
+
+      expect(WdkManager.validateConfig(config, MODULES))
+        .toEqual([{ path: '$.blockchains.ethereum.wallet.config', message: 'must not be empty' }])
+    })
+
+    test('should export the registrations as a config', () => {
+      const wdkManager = WdkManager.fromConfig(SEED_PHRASE, WDK_CONFIG, MODULES)
+
+      wdkManager.registerWallet('bitcoin', WalletManagerMock, undefined)
+
+      expect(wdkManager.toConfig()).toEqual({
+        blockchains: {
+          ...WDK_CONFIG.blockchains,
+          bitcoin: { wallet: { module: 'wallet-evm' } }
+        }
+      })
+
+      expect(JSON.stringify(wdkManager.toConfig())).not.toContain('cook')
+    })
+
+    test('should throw an invalid config error listing the path of every issue', () => {
+      const config = {
+        blockchains: {
+          ethereum: {
+            wallet: { module: 'wallet-btc', config: CONFIG },
+            protocols: [{ module: 'velora' }, 'velora']
+          },
+          tron: { wallet: { module: 'wallet-evm', config: 'config' }, protocol: [] }
+        }
+      }
+
+      expect(WdkManager.validateConfig(config, MODULES)).toEqual([
+        { path: '$.blockchains.ethereum.wallet.module', message: 'refers to an unknown module: wallet-btc' },
+        { path: '$.blockchains.ethereum.protocols[0].label', message: 'must be a non-empty string' },
+        { path: '$.blockchains.ethereum.protocols[1]', message: 'must be an object' },
+        { path: '$.blockchains.tron.protocol', message: 'is not a known property' },
+        { path: '$.blockchains.tron.wallet.config', message: 'must be an object' }
+      ])
+
+      expect(() => WdkManager.fromConfig(SEED_PHRASE, config, MODULES))
+        .toThrow(InvalidConfigError)
+
+      expect(WalletManagerMock).not.toHaveBeenCalled()
+    })
+
+    test('should not resolve modules from the prototype of the module map', () => {
+      const config = { blockchains: { ethereum: { wallet: { module: 'constructor' } } } }
+
+      expect(WdkManager.validateConfig(config, MODULES)).toEqual([
+        { path: '$.blockchains.ethereum.wallet.module', message: 'refers to an unknown module: constructor' }
+      ])
+    })
+
+    test('should report the modules referred to if the module map is missing', () => {
+      const config = { blockchains: { ethereum: { wallet: { module: 'wallet-evm' } } } }
+
+      expect(WdkManager.validateConfig(config)).toEqual([
+        { path: '$.blockchains.ethereum.wallet.module', message: 'refers to an unknown module: wallet-evm' }
+      ])
+    })
+
+    test('should report the modules of the wrong kind', () => {
+      const config = {
+        blockchains: {
+          ethereum: {
+            wallet: { module: 'velora', readOnlyAccount: 'wallet-evm' },
+            protocols: [
+              { label: 'wallet', module: 'wallet-evm' },
+              { label: 'velora', type: 'bridge', module: 'velora' },
+              { label: 'lazy', module: 'lazy' },
+              { label: 'other', type: 'oracle', module: 'lazy' }
+            ]
+          }
+        }
+      }
+
+      expect(WdkManager.validateConfig(config, { ...MODULES, lazy: async () => SwapProtocolMock })).toEqual([
+        { path: '$.blockchains.ethereum.wallet.module', message: 'refers to a module that does not extend WalletManager: velora' },
+        { path: '$.blockchains.ethereum.wallet.readOnlyAccount', message: 'refers to a module that does not extend WalletAccountReadOnly: wallet-evm' },
+        { path: '$.blockchains.ethereum.protocols[0].module', message: 'refers to a module that does not extend the base class of a protocol type: wallet-evm' },
+        { path: '$.blockchains.ethereum.protocols[1].type', message: 'does not match the type of module velora: swap' },
+        { path: '$.blockchains.ethereum.protocols[2].type', message: 'is required for modules loaded by a factory' },
+        { path: '$.blockchains.ethereum.protocols[3].type', message: 'is not a known protocol type: oracle' }
+      ])
+    })
+
+    test('should export the registration options so that the config can be imported again', () => {
+      class WalletAccountReadOnlyMock extends WalletAccountReadOnly { }
+
+      const modules = { ...MODULES, 'wallet-evm-read-only': WalletAccountReadOnlyMock }
+
+      const config = {
+        blockchains: {
+          ethereum: {
+            wallet: { module: 'wallet-evm', config: [CONFIG, CONFIG], readOnlyAccount: 'wallet-evm-read-only', failover: { retryDelay: 0 } }
+          }
+        }
+      }
+
+      const wdkManager = WdkManager.fromConfig(SEED_PHRASE, config, modules)
+
+      expect(wdkManager.toConfig()).toEqual(config)
+
+      expect(WdkManager.fromConfig(SEED_PHRASE, wdkManager.toConfig(), modules).toConfig()).toEqual(config)
+
+      wdkManager.dispose()
+    })
+  })
+
+  describe('lazy loading', () => {
+    let SwapProtocolMock
+
+    beforeEach(() => {
+      WalletManagerMock.mockClear()
+
+      getAccountMock.mockResolvedValue(DUMMY_ACCOUNT)
+
+      SwapProtocolMock = jest.fn()
+
+      Object.setPrototypeOf(SwapProtocolMock.prototype, SwapProtocol.prototype)
+    })
+
+    test('should load the wallet manager on first use and cache it', async () => {
+      const factory = jest.fn(async () => ({ default: WalletManagerMock }))
+
+      wdkManager.registerWallet('ethereum', () => factory(), CONFIG)
+
+      expect(factory).not.toHaveBeenCalled()
+
+      expect(wdkManager.hasWallet('ethereum')).toBe(true)
+
+      await Promise.all([wdkManager.getAccount('ethereum', 0), wdkManager.getAccount('ethereum', 1)])
+
+      await wdkManager.getFeeRates('ethereum')
+
+      expect(factory).toHaveBeenCalledTimes(1)
+
+      expect(WalletManagerMock).toHaveBeenCalledTimes(1)
+
+      expect(WalletManagerMock).toHaveBeenCalledWith(SEED_PHRASE, CONFIG)
+    })
+
+    test('should report load failures for the blockchain and retry on next use', async () => {
+      const factory = jest.fn()
+        .mockRejectedValueOnce(new Error('Network error.'))
+        .mockResolvedValueOnce(WalletManagerMock)
+
+      wdkManager.registerWallet('ethereum', async () => await factory(), CONFIG)
+
+      await expect(wdkManager.getAccount('ethereum', 0))
+        .rejects.toThrow(expect.objectContaining({ code: 'MODULE_LOAD_FAILED', blockchain: 'ethereum' }))
+
+      await expect(wdkManager.getAccount('ethereum', 0))
+        .resolves.toBe(DUMMY_ACCOUNT)
+    })
+
+    test('should validate the wallet manager class after loading it', async () => {
+      wdkManager.registerWallet('ethereum', async () => ({ default: class { } }), CONFIG)
+
+      await expect(wdkManager.getAccount('ethereum', 0))
+        .rejects.toThrow(InvalidWalletManagerError)
+    })
+
+    test('should load the protocols of the blockchain when an account is requested', async () => {
+      const factory = jest.fn(async () => ({ default: SwapProtocolMock }))
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'test', () => factory(), { swapMaxFee: 100 }, { type: 'swap' })
+
+      expect(wdkManager.listProtocols('ethereum')).toEqual([{ type: 'swap', label: 'test', name: undefined }])
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      expect(account.getSwapProtocol('test')).toBeInstanceOf(SwapProtocolMock)
+
+      expect(SwapProtocolMock).toHaveBeenCalledWith(expect.anything(), { swapMaxFee: 100 })
+
+      expect(factory).toHaveBeenCalledTimes(1)
+    })
+
+    test('should report load failures only for the failing protocol', async () => {
+      const BridgeProtocolMock = jest.fn()
+
+      Object.setPrototypeOf(BridgeProtocolMock.prototype, BridgeProtocol.prototype)
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'test', async () => { throw new Error('Network error.') }, undefined, { type: 'swap' })
+                .registerProtocol('ethereum', 'bridge', async () => BridgeProtocolMock, undefined, { type: 'swap' })
+                .registerProtocol('ethereum', 'other', SwapProtocolMock, undefined)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      expect(() => account.getSwapProtocol('test'))
+        .toThrow(expect.objectContaining({ code: 'MODULE_LOAD_FAILED', blockchain: 'ethereum', label: 'test' }))
+
+      expect(() => account.getSwapProtocol('bridge'))
+        .toThrow(InvalidProtocolError)
+
+      expect(account.getSwapProtocol('other')).toBeInstanceOf(SwapProtocolMock)
+    })
+
+    test('should load the protocols registered after an account has been derived on demand', async () => {
+      const factory = jest.fn(async () => ({ default: SwapProtocolMock }))
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      wdkManager.registerProtocol('ethereum', 'test', () => factory(), undefined, { type: 'swap' })
+
+      expect(() => account.getSwapProtocol('test'))
+        .toThrow(expect.objectContaining({ code: 'MODULE_NOT_LOADED', blockchain: 'ethereum', label: 'test' }))
+
+      expect(factory).not.toHaveBeenCalled()
+
+      const protocol = await account.loadProtocol('swap', 'test')
+
+      expect(protocol).toBeInstanceOf(SwapProtocolMock)
+
+      expect(account.getSwapProtocol('test')).toBe(protocol)
+
+      expect(factory).toHaveBeenCalledTimes(1)
+    })
+
+    test('should throw if a protocol factory is registered without a protocol type', () => {
+      expect(() => wdkManager.registerProtocol('ethereum', 'test', async () => SwapProtocolMock, undefined))
+        .toThrow(InvalidProtocolError)
+    })
+  })
+
+  describe('watch-only mode', () => {
+    const ADDRESSES = ['0xa460AEbce0d3A4BecAd8ccf9D6D4861296c503Bd', '0x405005C7c4422390F4B334F64Cf20E0b767131d0']
+
+    class WalletAccountReadOnlyMock extends WalletAccountReadOnly {
+      constructor (address, config) {
+        super(address)
+
+        this.config = config
+      }
+
+      async getBalance () {
+        return 1_000n
+      }
+    }
+
+    let SwapProtocolMock
+
+    let wdkManager
+
+    beforeEach(() => {
+      SwapProtocolMock = jest.fn().mockImplementation(() => ({ quoteSwap: async () => ({ fee: 1n }), swap: jest.fn() }))
+
+      Object.setPrototypeOf(SwapProtocolMock.prototype, SwapProtocol.prototype)
+
+      wdkManager = WdkManager.watchOnly({ ethereum: ADDRESSES })
+        .registerWallet('ethereum', WalletAccountReadOnlyMock, CONFIG)
+        .registerProtocol('ethereum', 'test', SwapProtocolMock, undefined)
+    })
+
+    test('should bind the accounts to the watched addresses', async () => {
+      const account = await wdkManager.getAccount('ethereum', 1)
+
+      expect(wdkManager.isWatchOnly()).toBe(true)
+
+      expect(account).toBeInstanceOf(WalletAccountReadOnlyMock)
+
+      expect(account.config).toBe(CONFIG)
+
+      expect(account.index).toBe(1)
+
+      await expect(account.getAddress()).resolves.toBe(ADDRESSES[1])
+
+      await expect(account.getBalance()).resolves.toBe(1_000n)
+
+      await expect(account.getSwapProtocol('test').quoteSwap({ })).resolves.toEqual({ fee: 1n })
+
+      await expect(wdkManager.getPortfolio({ accounts: [0, 1] })).resolves.toEqual({
+        balances: [
+          { blockchain: 'ethereum', index: 0, address: ADDRESSES[0], asset: 'native', amount: 1_000n },
+          { blockchain: 'ethereum', index: 1, address: ADDRESSES[1], asset: 'native', amount: 1_000n }
+        ],
+        errors: []
+      })
+    })
+
+    test('should reject the operations that need to sign', async () => {
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(account.transfer({ token: '0xdAC17F958D2ee523a2206206994597C13D831ec7', recipient: ADDRESSES[1], amount: 1n }))
+        .rejects.toThrow(expect.objectContaining({ code: 'WATCH_ONLY', operation: 'transfer', blockchain: 'ethereum' }))
+
+      await expect(account.sendTransaction({ to: ADDRESSES[1], value: 1n }))
+        .rejects.toThrow(WatchOnlyError)
+
+      await expect(account.sign('message'))
+        .rejects.toThrow(WatchOnlyError)
+
+      await expect(account.getSwapProtocol('test').swap({ }))
+        .rejects.toThrow(WatchOnlyError)
+
+      await expect(wdkManager.toVault('passphrase'))
+        .rejects.toThrow(WatchOnlyError)
+    })
+
+    test('should throw if no address is watched for the given index', async () => {
+      await expect(wdkManager.getAccount('ethereum', 2))
+        .rejects.toThrow(WatchedAddressNotFoundError)
+    })
+
+    test('should only accept wallet managers registered with their read-only account class', () => {
+      expect(() => wdkManager.registerWallet('bitcoin', WalletManagerMock, CONFIG))
+        .toThrow(InvalidWalletManagerError)
+
+      expect(() => wdkManager.registerWallet('bitcoin', WalletManagerMock, CONFIG, { readOnlyAccount: WalletManagerMock }))
+        .toThrow(InvalidWalletManagerError)
+    })
+
+    test('should read the fee rates through a wallet manager holding no keys', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG, { override: true, readOnlyAccount: WalletAccountReadOnlyMock })
+
+      expect(WalletManagerMock).toHaveBeenLastCalledWith(new Uint8Array(0), CONFIG)
+
+      getFeeRatesMock.mockResolvedValue({ normal: 1n, fast: 2n })
+
+      await expect(wdkManager.getFeeRates('ethereum')).resolves.toEqual({ normal: 1n, fast: 2n })
+
+      const account = await wdkManager.getAccount('ethereum', 1)
+
+      expect(account).toBeInstanceOf(WalletAccountReadOnlyMock)
+
+      await expect(account.getAddress()).resolves.toBe(ADDRESSES[1])
+    })
+
+    test('should not read the fee rates without a wallet manager', async () => {
+      await expect(wdkManager.getFeeRates('ethereum'))
+        .rejects.toThrow(WatchOnlyError)
+    })
+  })
+
+  describe('profiles', () => {
+    const OTHER_SEED_PHRASE = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+    let profiles
+
+    beforeEach(() => {
+      WalletManagerMock.mockClear()
+
+      getAccountMock.mockImplementation(async (index) => ({ index, path: `0'/0/${index}`, getAddress: async () => '0x0' }))
+
+      profiles = new ProfileManager()
+    })
+
+    test('should apply the shared registrations to the profiles added before and after them', async () => {
+      const middleware = jest.fn()
+
+      profiles.addProfile('alice', SEED_PHRASE)
+        .registerWallet('ethereum', WalletManagerMock, CONFIG)
+        .registerMiddleware('ethereum', middleware)
+        .addProfile('bob', OTHER_SEED_PHRASE)
+
+      expect(WalletManagerMock).toHaveBeenCalledWith(SEED_PHRASE, CONFIG)
+
+      expect(WalletManagerMock).toHaveBeenCalledWith(OTHER_SEED_PHRASE, CONFIG)
+
+      const alice = await profiles.getAccount('alice', 'ethereum', 0)
+
+      const bob = await profiles.getAccount('bob', 'ethereum', 0)
+
+      expect(alice).not.toBe(bob)
+
+      expect(middleware).toHaveBeenCalledTimes(2)
+
+      expect(profiles.getProfile('alice').getDerivedAccounts()).toEqual([{ blockchain: 'ethereum', index: 0, path: "0'/0/0", account: alice }])
+
+      expect(profiles.getProfiles()).toEqual(['alice', 'bob'])
+    })
+
+    test('should dispose the wallet managers of a removed profile only', async () => {
+      profiles.registerWallet('ethereum', WalletManagerMock, CONFIG)
+        .addProfile('alice', SEED_PHRASE)
+        .addProfile('bob', OTHER_SEED_PHRASE)
+
+      disposeMock.mockClear()
+
+      profiles.removeProfile('alice')
+
+      expect(disposeMock).toHaveBeenCalledTimes(1)
+
+      expect(profiles.hasProfile('alice')).toBe(false)
+
+      await expect(profiles.getAccount('alice', 'ethereum', 0))
+        .rejects.toThrow(ProfileNotFoundError)
+
+      await expect(profiles.getAccount('bob', 'ethereum', 0))
+        .resolves.toEqual(expect.objectContaining({ index: 0 }))
+    })
+
+    test('should throw if a profile with the same name already exists', () => {
+      profiles.addProfile('alice', SEED_PHRASE)
+
+      expect(() => profiles.addProfile('alice', OTHER_SEED_PHRASE))
+        .toThrow(ProfileAlreadyExistsError)
+    })
+
+    test('should not record a registration that fails', () => {
+      profiles.addProfile('alice', SEED_PHRASE)
+        .registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      expect(() => profiles.registerWallet('ethereum', WalletManagerMock, CONFIG))
+        .toThrow(WalletAlreadyRegisteredError)
+
+      expect(() => profiles.addProfile('bob', OTHER_SEED_PHRASE))
+        .not.toThrow()
+    })
+
+    test('should restore the profiles already updated if a registration fails for a later profile', () => {
+      profiles.addProfile('alice', SEED_PHRASE)
+        .addProfile('bob', OTHER_SEED_PHRASE)
+        .registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      profiles.getProfile('bob').registerWallet('bitcoin', WalletManagerMock, CONFIG)
+
+      expect(() => profiles.registerWallet('bitcoin', WalletManagerMock, CONFIG))
+        .toThrow(WalletAlreadyRegisteredError)
+
+      expect(profiles.getProfile('alice').hasWallet('bitcoin')).toBe(false)
+
+      profiles.getProfile('bob').unregisterWallet('ethereum')
+
+      expect(() => profiles.unregisterWallet('ethereum'))
+        .toThrow(WalletNotRegisteredError)
+
+      expect(profiles.getProfile('alice').hasWallet('ethereum')).toBe(true)
+
+      profiles.addProfile('carol', SEED_PHRASE)
+
+      expect(profiles.getProfile('carol').hasWallet('bitcoin')).toBe(false)
+
+      expect(profiles.getProfile('carol').hasWallet('ethereum')).toBe(true)
+    })
+
+    test('should not record an invalid registration made before any profile is added', () => {
+      expect(() => profiles.registerProtocol('ethereum', 'test', class { }, undefined))
+        .toThrow(InvalidProtocolError)
+
+      expect(() => profiles.registerWallet('ethereum', class { }, CONFIG))
+        .toThrow(InvalidWalletManagerError)
+
+      profiles.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      expect(() => profiles.registerWallet('ethereum', WalletManagerMock, CONFIG))
+        .toThrow(WalletAlreadyRegisteredError)
+
+      expect(() => profiles.unregisterProtocol('ethereum', 'test'))
+        .toThrow(ProtocolNotRegisteredError)
+
+      expect(() => profiles.addProfile('alice', SEED_PHRASE))
+        .not.toThrow()
+
+      expect(WalletManagerMock).toHaveBeenCalledTimes(1)
+    })
+
+    test('should only replay the registrations in effect to the profiles added later', () => {
+      const middleware = jest.fn()
+
+      profiles.registerWallet('ethereum', WalletManagerMock, CONFIG)
+        .registerMiddleware('ethereum', middleware)
+        .unregisterMiddleware('ethereum', middleware)
+        .unregisterWallet('ethereum')
+        .addProfile('alice', SEED_PHRASE)
+
+      expect(WalletManagerMock).not.toHaveBeenCalled()
+
+      expect(() => profiles.unregisterWallet('ethereum'))
+        .toThrow(WalletNotRegisteredError)
+
+      expect(profiles.getProfile('alice').hasWallet('ethereum')).toBe(false)
+    })
+  })
+
+  describe('send queue', () => {
+    const TRANSFER = { token: '0xdAC17F958D2ee523a2206206994597C13D831ec7', recipient: '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24', amount: 100n }
+
+    const PATH = "m/44'/60'/0'/0/0"
+
+    let transferMock, getBalanceMock, releases
+
+    beforeEach(() => {
+      releases = []
+
+      transferMock = jest.fn(() => new Promise(resolve => releases.push(() => resolve({ hash: `0x${releases.length}`, fee: 100n }))))
+
+      getBalanceMock = jest.fn().mockResolvedValue(5_000n)
+
+      getAccountMock.mockImplementation(async (index) => ({
+        index,
+        path: `m/44'/60'/0'/0/${index}`,
+        transfer: transferMock,
+        getBalance: getBalanceMock
+      }))
+
+      wdkManager = new WdkManager(SEED_PHRASE, { sendQueue: true })
+    })
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+    test('should run the operations of an account one at a time, in order', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const first = account.transfer(TRANSFER)
+      const second = account.transfer(TRANSFER)
+
+      await flush()
+
+      expect(transferMock).toHaveBeenCalledTimes(1)
+
+      expect(wdkManager.getQueueDepth('ethereum', PATH)).toBe(2)
+
+      expect(await account.getBalance()).toBe(5_000n)
+
+      releases[0]()
+
+      expect(await first).toEqual({ hash: '0x1', fee: 100n })
+
+      await flush()
+
+      expect(transferMock).toHaveBeenCalledTimes(2)
+
+      releases[1]()
+
+      expect(await second).toEqual({ hash: '0x2', fee: 100n })
+
+      expect(wdkManager.getQueueDepth('ethereum', PATH)).toBe(0)
+    })
+
+    test('should share the queue between the account and its protocols', async () => {
+      class TestSwapProtocol extends SwapProtocol {
+        async swap (options) {
+          return await new Promise(resolve => releases.push(() => resolve({ hash: '0xswap', fee: 100n })))
+        }
+      }
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerProtocol('ethereum', 'test', TestSwapProtocol, { })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const other = await wdkManager.getAccount('ethereum', 1)
+
+      const transfer = account.transfer(TRANSFER)
+      const swap = account.getSwapProtocol('test').swap({ })
+      const otherTransfer = other.transfer(TRANSFER)
+
+      await flush()
+
+      expect(wdkManager.getQueuedOperations('ethereum', PATH)).toEqual([
+        expect.objectContaining({ operation: 'transfer', running: true }),
+        expect.objectContaining({ operation: 'swap', protocol: { type: 'swap', label: 'test' }, running: false })
+      ])
+
+      expect(wdkManager.getQueueDepth('ethereum', "m/44'/60'/0'/0/1")).toBe(1)
+
+      expect(releases).toHaveLength(2)
+
+      releases[0]()
+      releases[1]()
+
+      await transfer
+      await otherTransfer
+
+      releases[2]()
+
+      expect(await swap).toEqual({ hash: '0xswap', fee: 100n })
+    })
+
+    test('should cancel the operations that are waiting', async () => {
+      const listener = jest.fn()
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .on('operation:queued', listener)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const first = account.transfer(TRANSFER)
+      const second = account.transfer(TRANSFER)
+
+      await flush()
+
+      const [running, waiting] = listener.mock.calls.map(([operation]) => operation)
+
+      expect(waiting).toEqual(expect.objectContaining({ blockchain: 'ethereum', account, operation: 'transfer', args: [TRANSFER], running: false }))
+
+      expect(() => wdkManager.cancelQueuedOperation(running.id))
+        .toThrow(QueuedOperationNotFoundError)
+
+      wdkManager.cancelQueuedOperation(waiting.id, 'Duplicate payout')
+
+      await expect(second).rejects.toThrow(new OperationCancelledError(waiting.id, 'Duplicate payout'))
+
+      releases[0]()
+
+      await first
+
+      expect(transferMock).toHaveBeenCalledTimes(1)
+    })
+
+    test('should keep running the queue if an operation:queued listener throws', async () => {
+      const listenerError = jest.fn()
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .on('operation:queued', () => { throw new Error('Listener failure.') })
+                .on('listener:error', listenerError)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      const first = account.transfer(TRANSFER)
+      const second = account.transfer(TRANSFER)
+
+      await flush()
+
+      releases[0]()
+
+      await first
+
+      await flush()
+
+      releases[1]()
+
+      await second
+
+      expect(wdkManager.getQueueDepth('ethereum', PATH)).toBe(0)
+
+      expect(listenerError).toHaveBeenCalledTimes(2)
+    })
+
+    test('should cancel the waiting operations when disposed', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      account.transfer(TRANSFER)
+
+      const second = account.transfer(TRANSFER)
+
+      await flush()
+
+      wdkManager.dispose()
+
+      await expect(second).rejects.toThrow(DisposedError)
+    })
+  })
+
+  describe('journal', () => {
+    const TRANSFER = { token: '0xdAC17F958D2ee523a2206206994597C13D831ec7', recipient: '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24', amount: 100n }
+
+    const ADDRESS = '0xa460AEbce0d3A4BecAd8ccf9D6D4861296c503Bd'
+
+    let transferMock, getTransactionReceiptMock
+
+    beforeEach(() => {
+      transferMock = jest.fn().mockResolvedValue({ hash: '0xabc', fee: 100n })
+
+      getTransactionReceiptMock = jest.fn().mockResolvedValue(null)
+
+      getAccountMock.mockImplementation(async (index) => ({
+        index,
+        path: `m/44'/60'/0'/0/${index}`,
+        getAddress: async () => ADDRESS,
+        transfer: transferMock,
+        getTransactionReceipt: getTransactionReceiptMock
+      }))
+    })
+
+    test('should record the operations sent as pending', async () => {
+      wdkManager = new WdkManager(SEED_PHRASE, { journal: { } })
+
+      const listener = jest.fn()
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .on('journal:updated', listener)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await account.transfer(TRANSFER)
+
+      const entries = await wdkManager.getJournalEntries()
+
+      expect(entries).toEqual([{
+        id: expect.any(String),
+        blockchain: 'ethereum',
+        path: "m/44'/60'/0'/0/0",
+        index: 0,
+        address: ADDRESS,
+        protocol: undefined,
+        operation: 'transfer',
+        args: [TRANSFER],
+        status: 'pending',
+        hash: '0xabc',
+        fee: 100n,
+        createdAt: expect.any(Number),
+        updatedAt: expect.any(Number)
+      }])
+
+      expect(listener).toHaveBeenCalledWith(entries[0])
+    })
+
+    test('should record the operations that throw as failed', async () => {
+      wdkManager = new WdkManager(SEED_PHRASE, { journal: { } })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      transferMock.mockRejectedValue(new Error('Insufficient funds.'))
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(account.transfer(TRANSFER))
+        .rejects.toThrow('Insufficient funds.')
+
+      expect(await wdkManager.getJournalEntries()).toEqual([
+        expect.objectContaining({ operation: 'transfer', status: 'failed', error: 'Insufficient funds.' })
+      ])
+    })
+
+    test('should record the operations as pending before sending them', async () => {
+      wdkManager = new WdkManager(SEED_PHRASE, { journal: { } })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      let entries
+
+      transferMock.mockImplementation(async () => {
+        entries = await wdkManager.getJournalEntries()
+
+        return { hash: '0xabc', fee: 100n }
+      })
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await account.transfer(TRANSFER)
+
+      expect(entries).toEqual([expect.objectContaining({ operation: 'transfer', status: 'pending' })])
+
+      expect(entries[0].hash).toBeUndefined()
+    })
+
+    test('should not fail an operation if a journal:updated listener throws', async () => {
+      wdkManager = new WdkManager(SEED_PHRASE, { journal: { } })
+
+      const onFailed = jest.fn()
+
+      const onListenerError = jest.fn()
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .on('journal:updated', () => { throw new Error('Listener error.') })
+                .on('transaction:failed', onFailed)
+                .on('listener:error', onListenerError)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(account.transfer(TRANSFER))
+        .resolves.toEqual({ hash: '0xabc', fee: 100n })
+
+      expect(onFailed).not.toHaveBeenCalled()
+
+      expect(onListenerError).toHaveBeenCalledWith({ event: 'journal:updated', error: expect.any(Error) })
+
+      expect(await wdkManager.getJournalEntries()).toEqual([expect.objectContaining({ status: 'pending', hash: '0xabc' })])
+    })
+
+    test('should filter the entries by blockchain, account and status', async () => {
+      wdkManager = new WdkManager(SEED_PHRASE, { journal: { } })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .registerWallet('polygon', WalletManagerMock, CONFIG)
+
+      const account0 = await wdkManager.getAccount('ethereum', 0)
+      const account1 = await wdkManager.getAccount('ethereum', 1)
+      const polygonAccount = await wdkManager.getAccount('polygon', 0)
+
+      await account0.transfer(TRANSFER)
+      await account1.transfer(TRANSFER)
+      await polygonAccount.transfer(TRANSFER)
+
+      transferMock.mockRejectedValueOnce(new Error('Insufficient funds.'))
+
+      await expect(account0.transfer(TRANSFER)).rejects.toThrow()
+
+      expect(await wdkManager.getJournalEntries({ blockchain: 'ethereum' })).toHaveLength(3)
+
+      expect(await wdkManager.getJournalEntries({ blockchain: 'ethereum', path: "m/44'/60'/0'/0/0" })).toHaveLength(2)
+
+      expect(await wdkManager.getJournalEntries({ blockchain: 'ethereum', path: "m/44'/60'/0'/0/0", status: 'pending' }))
+        .toEqual([expect.objectContaining({ blockchain: 'ethereum', index: 0, status: 'pending' })])
+
+      expect(await wdkManager.getJournalEntries({ status: 'failed' })).toHaveLength(1)
+    })
+
+    test('should mark the pending entries as confirmed or failed once their receipt is found', async () => {
+      wdkManager = new WdkManager(SEED_PHRASE, { journal: { } })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await account.transfer(TRANSFER)
+
+      transferMock.mockResolvedValue({ hash: '0xdef', fee: 100n })
+
+      await account.transfer(TRANSFER)
+
+      expect(await wdkManager.refreshJournal()).toEqual([])
+
+      getTransactionReceiptMock.mockImplementation(async (hash) => ({ status: hash === '0xabc' ? 1 : 0 }))
+
+      const updated = await wdkManager.refreshJournal()
+
+      expect(updated).toEqual([
+        expect.objectContaining({ hash: '0xabc', status: 'confirmed' }),
+        expect.objectContaining({ hash: '0xdef', status: 'failed' })
+      ])
+
+      expect(await wdkManager.getJournalEntries({ status: 'pending' })).toEqual([])
+
+      expect(getTransactionReceiptMock).toHaveBeenCalledTimes(4)
+    })
+
+    test('should look up the receipts of the entries recorded before a restart', async () => {
+      const store = new MemoryJournalStore()
+
+      wdkManager = new WdkManager(SEED_PHRASE, { journal: { store } })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await account.transfer(TRANSFER)
+
+      wdkManager.dispose()
+
+      wdkManager = new WdkManager(SEED_PHRASE, { journal: { store } })
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      getAccountByPathMock.mockImplementation(async (path) => ({ path: `m/44'/60'/${path}`, getTransactionReceipt: async () => ({ status: 1 }) }))
+
+      expect(await wdkManager.refreshJournal())
+        .toEqual([expect.objectContaining({ hash: '0xabc', status: 'confirmed' })])
+
+      expect(getAccountByPathMock).toHaveBeenCalledWith("0'/0/0")
+    })
+
+    test('should not fail the operation if the store cannot save the entry', async () => {
+      const store = new MemoryJournalStore()
+
+      store.saveEntry = jest.fn().mockRejectedValue(new Error('Disk full.'))
+
+      wdkManager = new WdkManager(SEED_PHRASE, { journal: { store } })
+
+      const listener = jest.fn()
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+                .on('journal:error', listener)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      expect(await account.transfer(TRANSFER)).toEqual({ hash: '0xabc', fee: 100n })
+
+      expect(listener).toHaveBeenCalledWith({ entry: expect.objectContaining({ hash: '0xabc' }), error: new Error('Disk full.') })
+    })
+
+    test('should persist the entries to a json file', async () => {
+      const directory = await mkdtemp(join(tmpdir(), 'wdk-journal-'))
+
+      const path = join(directory, 'journal.json')
+
+      try {
+        wdkManager = new WdkManager(SEED_PHRASE, { journal: { store: new JsonFileJournalStore(path) } })
+
+        wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+        const account = await wdkManager.getAccount('ethereum', 0)
+
+        await account.transfer(TRANSFER)
+
+        const [entry] = await new JsonFileJournalStore(path).getEntries()
+
+        expect(entry).toEqual(expect.objectContaining({ args: [TRANSFER], hash: '0xabc', fee: 100n, status: 'pending' }))
+      } finally {
+        await rm(directory, { recursive: true })
+      }
+    })
+  })
+
+  describe('provider failover', () => {
+    const TRANSACTION = { to: '0x636e9c21f27d9401ac180666bf8DC0D3FcEb0D24', value: 1_000n }
+
+    const CONFIGS = [{ provider: 'primary' }, { provider: 'backup' }]
+
+    const networkError = (message, properties) => Object.assign(new Error(message), properties)
+
+    let providers, FailoverWalletManagerMock
+
+    beforeEach(() => {
+      providers = Object.fromEntries(['primary', 'backup'].map(provider => [provider, {
+        getBalance: jest.fn().mockResolvedValue(5_000n),
+        sendTransaction: jest.fn().mockResolvedValue({ hash: `0x${provider}`, fee: 100n }),
+        getFeeRates: jest.fn().mockResolvedValue({ normal: 1n, fast: 2n })
+      }]))
+
+      FailoverWalletManagerMock = jest.fn().mockImplementation((seed, { provider }) => Object.create(WalletManager.prototype, {
+        getAccount: {
+          value: async (index) => ({
+            index,
+            path: `m/44'/60'/0'/0/${index}`,
+            getBalance: providers[provider].getBalance,
+            sendTransaction: providers[provider].sendTransaction
+          })
+        },
+        getFeeRates: {
+          value: providers[provider].getFeeRates
+        },
+        dispose: {
+          value: jest.fn()
+        }
+      }))
+
+      Object.setPrototypeOf(FailoverWalletManagerMock.prototype, WalletManager.prototype)
+    })
+
+    test('should retry the failed reads against the next provider', async () => {
+      const failed = jest.fn(), changed = jest.fn()
+
+      wdkManager.registerWallet('ethereum', FailoverWalletManagerMock, CONFIGS, { failover: { retryDelay: 0 } })
+                .on('provider:failed', failed)
+                .on('provider:changed', changed)
+
+      expect(FailoverWalletManagerMock).toHaveBeenCalledTimes(2)
+
+      const error = networkError('Connection refused.', { code: 'ECONNREFUSED' })
+
+      providers.primary.getBalance.mockRejectedValue(error)
+
+      providers.primary.getFeeRates.mockRejectedValue(error)
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      expect(await account.getBalance()).toBe(5_000n)
+
+      expect(await wdkManager.getFeeRates('ethereum')).toEqual({ normal: 1n, fast: 2n })
+
+      expect(failed).toHaveBeenCalledWith({ blockchain: 'ethereum', provider: 0, error })
+
+      expect(changed).toHaveBeenCalledTimes(1)
+
+      expect(changed).toHaveBeenCalledWith({ blockchain: 'ethereum', provider: 1, previous: 0 })
+
+      expect(wdkManager.getProviders('ethereum')).toEqual([
+        { index: 0, active: false, healthy: false, checkedAt: undefined, error },
+        { index: 1, active: true, healthy: true, checkedAt: undefined, error: undefined }
+      ])
+    })
+
+    test('should throw the error of the last provider if all the providers fail', async () => {
+      wdkManager.registerWallet('ethereum', FailoverWalletManagerMock, CONFIGS, { failover: { retryDelay: 0 } })
+
+      providers.primary.getBalance.mockRejectedValue(networkError('Connection refused.', { code: 'ECONNREFUSED' }))
+
+      providers.backup.getBalance.mockRejectedValue(networkError('Rate limited.', { status: 429 }))
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(account.getBalance())
+        .rejects.toThrow('Rate limited.')
+    })
+
+    test('should never retry a send, and use the next provider for the next calls', async () => {
+      wdkManager.registerWallet('ethereum', FailoverWalletManagerMock, CONFIGS, { failover: { retryDelay: 0 } })
+
+      providers.primary.sendTransaction.mockRejectedValue(networkError('Gateway timeout.', { response: { status: 504 } }))
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(account.sendTransaction(TRANSACTION))
+        .rejects.toThrow('Gateway timeout.')
+
+      expect(providers.backup.sendTransaction).not.toHaveBeenCalled()
+
+      expect(await account.sendTransaction(TRANSACTION)).toEqual({ hash: '0xbackup', fee: 100n })
+
+      expect(providers.primary.sendTransaction).toHaveBeenCalledTimes(1)
+    })
+
+    test('should switch back to the first healthy provider after a health check', async () => {
+      const changed = jest.fn()
+
+      wdkManager.registerWallet('ethereum', FailoverWalletManagerMock, CONFIGS, { failover: { retryDelay: 0 } })
+                .on('provider:changed', changed)
+
+      providers.primary.getFeeRates.mockRejectedValueOnce(new TypeError('fetch failed', { cause: networkError('Connection refused.', { code: 'ECONNREFUSED' }) }))
+
+      await wdkManager.getFeeRates('ethereum')
+
+      expect(wdkManager.getProviders('ethereum').map(({ active }) => active)).toEqual([false, true])
+
+      const statuses = await wdkManager.checkProviders('ethereum')
+
+      expect(statuses).toEqual([
+        { index: 0, active: true, healthy: true, checkedAt: expect.any(Number), error: undefined },
+        { index: 1, active: false, healthy: true, checkedAt: expect.any(Number), error: undefined }
+      ])
+
+      expect(changed).toHaveBeenLastCalledWith({ blockchain: 'ethereum', provider: 0, previous: 1 })
+    })
+
+    test('should not fail over on errors that any provider would throw', async () => {
+      const changed = jest.fn()
+
+      wdkManager.registerWallet('ethereum', FailoverWalletManagerMock, CONFIGS, { failover: { retryDelay: 0 } })
+                .on('provider:changed', changed)
+
+      providers.primary.sendTransaction.mockRejectedValue(networkError('execution reverted', { code: 'CALL_EXCEPTION' }))
+
+      providers.primary.getBalance.mockRejectedValue(new Error('Invalid address.'))
+
+      const account = await wdkManager.getAccount('ethereum', 0)
+
+      await expect(account.sendTransaction(TRANSACTION))
+        .rejects.toThrow('execution reverted')
+
+      await expect(account.getBalance())
+        .rejects.toThrow('Invalid address.')
+
+      expect(providers.backup.getBalance).not.toHaveBeenCalled()
+
+      expect(changed).not.toHaveBeenCalled()
+
+      expect(wdkManager.getProviders('ethereum').map(({ active, healthy }) => ({ active, healthy }))).toEqual([
+        { active: true, healthy: true },
+        { active: false, healthy: true }
+      ])
+    })
+
+    test('should report a single provider for the wallets registered with a single config', () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      expect(wdkManager.getProviders('ethereum')).toEqual([{ index: 0, active: true, healthy: true }])
+
+      expect(() => wdkManager.getProviders('tron'))
+        .toThrow(WalletNotRegisteredError)
+    })
+  })
+
+  describe('getFeeRates', () => {
+    test('should return the correct fee rates for the given blockchain', async () => {
+      const DUMMY_FEE_RATES = { normal: 100n, fast: 200n }
+
+      getFeeRatesMock.mockResolvedValue(DUMMY_FEE_RATES)
+
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      const feeRates = await wdkManager.getFeeRates('ethereum')
+
+      expect(feeRates).toEqual(DUMMY_FEE_RATES)
+    })
+
+    test('should throw if no wallet has been registered for the given blockchain', async () => {
+      await expect(wdkManager.getFeeRates('ethereum'))
+        .rejects.toThrow('No wallet registered for blockchain: ethereum.')
+    })
+  })
+
+  describe('dispose', () => {
+    test('should successfully dispose the wallet managers', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      wdkManager.dispose()
+
+      expect(disposeMock).toHaveBeenCalled()
+    })
+
+    test('should make any further usage of the wdk instance throw a disposed error', async () => {
+      wdkManager.registerWallet('ethereum', WalletManagerMock, CONFIG)
+
+      wdkManager.dispose()
+
+      expect(() => wdkManager.registerWallet('ton', WalletManagerMock, CONFIG))
+        .toThrow(DisposedError)
+
+      await expect(wdkManager.getAccount('ethereum', 0))
+        .rejects.toThrow(DisposedError)
     })
   })
 })
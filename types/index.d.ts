@@ -1,5 +1,63 @@
 export { default } from "./src/wdk-manager.js";
+export { default as ProfileManager } from "./src/profile-manager.js";
+export { default as JsonFileJournalStore } from "./src/json-file-journal-store.js";
 export type IWalletAccount = import("./src/wdk-manager.js").IWalletAccount;
 export type FeeRates = import("./src/wdk-manager.js").FeeRates;
 export type MiddlewareFunction = import("./src/wdk-manager.js").MiddlewareFunction;
+export type RegisterOptions = import("./src/wdk-manager.js").RegisterOptions;
+export type ModuleFactory<T> = import("./src/wdk-manager.js").ModuleFactory<T>;
+export type ProtocolTypeOptions = import("./src/wdk-manager.js").ProtocolTypeOptions;
+export type DerivedAccount = import("./src/wdk-manager.js").DerivedAccount;
+export type WdkEventMap = import("./src/wdk-manager.js").WdkEventMap;
+export type OperationContext = import("./src/wdk-manager.js").OperationContext;
+export type InterceptorFunction = import("./src/wdk-manager.js").InterceptorFunction;
+export type ProtocolDescriptor = import("./src/wdk-manager.js").ProtocolDescriptor;
+export type AccountProtocolDescriptor = import("./src/wdk-manager.js").AccountProtocolDescriptor;
+export type WdkOptions = import("./src/wdk-manager.js").WdkOptions;
+export type DryRunResult = import("./src/wdk-manager.js").DryRunResult;
+export type PortfolioOptions = import("./src/wdk-manager.js").PortfolioOptions;
+export type Portfolio = import("./src/wdk-manager.js").Portfolio;
+export type PortfolioBalance = import("./src/wdk-manager.js").PortfolioBalance;
+export type BlockchainError = import("./src/wdk-manager.js").BlockchainError;
+export type ActivityChecker = import("./src/wdk-manager.js").ActivityChecker;
+export type DiscoveryOptions = import("./src/wdk-manager.js").DiscoveryOptions;
+export type Discovery = import("./src/wdk-manager.js").Discovery;
+export type Policy = import("./src/policy-engine.js").Policy;
+export type SpendingLimit = import("./src/policy-engine.js").SpendingLimit;
+export type PolicyOperation = import("./src/policy-engine.js").PolicyOperation;
+export type SpendingRecord = import("./src/memory-policy-store.js").SpendingRecord;
+export type FailoverOptions = import("./src/failover-wallet.js").FailoverOptions;
+export type ProviderStatus = import("./src/failover-wallet.js").ProviderStatus;
+export type ProviderFailedEvent = import("./src/failover-wallet.js").ProviderFailedEvent;
+export type ProviderChangedEvent = import("./src/failover-wallet.js").ProviderChangedEvent;
+export type QueuedOperation = import("./src/send-queue.js").QueuedOperation;
+export type JournalOptions = import("./src/journal.js").JournalOptions;
+export type JournalFilter = import("./src/journal.js").JournalFilter;
+export type JournalEntry = import("./src/memory-journal-store.js").JournalEntry;
+export type ApprovalOptions = import("./src/approval-queue.js").ApprovalOptions;
+export type ApprovalRequest = import("./src/approval-queue.js").ApprovalRequest;
+export type VaultOptions = import("./src/vault.js").VaultOptions;
+export type SeedPhraseOptions = import("./src/seed.js").SeedPhraseOptions;
+export type SeedValidation = import("./src/seed.js").SeedValidation;
+export type WdkConfig = import("./src/config.js").WdkConfig;
+export type BlockchainConfig = import("./src/config.js").BlockchainConfig;
+export type WalletConfig = import("./src/config.js").WalletConfig;
+export type ProtocolConfig = import("./src/config.js").ProtocolConfig;
+export type ModuleMap = import("./src/config.js").ModuleMap;
+export type ConfigIssue = import("./src/config.js").ConfigIssue;
+export type MoveIntent = import("./src/move-planner.js").MoveIntent;
+export type MoveOptions = import("./src/move-planner.js").MoveOptions;
+export type BridgeToken = import("./src/move-planner.js").BridgeToken;
+export type MoveStep = import("./src/move-planner.js").MoveStep;
+export type MoveRoute = import("./src/move-planner.js").MoveRoute;
+export type MovePlan = import("./src/move-planner.js").MovePlan;
+export type MoveProgress = import("./src/move-planner.js").MoveProgress;
+export type ExecuteMoveOptions = import("./src/move-planner.js").ExecuteMoveOptions;
+export type RouteOptions = import("./src/quote-router.js").RouteOptions;
+export type SkippedProtocol = import("./src/quote-router.js").SkippedProtocol;
+export type RouteQuote<Q> = import("./src/quote-router.js").RouteQuote<Q>;
+export type Route<Q> = import("./src/quote-router.js").Route<Q>;
 export type IWalletAccountWithProtocols = import("./src/wallet-account-with-protocols.js").IWalletAccountWithProtocols;
+export { default as MemoryPolicyStore, IPolicyStore } from "./src/memory-policy-store.js";
+export { default as MemoryJournalStore, IJournalStore } from "./src/memory-journal-store.js";
+export { WdkError, InvalidSeedError, DisposedError, InvalidWalletManagerError, WalletNotRegisteredError, WalletAlreadyRegisteredError, InvalidProtocolError, ProtocolNotRegisteredError, ProtocolAlreadyRegisteredError, ProtocolTypeAlreadyRegisteredError, InvalidProtocolTypeError, MiddlewareNotRegisteredError, InterceptorNotRegisteredError, PolicyNotRegisteredError, PolicyViolationError, ApprovalNotFoundError, ApprovalRejectedError, ApprovalTimeoutError, QuoteExpiredError, NoRouteError, MoveFailedError, InvalidVaultError, WrongPassphraseError, InvalidConfigError, ModuleLoadError, ModuleNotLoadedError, WatchOnlyError, WatchedAddressNotFoundError, ProfileNotFoundError, ProfileAlreadyExistsError, QueuedOperationNotFoundError, OperationCancelledError } from "./src/errors.js";
@@ -0,0 +1,114 @@
+export default class ApprovalQueue {
+    /**
+     * Creates a new approval queue.
+     *
+     * @param {ApprovalOptions} [options] - The approval options.
+     * @param {(request: ApprovalRequest) => void} [onRequest] - Called for each new request, before the approval callback.
+     */
+    constructor(options?: ApprovalOptions, onRequest?: (request: ApprovalRequest) => void);
+    /** @private */
+    private _options;
+    /** @private */
+    private _onRequest;
+    /** @private */
+    private _pending;
+    /** @private */
+    private _nonce;
+    /**
+     * Returns the requests waiting for a decision, from the oldest to the newest.
+     *
+     * @returns {ApprovalRequest[]} The pending requests.
+     */
+    getPending(): ApprovalRequest[];
+    /**
+     * Quotes an operation and holds it until it gets approved, then runs it.
+     *
+     * @param {OperationContext} context - The operation's context.
+     * @param {() => Promise<unknown>} next - Runs the operation.
+     * @returns {Promise<unknown>} The operation's result.
+     * @throws {ApprovalRejectedError} If the request is rejected.
+     * @throws {ApprovalTimeoutError} If the request is not approved in time.
+     * @throws {QuoteExpiredError} If the quote expires before the request is approved.
+     */
+    hold(context: OperationContext, next: () => Promise<unknown>): Promise<unknown>;
+    /**
+     * Approves a pending request.
+     *
+     * @param {string} id - The identifier of the request.
+     * @throws {ApprovalNotFoundError} If there is no pending request with the given identifier.
+     */
+    approve(id: string): void;
+    /**
+     * Rejects a pending request.
+     *
+     * @param {string} id - The identifier of the request.
+     * @param {string} [reason] - The reason of the rejection.
+     * @throws {ApprovalNotFoundError} If there is no pending request with the given identifier.
+     */
+    reject(id: string, reason?: string): void;
+    /**
+     * Rejects all the pending requests with the given error.
+     *
+     * @param {Error} error - The error.
+     */
+    rejectAll(error: Error): void;
+    /** @private */
+    private _getPending;
+}
+export type OperationContext = import("./wdk-manager.js").OperationContext;
+export type ProtocolInfo = import("./wdk-manager.js").ProtocolInfo;
+export type IWalletAccountWithProtocols = import("./wallet-account-with-protocols.js").IWalletAccountWithProtocols;
+export type ApprovalRequest = {
+    /**
+     * - The unique identifier of the request.
+     */
+    id: string;
+    /**
+     * - The name of the blockchain.
+     */
+    blockchain: string;
+    /**
+     * - The account performing the operation.
+     */
+    account: IWalletAccountWithProtocols;
+    /**
+     * - The protocol performing the operation, if it is not performed by the account itself.
+     */
+    protocol?: ProtocolInfo;
+    /**
+     * - The name of the operation (e.g., "transfer", "swap").
+     */
+    operation: string;
+    /**
+     * - The arguments of the operation.
+     */
+    args: unknown[];
+    /**
+     * - The quote of the operation (e.g., the result of 'quoteTransfer' for transfers).
+     */
+    quote: unknown;
+    /**
+     * - The time the request has been created at (in milliseconds since the unix epoch).
+     */
+    createdAt: number;
+    /**
+     * - The time the quote expires at (in milliseconds since the unix epoch), if quotes expire.
+     */
+    expiresAt?: number;
+};
+export type ApprovalOptions = {
+    /**
+     * - Called for each new request. Returning true
+     * approves the request, returning false rejects it. If not set, requests must be approved or rejected explicitly.
+     */
+    callback?: (request: ApprovalRequest) => boolean | Promise<boolean>;
+    /**
+     * - The time a request waits for a decision before being rejected (in milliseconds, default: 5 minutes).
+     */
+    timeout?: number;
+    /**
+     * - The time a quote stays valid (in milliseconds). Requests not approved before their quote expires
+     * are rejected. If not set, quotes never expire.
+     */
+    quoteTtl?: number;
+};
@@ -0,0 +1,100 @@
+/**
+ * Tells whether a module is a factory loading a class (i.e., an arrow or async function) rather than the class itself.
+ *
+ * @param {unknown} value - The module.
+ * @returns {boolean} True if the module is a factory.
+ */
+export function isFactory(value: unknown): boolean;
+/**
+ * Checks a config against the schema of {@link WdkConfig}, and that the modules it refers to are in the module map and are classes
+ * of the right kind.
+ *
+ * @param {unknown} config - The config.
+ * @param {ModuleMap | undefined} modules - The module map.
+ * @param {Map<string, { BaseProtocol: Function }>} protocolTypes - The protocol types, by name.
+ * @returns {ConfigIssue[]} The issues found, in document order. Empty if the config is valid.
+ */
+export function validateConfig(config: unknown, modules: ModuleMap | undefined, protocolTypes: Map<string, {
+    BaseProtocol: Function;
+}>): ConfigIssue[];
+/**
+ * Returns the identifier of a class in a module map, or the name of the class if the map does not contain it.
+ *
+ * @param {Function} Module - The class.
+ * @param {ModuleMap} modules - The module map.
+ * @returns {string} The identifier.
+ */
+export function getModuleId(Module: Function, modules: ModuleMap): string;
+export type FailoverOptions = import("./failover-wallet.js").FailoverOptions;
+export type WalletConfig = {
+    /**
+     * - The identifier of the wallet manager class in the module map.
+     */
+    module: string;
+    /**
+     * - The configuration of the wallet, or a list of
+     * configurations to fail over between, in order of preference.
+     */
+    config?: Record<string, unknown> | Record<string, unknown>[];
+    /**
+     * - The identifier of the wallet's read-only account class in the module map (see the
+     * readOnlyAccount registration option).
+     */
+    readOnlyAccount?: string;
+    /**
+     * - How to switch between the providers of the wallet (see the failover registration option).
+     */
+    failover?: FailoverOptions;
+};
+export type ProtocolConfig = {
+    /**
+     * - The label of the protocol.
+     */
+    label: string;
+    /**
+     * - The type of the protocol (e.g., "swap"). Required if the module is a factory.
+     */
+    type?: string;
+    /**
+     * - The identifier of the protocol class in the module map.
+     */
+    module: string;
+    /**
+     * - The configuration of the protocol.
+     */
+    config?: Record<string, unknown>;
+};
+export type BlockchainConfig = {
+    /**
+     * - The wallet bound to the blockchain.
+     */
+    wallet?: WalletConfig;
+    /**
+     * - The protocols bound to the blockchain.
+     */
+    protocols?: ProtocolConfig[];
+};
+/**
+ * A serializable description of the wallets and protocols registered to WDK.
+ */
+export type WdkConfig = {
+    /**
+     * - The blockchains, by name (e.g., "ethereum").
+     */
+    blockchains: Record<string, BlockchainConfig>;
+};
+/**
+ * The classes a config can refer to, by identifier (e.g., { "wallet-evm": WalletManagerEvm, "velora": VeloraProtocolEvm }). Classes
+ * can also be given as factories loading them (e.g., { "wallet-evm": () => import('@tetherto/wdk-wallet-evm') }).
+ */
+export type ModuleMap = Record<string, Function>;
+export type ConfigIssue = {
+    /**
+     * - The path of the invalid value (e.g., "$.blockchains.ethereum.protocols[0].module").
+     */
+    path: string;
+    /**
+     * - What is wrong with the value.
+     */
+    message: string;
+};
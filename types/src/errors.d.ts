@@ -0,0 +1,380 @@
+export class WdkError extends Error {
+    /**
+     * Creates a new wdk error.
+     *
+     * @param {string} message - The error's message.
+     * @param {string} code - A machine-readable code identifying the error (e.g., "WALLET_NOT_REGISTERED").
+     */
+    constructor(message: string, code: string);
+    /**
+     * A machine-readable code identifying the error.
+     *
+     * @type {string}
+     */
+    code: string;
+}
+export class InvalidSeedError extends WdkError {
+    /**
+     * Creates a new invalid seed error.
+     *
+     * @param {'type' | 'length' | 'unknown-word' | 'checksum'} [reason] - Why the seed is not valid.
+     * @param {string} [word] - The first unknown word, if the reason is "unknown-word".
+     */
+    constructor(reason?: "type" | "length" | "unknown-word" | "checksum", word?: string);
+    /** @type {'type' | 'length' | 'unknown-word' | 'checksum' | undefined} */
+    reason: "type" | "length" | "unknown-word" | "checksum" | undefined;
+    /** @type {string | undefined} */
+    word: string | undefined;
+}
+export class DisposedError extends WdkError {
+    /**
+     * Creates a new disposed error.
+     */
+    constructor();
+}
+export class InvalidWalletManagerError extends WdkError {
+    /**
+     * Creates a new invalid wallet manager error.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     * @param {boolean} [watchOnly] - True if the wdk instance is in watch-only mode, where read-only account classes are expected.
+     */
+    constructor(blockchain: string, watchOnly?: boolean);
+    /** @type {string} */
+    blockchain: string;
+}
+export class WalletNotRegisteredError extends WdkError {
+    /**
+     * Creates a new wallet not registered error.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     */
+    constructor(blockchain: string);
+    /** @type {string} */
+    blockchain: string;
+}
+export class WalletAlreadyRegisteredError extends WdkError {
+    /**
+     * Creates a new wallet already registered error.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     */
+    constructor(blockchain: string);
+    /** @type {string} */
+    blockchain: string;
+}
+export class InvalidProtocolError extends WdkError {
+    /**
+     * Creates a new invalid protocol error.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     * @param {string} label - The protocol's label.
+     * @param {string[]} [baseProtocols] - The names of the base classes of the registered protocol types.
+     */
+    constructor(blockchain: string, label: string, baseProtocols?: string[]);
+    /** @type {string} */
+    blockchain: string;
+    /** @type {string} */
+    label: string;
+}
+export class ProtocolNotRegisteredError extends WdkError {
+    /**
+     * Creates a new protocol not registered error.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     * @param {string} label - The protocol's label.
+     * @param {string} [type] - The protocol's type (e.g., "swap"). If not set, the error refers to protocols of any type.
+     */
+    constructor(blockchain: string, label: string, type?: string);
+    /** @type {string} */
+    blockchain: string;
+    /** @type {string} */
+    label: string;
+    /** @type {string | undefined} */
+    type: string | undefined;
+}
+export class ProtocolAlreadyRegisteredError extends WdkError {
+    /**
+     * Creates a new protocol already registered error.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     * @param {string} label - The protocol's label.
+     * @param {string} type - The protocol's type (e.g., "swap").
+     */
+    constructor(blockchain: string, label: string, type: string);
+    /** @type {string} */
+    blockchain: string;
+    /** @type {string} */
+    label: string;
+    /** @type {string} */
+    type: string;
+}
+export class MiddlewareNotRegisteredError extends WdkError {
+    /**
+     * Creates a new middleware not registered error.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     */
+    constructor(blockchain: string);
+    /** @type {string} */
+    blockchain: string;
+}
+export class InterceptorNotRegisteredError extends WdkError {
+    /**
+     * Creates a new interceptor not registered error.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     */
+    constructor(blockchain: string);
+    /** @type {string} */
+    blockchain: string;
+}
+export class PolicyNotRegisteredError extends WdkError {
+    /**
+     * Creates a new policy not registered error.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     */
+    constructor(blockchain: string);
+    /** @type {string} */
+    blockchain: string;
+}
+export class PolicyViolationError extends WdkError {
+    /**
+     * Creates a new policy violation error.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     * @param {string} operation - The name of the rejected operation (e.g., "transfer").
+     * @param {string} rule - The violated rule (i.e., "blockedContracts", "calldata", "allowedRecipients", "maxAmount", "dailyLimit" or
+     *   "validate").
+     * @param {Record<string, unknown>} details - The values that caused the violation (e.g., the amount and the limit).
+     */
+    constructor(blockchain: string, operation: string, rule: string, details: Record<string, unknown>);
+    /** @type {string} */
+    blockchain: string;
+    /** @type {string} */
+    operation: string;
+    /** @type {string} */
+    rule: string;
+    /** @type {Record<string, unknown>} */
+    details: Record<string, unknown>;
+}
+export class ApprovalNotFoundError extends WdkError {
+    /**
+     * Creates a new approval not found error.
+     *
+     * @param {string} id - The identifier of the approval request.
+     */
+    constructor(id: string);
+    /** @type {string} */
+    id: string;
+}
+export class ApprovalRejectedError extends WdkError {
+    /**
+     * Creates a new approval rejected error.
+     *
+     * @param {string} id - The identifier of the approval request.
+     * @param {string} [reason] - The reason of the rejection.
+     */
+    constructor(id: string, reason?: string);
+    /** @type {string} */
+    id: string;
+    /** @type {string | undefined} */
+    reason: string | undefined;
+}
+export class ApprovalTimeoutError extends WdkError {
+    /**
+     * Creates a new approval timeout error.
+     *
+     * @param {string} id - The identifier of the approval request.
+     * @param {number} timeout - The time the request waited for a decision (in milliseconds).
+     */
+    constructor(id: string, timeout: number);
+    /** @type {string} */
+    id: string;
+    /** @type {number} */
+    timeout: number;
+}
+export class QuoteExpiredError extends WdkError {
+    /**
+     * Creates a new quote expired error.
+     *
+     * @param {string} id - The identifier of the approval request.
+     */
+    constructor(id: string);
+    /** @type {string} */
+    id: string;
+}
+export class NoRouteError extends WdkError {
+    /**
+     * Creates a new no route error.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     * @param {string} type - The type of the protocols (e.g., "swap").
+     * @param {{ label: string, reason: string, error?: Error }[]} skipped - The protocols that could not provide a quote, and why.
+     */
+    constructor(blockchain: string, type: string, skipped: {
+        label: string;
+        reason: string;
+        error?: Error;
+    }[]);
+    /** @type {string} */
+    blockchain: string;
+    /** @type {string} */
+    type: string;
+    /** @type {{ label: string, reason: string, error?: Error }[]} */
+    skipped: {
+        label: string;
+        reason: string;
+        error?: Error;
+    }[];
+}
+export class MoveFailedError extends WdkError {
+    /**
+     * Creates a new move failed error.
+     *
+     * @param {import('./move-planner.js').MoveProgress} progress - The progress of the move before the failing step. Pass it back to
+     *   {@link WDK#executeMove} to resume the move.
+     * @param {Error} cause - The error thrown by the failing step.
+     */
+    constructor(progress: import("./move-planner.js").MoveProgress, cause: Error);
+    /** @type {import('./move-planner.js').MoveProgress} */
+    progress: import("./move-planner.js").MoveProgress;
+    /** @type {Error} */
+    cause: Error;
+}
+export class ProtocolTypeAlreadyRegisteredError extends WdkError {
+    /**
+     * Creates a new protocol type already registered error.
+     *
+     * @param {string} type - The protocol type (e.g., "staking").
+     */
+    constructor(type: string);
+    /** @type {string} */
+    type: string;
+}
+export class InvalidProtocolTypeError extends WdkError {
+    /**
+     * Creates a new invalid protocol type error.
+     *
+     * @param {string} type - The protocol type (e.g., "staking").
+     */
+    constructor(type: string);
+    /** @type {string} */
+    type: string;
+}
+export class InvalidVaultError extends WdkError {
+    /**
+     * Creates a new invalid vault error.
+     *
+     * @param {string} reason - Why the vault cannot be read.
+     */
+    constructor(reason: string);
+}
+export class WrongPassphraseError extends WdkError {
+    /**
+     * Creates a new wrong passphrase error.
+     */
+    constructor();
+}
+export class InvalidConfigError extends WdkError {
+    /**
+     * Creates a new invalid config error.
+     *
+     * @param {import('./config.js').ConfigIssue[]} issues - The issues found in the config.
+     */
+    constructor(issues: import("./config.js").ConfigIssue[]);
+    /** @type {import('./config.js').ConfigIssue[]} */
+    issues: import("./config.js").ConfigIssue[];
+}
+export class ModuleLoadError extends WdkError {
+    /**
+     * Creates a new module load error.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     * @param {string | undefined} label - The label of the protocol, or undefined if the module is the blockchain's wallet.
+     * @param {Error} cause - The error thrown by the factory.
+     */
+    constructor(blockchain: string, label: string | undefined, cause: Error);
+    /** @type {string} */
+    blockchain: string;
+    /** @type {string | undefined} */
+    label: string | undefined;
+    /** @type {Error} */
+    cause: Error;
+}
+export class ModuleNotLoadedError extends WdkError {
+    /** @type {string} */
+    blockchain: string;
+    /** @type {string} */
+    label: string;
+}
+export class WatchOnlyError extends WdkError {
+    /**
+     * Creates a new watch-only error.
+     *
+     * @param {string} operation - The name of the rejected operation (e.g., "transfer").
+     * @param {string} [blockchain] - The name of the blockchain, if the operation is bound to one.
+     */
+    constructor(operation: string, blockchain?: string);
+    /** @type {string} */
+    operation: string;
+    /** @type {string | undefined} */
+    blockchain: string | undefined;
+}
+export class WatchedAddressNotFoundError extends WdkError {
+    /**
+     * Creates a new watched address not found error.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     * @param {number} index - The index of the account.
+     */
+    constructor(blockchain: string, index: number);
+    /** @type {string} */
+    blockchain: string;
+    /** @type {number} */
+    index: number;
+}
+export class ProfileNotFoundError extends WdkError {
+    /**
+     * Creates a new profile not found error.
+     *
+     * @param {string} profile - The name of the profile.
+     */
+    constructor(profile: string);
+    /** @type {string} */
+    profile: string;
+}
+export class ProfileAlreadyExistsError extends WdkError {
+    /**
+     * Creates a new profile already exists error.
+     *
+     * @param {string} profile - The name of the profile.
+     */
+    constructor(profile: string);
+    /** @type {string} */
+    profile: string;
+}
+export class QueuedOperationNotFoundError extends WdkError {
+    /**
+     * Creates a new queued operation not found error.
+     *
+     * @param {string} id - The identifier of the queued operation.
+     */
+    constructor(id: string);
+    /** @type {string} */
+    id: string;
+}
+export class OperationCancelledError extends WdkError {
+    /**
+     * Creates a new operation cancelled error.
+     *
+     * @param {string} id - The identifier of the queued operation.
+     * @param {string} [reason] - The reason of the cancellation.
+     */
+    constructor(id: string, reason?: string);
+    /** @type {string} */
+    id: string;
+    /** @type {string | undefined} */
+    reason: string | undefined;
+}
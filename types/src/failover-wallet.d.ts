@@ -0,0 +1,168 @@
+/**
+ * A wallet manager switching between several providers of the same blockchain. It holds one wallet manager per config, and hands out
+ * accounts that call the wallet manager of the provider in use: read calls that fail are retried against the next provider, while the
+ * other calls run once and fail.
+ */
+export default class FailoverWallet {
+    /**
+     * Creates a new failover wallet.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     * @param {unknown[]} wallets - The wallet managers, one per provider, in order of preference.
+     * @param {FailoverOptions} [options] - The failover options.
+     * @param {FailoverCallbacks} [callbacks] - The callbacks.
+     */
+    constructor(blockchain: string, wallets: unknown[], options?: FailoverOptions, callbacks?: FailoverCallbacks);
+    /** @private */
+    private _blockchain;
+    /** @private */
+    private _providers;
+    /** @private */
+    private _options;
+    /** @private */
+    private _callbacks;
+    /** @private */
+    private _active;
+    /** @private */
+    private _timer;
+    /**
+     * The accounts handed out so far, by derivation key.
+     *
+     * @protected
+     * @type {{ [key: string]: IWalletAccount }}
+     */
+    protected _accounts: {
+        [key: string]: IWalletAccount;
+    };
+    /**
+     * Returns the status of the providers, in order of preference.
+     *
+     * @returns {ProviderStatus[]} The status of the providers.
+     */
+    getProviders(): ProviderStatus[];
+    /**
+     * Checks the health of all the providers, then switches to the first healthy provider, in order of preference.
+     *
+     * @returns {Promise<ProviderStatus[]>} The status of the providers.
+     */
+    checkHealth(): Promise<ProviderStatus[]>;
+    /**
+     * Returns the account with the given index (see {@link WalletManager#getAccount}).
+     *
+     * @param {number} [index] - The index of the account (default: 0).
+     * @returns {Promise<IWalletAccount>} The account.
+     */
+    getAccount(index?: number): Promise<IWalletAccount>;
+    /**
+     * Returns the account with the given derivation path (see {@link WalletManager#getAccountByPath}).
+     *
+     * @param {string} path - The derivation path.
+     * @returns {Promise<IWalletAccount>} The account.
+     */
+    getAccountByPath(path: string): Promise<IWalletAccount>;
+    /**
+     * Returns the fee rates, from the first provider able to return them.
+     *
+     * @returns {Promise<FeeRates>} The fee rates.
+     */
+    getFeeRates(): Promise<FeeRates>;
+    /**
+     * Stops the health checks and disposes the wallet managers of all the providers.
+     */
+    dispose(): void;
+    /** @private */
+    private _getAccount;
+    /** @private */
+    private _createAccount;
+    /** @private */
+    private _read;
+    /** @private */
+    private _fail;
+    /** @private */
+    private _activate;
+}
+export type IWalletAccount = import("@tetherto/wdk-wallet").IWalletAccount;
+export type FeeRates = import("@tetherto/wdk-wallet").FeeRates;
+export type FailoverOptions = {
+    /**
+     * - Checks the provider of a wallet manager: the provider is healthy if
+     * the returned promise resolves (default: reads the fee rates).
+     */
+    healthCheck?: (wallet: unknown) => Promise<unknown>;
+    /**
+     * - If set, the providers are checked at this interval (in milliseconds). Otherwise, they
+     * are only checked when {@link WDK#checkProviders} is called.
+     */
+    healthCheckInterval?: number;
+    /**
+     * - The delay before retrying a failed read against the next provider (in milliseconds, default:
+     * 250). It doubles after each retry.
+     */
+    retryDelay?: number;
+    /**
+     * - Tells whether an error is caused by the provider, and should make wdk
+     * switch to the next one (default: network errors, timeouts and http responses with a 429 or 5xx status, including when they are
+     * the cause of the error).
+     */
+    isProviderError?: (error: Error) => boolean;
+};
+export type ProviderStatus = {
+    /**
+     * - The index of the provider's config in the list of configs.
+     */
+    index: number;
+    /**
+     * - True if the provider is the one currently used.
+     */
+    active: boolean;
+    /**
+     * - False if the provider's last call or health check has failed.
+     */
+    healthy: boolean;
+    /**
+     * - The time the provider has last been checked at (in milliseconds since the unix epoch), if ever.
+     */
+    checkedAt?: number;
+    /**
+     * - The error that made the provider unhealthy.
+     */
+    error?: Error;
+};
+export type ProviderFailedEvent = {
+    /**
+     * - The name of the blockchain.
+     */
+    blockchain: string;
+    /**
+     * - The index of the provider's config.
+     */
+    provider: number;
+    /**
+     * - The error thrown by the provider.
+     */
+    error: Error;
+};
+export type ProviderChangedEvent = {
+    /**
+     * - The name of the blockchain.
+     */
+    blockchain: string;
+    /**
+     * - The index of the config of the provider now in use.
+     */
+    provider: number;
+    /**
+     * - The index of the config of the provider previously in use.
+     */
+    previous: number;
+};
+export type FailoverCallbacks = {
+    /**
+     * - Called each time a provider fails.
+     */
+    onFailure?: (event: ProviderFailedEvent) => void;
+    /**
+     * - Called each time the provider in use changes.
+     */
+    onChange?: (event: ProviderChangedEvent) => void;
+};
@@ -0,0 +1,118 @@
+export default class Journal {
+    /**
+     * Creates a new journal.
+     *
+     * @param {JournalOptions} options - The journal options.
+     * @param {JournalCallbacks} callbacks - The callbacks.
+     */
+    constructor(options: JournalOptions, callbacks: JournalCallbacks);
+    /** @private */
+    private _store;
+    /** @private */
+    private _isFailed;
+    /** @private */
+    private _pollInterval;
+    /** @private */
+    private _callbacks;
+    /** @private */
+    private _timer;
+    /** @private */
+    private _refreshing;
+    /**
+     * Records an operation as pending, without a hash, then runs it and records its hash if it returns, or marks it as failed if it
+     * throws. The entry is saved before the operation runs, so that a crash while it is being sent still leaves a trace. Errors thrown
+     * by the store do not make the operation fail, since it may already have been broadcast: they are reported to the error callback
+     * instead.
+     *
+     * @param {OperationContext} context - The operation's context.
+     * @param {() => Promise<unknown>} next - Runs the operation.
+     * @returns {Promise<unknown>} The operation's result.
+     */
+    record({ blockchain, account, protocol, operation, args }: OperationContext, next: () => Promise<unknown>): Promise<unknown>;
+    /**
+     * Returns the entries matching a filter, from the oldest to the newest.
+     *
+     * @param {JournalFilter} [filter] - The filter.
+     * @returns {Promise<JournalEntry[]>} The entries.
+     */
+    query(filter?: JournalFilter): Promise<JournalEntry[]>;
+    /**
+     * Looks up the receipts of the pending entries, and marks the entries whose transaction has been mined as confirmed or failed.
+     * Concurrent calls share the same lookup.
+     *
+     * @returns {Promise<JournalEntry[]>} The entries that have been updated.
+     */
+    refresh(): Promise<JournalEntry[]>;
+    /**
+     * Starts looking up the receipts of the pending entries at the poll interval, if one is set.
+     */
+    start(): void;
+    /**
+     * Stops looking up the receipts of the pending entries.
+     */
+    stop(): void;
+    /** @private */
+    private _refresh;
+    /** @private */
+    private _save;
+    /** @private */
+    private _report;
+}
+export type IJournalStore = import("./memory-journal-store.js").IJournalStore;
+export type JournalEntry = import("./memory-journal-store.js").JournalEntry;
+export type OperationContext = import("./wdk-manager.js").OperationContext;
+export type IWalletAccountWithProtocols = import("./wallet-account-with-protocols.js").IWalletAccountWithProtocols;
+export type JournalOptions = {
+    /**
+     * - The store where the entries are saved (default: an in-memory store).
+     */
+    store?: IJournalStore;
+    /**
+     * - If set, the receipts of the pending entries are looked up at this interval (in milliseconds).
+     * Otherwise, they are only looked up when {@link WDK#refreshJournal} is called.
+     */
+    pollInterval?: number;
+    /**
+     * - Tells whether a receipt belongs to a failed transaction (default: receipts
+     * with a status of 0 or false, like the receipts of reverted evm transactions).
+     */
+    isFailed?: (receipt: unknown) => boolean;
+};
+export type JournalFilter = {
+    /**
+     * - If set, only returns the entries of this blockchain.
+     */
+    blockchain?: string;
+    /**
+     * - If set, only returns the entries of the account with this derivation path.
+     */
+    path?: string;
+    /**
+     * - If set, only returns the entries of the account with this address.
+     */
+    address?: string;
+    /**
+     * - If set, only returns the entries with this status.
+     */
+    status?: "pending" | "confirmed" | "failed";
+    /**
+     * - If set, only returns the entries of this operation (e.g., "transfer", "swap").
+     */
+    operation?: string;
+};
+export type JournalCallbacks = {
+    /**
+     * - Returns the account that sent an
+     * entry's transaction, to look up its receipt.
+     */
+    getAccount: (blockchain: string, path: string) => Promise<IWalletAccountWithProtocols>;
+    /**
+     * - Called each time an entry is saved.
+     */
+    onUpdate?: (entry: JournalEntry) => void;
+    /**
+     * - Called when an entry cannot be saved or its receipt cannot be
+     * looked up.
+     */
+    onError?: (error: Error, entry: JournalEntry) => void;
+};
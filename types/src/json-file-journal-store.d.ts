@@ -0,0 +1,33 @@
+/** @implements {IJournalStore} */
+export default class JsonFileJournalStore implements IJournalStore {
+    /**
+     * Creates a new journal store saving its entries to a json file. The file is created on the first write.
+     *
+     * @param {string} path - The path of the file.
+     */
+    constructor(path: string);
+    /** @private */
+    private _path;
+    /** @private */
+    private _entries;
+    /** @private */
+    private _queue;
+    /**
+     * Returns all the entries of the journal.
+     *
+     * @returns {Promise<JournalEntry[]>} The entries.
+     */
+    getEntries(): Promise<JournalEntry[]>;
+    /**
+     * Saves an entry, replacing the existing entry with the same id, if any. The whole file is written again: it is replaced
+     * atomically, so that a crash during the write cannot corrupt it.
+     *
+     * @param {JournalEntry} entry - The entry.
+     * @returns {Promise<void>}
+     */
+    saveEntry(entry: JournalEntry): Promise<void>;
+    /** @private */
+    private _load;
+}
+export type IJournalStore = import("./memory-journal-store.js").IJournalStore;
+export type JournalEntry = import("./memory-journal-store.js").JournalEntry;
@@ -0,0 +1,116 @@
+/**
+ * @typedef {Object} JournalEntry
+ * @property {string} id - The unique identifier of the entry.
+ * @property {string} blockchain - The name of the blockchain.
+ * @property {string} path - The derivation path of the account.
+ * @property {number} [index] - The index of the account.
+ * @property {string} [address] - The address of the account.
+ * @property {{ type: string, label: string }} [protocol] - The protocol performing the operation, if it is not performed by the
+ *   account itself.
+ * @property {string} operation - The name of the operation (e.g., "transfer", "swap").
+ * @property {unknown[]} args - The arguments of the operation.
+ * @property {'pending' | 'confirmed' | 'failed'} status - The status of the operation: pending until its receipt is found, then
+ *   confirmed or failed. Operations that throw are recorded as failed right away.
+ * @property {string} [hash] - The hash of the transaction. Not set while the operation is being sent, nor if it did not return one.
+ * @property {bigint} [fee] - The fee paid by the transaction (in base unit).
+ * @property {string} [error] - The message of the error that made the operation fail.
+ * @property {number} createdAt - The time the operation has been sent at (in milliseconds since the unix epoch).
+ * @property {number} updatedAt - The time the entry has last been updated at (in milliseconds since the unix epoch).
+ */
+/** @interface */
+export class IJournalStore {
+    /**
+     * Returns all the entries of the journal.
+     *
+     * @returns {Promise<JournalEntry[]>} The entries.
+     */
+    getEntries(): Promise<JournalEntry[]>;
+    /**
+     * Saves an entry, replacing the existing entry with the same id, if any.
+     *
+     * @param {JournalEntry} entry - The entry.
+     * @returns {Promise<void>}
+     */
+    saveEntry(entry: JournalEntry): Promise<void>;
+}
+/** @implements {IJournalStore} */
+export default class MemoryJournalStore implements IJournalStore {
+    /** @private */
+    private _entries;
+    /**
+     * Returns all the entries of the journal.
+     *
+     * @returns {Promise<JournalEntry[]>} The entries.
+     */
+    getEntries(): Promise<JournalEntry[]>;
+    /**
+     * Saves an entry, replacing the existing entry with the same id, if any.
+     *
+     * @param {JournalEntry} entry - The entry.
+     * @returns {Promise<void>}
+     */
+    saveEntry(entry: JournalEntry): Promise<void>;
+}
+export type JournalEntry = {
+    /**
+     * - The unique identifier of the entry.
+     */
+    id: string;
+    /**
+     * - The name of the blockchain.
+     */
+    blockchain: string;
+    /**
+     * - The derivation path of the account.
+     */
+    path: string;
+    /**
+     * - The index of the account.
+     */
+    index?: number;
+    /**
+     * - The address of the account.
+     */
+    address?: string;
+    /**
+     * - The protocol performing the operation, if it is not performed by the
+     * account itself.
+     */
+    protocol?: {
+        type: string;
+        label: string;
+    };
+    /**
+     * - The name of the operation (e.g., "transfer", "swap").
+     */
+    operation: string;
+    /**
+     * - The arguments of the operation.
+     */
+    args: unknown[];
+    /**
+     * - The status of the operation: pending until its receipt is found, then
+     * confirmed or failed. Operations that throw are recorded as failed right away.
+     */
+    status: "pending" | "confirmed" | "failed";
+    /**
+     * - The hash of the transaction. Not set while the operation is being sent, nor if it did not return one.
+     */
+    hash?: string;
+    /**
+     * - The fee paid by the transaction (in base unit).
+     */
+    fee?: bigint;
+    /**
+     * - The message of the error that made the operation fail.
+     */
+    error?: string;
+    /**
+     * - The time the operation has been sent at (in milliseconds since the unix epoch).
+     */
+    createdAt: number;
+    /**
+     * - The time the entry has last been updated at (in milliseconds since the unix epoch).
+     */
+    updatedAt: number;
+};
@@ -0,0 +1,58 @@
+/**
+ * @typedef {Object} SpendingRecord
+ * @property {string} id - The unique identifier of the record.
+ * @property {number} timestamp - The time the amount has been spent at (in milliseconds since the unix epoch).
+ * @property {bigint} amount - The amount spent (in base unit).
+ */
+/** @interface */
+export class IPolicyStore {
+    /**
+     * Returns the spending records saved under a key.
+     *
+     * @param {string} key - The key.
+     * @returns {Promise<SpendingRecord[]>} The spending records.
+     */
+    getRecords(key: string): Promise<SpendingRecord[]>;
+    /**
+     * Saves the spending records under a key, replacing the existing ones.
+     *
+     * @param {string} key - The key.
+     * @param {SpendingRecord[]} records - The spending records.
+     * @returns {Promise<void>}
+     */
+    setRecords(key: string, records: SpendingRecord[]): Promise<void>;
+}
+/** @implements {IPolicyStore} */
+export default class MemoryPolicyStore implements IPolicyStore {
+    /** @private */
+    private _records;
+    /**
+     * Returns the spending records saved under a key.
+     *
+     * @param {string} key - The key.
+     * @returns {Promise<SpendingRecord[]>} The spending records.
+     */
+    getRecords(key: string): Promise<SpendingRecord[]>;
+    /**
+     * Saves the spending records under a key, replacing the existing ones.
+     *
+     * @param {string} key - The key.
+     * @param {SpendingRecord[]} records - The spending records.
+     * @returns {Promise<void>}
+     */
+    setRecords(key: string, records: SpendingRecord[]): Promise<void>;
+}
+export type SpendingRecord = {
+    /**
+     * - The unique identifier of the record.
+     */
+    id: string;
+    /**
+     * - The time the amount has been spent at (in milliseconds since the unix epoch).
+     */
+    timestamp: number;
+    /**
+     * - The amount spent (in base unit).
+     */
+    amount: bigint;
+};
@@ -0,0 +1,162 @@
+export default class MovePlanner {
+    /**
+     * Creates a new move planner.
+     *
+     * @param {WDK} wdk - The wdk instance providing the accounts and their protocols.
+     */
+    constructor(wdk: WDK);
+    /** @private */
+    private _wdk;
+    /**
+     * Builds and quotes the routes moving tokens from a blockchain to another (or to another token on the same blockchain).
+     *
+     * @param {MoveIntent} intent - The move intent.
+     * @param {MoveOptions} [options] - The move options.
+     * @returns {Promise<MovePlan>} The plan.
+     */
+    plan(intent: MoveIntent, options?: MoveOptions): Promise<MovePlan>;
+    /**
+     * Executes the steps of a route in order. If a step fails, the steps already completed are not executed again when the move is
+     * resumed with the progress attached to the error.
+     *
+     * @param {MoveRoute} route - The route.
+     * @param {ExecuteMoveOptions} [options] - The execution options.
+     * @returns {Promise<MoveProgress>} The final progress, with the results of all the steps.
+     * @throws {MoveFailedError} If a step fails.
+     */
+    execute(route: MoveRoute, options?: ExecuteMoveOptions): Promise<MoveProgress>;
+    /** @private */
+    private _quote;
+    /** @private */
+    private _run;
+}
+export type WDK = import("./wdk-manager.js").default;
+export type RouteOptions = import("./quote-router.js").RouteOptions;
+export type MoveIntent = {
+    /**
+     * - The blockchain, the index of the
+     * account (default: 0), the address of the token to move and the amount to move (in base unit).
+     */
+    from: {
+        blockchain: string;
+        index?: number;
+        token: string;
+        amount: number | bigint;
+    };
+    /**
+     * - The destination blockchain, the index of
+     * the account receiving the tokens (default: 0), the address of the token to receive and, optionally, the address receiving the
+     * tokens instead of the account.
+     */
+    to: {
+        blockchain: string;
+        index?: number;
+        token: string;
+        recipient?: string;
+    };
+};
+export type BridgeToken = {
+    /**
+     * - The address of the token on the source blockchain.
+     */
+    token: string;
+    /**
+     * - The address of the same token on the destination blockchain.
+     */
+    targetToken: string;
+};
+export type MoveOptions = {
+    /**
+     * - The tokens that can be bridged between the two blockchains. Routes swap the source token
+     * to one of them, bridge it, then swap it to the destination token (default: the source token, bridged to the destination token).
+     */
+    bridgeTokens?: BridgeToken[];
+    /**
+     * - The options used to pick the best swap protocol for each swap. Their convertFee option
+     * is required if a blockchain has several swap protocols. If set, it also converts the total fees of each route to the destination
+     * token, so that routes are ranked by the amount they deliver net of fees.
+     */
+    routeOptions?: RouteOptions;
+};
+export type MoveStep = {
+    /**
+     * - The type of the step.
+     */
+    type: "swap" | "bridge";
+    /**
+     * - The name of the blockchain the step runs on.
+     */
+    blockchain: string;
+    /**
+     * - The index of the account running the step.
+     */
+    index: number;
+    /**
+     * - The label of the protocol running the step.
+     */
+    label: string;
+    /**
+     * - The options of the step's swap or bridge operation.
+     */
+    options: Record<string, unknown>;
+    /**
+     * - The quote of the step.
+     */
+    quote: Record<string, unknown>;
+};
+export type MoveRoute = {
+    /**
+     * - The steps of the route, in execution order.
+     */
+    steps: MoveStep[];
+    /**
+     * - The amount of destination tokens expected at the end of the route (in base unit).
+     */
+    amountOut: bigint;
+    /**
+     * - The total fees of the route, by blockchain (in the base unit of its native token).
+     */
+    fees: Record<string, bigint>;
+};
+export type MovePlan = {
+    /**
+     * - The routes, from the best to the worst.
+     */
+    routes: MoveRoute[];
+    /**
+     * - The routes that could not be quoted, and why.
+     */
+    skipped: {
+        bridgeToken: BridgeToken;
+        label?: string;
+        error: Error;
+    }[];
+};
+export type MoveProgress = {
+    /**
+     * - The route being executed.
+     */
+    route: MoveRoute;
+    /**
+     * - The number of steps completed.
+     */
+    completed: number;
+    /**
+     * - The options and the results of the steps completed.
+     */
+    results: {
+        options: Record<string, unknown>;
+        result: unknown;
+    }[];
+};
+export type ExecuteMoveOptions = {
+    /**
+     * - The progress of a move that failed (see {@link MoveFailedError}). The move resumes from the
+     * first step that did not complete.
+     */
+    progress?: MoveProgress;
+    /**
+     * - Called after each step, e.g. to save the progress.
+     */
+    onProgress?: (progress: MoveProgress) => void | Promise<void>;
+};
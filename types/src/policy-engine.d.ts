@@ -0,0 +1,125 @@
+export default class PolicyEngine {
+    /**
+     * Creates a new policy engine.
+     *
+     * @param {IPolicyStore} [store] - The store where the amounts spent are saved (default: an in-memory store).
+     */
+    constructor(store?: IPolicyStore);
+    /** @private */
+    private _store;
+    /** @private */
+    private _policies;
+    /** @private */
+    private _locks;
+    /** @private */
+    private _nonce;
+    /**
+     * Registers a policy for a blockchain.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     * @param {Policy} policy - The policy.
+     */
+    register(blockchain: string, policy: Policy): void;
+    /**
+     * Unregisters a policy previously registered for a blockchain.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     * @param {Policy} policy - The policy.
+     * @returns {boolean} True if the policy was registered.
+     */
+    unregister(blockchain: string, policy: Policy): boolean;
+    /**
+     * Checks an operation against the policies registered for its blockchain, then runs it. The amounts spent by operations that
+     * fail are not taken into account by the daily limits.
+     *
+     * @param {OperationContext} context - The operation's context.
+     * @param {() => Promise<unknown>} next - Runs the operation.
+     * @param {{ dryRun?: boolean }} [options] - If dry run is true, the daily limits are checked but the amount spent is not saved.
+     * @returns {Promise<unknown>} The operation's result.
+     * @throws {PolicyViolationError} If the operation violates one of the policies.
+     */
+    enforce(context: OperationContext, next: () => Promise<unknown>, options?: {
+        dryRun?: boolean;
+    }): Promise<unknown>;
+    /** @private */
+    private _check;
+    /** @private */
+    private _reserve;
+    /** @private */
+    private _release;
+    /** @private */
+    private _lock;
+}
+export type IPolicyStore = import("./memory-policy-store.js").IPolicyStore;
+export type OperationContext = import("./wdk-manager.js").OperationContext;
+export type ProtocolInfo = import("./wdk-manager.js").ProtocolInfo;
+export type SpendingLimit = {
+    /**
+     * - The address of the token the limit applies to. If not set, the limit applies to the native token.
+     */
+    token?: string;
+    /**
+     * - The maximum amount a single operation can spend (in base unit).
+     */
+    maxAmount?: number | bigint;
+    /**
+     * - The maximum amount that can be spent over any rolling window of 24 hours, across all the
+     * accounts of the blockchain (in base unit).
+     */
+    dailyLimit?: number | bigint;
+};
+export type PolicyOperation = {
+    /**
+     * - The name of the blockchain.
+     */
+    blockchain: string;
+    /**
+     * - The name of the operation (e.g., "transfer", "swap").
+     */
+    operation: string;
+    /**
+     * - The protocol performing the operation, if it is not performed by the account itself.
+     */
+    protocol?: ProtocolInfo;
+    /**
+     * - The address of the token spent by the operation, or null for the native token.
+     */
+    token: string | null;
+    /**
+     * - The amount spent by the operation (in base unit). Operations that do not spend the account's funds
+     * (e.g., borrows and withdrawals) have an amount of zero.
+     */
+    amount: bigint;
+    /**
+     * - The address receiving the funds, if it is not the account itself.
+     */
+    recipient?: string;
+    /**
+     * - The addresses of the contracts the operation interacts with.
+     */
+    contracts: string[];
+    /**
+     * - The data of a transaction that is not a known token call (i.e., an erc-20 transfer or approve). The
+     * tokens such a transaction spends and the addresses receiving them are unknown.
+     */
+    calldata?: string;
+};
+export type Policy = {
+    /**
+     * - The spending limits.
+     */
+    limits?: SpendingLimit[];
+    /**
+     * - If set, operations can only send funds to these addresses.
+     */
+    allowedRecipients?: string[];
+    /**
+     * - The addresses of the contracts that operations must not interact with.
+     */
+    blockedContracts?: string[];
+    /**
+     * - A custom check. Returning false rejects the
+     * operation.
+     */
+    validate?: (operation: PolicyOperation) => boolean | Promise<boolean>;
+};
@@ -0,0 +1,225 @@
+export default class ProfileManager {
+    /**
+     * Creates a new profile manager.
+     *
+     * A profile manager holds several named profiles, each with its own seed. Wallets, protocols, middlewares, interceptors and policies
+     * are registered once to the profile manager, and apply to all the profiles, including the ones added later. Each profile is a
+     * separate wdk instance, so the accounts derived from different seeds are kept apart.
+     *
+     * @param {WdkOptions} [options] - The default options of the profiles' wdk instances. Policy stores should not be shared, or the
+     *   daily limits would add up the amounts spent by all the profiles: give each profile its own store instead (see
+     *   {@link ProfileManager#addProfile}).
+     */
+    constructor(options?: WdkOptions);
+    /** @private */
+    private _options;
+    /** @private */
+    private _profiles;
+    /**
+     * The registrations in effect, in the order they have been made. Unregistering removes the matching registration, so that
+     * profiles added later only replay the net state.
+     *
+     * @private
+     */
+    private _registrations;
+    /** @private */
+    private _disposed;
+    /**
+     * Adds a new profile.
+     *
+     * @param {string} profile - The name of the profile.
+     * @param {string | Uint8Array} seed - The profile's BIP-39 seed phrase.
+     * @param {WdkOptions} [options] - The options of the profile's wdk instance, overriding the default options.
+     * @returns {ProfileManager} The profile manager.
+     * @throws {ProfileAlreadyExistsError} If a profile with the same name already exists.
+     * @throws {InvalidSeedError} If the seed is not valid.
+     * @throws {DisposedError} If the profile manager has been disposed.
+     */
+    addProfile(profile: string, seed: string | Uint8Array, options?: WdkOptions): ProfileManager;
+    /**
+     * Removes a profile and disposes its wdk instance, erasing its seed's wallet managers and accounts from the memory.
+     *
+     * @param {string} profile - The name of the profile.
+     * @returns {ProfileManager} The profile manager.
+     * @throws {ProfileNotFoundError} If no profile exists with the given name.
+     * @throws {DisposedError} If the profile manager has been disposed.
+     */
+    removeProfile(profile: string): ProfileManager;
+    /**
+     * Returns the wdk instance of a profile.
+     *
+     * @param {string} profile - The name of the profile.
+     * @returns {WDK} The wdk instance.
+     * @throws {ProfileNotFoundError} If no profile exists with the given name.
+     * @throws {DisposedError} If the profile manager has been disposed.
+     */
+    getProfile(profile: string): WDK;
+    /**
+     * Returns the names of the profiles, in the order they have been added.
+     *
+     * @returns {string[]} The names of the profiles.
+     */
+    getProfiles(): string[];
+    /**
+     * Checks whether a profile exists.
+     *
+     * @param {string} profile - The name of the profile.
+     * @returns {boolean} True if the profile exists.
+     */
+    hasProfile(profile: string): boolean;
+    /**
+     * Returns the wallet account of a profile for a specific blockchain and index (see {@link WDK#getAccount}).
+     *
+     * @param {string} profile - The name of the profile.
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {number} [index] - The index of the account to get (default: 0).
+     * @returns {Promise<IWalletAccountWithProtocols>} The account.
+     * @throws {ProfileNotFoundError} If no profile exists with the given name.
+     * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+     * @throws {DisposedError} If the profile manager has been disposed.
+     */
+    getAccount(profile: string, blockchain: string, index?: number): Promise<IWalletAccountWithProtocols>;
+    /**
+     * Returns the wallet account of a profile for a specific blockchain and BIP-44 derivation path (see {@link WDK#getAccountByPath}).
+     *
+     * @param {string} profile - The name of the profile.
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {string} path - The derivation path (e.g., "0'/0/0").
+     * @returns {Promise<IWalletAccountWithProtocols>} The account.
+     * @throws {ProfileNotFoundError} If no profile exists with the given name.
+     * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+     * @throws {DisposedError} If the profile manager has been disposed.
+     */
+    getAccountByPath(profile: string, blockchain: string, path: string): Promise<IWalletAccountWithProtocols>;
+    /**
+     * Registers a new wallet to all the profiles (see {@link WDK#registerWallet}).
+     *
+     * @param {string} blockchain - The name of the blockchain the wallet must be bound to. Can be any string (e.g., "ethereum").
+     * @param {Function} WalletManager - The wallet manager class, or a factory loading it.
+     * @param {unknown} config - The configuration object.
+     * @param {RegisterOptions} [options] - The registration options.
+     * @returns {ProfileManager} The profile manager.
+     * @throws {InvalidWalletManagerError} If the wallet manager class does not extend WalletManager.
+     * @throws {WalletAlreadyRegisteredError} If a wallet has already been registered for the given blockchain and the override option
+     *   is not set.
+     * @throws {DisposedError} If the profile manager has been disposed.
+     */
+    registerWallet(blockchain: string, WalletManager: Function, config: unknown, options?: RegisterOptions): ProfileManager;
+    /**
+     * Unregisters the wallet bound to a blockchain from all the profiles (see {@link WDK#unregisterWallet}).
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @returns {ProfileManager} The profile manager.
+     * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+     * @throws {DisposedError} If the profile manager has been disposed.
+     */
+    unregisterWallet(blockchain: string): ProfileManager;
+    /**
+     * Registers a new protocol to all the profiles (see {@link WDK#registerProtocol}).
+     *
+     * @param {string} blockchain - The name of the blockchain the protocol must be bound to. Can be any string (e.g., "ethereum").
+     * @param {string} label - The label.
+     * @param {Function} Protocol - The protocol class, or a factory loading it.
+     * @param {unknown} config - The protocol configuration.
+     * @param {RegisterOptions} [options] - The registration options.
+     * @returns {ProfileManager} The profile manager.
+     * @throws {InvalidProtocolError} If the protocol class does not extend the base class of a protocol type.
+     * @throws {ProtocolAlreadyRegisteredError} If a protocol of the same type has already been registered for the given blockchain and
+     *   label, and the override option is not set.
+     * @throws {DisposedError} If the profile manager has been disposed.
+     */
+    registerProtocol(blockchain: string, label: string, Protocol: Function, config: unknown, options?: RegisterOptions): ProfileManager;
+    /**
+     * Unregisters the protocols bound to a blockchain with the given label from all the profiles (see {@link WDK#unregisterProtocol}).
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {string} label - The label.
+     * @returns {ProfileManager} The profile manager.
+     * @throws {ProtocolNotRegisteredError} If no protocol has been registered for the given blockchain and label.
+     * @throws {DisposedError} If the profile manager has been disposed.
+     */
+    unregisterProtocol(blockchain: string, label: string): ProfileManager;
+    /**
+     * Registers a new middleware to all the profiles (see {@link WDK#registerMiddleware}).
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {MiddlewareFunction} middleware - A callback function that is called each time a new account is derived.
+     * @returns {ProfileManager} The profile manager.
+     */
+    registerMiddleware(blockchain: string, middleware: MiddlewareFunction): ProfileManager;
+    /**
+     * Unregisters a middleware from all the profiles (see {@link WDK#unregisterMiddleware}).
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {MiddlewareFunction} middleware - The middleware.
+     * @returns {ProfileManager} The profile manager.
+     * @throws {MiddlewareNotRegisteredError} If the middleware has not been registered for the given blockchain.
+     * @throws {DisposedError} If the profile manager has been disposed.
+     */
+    unregisterMiddleware(blockchain: string, middleware: MiddlewareFunction): ProfileManager;
+    /**
+     * Registers a new interceptor to all the profiles (see {@link WDK#registerInterceptor}).
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {InterceptorFunction} interceptor - The interceptor.
+     * @returns {ProfileManager} The profile manager.
+     */
+    registerInterceptor(blockchain: string, interceptor: InterceptorFunction): ProfileManager;
+    /**
+     * Unregisters an interceptor from all the profiles (see {@link WDK#unregisterInterceptor}).
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {InterceptorFunction} interceptor - The interceptor.
+     * @returns {ProfileManager} The profile manager.
+     * @throws {InterceptorNotRegisteredError} If the interceptor has not been registered for the given blockchain.
+     * @throws {DisposedError} If the profile manager has been disposed.
+     */
+    unregisterInterceptor(blockchain: string, interceptor: InterceptorFunction): ProfileManager;
+    /**
+     * Registers a new policy to all the profiles (see {@link WDK#registerPolicy}). The daily limits apply to each profile separately.
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {Policy} policy - The policy.
+     * @returns {ProfileManager} The profile manager.
+     */
+    registerPolicy(blockchain: string, policy: Policy): ProfileManager;
+    /**
+     * Unregisters a policy from all the profiles (see {@link WDK#unregisterPolicy}).
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {Policy} policy - The policy.
+     * @returns {ProfileManager} The profile manager.
+     * @throws {PolicyNotRegisteredError} If the policy has not been registered for the given blockchain.
+     * @throws {DisposedError} If the profile manager has been disposed.
+     */
+    unregisterPolicy(blockchain: string, policy: Policy): ProfileManager;
+    /**
+     * Disposes all the profiles, erasing any sensitive data from the memory.
+     *
+     * After this call, any further usage of the profile manager throws a {@link DisposedError}.
+     */
+    dispose(): void;
+    /** @private */
+    private _assertNotDisposed;
+    /** @private */
+    private _find;
+    /** @private */
+    private _apply;
+    /** @private */
+    private _replay;
+    /** @private */
+    private _restoreWallet;
+    /** @private */
+    private _restoreProtocols;
+    /** @private */
+    private _register;
+    /** @private */
+    private _unregister;
+}
+export type WdkOptions = import("./wdk-manager.js").WdkOptions;
+export type RegisterOptions = import("./wdk-manager.js").RegisterOptions;
+export type MiddlewareFunction = import("./wdk-manager.js").MiddlewareFunction;
+export type InterceptorFunction = import("./wdk-manager.js").InterceptorFunction;
+export type IWalletAccountWithProtocols = import("./wallet-account-with-protocols.js").IWalletAccountWithProtocols;
+export type Policy = import("./policy-engine.js").Policy;
+import WDK from './wdk-manager.js';
@@ -0,0 +1,98 @@
+/**
+ * Returns a function scoring swap quotes: the lower the score, the better the quote.
+ *
+ * @param {{ tokenInAmount?: number | bigint }} options - The swap options.
+ * @param {RouteOptions} routeOptions - The route options.
+ * @param {string} blockchain - The name of the blockchain the swap runs on.
+ * @returns {(quote: { fee: bigint, tokenInAmount: bigint, tokenOutAmount: bigint }) => Promise<bigint[]>} The scoring function.
+ */
+export function scoreSwap(options: {
+    tokenInAmount?: number | bigint;
+}, { convertFee }: RouteOptions, blockchain: string): (quote: {
+    fee: bigint;
+    tokenInAmount: bigint;
+    tokenOutAmount: bigint;
+}) => Promise<bigint[]>;
+/**
+ * Scores bridge quotes: the lower the score, the better the quote. All bridges deliver the same amount, so they are ranked by
+ * their total fees.
+ *
+ * @param {{ fee: bigint, bridgeFee: bigint }} quote - The bridge quote.
+ * @returns {Promise<bigint[]>} The score.
+ */
+export function scoreBridge({ fee, bridgeFee }: {
+    fee: bigint;
+    bridgeFee: bigint;
+}): Promise<bigint[]>;
+/**
+ * Asks a set of protocols for a quote concurrently and ranks their quotes.
+ *
+ * @template Q
+ * @param {{ label: string, quote: () => Promise<Q> }[]} candidates - The protocols.
+ * @param {(quote: Q) => Promise<bigint[]>} score - Scores a quote. Scores are compared element by element, the lowest wins.
+ * @param {RouteOptions} [options] - The route options.
+ * @returns {Promise<{ quotes: RouteQuote<Q>[], skipped: SkippedProtocol[] }>} The ranked quotes and the protocols that failed.
+ */
+export function rankQuotes<Q>(candidates: {
+    label: string;
+    quote: () => Promise<Q>;
+}[], score: (quote: Q) => Promise<bigint[]>, options?: RouteOptions): Promise<{
+    quotes: RouteQuote<Q>[];
+    skipped: SkippedProtocol[];
+}>;
+export type RouteOptions = {
+    /**
+     * - The time each protocol has to return its quote (in milliseconds, default: 10 seconds).
+     */
+    timeout?: number;
+    /**
+     * - Converts a fee paid in the native token of
+     * a blockchain to the base unit of the swapped token (the output token when selling an exact amount, the input token when buying
+     * one), so that swaps can be ranked net of fees. Required to rank swaps when more than one swap protocol is available, since their fees are not paid in the
+     * swapped token.
+     */
+    convertFee?: (fee: bigint, blockchain: string) => bigint | Promise<bigint>;
+};
+export type RouteQuote<Q> = {
+    /**
+     * - The label of the protocol.
+     */
+    label: string;
+    /**
+     * - The protocol's quote.
+     */
+    quote: Q;
+};
+export type SkippedProtocol = {
+    /**
+     * - The label of the protocol.
+     */
+    label: string;
+    /**
+     * - Why the protocol has not been chosen: another protocol offered a better
+     * quote, or the protocol did not return its quote in time, or it failed to return it.
+     */
+    reason: "outranked" | "timeout" | "error";
+    /**
+     * - The error thrown by the protocol, if it failed.
+     */
+    error?: Error;
+};
+export type Route<Q> = {
+    /**
+     * - The label of the best protocol.
+     */
+    label: string;
+    /**
+     * - The quote of the best protocol.
+     */
+    quote: Q;
+    /**
+     * - The quotes of all the protocols that returned one, from the best to the worst.
+     */
+    quotes: RouteQuote<Q>[];
+    /**
+     * - The protocols that have not been chosen, and why.
+     */
+    skipped: SkippedProtocol[];
+};
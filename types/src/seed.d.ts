@@ -0,0 +1,46 @@
+/**
+ * Returns a random BIP-39 seed phrase.
+ *
+ * @param {SeedPhraseOptions} [options] - The seed phrase options.
+ * @returns {string} The seed phrase.
+ * @throws {RangeError} If the number of words is not supported.
+ */
+export function generateSeedPhrase(options?: SeedPhraseOptions): string;
+/**
+ * Checks if a seed is valid and, if not, tells why.
+ *
+ * @param {string | Uint8Array} seed - The seed phrase or the seed.
+ * @returns {SeedValidation} The result of the check.
+ */
+export function validateSeed(seed: string | Uint8Array): SeedValidation;
+/**
+ * Derives the seed of a BIP-39 seed phrase, optionally protected by a passphrase.
+ *
+ * @param {string} seedPhrase - The seed phrase.
+ * @param {string} [passphrase] - The passphrase (the "25th word"). Different passphrases derive different, unrelated wallets.
+ * @returns {Uint8Array} The seed (64 bytes).
+ * @throws {InvalidSeedError} If the seed phrase is not valid.
+ */
+export function seedPhraseToSeed(seedPhrase: string, passphrase?: string): Uint8Array;
+export type SeedPhraseOptions = {
+    /**
+     * - The number of words of the seed phrase (default: 12).
+     */
+    words?: 12 | 15 | 18 | 21 | 24;
+};
+export type SeedValidation = {
+    /**
+     * - True if the seed is valid.
+     */
+    valid: boolean;
+    /**
+     * - Why the seed is not valid: it is neither a seed phrase nor a
+     * Uint8Array, it has the wrong number of words (or bytes), it contains a word that is not in the BIP-39 english wordlist, or its
+     * checksum is wrong.
+     */
+    reason?: "type" | "length" | "unknown-word" | "checksum";
+    /**
+     * - The first unknown word, if the reason is "unknown-word".
+     */
+    word?: string;
+};
@@ -0,0 +1,101 @@
+/**
+ * @typedef {Object} QueuedOperation
+ * @property {string} id - The unique identifier of the queued operation.
+ * @property {string} blockchain - The name of the blockchain.
+ * @property {IWalletAccountWithProtocols} account - The account performing the operation.
+ * @property {ProtocolInfo} [protocol] - The protocol performing the operation, if it is not performed by the account itself.
+ * @property {string} operation - The name of the operation (e.g., "transfer", "swap").
+ * @property {unknown[]} args - The arguments of the operation.
+ * @property {number} queuedAt - The time the operation has been queued at (in milliseconds since the unix epoch).
+ * @property {boolean} running - True if the operation is running, false if it is waiting for the previous operations of the account.
+ */
+export default class SendQueue {
+    /**
+     * Creates a new send queue.
+     *
+     * @param {(operation: QueuedOperation) => void} [onQueue] - Called for each new queued operation.
+     */
+    constructor(onQueue?: (operation: QueuedOperation) => void);
+    /** @private */
+    private _onQueue;
+    /** @private */
+    private _queues;
+    /** @private */
+    private _nonce;
+    /**
+     * Returns the operations queued for an account, or for all the accounts, in the order they run.
+     *
+     * @param {string} [blockchain] - If set, only returns the operations of this blockchain.
+     * @param {string} [path] - If set, only returns the operations of the account with this derivation path.
+     * @returns {QueuedOperation[]} The queued operations.
+     */
+    getQueued(blockchain?: string, path?: string): QueuedOperation[];
+    /**
+     * Returns the number of operations queued for an account, including the running one.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     * @param {string} path - The derivation path of the account.
+     * @returns {number} The queue depth.
+     */
+    getDepth(blockchain: string, path: string): number;
+    /**
+     * Runs an operation once the operations previously queued for the same account have completed.
+     *
+     * @param {OperationContext} context - The operation's context.
+     * @param {() => Promise<unknown>} next - Runs the operation.
+     * @returns {Promise<unknown>} The operation's result.
+     * @throws {OperationCancelledError} If the operation is cancelled while it waits.
+     */
+    run({ blockchain, account, protocol, operation, args }: OperationContext, next: () => Promise<unknown>): Promise<unknown>;
+    /**
+     * Cancels a queued operation that has not started running yet, which then fails with an {@link OperationCancelledError}.
+     *
+     * @param {string} id - The identifier of the queued operation.
+     * @param {string} [reason] - The reason of the cancellation.
+     * @throws {QueuedOperationNotFoundError} If no operation with the given identifier is waiting.
+     */
+    cancel(id: string, reason?: string): void;
+    /**
+     * Fails all the operations that have not started running yet with the given error.
+     *
+     * @param {Error} error - The error.
+     */
+    cancelAll(error: Error): void;
+}
+export type OperationContext = import("./wdk-manager.js").OperationContext;
+export type ProtocolInfo = import("./wdk-manager.js").ProtocolInfo;
+export type IWalletAccountWithProtocols = import("./wallet-account-with-protocols.js").IWalletAccountWithProtocols;
+export type QueuedOperation = {
+    /**
+     * - The unique identifier of the queued operation.
+     */
+    id: string;
+    /**
+     * - The name of the blockchain.
+     */
+    blockchain: string;
+    /**
+     * - The account performing the operation.
+     */
+    account: IWalletAccountWithProtocols;
+    /**
+     * - The protocol performing the operation, if it is not performed by the account itself.
+     */
+    protocol?: ProtocolInfo;
+    /**
+     * - The name of the operation (e.g., "transfer", "swap").
+     */
+    operation: string;
+    /**
+     * - The arguments of the operation.
+     */
+    args: unknown[];
+    /**
+     * - The time the operation has been queued at (in milliseconds since the unix epoch).
+     */
+    queuedAt: number;
+    /**
+     * - True if the operation is running, false if it is waiting for the previous operations of the account.
+     */
+    running: boolean;
+};
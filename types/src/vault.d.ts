@@ -0,0 +1,48 @@
+/**
+ * Encrypts a seed with a passphrase.
+ *
+ * The passphrase is stretched with scrypt, a memory-hard key derivation function, and the seed is encrypted with
+ * XChaCha20-Poly1305, an authenticated cipher. The vault is a json document holding the version of the format, the parameters of
+ * the algorithms and the ciphertext.
+ *
+ * @param {string | Uint8Array} seed - The seed phrase or the seed.
+ * @param {string} passphrase - The passphrase.
+ * @param {VaultOptions} [options] - The vault options.
+ * @returns {Promise<string>} The vault.
+ * @throws {RangeError} If the scrypt parameters are out of the bounds that vaults can be opened with.
+ */
+export function createVault(seed: string | Uint8Array, passphrase: string, options?: VaultOptions): Promise<string>;
+/**
+ * Decrypts the seed stored in a vault.
+ *
+ * @param {string} vault - The vault.
+ * @param {string} passphrase - The passphrase.
+ * @returns {Promise<string | Uint8Array>} The seed phrase or the seed, as it was given to {@link createVault}.
+ * @throws {InvalidVaultError} If the vault is malformed or has been created by an unsupported version.
+ * @throws {WrongPassphraseError} If the passphrase is wrong or the vault has been tampered with.
+ */
+export function openVault(vault: string, passphrase: string): Promise<string | Uint8Array>;
+/**
+ * Encrypts the seed stored in a vault with a new passphrase. The new vault uses a new salt and a new nonce.
+ *
+ * @param {string} vault - The vault.
+ * @param {string} passphrase - The current passphrase.
+ * @param {string} newPassphrase - The new passphrase.
+ * @param {VaultOptions} [options] - The options of the new vault (default: the parameters of the current vault).
+ * @returns {Promise<string>} The new vault.
+ * @throws {InvalidVaultError} If the vault is malformed or has been created by an unsupported version.
+ * @throws {WrongPassphraseError} If the current passphrase is wrong or the vault has been tampered with.
+ */
+export function changeVaultPassphrase(vault: string, passphrase: string, newPassphrase: string, options?: VaultOptions): Promise<string>;
+export type VaultOptions = {
+    /**
+     * - The scrypt parameters (default: { N: 2 ** 17, r: 8, p: 1 }, which uses
+     * 128 MB of memory). Higher values make passphrases harder to brute-force, and the vault slower to open. N must be a power of two,
+     * and vaults can only be opened with N up to 2 ** 20, r up to 32 and p up to 16.
+     */
+    kdf?: {
+        N?: number;
+        r?: number;
+        p?: number;
+    };
+};
@@ -4,42 +4,156 @@ export interface IWalletAccountWithProtocols extends IWalletAccount {
      * Registers a new protocol for this account
      *
      * The label must be unique in the scope of the account and the type of protocol (i.e., there can’t be two protocols of the same
-     * type bound to the same account with the same label).
+     * type bound to the same account with the same label), unless the override option is set to replace the existing one.
      *
-     * @template {typeof SwapProtocol | typeof BridgeProtocol | typeof LendingProtocol} P
+     * Protocols registered on the account take precedence over the protocols registered to WDK for the account's blockchain with the
+     * same type and label.
+     *
+     * @template {typeof SwapProtocol | typeof BridgeProtocol | typeof LendingProtocol | (new (account: any, config: any) => object)} P
      * @param {string} label - The label.
      * @param {P} Protocol - The protocol class.
      * @param {ConstructorParameters<P>[1]} config - The protocol configuration.
+     * @param {RegisterOptions} [options] - The registration options.
      * @returns {IWalletAccountWithProtocols} The account.
+     * @throws {InvalidProtocolError} If the protocol class does not extend the base class of a registered protocol type (e.g.,
+     *   SwapProtocol).
+     * @throws {ProtocolAlreadyRegisteredError} If a protocol of the same type has already been registered on this account with the
+     *   given label and the override option is not set.
      */
-    registerProtocol<P extends typeof SwapProtocol | typeof BridgeProtocol | typeof LendingProtocol>(label: string, Protocol: P, config: ConstructorParameters<P>[1]): IWalletAccountWithProtocols;
+    registerProtocol<P extends typeof SwapProtocol | typeof BridgeProtocol | typeof LendingProtocol | (new (account: any, config: any) => object)>(label: string, Protocol: P, config: ConstructorParameters<P>[1], options?: RegisterOptions): IWalletAccountWithProtocols;
+    /**
+     * Returns the protocols available to this account: the ones registered on the account and the ones registered to WDK for the
+     * account's blockchain. When both define a protocol with the same type and label, only the account's one is listed, as it takes
+     * precedence.
+     *
+     * @param {string} [type] - If set, only returns the protocols of the given type (e.g., "swap").
+     * @returns {AccountProtocolDescriptor[]} The protocols, grouped by type.
+     */
+    listProtocols(type?: string): AccountProtocolDescriptor[];
+    /**
+     * Checks whether a protocol is available to this account with the given label.
+     *
+     * @param {string} label - The label.
+     * @param {string} [type] - If set, only checks the protocols of the given type (e.g., "swap").
+     * @returns {boolean} True if the protocol is available.
+     */
+    hasProtocol(label: string, type?: string): boolean;
+    /**
+     * Asks all the swap protocols available to this account for a quote, concurrently, and returns the best one.
+     *
+     * When selling an exact amount, the best quote is the one buying the most output tokens; when buying an exact amount, the one
+     * selling the fewest input tokens, net of fees converted by the route options (see {@link RouteOptions}).
+     *
+     * @param {SwapOptions} options - The swap's options.
+     * @param {RouteOptions} [routeOptions] - The route options.
+     * @returns {Promise<import('./quote-router.js').Route<Omit<SwapResult, 'hash'>>>} The best route.
+     * @throws {TypeError} If more than one swap protocol is available and the convertFee route option is not set.
+     * @throws {NoRouteError} If no swap protocol returned a quote.
+     */
+    getBestSwap(options: SwapOptions, routeOptions?: RouteOptions): Promise<import("./quote-router.js").Route<Omit<SwapResult, "hash">>>;
+    /**
+     * Swaps tokens through the swap protocol offering the best quote (see {@link IWalletAccountWithProtocols#getBestSwap}).
+     *
+     * @param {SwapOptions} options - The swap's options.
+     * @param {RouteOptions} [routeOptions] - The route options.
+     * @returns {Promise<import('./quote-router.js').Route<Omit<SwapResult, 'hash'>> & { result: SwapResult }>} The route and the swap's result.
+     * @throws {TypeError} If more than one swap protocol is available and the convertFee route option is not set.
+     * @throws {NoRouteError} If no swap protocol returned a quote.
+     */
+    swapBest(options: SwapOptions, routeOptions?: RouteOptions): Promise<import("./quote-router.js").Route<Omit<SwapResult, "hash">> & {
+        result: SwapResult;
+    }>;
+    /**
+     * Asks all the bridge protocols available to this account for a quote, concurrently, and returns the cheapest one.
+     *
+     * @param {BridgeOptions} options - The bridge's options.
+     * @param {RouteOptions} [routeOptions] - The route options.
+     * @returns {Promise<import('./quote-router.js').Route<Omit<BridgeResult, 'hash'>>>} The best route.
+     * @throws {NoRouteError} If no bridge protocol returned a quote.
+     */
+    getBestBridge(options: BridgeOptions, routeOptions?: RouteOptions): Promise<import("./quote-router.js").Route<Omit<BridgeResult, "hash">>>;
+    /**
+     * Bridges tokens through the bridge protocol offering the cheapest quote (see {@link IWalletAccountWithProtocols#getBestBridge}).
+     *
+     * @param {BridgeOptions} options - The bridge's options.
+     * @param {RouteOptions} [routeOptions] - The route options.
+     * @returns {Promise<import('./quote-router.js').Route<Omit<BridgeResult, 'hash'>> & { result: BridgeResult }>} The route and the bridge's result.
+     * @throws {NoRouteError} If no bridge protocol returned a quote.
+     */
+    bridgeBest(options: BridgeOptions, routeOptions?: RouteOptions): Promise<import("./quote-router.js").Route<Omit<BridgeResult, "hash">> & {
+        result: BridgeResult;
+    }>;
+    /**
+     * Returns the protocol of any registered type with the given label (see {@link WDK.registerProtocolType}).
+     *
+     * The same protocol instance is returned on each call, unless its registration gets replaced or removed.
+     *
+     * @template [P=unknown]
+     * @param {string} type - The protocol type (e.g., "staking").
+     * @param {string} label - The label.
+     * @returns {P} The protocol.
+     * @throws {ProtocolNotRegisteredError} If no protocol of the given type has been registered on this account with the given label.
+     * @throws {ModuleNotLoadedError} If the protocol has been registered with a factory that has not been called yet (see
+     *   {@link IWalletAccountWithProtocols#loadProtocol}).
+     */
+    getProtocol<P = unknown>(type: string, label: string): P;
+    /**
+     * Returns the protocol of any registered type with the given label, loading it first if it has been registered with a factory
+     * that has not been called yet (e.g., registered to wdk after the account has been derived).
+     *
+     * @template [P=unknown]
+     * @param {string} type - The protocol type (e.g., "swap").
+     * @param {string} label - The label.
+     * @returns {Promise<P>} The protocol.
+     * @throws {ProtocolNotRegisteredError} If no protocol of the given type has been registered on this account with the given label.
+     * @throws {ModuleLoadError} If the protocol's factory fails to load it.
+     * @throws {InvalidProtocolError} If the loaded protocol class does not extend the base class of the protocol type.
+     */
+    loadProtocol<P = unknown>(type: string, label: string): Promise<P>;
     /**
      * Returns the swap protocol with the given label.
      *
+     * The same protocol instance is returned on each call, unless its registration gets replaced or removed.
+     *
      * @param {string} label - The label.
      * @returns {ISwapProtocol} The swap protocol.
-     * @throws {Error} If no swap protocol has been registered on this account with the given label.
+     * @throws {ProtocolNotRegisteredError} If no swap protocol has been registered on this account with the given label.
      */
     getSwapProtocol(label: string): ISwapProtocol;
     /**
      * Returns the bridge protocol with the given label.
      *
+     * The same protocol instance is returned on each call, unless its registration gets replaced or removed.
+     *
      * @param {string} label - The label.
      * @returns {IBridgeProtocol} The bridge protocol.
-     * @throws {Error} If no bridge protocol has been registered on this account with the given label.
+     * @throws {ProtocolNotRegisteredError} If no bridge protocol has been registered on this account with the given label.
      */
     getBridgeProtocol(label: string): IBridgeProtocol;
     /**
      * Returns the lending protocol with the given label.
      *
+     * The same protocol instance is returned on each call, unless its registration gets replaced or removed.
+     *
      * @param {string} label - The label.
      * @returns {ILendingProtocol} The lending protocol.
-     * @throws {Error} If no lending protocol has been registered on this account with the given label.
+     * @throws {ProtocolNotRegisteredError} If no lending protocol has been registered on this account with the given label.
      */
     getLendingProtocol(label: string): ILendingProtocol;
 }
 export type ISwapProtocol = import("@tetherto/wdk-wallet/protocols").ISwapProtocol;
 export type IBridgeProtocol = import("@tetherto/wdk-wallet/protocols").IBridgeProtocol;
 export type ILendingProtocol = import("@tetherto/wdk-wallet/protocols").ILendingProtocol;
+export type SwapOptions = import("@tetherto/wdk-wallet/protocols").SwapOptions;
+export type SwapResult = import("@tetherto/wdk-wallet/protocols").SwapResult;
+export type BridgeOptions = import("@tetherto/wdk-wallet/protocols").BridgeOptions;
+export type BridgeResult = import("@tetherto/wdk-wallet/protocols").BridgeResult;
+export type RouteOptions = import("./quote-router.js").RouteOptions;
+export type RegisterOptions = import("./wdk-manager.js").RegisterOptions;
+export type AccountProtocolDescriptor = import("./wdk-manager.js").AccountProtocolDescriptor;
+export type InvalidProtocolError = import("./errors.js").InvalidProtocolError;
+export type ProtocolAlreadyRegisteredError = import("./errors.js").ProtocolAlreadyRegisteredError;
+export type ProtocolNotRegisteredError = import("./errors.js").ProtocolNotRegisteredError;
+export type NoRouteError = import("./errors.js").NoRouteError;
 import { IWalletAccount } from "@tetherto/wdk-wallet";
 import { SwapProtocol, BridgeProtocol, LendingProtocol } from "@tetherto/wdk-wallet/protocols";
@@ -0,0 +1,68 @@
+/**
+ * A wallet made of read-only accounts for a list of known addresses. It stands in for the wallet manager of a blockchain when WDK
+ * runs in watch-only mode, so it holds no keys.
+ */
+export default class WatchOnlyWallet {
+    /**
+     * Creates a new watch-only wallet.
+     *
+     * @param {string} blockchain - The name of the blockchain.
+     * @param {new (address: string, config: any) => IWalletAccountReadOnly} WalletAccountReadOnly - The read-only account class.
+     * @param {string[]} addresses - The watched addresses. The account with index i is bound to the i-th address.
+     * @param {unknown} config - The configuration object of the read-only accounts.
+     * @param {{ getFeeRates: () => Promise<FeeRates>, dispose: () => void }} [walletManager] - A wallet manager holding no keys, used to
+     *   read the fee rates.
+     */
+    constructor(blockchain: string, WalletAccountReadOnly: new (address: string, config: any) => IWalletAccountReadOnly, addresses: string[], config: unknown, walletManager?: {
+        getFeeRates: () => Promise<FeeRates>;
+        dispose: () => void;
+    });
+    /** @private */
+    private _blockchain;
+    /** @private */
+    private _WalletAccountReadOnly;
+    /** @private */
+    private _addresses;
+    /** @private */
+    private _config;
+    /** @private */
+    private _walletManager;
+    /**
+     * The accounts created so far, by address.
+     *
+     * @protected
+     * @type {{ [address: string]: IWalletAccountReadOnly }}
+     */
+    protected _accounts: {
+        [address: string]: IWalletAccountReadOnly;
+    };
+    /**
+     * Returns the read-only account bound to the watched address with the given index. Its path is the address itself.
+     *
+     * @param {number} [index] - The index of the account (default: 0).
+     * @returns {Promise<IWalletAccountReadOnly>} The read-only account.
+     * @throws {WatchedAddressNotFoundError} If there is no watched address with the given index.
+     */
+    getAccount(index?: number): Promise<IWalletAccountReadOnly>;
+    /**
+     * Always throws, since watched addresses have no derivation path.
+     *
+     * @param {string} path - The derivation path.
+     * @returns {Promise<never>}
+     * @throws {WatchOnlyError} Always.
+     */
+    getAccountByPath(path: string): Promise<never>;
+    /**
+     * Returns the current fee rates, read by the wallet manager.
+     *
+     * @returns {Promise<FeeRates>} The fee rates (in base unit).
+     * @throws {WatchOnlyError} If the wallet has no wallet manager, since fee rates are read by the wallet managers.
+     */
+    getFeeRates(): Promise<FeeRates>;
+    /**
+     * Drops the accounts and disposes the wallet manager. Read-only accounts hold no sensitive data.
+     */
+    dispose(): void;
+}
+export type IWalletAccountReadOnly = import("@tetherto/wdk-wallet").IWalletAccountReadOnly;
+export type FeeRates = import("@tetherto/wdk-wallet").FeeRates;
@@ -1,107 +1,1063 @@
-export default class WdkManager {
+/**
+ * Runs the checks of {@link WDK#registerWallet} that do not depend on the wallets already registered.
+ *
+ * @param {string} blockchain - The name of the blockchain.
+ * @param {Function} WalletManager - The wallet manager class, or a factory loading it.
+ * @param {unknown} config - The configuration object, or a list of configuration objects.
+ * @param {RegisterOptions} [options] - The registration options.
+ * @param {boolean} [watchOnly] - Whether the wallet is registered to a watch-only wdk instance (default: false).
+ * @throws {InvalidWalletManagerError} If the wallet manager class does not extend WalletManager (or, for watch-only wdk instances,
+ *   if neither the class nor the read-only account class extend WalletAccountReadOnly).
+ * @throws {RangeError} If the list of configs is empty.
+ */
+export function checkWalletRegistration(blockchain: string, WalletManager: Function, config: unknown, options?: RegisterOptions, watchOnly?: boolean): void;
+/**
+ * Returns the type a protocol is registered with by {@link WDK#registerProtocol}.
+ *
+ * @param {string} blockchain - The name of the blockchain.
+ * @param {string} label - The label.
+ * @param {Function} Protocol - The protocol class, or a factory loading it.
+ * @param {RegisterOptions} [options] - The registration options.
+ * @returns {string} The type of the protocol (e.g., "swap").
+ * @throws {InvalidProtocolError} If the protocol class does not extend the base class of a protocol type, or if a factory is given
+ *   without a known protocol type.
+ */
+export function getProtocolRegistrationType(blockchain: string, label: string, Protocol: Function, options?: RegisterOptions): string;
+export default class WDK extends EventEmitter {
     /**
      * Returns a random BIP-39 seed phrase.
      *
+     * @param {SeedPhraseOptions} [options] - The seed phrase options.
      * @returns {string} The seed phrase.
+     * @throws {RangeError} If the number of words is not 12, 15, 18, 21 or 24.
      */
-    static getRandomSeedPhrase(): string;
+    static getRandomSeedPhrase(options?: SeedPhraseOptions): string;
     /**
-     * Checks if a seed is valid.
+     * Checks if a seed is valid. Use {@link WDK.validateSeed} to know why a seed is not valid.
      *
      * @param {string | Uint8Array} seed - The seed.
      * @returns {boolean} True if the seed is valid.
      */
     static isValidSeed(seed: string | Uint8Array): boolean;
     /**
-     * Creates a new wallet development kit manager.
+     * Checks if a seed is valid and, if not, tells why (e.g., the seed phrase contains an unknown word or has a wrong checksum).
+     *
+     * @param {string | Uint8Array} seed - The seed.
+     * @returns {SeedValidation} The result of the check.
+     */
+    static validateSeed(seed: string | Uint8Array): SeedValidation;
+    /**
+     * Derives the seed of a BIP-39 seed phrase protected by a passphrase. The seed can be passed to the constructor in place of the
+     * seed phrase.
+     *
+     * @param {string} seedPhrase - The seed phrase.
+     * @param {string} [passphrase] - The BIP-39 passphrase (the "25th word").
+     * @returns {Uint8Array} The seed.
+     * @throws {InvalidSeedError} If the seed phrase is not valid.
+     */
+    static seedPhraseToSeed(seedPhrase: string, passphrase?: string): Uint8Array;
+    /**
+     * Creates a new wallet development kit instance in watch-only mode, which holds no seed and no keys.
+     *
+     * Wallets are registered with the read-only account classes of the blockchains (e.g., WalletAccountReadOnlyEvm), given either
+     * through the 'readOnlyAccount' option or instead of their wallet managers, while protocols are registered as usual. The account
+     * with index i of a blockchain is bound to its i-th address. Accounts can read balances and quote operations, but any operation
+     * that needs to sign (e.g., transfer, swap) throws a {@link WatchOnlyError}.
+     *
+     * @param {Record<string, string[]>} addresses - The watched addresses, by blockchain (e.g., { ethereum: ["0x..."] }).
+     * @param {WdkOptions} [options] - The wdk options.
+     * @returns {WDK} The wdk instance.
+     */
+    static watchOnly(addresses: Record<string, string[]>, options?: WdkOptions): WDK;
+    /**
+     * Encrypts a seed with a passphrase, so that it can be stored at rest (see {@link WDK.fromVault}).
+     *
+     * The passphrase is stretched with scrypt, a memory-hard key derivation function, and the seed is encrypted with
+     * XChaCha20-Poly1305, an authenticated cipher. The vault is a versioned json document.
+     *
+     * @param {string | Uint8Array} seed - The wallet's BIP-39 seed phrase.
+     * @param {string} passphrase - The passphrase.
+     * @param {VaultOptions} [options] - The vault options.
+     * @returns {Promise<string>} The vault.
+     * @throws {InvalidSeedError} If the seed is not valid.
+     * @throws {RangeError} If the scrypt parameters are out of the bounds that vaults can be opened with.
+     */
+    static createVault(seed: string | Uint8Array, passphrase: string, options?: VaultOptions): Promise<string>;
+    /**
+     * Creates a new wallet development kit instance from the seed stored in a vault (see {@link WDK.createVault}).
+     *
+     * @param {string} vault - The vault.
+     * @param {string} passphrase - The passphrase.
+     * @param {WdkOptions} [options] - The wdk options.
+     * @returns {Promise<WDK>} The wdk instance.
+     * @throws {InvalidVaultError} If the vault is malformed or has been created by an unsupported version.
+     * @throws {WrongPassphraseError} If the passphrase is wrong or the vault has been tampered with.
+     */
+    static fromVault(vault: string, passphrase: string, options?: WdkOptions): Promise<WDK>;
+    /**
+     * Encrypts the seed stored in a vault with a new passphrase.
+     *
+     * @param {string} vault - The vault.
+     * @param {string} passphrase - The current passphrase.
+     * @param {string} newPassphrase - The new passphrase.
+     * @param {VaultOptions} [options] - The options of the new vault (default: the parameters of the current vault).
+     * @returns {Promise<string>} The new vault.
+     * @throws {InvalidVaultError} If the vault is malformed or has been created by an unsupported version.
+     * @throws {WrongPassphraseError} If the current passphrase is wrong or the vault has been tampered with.
+     */
+    static changeVaultPassphrase(vault: string, passphrase: string, newPassphrase: string, options?: VaultOptions): Promise<string>;
+    /**
+     * Creates a new wallet development kit instance and registers the wallets and protocols described by a config.
+     *
+     * Configs are serializable, so they can be kept in files and vary with the environment (e.g., mainnet and testnet), while the
+     * classes they refer to are passed in a module map. The config is validated before any registration happens.
+     *
+     * @param {string | Uint8Array} seed - The wallet's BIP-39 seed phrase.
+     * @param {WdkConfig} config - The config.
+     * @param {ModuleMap} modules - The classes the config refers to, by identifier.
+     * @param {WdkOptions} [options] - The wdk options.
+     * @returns {WDK} The wdk instance.
+     * @throws {InvalidSeedError} If the seed is not valid.
+     * @throws {InvalidConfigError} If the config does not match the schema, or refers to modules missing from the module map or of the
+     *   wrong kind.
+     */
+    static fromConfig(seed: string | Uint8Array, config: WdkConfig, modules: ModuleMap, options?: WdkOptions): WDK;
+    /**
+     * Checks a config against the schema expected by {@link WDK.fromConfig}.
+     *
+     * @param {unknown} config - The config.
+     * @param {ModuleMap} modules - The classes the config refers to, by identifier.
+     * @returns {ConfigIssue[]} The issues found, each with the path of the invalid value. Empty if the config is valid.
+     */
+    static validateConfig(config: unknown, modules: ModuleMap): ConfigIssue[];
+    /**
+     * Registers a new type of protocol (e.g., "staking"), in addition to the built-in swap, bridge and lending types.
+     *
+     * Protocols extending the base class of the type can then be registered to WDK and to accounts, and retrieved with
+     * {@link IWalletAccountWithProtocols#getProtocol}. Protocol types are shared by all the wdk instances.
+     *
+     * @param {string} type - The name of the type (e.g., "staking").
+     * @param {Function} BaseProtocol - The base class of the protocols of this type.
+     * @param {ProtocolTypeOptions} [options] - The protocol type's options.
+     * @throws {InvalidProtocolTypeError} If the base class is not a class (e.g., an arrow or async function).
+     * @throws {ProtocolTypeAlreadyRegisteredError} If the type is built-in, or if it has already been registered and the override
+     *   option is not set.
+     */
+    static registerProtocolType(type: string, BaseProtocol: Function, options?: ProtocolTypeOptions): void;
+    /**
+     * Returns the names of the registered protocol types, starting with the built-in ones (i.e., "swap", "bridge" and "lending").
+     *
+     * @returns {string[]} The protocol types.
+     */
+    static getProtocolTypes(): string[];
+    /**
+     * Creates a new wallet development kit instance.
      *
      * @param {string | Uint8Array} seed - The wallet's BIP-39 seed phrase.
-     * @throws {Error} If the seed is not valid.
+     * @param {WdkOptions} [options] - The wdk options.
+     * @throws {InvalidSeedError} If the seed is not valid.
      */
-    constructor(seed: string | Uint8Array);
+    constructor(seed: string | Uint8Array, options?: WdkOptions);
+    /** @private */
+    private _watchOnly;
     /** @private */
     private _seed;
     /** @private */
     private _wallets;
     /** @private */
+    private _walletRegistrations;
+    /** @private */
+    private _modules;
+    /** @private */
+    private _addresses;
+    /** @private */
     private _protocols;
     /** @private */
     private _middlewares;
+    /** @private */
+    private _interceptors;
+    /** @private */
+    private _policies;
+    /** @private */
+    private _dryRun;
+    /** @private */
+    private _dryRunNonce;
+    /** @private */
+    private _planner;
+    /** @private */
+    private _approvals;
+    /** @private */
+    private _sendQueue;
+    /** @private */
+    private _journal;
+    /** @private */
+    private _accounts;
+    /** @private */
+    private _disposed;
     /**
-     * Registers a new wallet to the wdk manager.
+     * Registers a new wallet to WDK.
+     *
+     * Only one wallet can be bound to a blockchain. To replace it, pass the override option: the previous wallet manager gets disposed
+     * (see {@link WDK#unregisterWallet}).
+     *
+     * In watch-only mode (see {@link WDK.watchOnly}), the wallet manager class must be registered with the read-only account class of
+     * the blockchain (see {@link RegisterOptions}), or the read-only account class can be given instead of the wallet manager class.
+     *
+     * The wallet manager class can also be given as a factory (e.g., () => import('@tetherto/wdk-wallet-evm')), so that its module is
+     * only loaded the first time the wallet is used, and then cached. If the factory fails, the error is reported by the method using
+     * the wallet as a {@link ModuleLoadError}, and the factory is called again the next time.
+     *
+     * To fail over between several providers, give an ordered list of configs instead of a single config: one wallet manager is
+     * created per config, and the first one is used until its provider fails. Read calls (e.g., 'getBalance', 'quoteTransfer',
+     * 'getFeeRates') that fail are retried against the next provider with backoff, while the other calls (e.g., 'sendTransaction')
+     * are never retried, so that transactions are not broadcast twice: they fail, and the next calls use the next provider.
      *
-     * @template {typeof WalletManager} W
+     * @template {typeof WalletManager | typeof WalletAccountReadOnly} W
      * @param {string} blockchain - The name of the blockchain the wallet must be bound to. Can be any string (e.g., "ethereum").
-     * @param {W} WalletManager - The wallet manager class.
-     * @param {ConstructorParameters<W>[1]} config - The configuration object.
-     * @returns {WdkManager} The wdk manager.
+     * @param {W | ModuleFactory<W>} WalletManager - The wallet manager class (or the read-only account class, in watch-only mode), or a
+     *   factory loading it.
+     * @param {ConstructorParameters<W>[1] | ConstructorParameters<W>[1][]} config - The configuration object, or a list of configuration
+     *   objects in order of preference.
+     * @param {RegisterOptions} [options] - The registration options.
+     * @returns {WDK} The wdk instance.
+     * @throws {InvalidWalletManagerError} If the wallet manager class does not extend WalletManager. For factories, this error is
+     *   thrown when the class is loaded.
+     * @throws {WalletAlreadyRegisteredError} If a wallet has already been registered for the given blockchain and the override option
+     *   is not set.
+     * @throws {RangeError} If the list of configs is empty.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    registerWallet<W extends typeof import("@tetherto/wdk-wallet").default | typeof WalletAccountReadOnly>(blockchain: string, WalletManager: W | ModuleFactory<W>, config: ConstructorParameters<W>[1] | ConstructorParameters<W>[1][], options?: RegisterOptions): WDK;
+    /**
+     * Unregisters the wallet bound to a blockchain and disposes its wallet manager.
+     *
+     * Only the given blockchain's wallet manager is disposed: the accounts previously derived from it get their private keys erased
+     * from the memory and can no longer sign, while the wallets of the other blockchains are left untouched. Protocols and
+     * middlewares registered for the blockchain are kept, so that they apply to a wallet registered again later.
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @returns {WDK} The wdk instance.
+     * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+     * @throws {DisposedError} If the wdk instance has been disposed.
      */
-    registerWallet<W extends typeof WalletManager>(blockchain: string, WalletManager: W, config: ConstructorParameters<W>[1]): WdkManager;
+    unregisterWallet(blockchain: string): WDK;
     /**
-     * Registers a new protocol to the wdk manager.
+     * Registers a new protocol to WDK.
      *
      * The label must be unique in the scope of the blockchain and the type of protocol (i.e., there can't be two protocols of the
-     * same type bound to the same blockchain with the same label).
+     * same type bound to the same blockchain with the same label), unless the override option is set to replace the existing one.
+     *
+     * Each account creates its own instance of the protocol the first time it is requested, and reuses it afterwards. Protocols
+     * registered directly on an account take precedence over the ones registered to WDK with the same type and label.
+     *
+     * The protocol class can also be given as a factory, together with the type option. The factory is called the next time an
+     * account of the blockchain is requested (see {@link WDK#getAccount}), or when quotes are compared. If it fails, or if the class
+     * does not extend the base class of the type, the account's getters throw the error for this protocol only.
      *
      * @see {@link IWalletAccountWithProtocols#registerProtocol} to register protocols only for specific accounts.
-     * @template {typeof SwapProtocol | typeof BridgeProtocol | typeof LendingProtocol} P
+     * @template {typeof SwapProtocol | typeof BridgeProtocol | typeof LendingProtocol | (new (account: any, config: any) => object)} P
      * @param {string} blockchain - The name of the blockchain the protocol must be bound to. Can be any string (e.g., "ethereum").
      * @param {string} label - The label.
-     * @param {P} Protocol - The protocol class.
+     * @param {P | ModuleFactory<P>} Protocol - The protocol class, or a factory loading it.
      * @param {ConstructorParameters<P>[1]} config - The protocol configuration.
-     * @returns {WdkManager} The wdk manager.
+     * @param {RegisterOptions} [options] - The registration options.
+     * @returns {WDK} The wdk instance.
+     * @throws {InvalidProtocolError} If the protocol class does not extend the base class of a registered protocol type (e.g.,
+     *   SwapProtocol), or if a factory is given without a registered protocol type.
+     * @throws {ProtocolAlreadyRegisteredError} If a protocol of the same type has already been registered for the given blockchain
+     *   and label and the override option is not set.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    registerProtocol<P extends typeof SwapProtocol | typeof BridgeProtocol | typeof LendingProtocol | (new (account: any, config: any) => object)>(blockchain: string, label: string, Protocol: P | ModuleFactory<P>, config: ConstructorParameters<P>[1], options?: RegisterOptions): WDK;
+    /**
+     * Unregisters the protocols bound to a blockchain with the given label, whatever their type.
+     *
+     * Accounts look up the protocols registered to WDK each time one of their getters is called, so accounts derived before this
+     * call will throw when asked for the removed protocol, and the protocol instances they created are dropped. Protocols registered
+     * directly on an account are not affected.
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {string} label - The label.
+     * @returns {WDK} The wdk instance.
+     * @throws {ProtocolNotRegisteredError} If no protocol has been registered for the given blockchain and label.
+     * @throws {DisposedError} If the wdk instance has been disposed.
      */
-    registerProtocol<P extends typeof SwapProtocol | typeof BridgeProtocol | typeof LendingProtocol>(blockchain: string, label: string, Protocol: P, config: ConstructorParameters<P>[1]): WdkManager;
+    unregisterProtocol(blockchain: string, label: string): WDK;
     /**
-     * Registers a new middleware to the wdk manager.
+     * Registers a new middleware to WDK.
      *
      * It's possible to register multiple middlewares for the same blockchain, which will be called sequentially.
      *
      * @param {string} blockchain - The name of the blockchain the middleware must be bound to. Can be any string (e.g., "ethereum").
      * @param {MiddlewareFunction} middleware - A callback function that is called each time the user derives a new account.
-     * @returns {WdkManager} The wdk manager.
+     * @returns {WDK} The wdk instance.
+     * @throws {DisposedError} If the wdk instance has been disposed.
      */
-    registerMiddleware(blockchain: string, middleware: MiddlewareFunction): WdkManager;
+    registerMiddleware(blockchain: string, middleware: MiddlewareFunction): WDK;
+    /**
+     * Unregisters a middleware previously registered for a blockchain.
+     *
+     * The middleware will not be called for accounts derived after this call.
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {MiddlewareFunction} middleware - The middleware to unregister.
+     * @returns {WDK} The wdk instance.
+     * @throws {MiddlewareNotRegisteredError} If the middleware has not been registered for the given blockchain.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    unregisterMiddleware(blockchain: string, middleware: MiddlewareFunction): WDK;
+    /**
+     * Registers a new interceptor to WDK.
+     *
+     * Interceptors run around each state-changing operation performed by the accounts of the blockchain and by their protocols:
+     * 'sendTransaction' and 'transfer' for accounts, 'swap' for swap protocols, 'bridge' for bridge protocols, and 'supply',
+     * 'withdraw', 'borrow' and 'repay' for lending protocols. It's possible to register multiple interceptors for the same
+     * blockchain: each one wraps the ones registered after it. Accounts already derived are affected too.
+     *
+     * @param {string} blockchain - The name of the blockchain the interceptor must be bound to. Can be any string (e.g., "ethereum").
+     * @param {InterceptorFunction} interceptor - The interceptor. It must call next at most once.
+     * @returns {WDK} The wdk instance.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    registerInterceptor(blockchain: string, interceptor: InterceptorFunction): WDK;
+    /**
+     * Unregisters an interceptor previously registered for a blockchain.
+     *
+     * Operations already in progress are not affected.
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {InterceptorFunction} interceptor - The interceptor to unregister.
+     * @returns {WDK} The wdk instance.
+     * @throws {InterceptorNotRegisteredError} If the interceptor has not been registered for the given blockchain.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    unregisterInterceptor(blockchain: string, interceptor: InterceptorFunction): WDK;
+    /**
+     * Registers a new spending policy to WDK.
+     *
+     * Policies are checked before each state-changing operation performed by the accounts of the blockchain and by their protocols
+     * (see {@link WDK#registerInterceptor}), after the interceptors. Operations violating a policy are rejected with a
+     * {@link PolicyViolationError}. It's possible to register multiple policies for the same blockchain: an operation must satisfy all
+     * of them.
+     *
+     * @param {string} blockchain - The name of the blockchain the policy must be bound to. Can be any string (e.g., "ethereum").
+     * @param {Policy} policy - The policy.
+     * @returns {WDK} The wdk instance.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    registerPolicy(blockchain: string, policy: Policy): WDK;
+    /**
+     * Unregisters a policy previously registered for a blockchain.
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {Policy} policy - The policy to unregister.
+     * @returns {WDK} The wdk instance.
+     * @throws {PolicyNotRegisteredError} If the policy has not been registered for the given blockchain.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    unregisterPolicy(blockchain: string, policy: Policy): WDK;
+    /**
+     * Plans the move of tokens from a blockchain to another, combining the registered swap and bridge protocols.
+     *
+     * The candidate routes swap the source token to a bridgeable token, bridge it, then swap it to the destination token (swaps are
+     * left out when not needed). Each step is quoted with the amount delivered by the previous one, and the routes are ranked by
+     * the amount they deliver. Moves between two tokens of the same blockchain are planned as a single swap.
+     *
+     * @param {MoveIntent} intent - The move intent.
+     * @param {MoveOptions} [options] - The move options.
+     * @returns {Promise<MovePlan>} The plan. Its routes are empty if no route could be quoted.
+     * @throws {WalletNotRegisteredError} If no wallet has been registered for the source or the destination blockchain.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    planMove(intent: MoveIntent, options?: MoveOptions): Promise<MovePlan>;
+    /**
+     * Executes the steps of a route returned by {@link WDK#planMove}, one at a time. Each step moves the amount actually delivered
+     * by the previous one.
+     *
+     * If a step fails, a {@link MoveFailedError} is thrown with the progress made so far: pass it back in the options to resume the
+     * move from the failed step (e.g., once the bridged funds have arrived).
+     *
+     * @param {MoveRoute} route - The route.
+     * @param {ExecuteMoveOptions} [options] - The execution options.
+     * @returns {Promise<MoveProgress>} The final progress, with the results of all the steps.
+     * @throws {MoveFailedError} If a step fails.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    executeMove(route: MoveRoute, options?: ExecuteMoveOptions): Promise<MoveProgress>;
+    /**
+     * Encrypts the seed of this wdk instance with a passphrase (see {@link WDK.createVault}).
+     *
+     * @param {string} passphrase - The passphrase.
+     * @param {VaultOptions} [options] - The vault options.
+     * @returns {Promise<string>} The vault.
+     * @throws {RangeError} If the scrypt parameters are out of the bounds that vaults can be opened with.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    toVault(passphrase: string, options?: VaultOptions): Promise<string>;
+    /**
+     * Exports the wallets and protocols registered to WDK as a config that {@link WDK.fromConfig} accepts. The seed is never part of
+     * the config, while the wallet and protocol configurations are exported as they were registered, with the wallets' readOnlyAccount
+     * and failover options.
+     *
+     * @param {ModuleMap} [modules] - The module map giving the identifiers of the classes (default: the module map passed to
+     *   {@link WDK.fromConfig}). Classes missing from the module map are identified by their name.
+     * @returns {WdkConfig} The config.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    toConfig(modules?: ModuleMap): WdkConfig;
+    /**
+     * Returns the names of the blockchains a wallet has been registered for, in registration order.
+     *
+     * @returns {string[]} The names of the blockchains.
+     */
+    getRegisteredBlockchains(): string[];
+    /**
+     * Checks whether WDK runs in watch-only mode (see {@link WDK.watchOnly}).
+     *
+     * @returns {boolean} True if WDK runs in watch-only mode.
+     */
+    isWatchOnly(): boolean;
+    /**
+     * Checks whether a wallet has been registered for a blockchain.
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @returns {boolean} True if a wallet has been registered for the blockchain.
+     */
+    hasWallet(blockchain: string): boolean;
+    /**
+     * Returns the status of the providers of a blockchain, in order of preference. Wallets registered with a single config have a
+     * single provider, which is always active and healthy. Providers are healthy until a call or a health check fails.
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @returns {ProviderStatus[]} The status of the providers.
+     * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+     */
+    getProviders(blockchain: string): ProviderStatus[];
+    /**
+     * Checks the health of the providers of a blockchain (see {@link FailoverOptions}), then switches to the first healthy provider,
+     * in order of preference. Wallets registered with a single config are not checked.
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @returns {Promise<ProviderStatus[]>} The status of the providers.
+     * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    checkProviders(blockchain: string): Promise<ProviderStatus[]>;
+    /**
+     * Returns the protocols registered to WDK for a blockchain. Protocols registered directly on an account are not included (see
+     * {@link IWalletAccountWithProtocols#listProtocols}).
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {string} [type] - If set, only returns the protocols of the given type (e.g., "swap").
+     * @returns {ProtocolDescriptor[]} The protocols, grouped by type.
+     */
+    listProtocols(blockchain: string, type?: string): ProtocolDescriptor[];
+    /**
+     * Checks whether a protocol has been registered to WDK for a blockchain and label.
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {string} label - The label.
+     * @param {string} [type] - If set, only checks the protocols of the given type (e.g., "swap").
+     * @returns {boolean} True if the protocol has been registered.
+     */
+    hasProtocol(blockchain: string, label: string, type?: string): boolean;
+    /**
+     * Returns the operations waiting for approval, from the oldest to the newest. Always empty if WDK is not in approval mode.
+     *
+     * @returns {ApprovalRequest[]} The pending approval requests.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    getPendingApprovals(): ApprovalRequest[];
+    /**
+     * Approves a pending operation, which then gets broadcast.
+     *
+     * @param {string} id - The identifier of the approval request.
+     * @returns {WDK} The wdk instance.
+     * @throws {ApprovalNotFoundError} If there is no pending approval request with the given identifier.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    approve(id: string): WDK;
+    /**
+     * Rejects a pending operation, which then fails with an {@link ApprovalRejectedError}.
+     *
+     * @param {string} id - The identifier of the approval request.
+     * @param {string} [reason] - The reason of the rejection.
+     * @returns {WDK} The wdk instance.
+     * @throws {ApprovalNotFoundError} If there is no pending approval request with the given identifier.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    reject(id: string, reason?: string): WDK;
+    /**
+     * Returns the operations waiting in the send queues, or running at their head, in the order they run. Always empty if the send
+     * queue is not enabled.
+     *
+     * @param {string} [blockchain] - If set, only returns the operations of this blockchain.
+     * @param {string} [path] - If set, only returns the operations of the account with this derivation path.
+     * @returns {QueuedOperation[]} The queued operations.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    getQueuedOperations(blockchain?: string, path?: string): QueuedOperation[];
+    /**
+     * Returns the number of operations in the send queue of an account, including the running one. Always zero if the send queue is
+     * not enabled.
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {string} path - The derivation path of the account (e.g., "m/44'/60'/0'/0/0").
+     * @returns {number} The queue depth.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    getQueueDepth(blockchain: string, path: string): number;
+    /**
+     * Cancels an operation waiting in a send queue, which then fails with an {@link OperationCancelledError}. Running operations
+     * cannot be cancelled.
+     *
+     * @param {string} id - The identifier of the queued operation.
+     * @param {string} [reason] - The reason of the cancellation.
+     * @returns {WDK} The wdk instance.
+     * @throws {QueuedOperationNotFoundError} If no operation with the given identifier is waiting.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    cancelQueuedOperation(id: string, reason?: string): WDK;
+    /**
+     * Returns the entries of the journal matching a filter, from the oldest to the newest. Always empty if WDK has no journal.
+     *
+     * @param {JournalFilter} [filter] - The filter.
+     * @returns {Promise<JournalEntry[]>} The entries.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    getJournalEntries(filter?: JournalFilter): Promise<JournalEntry[]>;
+    /**
+     * Looks up the receipts of the pending entries of the journal, and marks the entries whose transaction has been mined as confirmed
+     * or failed. Receipts that cannot be looked up (e.g., because the wallet is no longer registered) are reported through the
+     * 'journal:error' event, and their entries stay pending.
+     *
+     * @returns {Promise<JournalEntry[]>} The entries that have been updated. Always empty if WDK has no journal.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    refreshJournal(): Promise<JournalEntry[]>;
     /**
      * Returns the wallet account for a specific blockchain and index (see BIP-44).
      *
+     * Accounts are kept in a registry: asking again for the same blockchain and account returns the same instance, so middlewares
+     * only run the first time and the protocols registered on the account are preserved.
+     *
      * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
      * @param {number} [index] - The index of the account to get (default: 0).
      * @returns {Promise<IWalletAccountWithProtocols>} The account.
-     * @throws {Error} If no wallet has been registered for the given blockchain.
+     * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+     * @throws {DisposedError} If the wdk instance has been disposed.
      */
     getAccount(blockchain: string, index?: number): Promise<IWalletAccountWithProtocols>;
     /**
      * Returns the wallet account for a specific blockchain and BIP-44 derivation path.
      *
+     * Accounts are kept in a registry: asking again for the same blockchain and account returns the same instance, so middlewares
+     * only run the first time and the protocols registered on the account are preserved.
+     *
      * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
      * @param {string} path - The derivation path (e.g., "0'/0/0").
      * @returns {Promise<IWalletAccountWithProtocols>} The account.
-     * @throws {Error} If no wallet has been registered for the given blockchain.
+     * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+     * @throws {DisposedError} If the wdk instance has been disposed.
      */
     getAccountByPath(blockchain: string, path: string): Promise<IWalletAccountWithProtocols>;
+    /**
+     * Returns the accounts handed out by the {@link WDK#getAccount} and {@link WDK#getAccountByPath} methods.
+     *
+     * @param {string} [blockchain] - If set, only returns the accounts of the given blockchain.
+     * @returns {DerivedAccount[]} The derived accounts.
+     */
+    getDerivedAccounts(blockchain?: string): DerivedAccount[];
+    /**
+     * Returns the native and token balances of some accounts on all the registered blockchains.
+     *
+     * The blockchains are queried concurrently. If any balance of a blockchain cannot be fetched, the blockchain's balances are left
+     * out of the result and the error is reported in its errors instead, so that a failing blockchain does not fail the others.
+     *
+     * @param {PortfolioOptions} [options] - The portfolio options.
+     * @returns {Promise<Portfolio>} The portfolio.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    getPortfolio(options?: PortfolioOptions): Promise<Portfolio>;
+    /**
+     * Finds the used accounts of a blockchain (see BIP-44's account discovery), e.g. to restore a wallet from its seed.
+     *
+     * The accounts are checked by increasing index, until a number of consecutive unused accounts equal to the gap limit is found.
+     * Unused accounts that had not been handed out before are disposed.
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {DiscoveryOptions} [options] - The discovery options.
+     * @returns {Promise<IWalletAccountWithProtocols[]>} The used accounts, sorted by index.
+     * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    discoverAccounts(blockchain: string, options?: DiscoveryOptions): Promise<IWalletAccountWithProtocols[]>;
+    /**
+     * Finds the used accounts of all the registered blockchains (see {@link WDK#discoverAccounts}).
+     *
+     * The blockchains are processed concurrently. If the discovery fails for a blockchain, the error is reported in the errors of the
+     * result, so that a failing blockchain does not fail the others.
+     *
+     * @param {DiscoveryOptions} [options] - The discovery options.
+     * @returns {Promise<Discovery>} The used accounts.
+     * @throws {DisposedError} If the wdk instance has been disposed.
+     */
+    discoverAllAccounts(options?: DiscoveryOptions): Promise<Discovery>;
+    /**
+     * Removes an account from the registry and disposes it, erasing its private key from the memory.
+     *
+     * The next request for the same account derives a new instance and runs the middlewares again.
+     *
+     * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
+     * @param {string} path - The derivation path of the account, as exposed by its path property.
+     * @returns {boolean} True if the account was in the registry.
+     */
+    forgetAccount(blockchain: string, path: string): boolean;
     /**
      * Returns the current fee rates for a specific blockchain.
      *
      * @param {string} blockchain - The name of the blockchain (e.g., "ethereum").
      * @returns {Promise<FeeRates>} The fee rates (in base unit).
-     * @throws {Error} If no wallet has been registered for the given blockchain.
+     * @throws {WalletNotRegisteredError} If no wallet has been registered for the given blockchain.
+     * @throws {DisposedError} If the wdk instance has been disposed.
      */
     getFeeRates(blockchain: string): Promise<FeeRates>;
     /**
      * Disposes and unregisters all the wallets, erasing any sensitive data from the memory.
+     *
+     * After this call, any further usage of the wdk instance throws a {@link DisposedError}.
      */
     dispose(): void;
+    /**
+     * Registers a listener for one of the events emitted by WDK.
+     *
+     * @template {keyof WdkEventMap} E
+     * @param {E} event - The name of the event.
+     * @param {(payload: WdkEventMap[E]) => void} listener - The listener.
+     * @returns {this} The wdk instance.
+     */
+    on<E extends keyof WdkEventMap>(event: E, listener: (payload: WdkEventMap[E]) => void): this;
+    /**
+     * Registers a listener for the next occurrence of one of the events emitted by WDK.
+     *
+     * @template {keyof WdkEventMap} E
+     * @param {E} event - The name of the event.
+     * @param {(payload: WdkEventMap[E]) => void} listener - The listener.
+     * @returns {this} The wdk instance.
+     */
+    once<E extends keyof WdkEventMap>(event: E, listener: (payload: WdkEventMap[E]) => void): this;
+    /**
+     * Unregisters a listener previously registered with {@link WDK#on} or {@link WDK#once}.
+     *
+     * @template {keyof WdkEventMap} E
+     * @param {E} event - The name of the event.
+     * @param {(payload: WdkEventMap[E]) => void} listener - The listener.
+     * @returns {this} The wdk instance.
+     */
+    off<E extends keyof WdkEventMap>(event: E, listener: (payload: WdkEventMap[E]) => void): this;
+    /** @private */
+    private _assertNotDisposed;
+    /** @private */
+    private _getApprovals;
+    /** @private */
+    private _getJournalAccount;
+    /** @private */
+    private _getWallet;
+    /** @private */
+    private _createWallet;
+    /** @private */
+    private _loadProtocols;
+    /** @private */
+    private _disposeAccount;
+    /** @private */
+    private _getAccount;
+    /** @private */
+    private _setupAccount;
     /** @private */
     private _runMiddlewares;
     /** @private */
+    private _wrapOperations;
+    /** @private */
+    private _runOperation;
+    /** @private */
+    private _notify;
+    /** @private */
+    private _simulateOperation;
+    /** @private */
     private _registerProtocols;
 }
 export type IWalletAccount = import("@tetherto/wdk-wallet").IWalletAccount;
 export type FeeRates = import("@tetherto/wdk-wallet").FeeRates;
 export type IWalletAccountWithProtocols = import("./wallet-account-with-protocols.js").IWalletAccountWithProtocols;
+export type IPolicyStore = import("./memory-policy-store.js").IPolicyStore;
+export type Policy = import("./policy-engine.js").Policy;
+export type ApprovalOptions = import("./approval-queue.js").ApprovalOptions;
+export type ApprovalRequest = import("./approval-queue.js").ApprovalRequest;
+export type FailoverOptions = import("./failover-wallet.js").FailoverOptions;
+export type ProviderStatus = import("./failover-wallet.js").ProviderStatus;
+export type ProviderFailedEvent = import("./failover-wallet.js").ProviderFailedEvent;
+export type ProviderChangedEvent = import("./failover-wallet.js").ProviderChangedEvent;
+export type QueuedOperation = import("./send-queue.js").QueuedOperation;
+export type JournalOptions = import("./journal.js").JournalOptions;
+export type JournalFilter = import("./journal.js").JournalFilter;
+export type JournalEntry = import("./memory-journal-store.js").JournalEntry;
+export type VaultOptions = import("./vault.js").VaultOptions;
+export type SeedPhraseOptions = import("./seed.js").SeedPhraseOptions;
+export type SeedValidation = import("./seed.js").SeedValidation;
+export type WdkConfig = import("./config.js").WdkConfig;
+export type ModuleMap = import("./config.js").ModuleMap;
+export type ConfigIssue = import("./config.js").ConfigIssue;
+export type MoveIntent = import("./move-planner.js").MoveIntent;
+export type MoveOptions = import("./move-planner.js").MoveOptions;
+export type MovePlan = import("./move-planner.js").MovePlan;
+export type MoveRoute = import("./move-planner.js").MoveRoute;
+export type MoveProgress = import("./move-planner.js").MoveProgress;
+export type ExecuteMoveOptions = import("./move-planner.js").ExecuteMoveOptions;
 export type MiddlewareFunction = <A extends IWalletAccount>(account: A) => Promise<void>;
-import WalletManager from "@tetherto/wdk-wallet";
-import { SwapProtocol } from "@tetherto/wdk-wallet/protocols";
-import { BridgeProtocol } from "@tetherto/wdk-wallet/protocols";
-import { LendingProtocol } from "@tetherto/wdk-wallet/protocols";
+export type WdkOptions = {
+    /**
+     * - The BIP-39 passphrase (the "25th word") protecting the seed phrase. Different passphrases derive
+     * different, unrelated wallets. Ignored if the seed is a Uint8Array.
+     */
+    passphrase?: string;
+    /**
+     * - The store where the policies save the amounts spent (default: an in-memory store).
+     */
+    policyStore?: IPolicyStore;
+    /**
+     * - If true, runs WDK in dry-run mode: operations are quoted and return a simulated result instead of
+     * being broadcast (default: false).
+     */
+    dryRun?: boolean;
+    /**
+     * - If set, runs WDK in approval mode: operations are quoted and held until they get approved
+     * (see {@link WDK#approve}).
+     */
+    approval?: ApprovalOptions;
+    /**
+     * - If true, the operations of each account and its protocols run one at a time, in the order they are
+     * called, so that concurrent operations do not use the same nonce (default: false). Read methods are not queued.
+     */
+    sendQueue?: boolean;
+    /**
+     * - If set, records the operations sent through the accounts and their protocols in a journal
+     * (see {@link WDK#getJournalEntries}).
+     */
+    journal?: JournalOptions;
+};
+export type DerivedAccount = {
+    /**
+     * - The name of the blockchain the account belongs to.
+     */
+    blockchain: string;
+    /**
+     * - The index of the account.
+     */
+    index: number;
+    /**
+     * - The derivation path of the account.
+     */
+    path: string;
+    /**
+     * - The account.
+     */
+    account: IWalletAccountWithProtocols;
+};
+export type PortfolioOptions = {
+    /**
+     * - The indexes of the accounts to fetch the balances of (default: [0]).
+     */
+    accounts?: number[];
+    /**
+     * - The addresses of the tokens to fetch the balances of, by blockchain (e.g.,
+     * { ethereum: ["0xdAC17F958D2ee523a2206206994597C13D831ec7"] }). The native token's balance is always fetched.
+     */
+    tokens?: Record<string, string[]>;
+};
+export type PortfolioBalance = {
+    /**
+     * - The name of the blockchain.
+     */
+    blockchain: string;
+    /**
+     * - The index of the account.
+     */
+    index: number;
+    /**
+     * - The address of the account.
+     */
+    address: string;
+    /**
+     * - The address of the token, or "native" for the blockchain's native token.
+     */
+    asset: string;
+    /**
+     * - The balance (in base unit).
+     */
+    amount: bigint;
+};
+export type BlockchainError = {
+    /**
+     * - The name of the blockchain.
+     */
+    blockchain: string;
+    /**
+     * - The error that prevented processing the blockchain.
+     */
+    error: Error;
+};
+export type Portfolio = {
+    /**
+     * - The balances, grouped by blockchain, account and asset.
+     */
+    balances: PortfolioBalance[];
+    /**
+     * - The errors, one per blockchain whose balances could not be fetched.
+     */
+    errors: BlockchainError[];
+};
+/**
+ * Tells whether an account has been used (e.g., because it holds funds or has a transaction history).
+ */
+export type ActivityChecker = (account: IWalletAccount, info: {
+    blockchain: string;
+    index: number;
+}) => Promise<boolean>;
+export type DiscoveryOptions = {
+    /**
+     * - The number of consecutive unused accounts after which the discovery stops (default: 20).
+     */
+    gapLimit?: number;
+    /**
+     * - The activity checker (default: checks if the account's native balance is positive).
+     */
+    isActive?: ActivityChecker;
+};
+export type Discovery = {
+    /**
+     * - The used accounts, grouped by blockchain and sorted by index.
+     */
+    accounts: DerivedAccount[];
+    /**
+     * - The errors, one per blockchain whose accounts could not be discovered.
+     */
+    errors: BlockchainError[];
+};
+export type ProtocolTypeOptions = {
+    /**
+     * - The names of the methods of the protocols that change the state of the blockchain (e.g.,
+     * ["stake", "unstake"]). They run through the interceptors, the policies, the dry-run mode and the approval mode, like swaps.
+     * If the protocols define a method named "quote" followed by the capitalized name of an operation (e.g., "quoteStake"), it is
+     * used to quote the operation.
+     */
+    operations?: string[];
+    /**
+     * - If true, replaces the protocol type already registered with the same name instead of throwing
+     * an error (default: false). The built-in types cannot be replaced.
+     */
+    override?: boolean;
+};
+export type RegisterOptions = {
+    /**
+     * - If true, replaces the wallet or protocol already registered with the same key instead of throwing
+     * an error (default: false).
+     */
+    override?: boolean;
+    /**
+     * - The type of the protocol (e.g., "swap"). Required when registering a protocol through a factory, since
+     * the type of the protocol cannot be known before its class is loaded.
+     */
+    type?: string;
+    /**
+     * - The read-only account class of the wallet's blockchain (e.g.,
+     * WalletAccountReadOnlyEvm). In watch-only mode, it lets the wallet manager class be registered as in the normal mode: accounts
+     * are created from the read-only account class, and fee rates are read by the wallet manager. Ignored in the normal mode.
+     */
+    readOnlyAccount?: typeof WalletAccountReadOnly;
+    /**
+     * - How to switch between the providers of a wallet registered with a list of configs (see
+     * {@link WDK#registerWallet}).
+     */
+    failover?: FailoverOptions;
+};
+/**
+ * An async function loading a class on demand, e.g. () => import('@tetherto/wdk-wallet-evm'). It can resolve to the class or to a
+ * module whose default export is the class.
+ */
+export type ModuleFactory<T> = () => Promise<T | {
+    default: T;
+}>;
+export type ProtocolInfo = {
+    /**
+     * - The type of the protocol (e.g., "swap").
+     */
+    type: string;
+    /**
+     * - The label of the protocol.
+     */
+    label: string;
+};
+export type ProtocolDescriptor = {
+    /**
+     * - The type of the protocol (e.g., "swap").
+     */
+    type: string;
+    /**
+     * - The label of the protocol.
+     */
+    label: string;
+    /**
+     * - The name of the protocol's class, or undefined if the protocol is registered through a
+     * factory that has not been loaded yet.
+     */
+    name: string | undefined;
+};
+export type AccountProtocolDescriptor = ProtocolDescriptor & {
+    scope: "wdk" | "account";
+};
+/**
+ * The context of an operation going through the interceptors (see {@link WDK#registerInterceptor}).
+ */
+export type OperationContext = {
+    /**
+     * - The name of the blockchain.
+     */
+    blockchain: string;
+    /**
+     * - The account performing the operation.
+     */
+    account: IWalletAccountWithProtocols;
+    /**
+     * - The protocol performing the operation, if it is not performed by the account itself.
+     */
+    protocol?: ProtocolInfo;
+    /**
+     * - The name of the operation (e.g., "transfer", "swap").
+     */
+    operation: string;
+    /**
+     * - The arguments of the operation. Interceptors can replace them to modify the operation.
+     */
+    args: unknown[];
+    /**
+     * - Quotes the costs of the operation with its current arguments (e.g., through
+     * 'quoteTransfer' for transfers). Resolves to undefined if the operation cannot be quoted.
+     */
+    quote: () => Promise<unknown>;
+};
+/**
+ * The result of an operation performed in dry-run mode. Besides the properties below, it contains the properties of the quote, so
+ * that it has the same shape as the result of the real operation (e.g., 'fee' for transfers).
+ */
+export type DryRunResult = {
+    /**
+     * - A synthetic, unique transaction hash.
+     */
+    hash: string;
+    /**
+     * - Always true. Tells simulated results apart from real ones.
+     */
+    dryRun: true;
+    /**
+     * - The quote of the operation.
+     */
+    quote: unknown;
+};
+/**
+ * An interceptor wraps the operations of the accounts and their protocols. It can inspect or modify the operation's context before
+ * calling next, reject the operation by throwing an error, and inspect or post-process the result returned by next.
+ */
+export type InterceptorFunction = (context: OperationContext, next: () => Promise<unknown>) => Promise<unknown>;
+export type ProtocolRegisteredEvent = {
+    /**
+     * - The name of the blockchain.
+     */
+    blockchain: string;
+    /**
+     * - The label of the protocol.
+     */
+    label: string;
+    /**
+     * - The type of the protocol (e.g., "swap").
+     */
+    type: string;
+    /**
+     * - If set, the protocol has only been registered for this account.
+     */
+    account?: IWalletAccountWithProtocols;
+};
+export type AccountDerivedEvent = {
+    /**
+     * - The name of the blockchain.
+     */
+    blockchain: string;
+    /**
+     * - The index of the account.
+     */
+    index: number;
+    /**
+     * - The derivation path of the account.
+     */
+    path: string;
+    /**
+     * - The address of the account.
+     */
+    address: string;
+};
+export type MiddlewareErrorEvent = {
+    /**
+     * - The name of the blockchain.
+     */
+    blockchain: string;
+    /**
+     * - The account the middleware was called for.
+     */
+    account: IWalletAccount;
+    /**
+     * - The error thrown by the middleware.
+     */
+    error: Error;
+};
+/**
+ * The events emitted by WDK, mapped to the payload passed to their listeners.
+ */
+export type WdkEventMap = {
+    "wallet:registered": {
+        blockchain: string;
+    };
+    "wallet:unregistered": {
+        blockchain: string;
+    };
+    "protocol:registered": ProtocolRegisteredEvent;
+    "protocol:unregistered": {
+        blockchain: string;
+        label: string;
+    };
+    "account:derived": AccountDerivedEvent;
+    "middleware:error": MiddlewareErrorEvent;
+    "transaction:sent": OperationContext & {
+        result: unknown;
+    };
+    "transaction:failed": OperationContext & {
+        error: Error;
+    };
+    "approval:requested": ApprovalRequest;
+    "operation:queued": QueuedOperation;
+    "provider:failed": ProviderFailedEvent;
+    "provider:changed": ProviderChangedEvent;
+    "journal:updated": JournalEntry;
+    "journal:error": {
+        entry: JournalEntry;
+        error: Error;
+    };
+    "listener:error": {
+        event: string;
+        error: Error;
+    };
+    "disposed": void;
+};
+import EventEmitter from 'events';
+import { WalletAccountReadOnly } from '@tetherto/wdk-wallet';
+import { SwapProtocol } from '@tetherto/wdk-wallet/protocols';
+import { BridgeProtocol } from '@tetherto/wdk-wallet/protocols';
+import { LendingProtocol } from '@tetherto/wdk-wallet/protocols';